@@ -0,0 +1,8 @@
+// Run the local Twilio stand-in - start the app with MESSAGING_PROVIDER=local to send to it
+// Usage: npm run sms:local
+import { startLocalSmsServer } from '../src/utils/localSms.js';
+import { config } from '../src/config/index.js';
+
+const { url } = await startLocalSmsServer({ port: config.messaging.localPort });
+console.log(`📱 Local SMS server listening on ${url}`);
+console.log(`   Sent messages: GET ${url}/messages`);
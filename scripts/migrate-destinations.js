@@ -0,0 +1,97 @@
+// Migration: store destinations as gazetteer place ids
+// Trips, legs, suggestions and destination votes saved before the gazetteer hold free text ("tokyo", "NYC") -
+// resolve the ones it knows, so old trips read the same as new ones. Places it doesn't know stay as they are,
+// and running it again changes nothing.
+import pg from 'pg';
+import { canonicalDestination } from '../src/utils/gazetteer.js';
+import { parseBallot } from '../src/utils/voteTally.js';
+import { LEG_SEPARATOR } from '../src/utils/tripLegs.js';
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/voyaj',
+});
+
+// A stored ballot with each choice resolved - JSON ballots stay JSON
+function canonicalBallot(choice) {
+  const ballot = parseBallot(choice).map(canonicalDestination);
+  return choice.trim().startsWith('[') ? JSON.stringify(ballot) : ballot[0];
+}
+
+async function migrate() {
+  const client = await pool.connect();
+  try {
+    console.log('🔄 Resolving stored destinations to place ids...');
+    await client.query('BEGIN');
+    const counts = { trips: 0, legs: 0, suggestions: 0, votes: 0 };
+
+    const trips = await client.query(
+      'SELECT id, stage, destination, runoff_options FROM trips WHERE destination IS NOT NULL OR runoff_options IS NOT NULL'
+    );
+    for (const trip of trips.rows) {
+      const destination = trip.destination && trip.destination.split(LEG_SEPARATOR).map(canonicalDestination).join(LEG_SEPARATOR);
+      // runoff_options holds date ranges during a dates runoff
+      const runoffOptions = trip.stage === 'runoff_destination' && trip.runoff_options
+        ? trip.runoff_options.map(canonicalDestination)
+        : trip.runoff_options;
+      if (destination !== trip.destination || JSON.stringify(runoffOptions) !== JSON.stringify(trip.runoff_options)) {
+        await client.query('UPDATE trips SET destination = $2, runoff_options = $3 WHERE id = $1', [
+          trip.id,
+          destination,
+          runoffOptions ? JSON.stringify(runoffOptions) : null,
+        ]);
+        counts.trips++;
+      }
+    }
+
+    const legs = await client.query('SELECT id, destination FROM trip_legs');
+    for (const leg of legs.rows) {
+      const destination = canonicalDestination(leg.destination);
+      if (destination !== leg.destination) {
+        await client.query('UPDATE trip_legs SET destination = $2 WHERE id = $1', [leg.id, destination]);
+        counts.legs++;
+      }
+    }
+
+    // Someone who suggested both "NYC" and "New York" keeps one row
+    const suggestions = await client.query('SELECT id, trip_id, member_id, destination FROM destination_suggestions');
+    for (const suggestion of suggestions.rows) {
+      const destination = canonicalDestination(suggestion.destination);
+      if (destination === suggestion.destination) continue;
+      const duplicate = await client.query(
+        'SELECT 1 FROM destination_suggestions WHERE trip_id = $1 AND member_id = $2 AND destination = $3',
+        [suggestion.trip_id, suggestion.member_id, destination]
+      );
+      if (duplicate.rows.length > 0) {
+        await client.query('DELETE FROM destination_suggestions WHERE id = $1', [suggestion.id]);
+      } else {
+        await client.query('UPDATE destination_suggestions SET destination = $2 WHERE id = $1', [suggestion.id, destination]);
+      }
+      counts.suggestions++;
+    }
+
+    const votes = await client.query(
+      "SELECT id, choice FROM votes WHERE poll_type IN ('destination', 'destination_runoff')"
+    );
+    for (const vote of votes.rows) {
+      const choice = canonicalBallot(vote.choice);
+      if (choice !== vote.choice) {
+        await client.query('UPDATE votes SET choice = $2 WHERE id = $1', [vote.id, choice]);
+        counts.votes++;
+      }
+    }
+
+    await client.query('COMMIT');
+    console.log(`✅ Updated ${counts.trips} trip(s), ${counts.legs} leg(s), ${counts.suggestions} suggestion(s) and ${counts.votes} vote(s)`);
+    process.exit(0);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    client.release();
+  }
+}
+
+migrate();
@@ -0,0 +1,22 @@
+// Print the trip lifecycle (src/state/transitions.js) as a diagram for review
+// Usage: npm run state:graph [-- --format dot]
+import { toMermaid, toDot, validateTransitionTable } from '../src/state/transitions.js';
+
+const formatFlag = process.argv.indexOf('--format');
+const format = formatFlag === -1 ? 'mermaid' : process.argv[formatFlag + 1];
+
+const problems = validateTransitionTable();
+if (problems.length > 0) {
+  console.error(`❌ Invalid transition table:\n${problems.join('\n')}`);
+  process.exit(1);
+}
+
+if (format === 'mermaid') {
+  process.stdout.write(toMermaid());
+} else if (format === 'dot') {
+  process.stdout.write(toDot());
+} else {
+  console.error(`❌ Unknown format "${format}" - use mermaid or dot`);
+  process.exit(1);
+}
+process.exit(0);
@@ -0,0 +1,308 @@
+import { BaseAgent } from './base.js';
+import { CoordinatorAgent } from './coordinator.js';
+import { VotingAgent } from './voting.js';
+import { ParserAgent } from './parser.js';
+import * as db from '../db/queries.js';
+import {
+  checkStateTransitions,
+  getPollRule,
+  isPollStage,
+  requestStateTransition,
+  stageDeadline,
+  PLANNING_TIMEOUT_HOURS,
+} from '../state/stateMachine.js';
+import { parseDateRange } from '../utils/helpers.js';
+import { findMembersByName } from '../utils/membership.js';
+import { parseCommand } from '../utils/commands.js';
+import { getOrganizer, authorizeOrganizerCommand } from '../utils/organizer.js';
+import { parseLegList, saveTripDestinations, scheduleTripLegs, describeDestination, MAX_LEGS, LEG_SEPARATOR } from '../utils/tripLegs.js';
+import { canonicalDestination } from '../utils/gazetteer.js';
+
+// Organizer-only commands: "@bot close poll", "@bot set destination Lisbon" (or "Tokyo then Kyoto"), "@bot set dates March 3-10",
+// "@bot extend 24h", "@bot skip", "@bot remove Sam", "@bot pause nudges", "@bot organizer Sam" - the grammar is in
+// utils/commands.js, this maps each one to what the agent runs
+const ADMIN_COMMANDS = {
+  close: ({ pollNumber = null }) => ({ command: 'close_poll', pollNumber }),
+  'set destination': ({ destination }) => ({ command: 'set_destination', destination }),
+  'set dates': ({ dates }) => ({ command: 'set_dates', dates }),
+  extend: ({ pollNumber = null, hours = 24 }) => ({ command: 'extend_deadline', pollNumber, hours }),
+  skip: () => ({ command: 'skip_stage' }),
+  remove: ({ name }) => ({ command: 'remove_member', name }),
+  'pause nudges': () => ({ command: 'pause_nudges' }),
+  'resume nudges': () => ({ command: 'resume_nudges' }),
+  organizer: ({ name }) => ({ command: 'set_organizer', name }),
+};
+
+// Returns { command, ...args } or null
+export function parseAdminCommand(text) {
+  const parsed = parseCommand(text);
+  const toAdmin = parsed && !parsed.error && ADMIN_COMMANDS[parsed.command];
+  return toAdmin ? toAdmin(parsed.args) : null;
+}
+
+// What each command does, for the refusal non-organizers get
+const COMMAND_ACTIONS = {
+  close_poll: 'close a poll early',
+  set_destination: 'set the destination',
+  set_dates: 'set the dates',
+  extend_deadline: 'extend a deadline',
+  skip_stage: 'skip ahead',
+  remove_member: 'remove people from the trip',
+  pause_nudges: 'pause nudges',
+  resume_nudges: 'resume nudges',
+  set_organizer: 'hand over organizing',
+};
+
+// "@bot skip" outside planning and polls - the next stage, taken even if its guard isn't met yet
+const SKIP_TARGETS = {
+  collecting_members: 'planning',
+  tracking_flights: 'trip_confirmed',
+  trip_confirmed: 'active',
+  active: 'completed',
+};
+
+function stageLabel(stage) {
+  return stage.replace(/_/g, ' ');
+}
+
+export class AdminAgent extends BaseAgent {
+  constructor() {
+    super('Admin', '🛡️');
+  }
+
+  async handle(context, message) {
+    this.logEntry('handle', context, message);
+
+    try {
+      const parsed = parseAdminCommand(message.body);
+      if (!parsed || !context.member) {
+        return { success: false, skip: true };
+      }
+
+      const { command, ...args } = parsed;
+      const refusal = await authorizeOrganizerCommand(context, command, {
+        args: Object.values(args).filter(value => value !== null).join(' ') || null,
+        action: COMMAND_ACTIONS[command],
+      });
+      if (refusal) {
+        return refusal;
+      }
+
+      this.log('info', `${context.member.name} ran ${command}`, args);
+      const trip = await db.getTrip(context.trip.id);
+      switch (command) {
+        case 'close_poll':
+          return await this.closePoll(context, trip, args.pollNumber);
+        case 'set_destination':
+          return await this.setDestination(context, trip, args.destination);
+        case 'set_dates':
+          return await this.setDates(context, trip, args.dates);
+        case 'extend_deadline':
+          return await this.extendDeadline(context, trip, args);
+        case 'skip_stage':
+          return await this.skipStage(context, trip);
+        case 'remove_member':
+          return await this.removeMember(context, args.name);
+        case 'pause_nudges':
+        case 'resume_nudges':
+          return await this.setNudgesPaused(context, command === 'pause_nudges');
+        case 'set_organizer':
+          return await this.setOrganizer(context, args.name);
+      }
+    } catch (error) {
+      await this.logError(error, context, message, { method: 'handle' });
+      throw error;
+    }
+  }
+
+  // A reply only the organizer needs to see
+  reply(context, type, message) {
+    return {
+      success: true,
+      output: { type, message, sendTo: 'individual', recipient: context.member.phone_number },
+    };
+  }
+
+  announce(type, message, extra = {}) {
+    return {
+      success: true,
+      output: { type, ...extra, message, sendTo: 'group' },
+    };
+  }
+
+  async closePoll(context, trip, pollNumber) {
+    const openPolls = await db.getOpenPolls(trip.id);
+    const votingAgent = new VotingAgent();
+
+    // "@bot close poll #2", or "@bot close poll" when a side poll is all there is
+    const sidePoll = pollNumber
+      ? openPolls.find(poll => poll.poll_number === pollNumber)
+      : (!isPollStage(trip.stage) && openPolls.length === 1 ? openPolls[0] : null);
+    if (pollNumber && !sidePoll) {
+      return this.reply(context, 'admin_command_invalid', `Poll #${pollNumber} isn't open.`);
+    }
+    if (sidePoll) {
+      const closed = await votingAgent.closeSidePoll(sidePoll);
+      return closed || this.reply(context, 'admin_command_invalid', `Poll #${sidePoll.poll_number} already closed.`);
+    }
+
+    if (!isPollStage(trip.stage)) {
+      return this.reply(context, 'admin_command_invalid', openPolls.length > 1
+        ? `Which poll? Say "@bot close poll #<number>" - open: ${openPolls.map(poll => `#${poll.poll_number}`).join(', ')}`
+        : 'There\'s no vote open right now.');
+    }
+
+    // The poll result (or the return to planning when nobody voted) announces itself
+    const result = await votingAgent.resolvePoll(trip, context.trigger);
+    if (result?.output) {
+      return result;
+    }
+    return this.announce('poll_force_closed', `🛑 ${context.member.name} closed the vote early.`);
+  }
+
+  async setDestination(context, trip, text) {
+    // "Tokyo then Kyoto" sets both legs, in that order
+    const destinations = parseLegList(text).map(canonicalDestination);
+    if (destinations.length === 0 || destinations.length > MAX_LEGS) {
+      return this.reply(context, 'admin_command_invalid', `A trip can have 1-${MAX_LEGS} destinations - try "@bot set destination Lisbon" or "@bot set destination Tokyo then Kyoto".`);
+    }
+
+    await saveTripDestinations(trip.id, destinations, { leg_count: destinations.length });
+    const rule = getPollRule(trip.stage);
+    if (rule?.type.startsWith('destination')) {
+      // Settles the open destination vote - planning picks up from there
+      await requestStateTransition(trip.id, 'planning', 'destination set by organizer', {
+        updates: { runoff_options: null },
+        trigger: context.trigger,
+      });
+    } else {
+      await checkStateTransitions(trip.id, context.trigger);
+    }
+
+    const destination = describeDestination(destinations.join(LEG_SEPARATOR));
+    return this.announce('destination_set', `📍 ${context.member.name} set the destination: ${destination}`, { destination });
+  }
+
+  async setDates(context, trip, text) {
+    let { start, end } = parseDateRange(text);
+    if (!start || !end) {
+      const parsed = await new ParserAgent().parseDateRangeWithAI(text);
+      start = parsed.startDate ? new Date(parsed.startDate) : null;
+      end = parsed.endDate ? new Date(parsed.endDate) : null;
+    }
+    if (!start || !end || end < start) {
+      return this.reply(context, 'admin_command_invalid', `I couldn't read "${text}" as dates - try "@bot set dates March 15-22".`);
+    }
+
+    const rule = getPollRule(trip.stage);
+    if (rule?.type.startsWith('dates')) {
+      await requestStateTransition(trip.id, 'planning', 'dates set by organizer', {
+        updates: { start_date: start, end_date: end, runoff_options: null },
+        trigger: context.trigger,
+      });
+    } else {
+      await db.updateTrip(trip.id, { start_date: start, end_date: end });
+      await checkStateTransitions(trip.id, context.trigger);
+    }
+    await scheduleTripLegs(trip.id);
+
+    const format = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return this.announce('dates_set', `📅 ${context.member.name} set the dates: ${format(start)} - ${format(end)}`);
+  }
+
+  async extendDeadline(context, trip, { pollNumber, hours }) {
+    const hoursFromNow = deadline => Math.round((deadline.getTime() - Date.now()) / (60 * 60 * 1000));
+
+    if (pollNumber) {
+      const poll = (await db.getOpenPolls(trip.id)).find(p => p.poll_number === pollNumber);
+      if (!poll) {
+        return this.reply(context, 'admin_command_invalid', `Poll #${pollNumber} isn't open.`);
+      }
+      const from = Math.max(poll.deadline ? new Date(poll.deadline).getTime() : 0, Date.now());
+      const deadline = new Date(from + hours * 60 * 60 * 1000);
+      await db.extendPollDeadline(poll.id, deadline);
+      return this.announce('deadline_extended', `⏰ ${context.member.name} gave poll #${poll.poll_number} more time - it now closes in ${hoursFromNow(deadline)} hours.`);
+    }
+
+    const timeoutHours = getPollRule(trip.stage)?.timeoutHours || (trip.stage === 'planning' ? PLANNING_TIMEOUT_HOURS : null);
+    if (!timeoutHours) {
+      return this.reply(context, 'admin_command_invalid', `Nothing has a deadline while we're in ${stageLabel(trip.stage)}.`);
+    }
+    const from = Math.max(stageDeadline(trip, timeoutHours).getTime(), Date.now());
+    const deadline = new Date(from + hours * 60 * 60 * 1000);
+    await db.updateTrip(trip.id, { stage_deadline_at: deadline });
+
+    const what = isPollStage(trip.stage) ? `the ${getPollRule(trip.stage).type.replace('_', ' ')} vote` : 'planning';
+    return this.announce('deadline_extended', `⏰ ${context.member.name} gave ${what} more time - it now wraps up in ${hoursFromNow(deadline)} hours.`);
+  }
+
+  async skipStage(context, trip) {
+    if (isPollStage(trip.stage)) {
+      return await this.closePoll(context, trip, null);
+    }
+
+    let to = SKIP_TARGETS[trip.stage] || null;
+    if (trip.stage === 'planning') {
+      // Start whichever vote is still missing, as planning would once it timed out
+      const hasDates = !!(trip.start_date && trip.end_date);
+      if (!trip.destination) {
+        to = (await db.getDestinationSuggestionCount(trip.id)) > 0 ? 'voting_destination' : null;
+      } else if (!hasDates) {
+        to = (await db.getDateAvailabilityCount(trip.id)) > 0 ? 'voting_dates' : null;
+      } else {
+        to = 'tracking_flights';
+      }
+      if (!to) {
+        return this.reply(context, 'admin_command_invalid', `There's nothing to vote on yet. Get some ${trip.destination ? 'dates' : 'destination ideas'} in first, or set it directly with "@bot set ${trip.destination ? 'dates' : 'destination'} ...".`);
+      }
+    }
+    if (!to) {
+      return this.reply(context, 'admin_command_invalid', `There's nothing to skip while we're in ${stageLabel(trip.stage)}.`);
+    }
+
+    const moved = await requestStateTransition(trip.id, to, 'skipped by organizer', {
+      trigger: context.trigger,
+      override: true,
+    });
+    if (!moved) {
+      return this.reply(context, 'admin_command_invalid', `I couldn't skip ahead from ${stageLabel(trip.stage)}.`);
+    }
+    return this.announce('stage_skipped', `⏭️ ${context.member.name} skipped ahead: ${stageLabel(trip.stage)} → ${stageLabel(to)}`, { from: trip.stage, to });
+  }
+
+  async removeMember(context, name) {
+    const { member, allMembers } = context;
+    const others = allMembers.filter(m => m.id !== member.id);
+    const matches = findMembersByName(others, name);
+    if (matches.length !== 1) {
+      return this.reply(context, 'member_remove_info', matches.length === 0
+        ? `I couldn't find "${name}" on the trip. Members: ${others.map(m => m.name).join(', ') || 'just you'}.`
+        : `More than one person matches "${name}": ${matches.map(m => m.name).join(', ')}. Use their full name.`);
+    }
+
+    return await new CoordinatorAgent().handleMemberLeave(context, matches[0], member);
+  }
+
+  async setNudgesPaused(context, paused) {
+    await db.updateTrip(context.trip.id, { nudges_paused: paused });
+    return this.announce('nudges_paused', paused
+      ? `⏸️ Nudges paused - I won't chase anyone until ${context.member.name} says "@bot resume nudges".`
+      : `▶️ Nudges are back on.`, { paused });
+  }
+
+  async setOrganizer(context, name) {
+    const { trip, member, allMembers } = context;
+    const matches = findMembersByName(allMembers, name);
+    if (matches.length !== 1) {
+      return this.reply(context, 'admin_command_invalid', matches.length === 0
+        ? `I couldn't find "${name}" on the trip.`
+        : `More than one person matches "${name}": ${matches.map(m => m.name).join(', ')}. Use their full name.`);
+    }
+    if (matches[0].id === getOrganizer(allMembers)?.id) {
+      return this.reply(context, 'admin_command_invalid', `${matches[0].name} is already the organizer.`);
+    }
+
+    const organizer = await db.setOrganizer(trip.id, matches[0].id);
+    return this.announce('organizer_changed', `👑 ${member.name} handed organizing over to ${organizer.name}.`);
+  }
+}
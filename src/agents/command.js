@@ -0,0 +1,184 @@
+import { BaseAgent } from './base.js';
+import { CoordinatorAgent } from './coordinator.js';
+import { VotingAgent } from './voting.js';
+import { ParserAgent } from './parser.js';
+import * as db from '../db/queries.js';
+import { getPollRule, rollBackStage } from '../state/stateMachine.js';
+import { DEFAULT_VOTING_METHOD, isValidTieBreakRule } from '../utils/voteTally.js';
+import { inferTimeZone, tripQuietHours, formatHour } from '../utils/quietHours.js';
+import { getOrganizer } from '../utils/organizer.js';
+import { parseCommand, findCommand, formatHelp } from '../utils/commands.js';
+import { planUndo, describeAction } from '../utils/actionJournal.js';
+import { config } from '../config/index.js';
+
+// Answers "@bot <command>" messages (grammar in utils/commands.js) with the agent method for each command
+export class CommandAgent extends BaseAgent {
+  constructor() {
+    super('Command', '⌨️');
+    this.coordinator = new CoordinatorAgent();
+    this.voting = new VotingAgent();
+    this.parser = new ParserAgent();
+  }
+
+  async handle(context, message) {
+    this.logEntry('handle', context, message);
+
+    try {
+      const parsed = parseCommand(message.body);
+      if (!parsed) {
+        return { success: false, skip: true };
+      }
+      if (parsed.error) {
+        return this.reply('command_invalid', `${parsed.error}\nSay "@bot help ${parsed.command}" for more.`);
+      }
+
+      const { command, args } = parsed;
+      this.log('info', `${context.member?.name || message.from} ran ${command}`, args);
+      // "@bot digest on 15" is "@bot settings digest on 15"
+      const { setting } = findCommand(command);
+      if (setting) {
+        return await this.handleSettings(context, { setting, value: args.value });
+      }
+      switch (command) {
+        case 'status':
+          return await this.showStatus(context);
+        case 'itinerary':
+          return await this.coordinator.showItinerary(context);
+        case 'flights':
+          return await this.coordinator.showFlightStatus(context);
+        case 'members':
+          return this.showMembers(context);
+        case 'poll':
+          return args.text
+            ? await this.voting.handlePollCommand(context, { ...message, body: `@bot poll ${args.text}` })
+            : await this.voting.listSidePolls(context);
+        case 'undo':
+          return await this.undo(context);
+        case 'invite':
+          return context.member
+            ? await this.coordinator.handleInviteCommand(context, args.action || '')
+            : { success: false, skip: true };
+        case 'approve':
+        case 'decline':
+          return context.member
+            ? await this.coordinator.handleJoinApproval(context, command === 'approve', args.name)
+            : { success: false, skip: true };
+        case 'settings':
+          return await this.handleSettings(context, args);
+        case 'help':
+          return this.reply('command_help', formatHelp(args.command));
+      }
+    } catch (error) {
+      await this.logError(error, context, message, { method: 'handle' });
+      throw error;
+    }
+  }
+
+  reply(type, message) {
+    return { success: true, output: { type, message, sendTo: 'individual' } };
+  }
+
+  async showStatus(context) {
+    const trip = await db.getTrip(context.trip.id);
+    return this.reply('trip_status', await this.coordinator.getTripSummary(trip, context.allMembers));
+  }
+
+  showMembers({ allMembers }) {
+    if (allMembers.length === 0) {
+      return this.reply('member_list', 'Nobody has joined yet. Reply with your name to join!');
+    }
+    const organizer = getOrganizer(allMembers);
+    const lines = allMembers.map(m => `• ${m.name}${m.id === organizer.id ? ' (organizer)' : ''}`);
+    return this.reply('member_list', `👥 ${allMembers.length} ${allMembers.length === 1 ? 'person' : 'people'} on the trip:\n${lines.join('\n')}`);
+  }
+
+  // Takes back the member's latest journaled action, and the stage change it caused if nothing happened since
+  async undo(context) {
+    const { member } = context;
+    if (!member) {
+      return { success: false, skip: true };
+    }
+
+    const entry = await db.getLastJournalEntry(context.trip.id, member.id);
+    if (!entry) {
+      return this.reply('undo_refused', "There's nothing of yours to undo.");
+    }
+
+    const trip = await db.getTrip(context.trip.id);
+    const windowMinutes = config.undo.windowMinutes;
+    const plan = planUndo(entry, {
+      trip,
+      transitionsSince: await db.getStageTransitionsSince(trip.id, entry.created_at),
+      entriesSince: await db.getJournalEntriesAfter(trip.id, entry),
+      windowMinutes,
+    });
+    const what = describeAction(entry);
+    if (!plan.ok) {
+      return this.reply('undo_refused', plan.reason === 'expired'
+        ? `Undo only works for ${windowMinutes} min, so ${what} stays. You can always send a new one.`
+        : `Too late to undo ${what} - the trip has moved on since (it's at ${trip.stage.replace(/_/g, ' ')} now).`);
+    }
+
+    const agent = ['vote', 'destination_suggestion'].includes(entry.action) ? this.voting : this.parser;
+    if (!(await agent.revertJournalEntry(trip.id, entry))) {
+      return this.reply('undo_refused', `That poll has closed, so ${what} stays.`);
+    }
+    await db.markJournalEntryUndone(entry.id);
+    console.log(`   ⌨️  Command: Undid ${entry.action} for ${member.name}${plan.rollBack ? ` and rolled back to ${entry.trip_before.stage}` : ''}`);
+
+    // No stage checks afterwards - the trip was settled before the action, and it's back to that
+    if (!plan.rollBack) {
+      return this.reply('action_undone', `↩️ Undid ${what}.`);
+    }
+
+    // Everyone saw the stage change, so everyone hears it's been reversed
+    const before = entry.trip_before;
+    await rollBackStage(trip.id, before, { reason: `${member.name} undid ${entry.action.replace(/_/g, ' ')}`, trigger: context.trigger });
+    return {
+      success: true,
+      output: {
+        type: 'action_undone',
+        message: `↩️ ${member.name} undid ${what.replace(/\byour\b/, 'their')}, so we're back to ${before.stage.replace(/_/g, ' ')}${getPollRule(before.stage) ? ' - the poll is open again' : ''}.`,
+        sendTo: 'group',
+      },
+    };
+  }
+
+  // "@bot settings" lists them; "@bot settings <setting> [value]" (or "@bot <setting> [value]") changes one
+  async handleSettings(context, { setting, value = '' }) {
+    const { member } = context;
+    if (!member) {
+      return { success: false, skip: true };
+    }
+
+    switch (setting) {
+      case 'voting':
+        return await this.coordinator.handleVotingMethodCommand(context, value);
+      case 'tiebreak':
+        return await this.coordinator.handleTieBreakCommand(context, value);
+      case 'digest':
+        return await this.coordinator.handleDigestCommand(context, value);
+      case 'quiet':
+        return await this.coordinator.handleQuietHoursCommand(context, value);
+      case 'timezone':
+        return await this.coordinator.handleTimeZoneCommand(context, value);
+      case 'legs':
+        return await this.coordinator.handleLegsCommand(context, value);
+    }
+
+    const trip = await db.getTrip(context.trip.id);
+    const quietHours = tripQuietHours(trip);
+    const tieBreakRule = isValidTieBreakRule(trip.tie_break_rule) ? trip.tie_break_rule : config.voting.tieBreakRule;
+    const lines = [
+      `• voting: ${trip.voting_method || DEFAULT_VOTING_METHOD}`,
+      `• tiebreak: ${tieBreakRule}`,
+      `• digest: ${trip.digest_mode ? `on, every ${trip.digest_window_minutes || config.digest.windowMinutes} min` : 'off'}`,
+      `• quiet: ${quietHours ? `${formatHour(quietHours.start)}-${formatHour(quietHours.end)}` : 'off'}`,
+      `• timezone (yours): ${member.time_zone || inferTimeZone(member.phone_number) || config.quietHours.defaultTimeZone}`,
+      `• legs: ${trip.leg_count > 1 ? `${trip.leg_count} (destination vote keeps the top ${trip.leg_count})` : '1'}`,
+      `• nudges: ${trip.nudges_paused ? 'paused' : 'on'}`,
+      `• join approval: ${trip.join_approval ? 'on' : 'off'}`,
+    ];
+    return this.reply('settings_info', `⚙️ Trip settings:\n${lines.join('\n')}\n\nChange one with "@bot settings <setting> <value>", e.g. "@bot settings digest on 15".`);
+  }
+}
@@ -2,7 +2,25 @@ import { BaseAgent } from './base.js';
 import * as db from '../db/queries.js';
 import { callClaudeWithSystemPrompt } from '../utils/claude.js';
 import { emitEvent, EVENTS } from '../state/eventEmitter.js';
-import { checkStateTransitions } from '../state/stateMachine.js';
+import { checkStateTransitions, getPollRule, isPollStage, isReviveRequest, reviveTrip, requestStateTransition } from '../state/stateMachine.js';
+import {
+  VOTING_METHODS,
+  VOTING_METHOD_DESCRIPTIONS,
+  DEFAULT_VOTING_METHOD,
+  normalizeVotingMethod,
+  TIE_BREAK_RULES,
+  TIE_BREAK_RULE_DESCRIPTIONS,
+  isValidTieBreakRule,
+  normalizeTieBreakRule,
+} from '../utils/voteTally.js';
+import { config } from '../config/index.js';
+import { inferTimeZone, normalizeTimeZone, parseQuietHours, tripQuietHours, formatHour } from '../utils/quietHours.js';
+import { isLeaveRequest, findMembersByName, formatMemberJoinedMessage, formatMemberLeftMessage } from '../utils/membership.js';
+import { getOrganizer, authorizeOrganizerCommand } from '../utils/organizer.js';
+import { parseJoinCommand, inviteExpiresAt, isInviteExpired, formatInviteDate } from '../utils/invites.js';
+import { parseLegCount, formatLegs, describeDestination, MAX_LEGS } from '../utils/tripLegs.js';
+import { formatTripDates, tripNights } from '../utils/dateOverlap.js';
+import { VotingAgent } from './voting.js';
 
 export class CoordinatorAgent extends BaseAgent {
   constructor() {
@@ -17,8 +35,22 @@ export class CoordinatorAgent extends BaseAgent {
     try {
       this.log('info', `Handling message in stage "${trip.stage}"`);
 
+    // 1:1 texts from someone joining by invite code ("JOIN K7QM2P", then their name)
+    if (message.source === 'invite') {
+      return await this.handleInviteMessage(context, message);
+    }
+
+    // "I'm out" / "@bot leave" - leave the trip
+    if (member && isLeaveRequest(message.body)) {
+      return await this.handleMemberLeave(context, member);
+    }
+
     // Handle based on trip stage
     switch (trip.stage) {
+      case 'abandoned':
+        console.log(`   👤 Coordinator: Message for abandoned trip`);
+        return await this.handleAbandoned(context, message);
+
       case 'created':
         console.log(`   👤 Coordinator: First member joining`);
         return await this.handleFirstMember(context, message);
@@ -171,6 +203,8 @@ export class CoordinatorAgent extends BaseAgent {
 
       case 'voting_destination':
       case 'voting_dates':
+      case 'runoff_destination':
+      case 'runoff_dates':
         // Hand off to voting agent
         console.log(`   👤 Coordinator: Handing off to voting agent`);
         return { handoff: 'voting' };
@@ -199,7 +233,7 @@ export class CoordinatorAgent extends BaseAgent {
     
     if (memberCount > 0) {
       // Trip already has members, but stage is still 'created' - transition to collecting_members
-      await db.updateTrip(trip.id, { stage: 'collecting_members', stage_entered_at: new Date() });
+      await requestStateTransition(trip.id, 'collecting_members', 'trip already has members', { announce: false, trigger: context.trigger });
       // Don't send welcome message again - just handle as member join
       return await this.handleMemberJoin(context, message);
     }
@@ -213,7 +247,7 @@ export class CoordinatorAgent extends BaseAgent {
     
     if (!isLikelyName) {
       // Doesn't look like a name - send welcome message asking for name
-      await db.updateTrip(trip.id, { stage: 'collecting_members', stage_entered_at: new Date() });
+      await requestStateTransition(trip.id, 'collecting_members', 'waiting for first name', { announce: false, trigger: context.trigger });
       return {
         success: true,
         output: {
@@ -226,11 +260,11 @@ export class CoordinatorAgent extends BaseAgent {
     
     // Create the first member
     console.log(`   👤 Coordinator: Creating first member - trip: ${trip.id}, phone: ${message.from}, name: "${name}"`);
-    const member = await db.createMember(trip.id, message.from, name);
+    const member = await db.createMember(trip.id, message.from, name, inferTimeZone(message.from));
     console.log(`   ✅ Coordinator: First member created - id: ${member.id}, name: ${member.name}`);
     
     // Transition to collecting_members stage
-    await db.updateTrip(trip.id, { stage: 'collecting_members', stage_entered_at: new Date() });
+    await requestStateTransition(trip.id, 'collecting_members', 'first member joined', { announce: false, trigger: context.trigger });
     
     // Emit event
     emitEvent(EVENTS.MEMBER_JOINED, { tripId: trip.id, memberId: member.id, name });
@@ -282,7 +316,7 @@ export class CoordinatorAgent extends BaseAgent {
 
     // Add as member
     console.log(`   👤 Coordinator: Creating member - trip: ${trip.id}, phone: ${message.from}, name: "${name}"`);
-    const member = await db.createMember(trip.id, message.from, name);
+    const member = await db.createMember(trip.id, message.from, name, inferTimeZone(message.from));
     console.log(`   ✅ Coordinator: Member created - id: ${member.id}, name: ${member.name}`);
 
     const memberCount = await db.getMemberCount(trip.id);
@@ -292,12 +326,13 @@ export class CoordinatorAgent extends BaseAgent {
     emitEvent(EVENTS.MEMBER_JOINED, { tripId: trip.id, memberId: member.id, name });
 
     // Check if member joined during voting - need to update threshold
-    if (trip.stage === 'voting_destination' || trip.stage === 'voting_dates') {
-      const pollType = trip.stage === 'voting_destination' ? 'destination' : 'dates';
-      const votes = await db.getVotes(trip.id, pollType);
+    const pollRule = getPollRule(trip.stage);
+    if (pollRule) {
+      const pollType = pollRule.runoffOf || pollRule.type;
+      const votes = await db.getVotes(trip.id, pollRule.type);
       const currentVotes = votes.length;
-      const oldThreshold = Math.ceil((memberCount - 1) * 0.6);
-      const newThreshold = Math.ceil(memberCount * 0.6);
+      const oldThreshold = pollRule.majorityThreshold(memberCount - 1);
+      const newThreshold = pollRule.majorityThreshold(memberCount);
       const votesNeeded = Math.max(0, newThreshold - currentVotes);
       const confirmedVoters = allMembers
         .filter(m => votes.some(v => v.member_id === m.id))
@@ -322,7 +357,7 @@ export class CoordinatorAgent extends BaseAgent {
 
     // If enough people, transition to collecting destinations
     if (memberCount >= 2) {
-      await this.startDestinationCollection(trip);
+      await this.startDestinationCollection(trip, context.trigger);
       // Return structured output for responder to format
       return {
         success: true,
@@ -350,13 +385,607 @@ export class CoordinatorAgent extends BaseAgent {
     }
   }
 
-  async startDestinationCollection(trip) {
+  async startDestinationCollection(trip, trigger) {
     // Trigger state transition - the state machine action will send the message
     // Make sure we check transitions after a small delay to ensure member count is updated
-    await checkStateTransitions(trip.id);
+    await checkStateTransitions(trip.id, trigger);
     // Also check again in case the first check didn't catch it
     await new Promise(resolve => setTimeout(resolve, 100));
-    await checkStateTransitions(trip.id);
+    await checkStateTransitions(trip.id, trigger);
+  }
+
+  async handleVotingMethodCommand(context, requestedMethod) {
+    const { trip } = context;
+    const { voting_method: currentMethod } = await db.getTrip(trip.id);
+    const votingMethod = normalizeVotingMethod(requestedMethod);
+
+    // No (or unknown) method - explain the options
+    if (!votingMethod) {
+      const options = VOTING_METHODS
+        .map(method => `• ${method}: ${VOTING_METHOD_DESCRIPTIONS[method]}`)
+        .join('\n');
+      return {
+        success: true,
+        output: {
+          type: 'voting_method_info',
+          message: `Polls currently use ${currentMethod || DEFAULT_VOTING_METHOD} voting. To change it, say "@bot voting <method>":\n${options}`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    // Switching methods mid-poll would invalidate ballots already cast
+    if (isPollStage(trip.stage)) {
+      return {
+        success: true,
+        output: {
+          type: 'voting_method_locked',
+          message: `A poll is already open, so it'll finish with ${currentMethod || DEFAULT_VOTING_METHOD} voting. You can switch to ${votingMethod} once it closes.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    await db.updateTrip(trip.id, { voting_method: votingMethod });
+    console.log(`   👤 Coordinator: Voting method changed to "${votingMethod}"`);
+
+    return {
+      success: true,
+      output: {
+        type: 'voting_method_changed',
+        votingMethod,
+        message: `🗳️ Future polls will use ${votingMethod} voting: ${VOTING_METHOD_DESCRIPTIONS[votingMethod]}`,
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async handleLegsCommand(context, args) {
+    const { trip } = context;
+    const { leg_count: currentCount, destination, start_date: startDate, end_date: endDate } = await db.getTrip(trip.id);
+    const legCount = parseLegCount(args);
+
+    if (legCount === null || legCount < 1 || legCount > MAX_LEGS) {
+      return {
+        success: true,
+        output: {
+          type: 'leg_count_info',
+          message: `${currentCount > 1 ? `This trip has ${currentCount} legs - the destination vote keeps the top ${currentCount}` : 'This trip has one destination'}. Say "@bot legs 2" (up to ${MAX_LEGS}) for a trip with several stops, like Tokyo then Kyoto, or "@bot legs 1" for just one.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    // Changing it mid-vote would change what the ballots already cast mean
+    const rule = getPollRule(trip.stage);
+    if (rule?.type.startsWith('destination')) {
+      return {
+        success: true,
+        output: {
+          type: 'leg_count_locked',
+          message: `The destination vote is already open for ${currentCount > 1 ? `the top ${currentCount}` : 'one winner'}. You can change the number of legs once it closes.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    // Every leg needs at least a night of the trip
+    const nights = startDate && endDate ? tripNights(startDate, endDate) : null;
+    if (nights !== null && legCount > Math.max(nights, 1)) {
+      return {
+        success: true,
+        output: {
+          type: 'leg_count_info',
+          message: `The trip is ${formatTripDates(startDate, endDate)} - ${nights === 1 ? 'one night' : `${nights} nights`}, not enough for ${legCount} legs. Pick ${nights > 1 ? `up to ${nights}` : 'one'}.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    await db.updateTrip(trip.id, { leg_count: legCount });
+    console.log(`   👤 Coordinator: Leg count changed to ${legCount}`);
+
+    const decided = destination ? ` (We've already got ${describeDestination(destination)} - the organizer can change it with "@bot set destination A then B".)` : '';
+    return {
+      success: true,
+      output: {
+        type: 'leg_count_changed',
+        legCount,
+        message: legCount > 1
+          ? `🗺️ This trip will have ${legCount} legs! The destination vote keeps the top ${legCount}, and the trip dates get shared out between them.${decided}`
+          : `📍 Back to one destination - the destination vote picks a single winner.${decided}`,
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async handleTimeZoneCommand(context, requestedZone) {
+    const { member } = context;
+    const timeZone = normalizeTimeZone(requestedZone);
+
+    if (!timeZone) {
+      const current = member.time_zone || inferTimeZone(member.phone_number) || config.quietHours.defaultTimeZone;
+      return {
+        success: true,
+        output: {
+          type: 'time_zone_info',
+          message: `${requestedZone.trim() ? `I don't know the time zone "${requestedZone.trim()}". ` : ''}You're set to ${current}. To change it, say "@bot timezone pacific" (or eastern, central, mountain, or a name like Europe/London).`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    await db.updateMember(member.id, { time_zone: timeZone });
+    console.log(`   👤 Coordinator: ${member.name} set time zone to ${timeZone}`);
+
+    return {
+      success: true,
+      output: {
+        type: 'time_zone_changed',
+        timeZone,
+        message: `🕐 Got it - you're on ${timeZone} time. I won't text you during quiet hours there.`,
+        sendTo: 'individual',
+      },
+    };
+  }
+
+  async handleQuietHoursCommand(context, args) {
+    const { trip } = context;
+    const current = tripQuietHours(await db.getTrip(trip.id));
+    const parsed = parseQuietHours(args);
+
+    if (!parsed) {
+      return {
+        success: true,
+        output: {
+          type: 'quiet_hours_info',
+          message: `${current ? `Quiet hours are ${formatHour(current.start)}-${formatHour(current.end)} in each person's time zone` : 'Quiet hours are off'}. Change them with "@bot quiet hours 10pm-8am", or "@bot quiet hours off". Replies to your own texts always come right away.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const updates = parsed.off
+      ? { quiet_hours_enabled: false }
+      : { quiet_hours_enabled: true, quiet_hours_start: parsed.start, quiet_hours_end: parsed.end };
+    await db.updateTrip(trip.id, updates);
+    console.log(`   👤 Coordinator: Quiet hours ${parsed.off ? 'off' : `set to ${parsed.start}-${parsed.end}`}`);
+
+    return {
+      success: true,
+      output: {
+        type: 'quiet_hours_changed',
+        message: parsed.off
+          ? `🔔 Quiet hours off - I'll send updates whenever they happen.`
+          : `🌙 Quiet hours set: no updates from me ${formatHour(parsed.start)}-${formatHour(parsed.end)} in your own time zone. They'll wait until morning.`,
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async handleDigestCommand(context, args) {
+    const { trip } = context;
+    const { digest_mode: enabled, digest_window_minutes: windowMinutes } = await db.getTrip(trip.id);
+    const match = args.trim().toLowerCase().match(/^(on|off)?\s*(?:(\d+)\s*(?:m|min|mins|minutes)?)?$/);
+    const currentWindow = windowMinutes || config.digest.windowMinutes;
+
+    if (!match || (!match[1] && !match[2])) {
+      return {
+        success: true,
+        output: {
+          type: 'digest_mode_info',
+          message: enabled
+            ? `Digest mode is on: I'm rounding up suggestions, votes and dates into one update every ${currentWindow} min. Say "@bot digest off" to get them one by one.`
+            : `Digest mode is off. Say "@bot digest on" (or "@bot digest on 15" for every 15 min) and I'll round up suggestions, votes and dates into one update instead of replying to each.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const turnOn = match[1] ? match[1] === 'on' : true; // "@bot digest 20" just sets the window
+    const minutes = match[2] ? parseInt(match[2], 10) : null;
+    if (minutes !== null && (minutes < 1 || minutes > 24 * 60)) {
+      return {
+        success: true,
+        output: {
+          type: 'digest_mode_info',
+          message: 'The digest window has to be between 1 minute and 24 hours.',
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const updates = { digest_mode: turnOn };
+    if (minutes !== null) updates.digest_window_minutes = minutes;
+    await db.updateTrip(trip.id, updates);
+    const window = minutes || currentWindow;
+    console.log(`   👤 Coordinator: Digest mode ${turnOn ? `on (${window} min)` : 'off'}`);
+
+    return {
+      success: true,
+      output: {
+        type: 'digest_mode_changed',
+        enabled: turnOn,
+        windowMinutes: window,
+        message: turnOn
+          ? `📋 Digest mode on - I'll round up suggestions, votes and dates into one update every ${window} min. Poll results still come right away.`
+          : `📋 Digest mode off - back to replying to each suggestion and vote.`,
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async handleTieBreakCommand(context, requestedRule) {
+    const { trip } = context;
+    const { tie_break_rule: currentRule } = await db.getTrip(trip.id);
+    const activeRule = isValidTieBreakRule(currentRule) ? currentRule : config.voting.tieBreakRule;
+    const rule = normalizeTieBreakRule(requestedRule);
+
+    if (!rule) {
+      const options = TIE_BREAK_RULES
+        .map(r => `• ${r}: ${TIE_BREAK_RULE_DESCRIPTIONS[r]}`)
+        .join('\n');
+      return {
+        success: true,
+        output: {
+          type: 'tie_break_rule_info',
+          message: `If a runoff ties, ${TIE_BREAK_RULE_DESCRIPTIONS[activeRule]} (${activeRule}). To change it, say "@bot tiebreak <rule>":\n${options}`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    await db.updateTrip(trip.id, { tie_break_rule: rule });
+    console.log(`   👤 Coordinator: Tie-break rule changed to "${rule}"`);
+
+    return {
+      success: true,
+      output: {
+        type: 'tie_break_rule_changed',
+        tieBreakRule: rule,
+        message: `🤝 If a runoff ties, ${TIE_BREAK_RULE_DESCRIPTIONS[rule]}.`,
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async handleInviteMessage(context, message) {
+    const { trip, member, allMembers } = context;
+    const organizer = getOrganizer(allMembers);
+
+    if (member) {
+      return {
+        success: true,
+        output: {
+          type: 'conversation',
+          message: `You're already in this trip as ${member.name}!`,
+          sendTo: 'individual',
+          recipient: message.from,
+        },
+      };
+    }
+
+    const request = await db.getJoinRequest(trip.id, message.from);
+    if (request?.status === 'declined' || request?.status === 'pending_approval') {
+      return {
+        success: true,
+        output: {
+          type: 'join_request_pending',
+          message: request.status === 'declined'
+            ? `Sorry - ${organizer?.name || 'the organizer'} didn't add you to this trip.`
+            : `Still waiting for ${organizer?.name || 'the organizer'} to approve you - I'll text you as soon as they do.`,
+          sendTo: 'individual',
+          recipient: message.from, // Not a member yet, so only a direct reply reaches them
+        },
+      };
+    }
+
+    if (parseJoinCommand(message.body)) {
+      await db.createJoinRequest(trip.id, message.from);
+      const { destination } = await db.getTrip(trip.id);
+      console.log(`   👤 Coordinator: ${message.from} is joining trip ${trip.id} by invite code`);
+      return {
+        success: true,
+        output: {
+          type: 'invite_name_requested',
+          message: `👋 You're joining ${organizer ? `${organizer.name}'s trip` : 'a trip'}${destination ? ` to ${describeDestination(destination)}` : ''}! Reply with your name to finish.`,
+          sendTo: 'individual',
+          recipient: message.from,
+        },
+      };
+    }
+
+    if (request?.status !== 'awaiting_name') {
+      return {
+        success: true,
+        output: {
+          type: 'conversation',
+          message: 'To join a trip, text JOIN followed by its invite code.',
+          sendTo: 'individual',
+          recipient: message.from,
+        },
+      };
+    }
+
+    const name = message.body.trim();
+    if (!(await this.validateNameWithAI(name, allMembers))) {
+      return {
+        success: true,
+        output: {
+          type: 'invite_name_requested',
+          message: 'Just need your name to finish joining - what should everyone call you?',
+          sendTo: 'individual',
+          recipient: message.from,
+        },
+      };
+    }
+
+    const { join_approval: needsApproval } = await db.getTrip(trip.id);
+    if (needsApproval && organizer) {
+      await db.updateJoinRequest(request.id, { status: 'pending_approval', name });
+      console.log(`   👤 Coordinator: ${name} is waiting for ${organizer.name} to approve them`);
+      return {
+        success: true,
+        output: {
+          type: 'join_request_pending',
+          memberName: name,
+          message: `📨 ${name} wants to join the trip. ${organizer.name}, reply "@bot approve ${name}" or "@bot decline ${name}".`,
+          sendTo: 'group',
+          cc: [request.phone_number],
+        },
+      };
+    }
+
+    return await this.addInvitedMember(context, request, name);
+  }
+
+  async addInvitedMember(context, request, name) {
+    const { trip } = context;
+
+    const member = await db.createMember(trip.id, request.phone_number, name, inferTimeZone(request.phone_number));
+    await db.updateJoinRequest(request.id, { status: 'approved', name });
+    console.log(`   ✅ Coordinator: ${name} joined trip ${trip.id} by invite code`);
+    emitEvent(EVENTS.MEMBER_JOINED, { tripId: trip.id, memberId: member.id, name });
+
+    const memberCount = await db.getMemberCount(trip.id);
+    const { poll, flights } = await this.headcountStatus(trip.id, memberCount);
+
+    // A second member gets planning going - that announcement follows this one
+    await checkStateTransitions(trip.id, context.trigger);
+
+    return {
+      success: true,
+      output: {
+        type: 'member_joined_by_invite',
+        memberName: name,
+        memberCount,
+        message: formatMemberJoinedMessage({ name, memberCount, poll, flights }),
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async handleJoinApproval(context, approve, name) {
+    const { trip, allMembers } = context;
+    const refusal = await authorizeOrganizerCommand(context, approve ? 'approve_join' : 'decline_join', {
+      args: name,
+      action: 'approve new people',
+    });
+    if (refusal) {
+      return refusal;
+    }
+    const organizer = getOrganizer(allMembers);
+
+    const pending = await db.getPendingJoinRequests(trip.id);
+    const matches = findMembersByName(pending, name);
+    if (matches.length !== 1) {
+      const waiting = pending.map(r => r.name).join(', ');
+      return {
+        success: true,
+        output: {
+          type: 'join_approval_info',
+          message: matches.length > 1
+            ? `More than one person matches "${name}": ${matches.map(r => r.name).join(', ')}. Use their full name.`
+            : waiting ? `No one called "${name}" is waiting to join. Waiting: ${waiting}.` : 'No one is waiting to join.',
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const request = matches[0];
+    if (approve) {
+      return await this.addInvitedMember(context, request, request.name);
+    }
+
+    await db.updateJoinRequest(request.id, { status: 'declined' });
+    console.log(`   👤 Coordinator: ${organizer.name} declined ${request.name}'s join request`);
+    return {
+      success: true,
+      output: {
+        type: 'join_request_declined',
+        memberName: request.name,
+        message: `${request.name} wasn't added to the trip.`,
+        sendTo: 'group',
+        cc: [request.phone_number],
+      },
+    };
+  }
+
+  async handleInviteCommand(context, args) {
+    const { trip, allMembers } = context;
+    const organizer = getOrganizer(allMembers);
+    const current = await db.getTrip(trip.id);
+    const arg = args.trim().toLowerCase();
+
+    if (!arg) {
+      const expiresAt = inviteExpiresAt(current, config.invites.expiryDays);
+      const expiry = isInviteExpired(current, config.invites.expiryDays)
+        ? ` - but it expired ${formatInviteDate(expiresAt)}. ${organizer.name} can say "@bot invite renew"`
+        : ` (works until ${formatInviteDate(expiresAt)})`;
+      return {
+        success: true,
+        output: {
+          type: 'invite_info',
+          message: `Friends can join by texting "JOIN ${current.invite_code}" to this number${expiry}. ${current.join_approval ? `${organizer.name} approves each new person.` : 'No approval needed.'}`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const refusal = await authorizeOrganizerCommand(context, 'change_invite', { args: arg, action: 'change the invite' });
+    if (refusal) {
+      return refusal;
+    }
+
+    const approval = arg.match(/^approval\s+(on|off)$/);
+    if (arg === 'renew') {
+      const expiresAt = new Date(Date.now() + config.invites.expiryDays * 24 * 60 * 60 * 1000);
+      await db.updateTrip(trip.id, { invite_expires_at: expiresAt });
+      console.log(`   👤 Coordinator: Invite renewed until ${expiresAt.toISOString()}`);
+      return {
+        success: true,
+        output: {
+          type: 'invite_changed',
+          message: `🔗 Invite renewed - friends can text "JOIN ${current.invite_code}" to this number until ${formatInviteDate(expiresAt)}.`,
+          sendTo: 'group',
+        },
+      };
+    }
+    if (approval) {
+      const on = approval[1] === 'on';
+      await db.updateTrip(trip.id, { join_approval: on });
+      console.log(`   👤 Coordinator: Join approval ${on ? 'on' : 'off'}`);
+      return {
+        success: true,
+        output: {
+          type: 'invite_changed',
+          message: on
+            ? `🔒 New people joining by code now need ${organizer.name}'s OK.`
+            : `🔓 Anyone with the code can join now - no approval needed.`,
+          sendTo: 'group',
+        },
+      };
+    }
+
+    return {
+      success: true,
+      output: {
+        type: 'invite_info',
+        message: 'Say "@bot invite" for the code, "@bot invite renew" to extend it, or "@bot invite approval on/off".',
+        sendTo: 'individual',
+      },
+    };
+  }
+
+  // The open main poll's progress and flight bookings against the current headcount
+  async headcountStatus(tripId, memberCount) {
+    const current = await db.getTrip(tripId);
+    let poll = null;
+    if (isPollStage(current.stage)) {
+      const rule = getPollRule(current.stage);
+      const votes = await db.getVotes(tripId, rule.type);
+      const subject = rule.type.startsWith('destination') ? 'Destination' : 'Dates';
+      poll = {
+        label: `${subject} ${rule.type.endsWith('runoff') ? 'runoff' : 'vote'}`,
+        votes: votes.length,
+        needed: rule.majorityThreshold(memberCount),
+      };
+    }
+    const flights = current.stage === 'tracking_flights'
+      ? { booked: await db.getFlightCount(tripId), total: memberCount }
+      : null;
+    return { poll, flights };
+  }
+
+  // Take a member off the trip, drop their votes, and re-check everything that counts heads.
+  // removedBy is the organizer for "@bot remove", null when they left themselves
+  async handleMemberLeave(context, leaving, removedBy = null) {
+    const { trip } = context;
+
+    const left = await db.deactivateMember(leaving.id, removedBy ? 'removed' : 'left');
+    if (!left) {
+      return {
+        success: true,
+        output: {
+          type: 'member_remove_info',
+          message: `${leaving.name} isn't on the trip anymore.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const removedVotes = await db.deleteMemberVotes(trip.id, leaving.id);
+    for (const vote of removedVotes) {
+      await db.createVoteHistory(trip.id, vote.poll_type, leaving.id, 'retracted', vote.choice, null);
+    }
+    console.log(`   👤 Coordinator: ${leaving.name} ${removedBy ? `removed by ${removedBy.name}` : 'left'} (${removedVotes.length} vote(s) dropped)`);
+
+    // Fewer members can be enough to close a side poll...
+    const closedPolls = await new VotingAgent().reevaluateSidePolls(trip.id);
+
+    const members = await db.getMembers(trip.id);
+    const { poll, flights } = await this.headcountStatus(trip.id, members.length);
+
+    // ...or the main poll, or mean everyone left is booked. Those announcements need the
+    // trip lock, so they follow this one
+    if (members.length > 0) {
+      await checkStateTransitions(trip.id, context.trigger);
+    }
+
+    return {
+      success: true,
+      output: {
+        type: 'member_left',
+        memberName: leaving.name,
+        removed: !!removedBy,
+        memberCount: members.length,
+        message: formatMemberLeftMessage({
+          name: leaving.name,
+          removed: !!removedBy,
+          memberCount: members.length,
+          poll,
+          flights,
+          closedPolls: closedPolls.map(output => output.message),
+        }),
+        sendTo: 'group',
+        // They're no longer a member, so copy them in on the announcement
+        cc: [leaving.phone_number],
+      },
+    };
+  }
+
+  async handleAbandoned(context, message) {
+    const { trip, member } = context;
+
+    if (!member || !isReviveRequest(message.body)) {
+      return {
+        success: true,
+        output: {
+          type: 'trip_abandoned',
+          message: `This trip is paused after going quiet for a while. Text "let's restart" to pick it back up - nothing you shared has been lost.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const fullTrip = await db.getTrip(trip.id);
+    const revivedTrip = await reviveTrip(trip.id, context.trigger);
+    if (!revivedTrip) {
+      return { success: false, skip: true };
+    }
+    console.log(`   👤 Coordinator: ${member.name} revived the trip back into ${revivedTrip.stage} (abandoned: ${fullTrip.abandoned_reason || 'unknown reason'})`);
+
+    const members = await db.getMembers(trip.id);
+    const nextStep = this.getCurrentAction(revivedTrip, members);
+    return {
+      success: true,
+      output: {
+        type: 'trip_revived',
+        stage: revivedTrip.stage,
+        message: `🔄 ${member.name} brought the trip back to life! Picking up right where we left off.${nextStep ? `\n\n🎯 Next: ${nextStep}` : ''}`,
+        sendTo: 'group',
+      },
+    };
   }
 
   async handlePlanning(context, message) {
@@ -412,9 +1041,7 @@ export class CoordinatorAgent extends BaseAgent {
 
     if (bookedCount === totalMembers) {
       // Everyone booked - celebrate and transition
-      await db.updateTrip(trip.id, { all_flights_booked: true, stage: 'trip_confirmed', stage_entered_at: new Date() });
-      const { checkStateTransitions } = await import('../state/stateMachine.js');
-      await checkStateTransitions(trip.id);
+      await requestStateTransition(trip.id, 'trip_confirmed', 'all flights booked', { updates: { all_flights_booked: true }, trigger: 'scheduler' });
       
       const message = `🎊 EVERYONE'S BOOKED!\n\n${members.map(m => {
         const flight = flights.find(f => f.member_id === m.id);
@@ -422,7 +1049,7 @@ export class CoordinatorAgent extends BaseAgent {
           return `✅ ${m.name} - ${flight.airline} ${flight.flight_number}`;
         }
         return `✅ ${m.name} - Booked`;
-      }).join('\n')}\n\n${trip.destination} ${trip.start_date ? new Date(trip.start_date).toLocaleDateString('en-US', { month: 'long', day: 'numeric' }) : ''} is HAPPENING! 🎉\n\nI'll check in 2 weeks before to help with logistics. Have fun!`;
+      }).join('\n')}\n\n${describeDestination(trip.destination)} ${trip.start_date ? new Date(trip.start_date).toLocaleDateString('en-US', { month: 'long', day: 'numeric' }) : ''} is HAPPENING! 🎉\n\nI'll check in 2 weeks before to help with logistics. Have fun!`;
       
       // Return output for orchestrator to send
       return {
@@ -671,15 +1298,36 @@ Examples:
     return 'neither';
   }
 
+  // Leg by leg for multi-leg trips, with each leg's share of the dates once there are dates
   async showItinerary(context) {
-    const { trip } = context;
+    const trip = await db.getTrip(context.trip.id);
+    if (!trip.destination) {
+      return {
+        success: true,
+        output: {
+          type: 'itinerary',
+          message: "No itinerary yet - it starts once we've picked where we're going. 🌍",
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const legs = await db.getTripLegs(trip.id);
+    const hasDates = !!(trip.start_date && trip.end_date);
+    const stops = legs.length > 0 ? legs : [{ destination: trip.destination, start_date: trip.start_date, end_date: trip.end_date }];
+    let message = `🗺️ Itinerary${hasDates ? ` (${formatTripDates(trip.start_date, trip.end_date)})` : ''}:\n${formatLegs(stops)}`;
+    if (!hasDates) {
+      message += `\n\n📅 ${legs.length > 0 ? 'Each leg gets its dates' : 'Dates come'} once we've picked when we're going.`;
+    } else if (legs.length > 0 && !legs[0].start_date) {
+      message += `\n\n📅 The trip's too short to give every leg a night - the organizer can drop one with "@bot set destination A then B".`;
+    }
+
     return {
       success: true,
       output: {
-        type: 'status_update',
-        status: 'Itinerary feature coming soon!',
-        details: 'For now, let\'s focus on getting flights booked. ✈️',
-        sendTo: 'group',
+        type: 'itinerary',
+        message,
+        sendTo: 'individual',
       },
     };
   }
@@ -859,10 +1507,13 @@ Examples:
     const memberNames = members.map(m => m.name).join(', ');
     let summary = `📋 Trip Summary:\n👥 Members: ${memberNames}`;
     
-    if (trip.destination) {
-      summary += `\n📍 Destination: ${trip.destination}`;
+    const legs = await db.getTripLegs(trip.id);
+    if (legs.length > 0) {
+      summary += `\n📍 Destinations (${legs.length} legs):\n${formatLegs(legs)}`;
+    } else if (trip.destination) {
+      summary += `\n📍 Destination: ${describeDestination(trip.destination)}`;
     } else {
-      summary += `\n📍 Destination: Not decided yet`;
+      summary += `\n📍 Destination: Not decided yet${trip.leg_count > 1 ? ` (picking ${trip.leg_count} legs)` : ''}`;
     }
     
     if (trip.start_date && trip.end_date) {
@@ -909,8 +1560,8 @@ Examples:
     
     // Step 2: Choose destination
     if (hasDestination) {
-      checklist += `\n✅ Choose destination (${trip.destination})`;
-    } else if (trip.stage === 'collecting_destinations' || trip.stage === 'voting_destination') {
+      checklist += `\n✅ Choose destination (${describeDestination(trip.destination)})`;
+    } else if (['collecting_destinations', 'voting_destination', 'runoff_destination'].includes(trip.stage)) {
       checklist += `\n⏳ Choose destination (in progress)`;
     } else {
       checklist += `\n⬜ Choose destination`;
@@ -921,7 +1572,7 @@ Examples:
       const startDate = new Date(trip.start_date).toLocaleDateString();
       const endDate = new Date(trip.end_date).toLocaleDateString();
       checklist += `\n✅ Pick dates (${startDate} - ${endDate})`;
-    } else if (trip.stage === 'collecting_dates' || trip.stage === 'voting_dates') {
+    } else if (['collecting_dates', 'voting_dates', 'runoff_dates'].includes(trip.stage)) {
       checklist += `\n⏳ Pick dates (in progress)`;
     } else {
       checklist += `\n⬜ Pick dates`;
@@ -966,9 +1617,19 @@ Examples:
         
       case 'voting_dates':
         return 'Vote for your preferred dates (reply with the number)';
+
+      case 'runoff_destination':
+      case 'runoff_dates':
+        return 'Runoff vote between the tied options (reply with the number)';
         
       case 'tracking_flights':
         return 'Book your flights and text me: "BOOKED [airline] [flight number]" or just "BOOKED"';
+
+      case 'planning':
+        return 'Share your date availability and destination ideas';
+
+      case 'abandoned':
+        return 'Text "let\'s restart" to pick the trip back up';
         
       case 'trip_confirmed':
         return 'Trip is confirmed! See you there! 🎉';
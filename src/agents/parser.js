@@ -2,6 +2,9 @@ import { BaseAgent } from './base.js';
 import * as db from '../db/queries.js';
 import { callClaude } from '../utils/claude.js';
 import { emitEvent, EVENTS } from '../state/eventEmitter.js';
+import { DEFAULT_VOTING_METHOD } from '../utils/voteTally.js';
+import { journalAction } from '../utils/actionJournal.js';
+import { scheduleTripLegs } from '../utils/tripLegs.js';
 
 export class ParserAgent extends BaseAgent {
   constructor() {
@@ -69,7 +72,7 @@ export class ParserAgent extends BaseAgent {
 
         // Check for "flexible"
         if (text.includes('flexible')) {
-          await db.createDateAvailability(trip.id, member.id, {
+          await this.saveDateAvailability(context, {
             startDate: null,
             endDate: null,
             isFlexible: true,
@@ -112,7 +115,7 @@ export class ParserAgent extends BaseAgent {
     const parsed = await this.parseDateRangeWithAI(message.body);
     
     if (parsed.startDate && parsed.endDate) {
-      await db.createDateAvailability(trip.id, member.id, {
+      await this.saveDateAvailability(context, {
         startDate: parsed.startDate,
         endDate: parsed.endDate,
         isFlexible: false,
@@ -165,6 +168,19 @@ export class ParserAgent extends BaseAgent {
     }
   }
 
+  // Saves a member's availability (replacing any earlier one) and journals it for "@bot undo"
+  async saveDateAvailability(context, availability) {
+    const { trip, member } = context;
+    const previous = await db.getMemberDateAvailability(trip.id, member.id);
+    await db.createDateAvailability(trip.id, member.id, availability);
+    await journalAction(context, 'date_availability', {
+      previous: previous
+        ? { startDate: previous.start_date, endDate: previous.end_date, isFlexible: previous.is_flexible }
+        : null,
+      current: availability,
+    });
+  }
+
   async parseDateRangeWithAI(text) {
     const prompt = `Extract date range from this message: "${text}"
 
@@ -259,9 +275,10 @@ Only JSON, nothing else.`;
         start_date: options[0].startDate,
         end_date: options[0].endDate,
       });
+      await scheduleTripLegs(trip.id);
       // Transition to planning - planning state will check if destination is set
       const { requestStateTransition } = await import('../state/stateMachine.js');
-      await requestStateTransition(trip.id, 'planning', 'single date option locked');
+      await requestStateTransition(trip.id, 'planning', 'single date option locked', { trigger: context.trigger });
       
       return {
         success: true,
@@ -277,16 +294,13 @@ Only JSON, nothing else.`;
     }
 
     // Present voting options
-    await db.updateTrip(trip.id, {
-      stage: 'voting_dates',
-      stage_entered_at: new Date(),
-    });
-    
-    const { checkStateTransitions } = await import('../state/stateMachine.js');
-    await checkStateTransitions(trip.id);
+    // Poll message is sent below, so don't announce the stage change
+    const { requestStateTransition } = await import('../state/stateMachine.js');
+    await requestStateTransition(trip.id, 'voting_dates', 'date availability ready', { announce: false, trigger: context.trigger });
 
     const memberCount = context.allMembers.length;
     const majorityThreshold = Math.ceil(memberCount * 0.6);
+    const { voting_method: votingMethod } = await db.getTrip(trip.id);
 
     return {
       success: true,
@@ -296,6 +310,7 @@ Only JSON, nothing else.`;
         options: options.map(o => o.display),
         memberCount,
         majorityThreshold,
+        votingMethod: votingMethod || DEFAULT_VOTING_METHOD,
         sendTo: 'group',
       },
     };
@@ -378,12 +393,20 @@ Only JSON, nothing else.`;
     const { trip } = context;
 
     if (parsed.booked) {
-      // Create flight record
-      await db.createFlight(trip.id, member.id, {
+      // Create flight record (replacing any earlier one) and journal it for "@bot undo"
+      const previous = await db.getMemberFlight(trip.id, member.id);
+      const flight = {
         airline: parsed.airline,
         flightNumber: parsed.flightNumber,
         departureTime: parsed.departureTime ? new Date(parsed.departureTime) : null,
         arrivalTime: parsed.arrivalTime ? new Date(parsed.arrivalTime) : null,
+      };
+      await db.createFlight(trip.id, member.id, flight);
+      await journalAction(context, 'flight', {
+        previous: previous
+          ? { airline: previous.airline, flightNumber: previous.flight_number, departureTime: previous.departure_time, arrivalTime: previous.arrival_time }
+          : null,
+        current: flight,
       });
 
       emitEvent(EVENTS.FLIGHT_ADDED, { tripId: trip.id, memberId: member.id });
@@ -396,7 +419,7 @@ Only JSON, nothing else.`;
         // Transition handled by coordinator's checkFlightBookingStatus
         await db.updateTrip(trip.id, { all_flights_booked: true });
         const { checkStateTransitions } = await import('../state/stateMachine.js');
-        await checkStateTransitions(trip.id);
+        await checkStateTransitions(trip.id, context.trigger);
       }
 
       return {
@@ -418,6 +441,31 @@ Only JSON, nothing else.`;
     return { success: false };
   }
 
+  // "@bot undo" of dates or a flight journaled above - puts back what it replaced
+  async revertJournalEntry(tripId, entry) {
+    const { previous } = entry;
+    if (entry.action === 'date_availability') {
+      if (previous) {
+        await db.createDateAvailability(tripId, entry.member_id, previous);
+      } else {
+        await db.deleteDateAvailability(tripId, entry.member_id);
+      }
+      return true;
+    }
+
+    if (previous) {
+      await db.createFlight(tripId, entry.member_id, {
+        ...previous,
+        departureTime: previous.departureTime ? new Date(previous.departureTime) : null,
+        arrivalTime: previous.arrivalTime ? new Date(previous.arrivalTime) : null,
+      });
+    } else {
+      await db.deleteFlight(tripId, entry.member_id);
+      await db.updateTrip(tripId, { all_flights_booked: false });
+    }
+    return true;
+  }
+
 }
 
 
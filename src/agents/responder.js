@@ -1,6 +1,11 @@
 import { BaseAgent } from './base.js';
 import * as db from '../db/queries.js';
 import { callClaudeWithSystemPrompt } from '../utils/claude.js';
+import { DEFAULT_VOTING_METHOD, VOTING_METHOD_DESCRIPTIONS } from '../utils/voteTally.js';
+import { getPollRule } from '../state/stateMachine.js';
+import { outboundLimiter } from '../utils/outboundLimiter.js';
+import { placeName } from '../utils/gazetteer.js';
+import { describeDestination } from '../utils/tripLegs.js';
 
 /**
  * ResponderAgent - The intelligent social face of Voyaj
@@ -59,6 +64,7 @@ export class ResponderAgent extends BaseAgent {
         message: agentOutput.message,
         sendTo,
         recipient,
+        cc: agentOutput.cc || null,
         reasoning: `Using pre-formatted message from ${agentOutput.type}`,
       };
     }
@@ -141,7 +147,8 @@ export class ResponderAgent extends BaseAgent {
     const { trip, allMembers } = context;
     
     // CRITICAL: Only mark as set if actually in database (not null)
-    const destination = trip.destination || null;
+    // Trips straight from the database (poll results, stage changes, digests) hold place ids - show names
+    const destination = describeDestination(trip.destination) || null;
     const startDate = trip.start_date ? new Date(trip.start_date).toLocaleDateString() : null;
     const endDate = trip.end_date ? new Date(trip.end_date).toLocaleDateString() : null;
     
@@ -160,7 +167,7 @@ export class ResponderAgent extends BaseAgent {
     // Fetch stage-specific data directly
     if (trip.stage === 'planning' || trip.stage === 'collecting_destinations') {
       const suggestions = await db.getDestinationSuggestions(trip.id);
-      state.suggestions = suggestions.map(s => s.destination);
+      state.suggestions = suggestions.map(s => placeName(s.destination));
       state.suggestionCount = suggestions.length;
       state.pendingSuggesters = allMembers
         .filter(m => !suggestions.some(s => s.member_id === m.id))
@@ -171,7 +178,7 @@ export class ResponderAgent extends BaseAgent {
         .map(m => m.name);
     }
     
-    if (trip.stage === 'planning' || trip.stage === 'collecting_dates' || trip.stage === 'voting_dates') {
+    if (['planning', 'collecting_dates', 'voting_dates', 'runoff_dates'].includes(trip.stage)) {
       const availability = await db.getDateAvailability(trip.id);
       state.availabilityCount = availability.length;
       state.pendingAvailability = allMembers
@@ -183,12 +190,20 @@ export class ResponderAgent extends BaseAgent {
         .map(m => m.name);
     }
     
-    if (trip.stage === 'voting_destination' || trip.stage === 'voting_dates') {
-      const votes = await db.getVotes(trip.id, trip.stage === 'voting_destination' ? 'destination' : 'dates');
+    const pollRule = getPollRule(trip.stage);
+    if (pollRule) {
+      const votes = await db.getVotes(trip.id, pollRule.type);
       const voteCount = votes.length;
-      const majorityThreshold = Math.ceil(allMembers.length * 0.6);
+      const majorityThreshold = pollRule.majorityThreshold(allMembers.length);
       const votesNeeded = Math.max(0, majorityThreshold - voteCount);
       
+      const { voting_method: votingMethod, runoff_options: runoffOptions } = await db.getTrip(trip.id);
+      state.votingMethod = pollRule.runoffOf ? DEFAULT_VOTING_METHOD : (votingMethod || DEFAULT_VOTING_METHOD);
+      state.votingMethodDescription = VOTING_METHOD_DESCRIPTIONS[state.votingMethod];
+      state.majorityRule = pollRule.majorityLabel;
+      if (pollRule.runoffOf) {
+        state.runoffOptions = runoffOptions || [];
+      }
       state.voteCount = voteCount;
       state.majorityThreshold = majorityThreshold;
       state.votesNeeded = votesNeeded;
@@ -209,6 +224,16 @@ export class ResponderAgent extends BaseAgent {
         .map(m => m.name);
     }
     
+    // Side polls (activities, restaurants, stays) open alongside the main stage
+    const openPolls = await db.getOpenPolls(trip.id);
+    if (openPolls.length > 0) {
+      state.openPolls = openPolls.map(poll => ({
+        number: poll.poll_number,
+        question: poll.question,
+        options: poll.options,
+      }));
+    }
+    
     // Fetch preferences from notes
     const preferences = await db.getTripPreferences(trip.id);
     if (preferences) {
@@ -274,7 +299,7 @@ export class ResponderAgent extends BaseAgent {
    */
   async shouldSendMessage(agentOutput, context, recentMessages, message) {
     // Always respond to important events
-    if (['poll_started', 'poll_completed', 'member_joined', 'member_joined_during_vote'].includes(agentOutput.type)) {
+    if (['poll_started', 'poll_completed', 'member_joined', 'member_joined_during_vote', 'vote_changed', 'vote_retracted'].includes(agentOutput.type)) {
       return { shouldRespond: true, reasoning: `Important event: ${agentOutput.type}` };
     }
     
@@ -392,7 +417,7 @@ export class ResponderAgent extends BaseAgent {
       const lastBotMessage = recentBotMessages[recentBotMessages.length - 1];
       const messageTime = lastBotMessage.received_at || lastBotMessage.created_at;
       const timeSinceLastMessage = Date.now() - new Date(messageTime).getTime();
-      if (timeSinceLastMessage < 90000 && !['poll_started', 'poll_completed', 'member_joined', 'member_joined_during_vote'].includes(agentOutput.type)) {
+      if (timeSinceLastMessage < 90000 && !['poll_started', 'poll_completed', 'member_joined', 'member_joined_during_vote', 'vote_changed', 'vote_retracted'].includes(agentOutput.type)) {
         // Only respond if it's a direct question for bot or important
         if (agentOutput.type === 'conversation') {
           const mentionsVoyaj = /voyaj|bot/i.test(message.body);
@@ -436,6 +461,8 @@ export class ResponderAgent extends BaseAgent {
    */
   async craftResponse(agentOutput, context, conversationHistory, tripState, message) {
     const { trip, allMembers } = context;
+    // Every text goes to every member - when today's SMS budget is nearly gone, say less
+    const keepItShort = await outboundLimiter.isBudgetNearlySpent(trip.id);
     
     // Build the system prompt with Voyaj's personality and role
     const systemPrompt = `You are Voyaj, a helpful trip coordinator. You facilitate group trip planning via group chat.
@@ -498,6 +525,34 @@ When communicating voting progress, ALWAYS explain the majority rule clearly:
 - Example: "We have Jordan and Albert IN for Tokyo! Need 1 more vote for majority (3 out of 4 = 60%)"
 - Use enthusiastic language for progress, clear call-to-action for pending votes
 
+VOTING METHOD RULES:
+Polls use the method in tripState.votingMethod (or agentOutput.votingMethod):
+- plurality: one vote per person, most votes wins
+- approval: people reply with every option they like (e.g., "1 and 3"); the option with the most approvals wins
+- ranked: people reply with options in order of preference (e.g., "3, 1, 2"); last place is eliminated each round until one option has a majority
+- When announcing a poll, explain how to vote using tripState.votingMethodDescription if the method isn't plurality
+- For ranked results, agentOutput.rounds lists each round's counts and who was eliminated - summarize briefly (e.g., "Lisbon was eliminated in round 1, then Bali beat Tokyo 3-2")
+- When acknowledging a ballot, repeat it back as agentOutput.choice (e.g., "Got your ranking: Bali > Tokyo > Lisbon")
+
+VOTE CHANGES AND RETRACTIONS:
+When agentOutput.type is 'vote_changed' or 'vote_retracted':
+- Confirm exactly what changed: "Got it, [memberName] - switched your vote from [previousChoice] to [choice]" or "Done - removed your vote for [previousChoice]"
+- Then show the new standings from agentOutput.standings (e.g., "Now: Bali 3, Tokyo 2, Lisbon 0")
+- Remind them how many votes are still needed (agentOutput.votesNeeded) if the poll is still open
+- Keep it light - changing your mind is totally fine, never make them feel bad about it
+
+RUNOFF AND TIE-BREAK RULES:
+- A tied poll goes to a runoff between only the tied options (tripState.runoffOptions); runoffs need a simple majority (tripState.majorityRule), not 60%
+- If agentOutput.tieBreak is set, the runoff tied too and a rule picked the winner - ALWAYS say which rule was used
+- Use agentOutput.tieBreak.rule and agentOutput.tieBreak.description (e.g., "The runoff tied 2-2, so the option suggested first wins: Bali! 🎉")
+- If agentOutput.tieBreak.rule is 'random', include agentOutput.tieBreak.seed (e.g., "picked at random, seed 12345")
+- If agentOutput.tieBreak.fallbackFrom is 'organizer', mention the organizer didn't pick one of the tied options so the earliest suggestion won
+
+MULTI-LEG TRIPS:
+- When agentOutput.legCount > 1, the destination poll keeps the top [legCount] options, not one winner - say so when announcing it
+- A poll_completed with agentOutput.legs picked several destinations - list them in that (travel) order, e.g. "Tokyo → Kyoto it is! 🎉"
+- If agentOutput.tieBreak.picked is set, options tied for the last leg(s) and the tie-break rule picked those ones - say which rule
+
 CRITICAL: STATUS TRANSPARENCY
 ALWAYS show clear status when taking control or responding to questions:
 - Format: "Here's where we are: ✅ [what's done] | ⏳ [what's pending]"
@@ -568,6 +623,7 @@ ${agentOutput.needsProactiveControl ? `⚠️ ORGANIZING ATTEMPT DETECTED - TAKE
 ${agentOutput.type === 'vague_preference_detected' ? `⚠️ VAGUE PREFERENCE DETECTED - Acknowledge, extract, ask for specifics, offer to help` : ''}
 ${agentOutput.type === 'destination_suggested' ? `⚠️ DESTINATION SUGGESTION RECEIVED - Acknowledge clearly, show progress, encourage more suggestions` : ''}
 ${agentOutput.type === 'suggestion_limit_reached' ? `⚠️ SUGGESTION LIMIT REACHED - Member has reached max ${agentOutput.maxCount} suggestions. Politely inform them and ask them to pick their top favorites.` : ''}
+${keepItShort ? `⚠️ SMS BUDGET NEARLY SPENT - One short sentence (under 140 characters), no emoji (an emoji makes every text cost twice as much). Skip anything that isn't essential.` : ''}
 
 Craft a response that:
 1. When taking control (2-4 sentences): Include status, your plan, make them feel heard, offer alternative
@@ -625,7 +681,7 @@ Response:`;
 
     try {
       // FIX: Pass a non-empty user prompt instead of empty string
-      const response = await callClaudeWithSystemPrompt(systemPrompt, 'Craft the response (1-2 sentences max, or empty string if not needed):', { maxTokens: 150 });
+      const response = await callClaudeWithSystemPrompt(systemPrompt, 'Craft the response (1-2 sentences max, or empty string if not needed):', { maxTokens: keepItShort ? 60 : 150 });
       return response.trim();
     } catch (error) {
       console.error('Error crafting AI response:', error);
@@ -1,9 +1,75 @@
+import { randomInt } from 'crypto';
 import { BaseAgent } from './base.js';
 import * as db from '../db/queries.js';
 import { emitEvent, EVENTS } from '../state/eventEmitter.js';
-import { checkStateTransitions } from '../state/stateMachine.js';
+import { checkStateTransitions, getPollRule, isPollStage } from '../state/stateMachine.js';
 import { parseDateRange } from '../utils/helpers.js';
 import { callClaude } from '../utils/claude.js';
+import {
+  DEFAULT_VOTING_METHOD,
+  VOTING_METHOD_DESCRIPTIONS,
+  TIE_BREAK_RULE_DESCRIPTIONS,
+  tallyVotes,
+  serializeBallot,
+  parseBallot,
+  describeBallot,
+  breakTieForSeats,
+  isValidTieBreakRule,
+  pickTopOptions,
+} from '../utils/voteTally.js';
+import { config } from '../config/index.js';
+import { getOrganizer } from '../utils/organizer.js';
+import { journalAction } from '../utils/actionJournal.js';
+import { saveTripDestinations, scheduleTripLegs, LEG_SEPARATOR } from '../utils/tripLegs.js';
+import { resolvePlace, canonicalDestination, canonicalSuggestedName, placeName } from '../utils/gazetteer.js';
+import {
+  POLL_CLOSE_RULES,
+  pollVoteType,
+  isSidePollType,
+  sidePollId,
+  parsePollCommand,
+  parseSidePollVote,
+  shouldClosePoll,
+} from '../utils/polls.js';
+
+// Destination options are stored as place ids (see utils/gazetteer.js) - people and the AI see, and answer with, names
+function findOption(options, name) {
+  const wanted = String(name).toLowerCase();
+  return options.find(opt => opt.toLowerCase() === wanted || placeName(opt).toLowerCase() === wanted);
+}
+
+// Ballots as the poll spells its options - a vote recorded as "Tokyo" counts for "geo:jp:tokyo"
+function matchBallots(votes, options) {
+  return votes.map(vote => {
+    const ballot = parseBallot(vote.choice).map(choice => findOption(options, choice) || choice);
+    return { ...vote, choice: vote.choice.trim().startsWith('[') ? JSON.stringify(ballot) : ballot[0] };
+  });
+}
+
+function listOptions(options) {
+  return options.map((opt, idx) => `${idx + 1}. ${placeName(opt)}`).join('\n');
+}
+
+function nameResults(results) {
+  return results.map(r => ({ ...r, choice: placeName(r.choice) }));
+}
+
+function nameRounds(rounds) {
+  return rounds && rounds.map(round => ({
+    ...round,
+    counts: Object.fromEntries(Object.entries(round.counts).map(([choice, count]) => [placeName(choice), count])),
+    eliminated: round.eliminated.map(placeName),
+  }));
+}
+
+function nameTieBreak(tieBreak) {
+  return {
+    ...tieBreak,
+    winner: placeName(tieBreak.winner),
+    tiedOptions: tieBreak.tiedOptions.map(placeName),
+    ...(tieBreak.picked && { picked: tieBreak.picked.map(placeName) }),
+  };
+}
 
 export class VotingAgent extends BaseAgent {
   constructor() {
@@ -12,6 +78,28 @@ export class VotingAgent extends BaseAgent {
 
   static MAX_SUGGESTIONS_PER_MEMBER = 3;
 
+  // "remove my vote", "take back my vote", "unvote"
+  static isVoteRetraction(text) {
+    return /\b(remove|retract|withdraw|cancel|delete|undo|take back|scratch|drop)\b.{0,20}\bvote\b|\bunvote\b/i.test(text);
+  }
+
+  // "actually switch me to Bali", "change my vote to 2", "actually 3", "actually I'll go with option 1"
+  // A bare "actually ..." has to point at a vote or an option - "actually I can't do March" isn't a vote
+  static isVoteChange(text) {
+    return /\b(change|switch|move|swap|update)\b.{0,15}\b(my vote|me|mine)\b/i.test(text)
+      || /^actually[\s,!.:-]+(i('?ll| will| want to)?\s+|let'?s\s+)?(#?\d+\b|(vote|pick|choose|option|go (with|for)|make it|put me)\b)/i.test(text.trim());
+  }
+
+  // Strip the change phrasing so only the new choice is parsed ("actually switch me to Bali" → "Bali")
+  static stripVoteChangePhrase(text) {
+    return text
+      .trim()
+      .replace(/^(actually|wait|hmm+|ok(ay)?|oh|sorry)[\s,!.:-]*/i, '')
+      .replace(/^(can you\s+|please\s+)?(change|switch|move|swap|update|put)\s+(my vote|me|mine)\s*((over\s+)?to|for)?\s*/i, '')
+      .replace(/^(i('?ll| will| want to)?\s+|let'?s\s+)?(vote( for)?|pick|choose|go (with|for)|make it)\s+/i, '')
+      .trim();
+  }
+
   async handle(context, message) {
     const { trip, member } = context;
     
@@ -22,6 +110,17 @@ export class VotingAgent extends BaseAgent {
     
     try {
 
+    // Side polls run alongside the main stage ("vote 2" - starting and listing them is CommandAgent's "@bot poll")
+    const body = message.body.trim();
+    const sidePollVote = parseSidePollVote(body);
+    if (sidePollVote && member) {
+      // While the trip's own poll is open a bare "vote 2" is for it - side polls then need their number ("vote #3 2")
+      if (sidePollVote.pollNumber || !isPollStage(trip.stage)) {
+        return await this.handleSidePollVote(context, sidePollVote);
+      }
+      message = { ...message, body: sidePollVote.choiceText };
+    }
+
     // Handle different stages
     if (trip.stage === 'collecting_destinations' || trip.stage === 'planning') {
       // CRITICAL: Don't process destination suggestions if destination is already set
@@ -67,9 +166,9 @@ export class VotingAgent extends BaseAgent {
       return result1;
     }
 
-    if (trip.stage === 'voting_destination' || trip.stage === 'voting_dates') {
+    if (isPollStage(trip.stage)) {
       // Also check if destination is already set - if so, we shouldn't be voting
-      if (trip.stage === 'voting_destination' && trip.destination) {
+      if ((trip.stage === 'voting_destination' || trip.stage === 'runoff_destination') && trip.destination) {
         console.log(`   🗳️  Voting: Destination already set to "${trip.destination}", but stage is voting_destination - this is inconsistent, skipping vote`);
         return { success: false, skip: true };
       }
@@ -174,6 +273,7 @@ export class VotingAgent extends BaseAgent {
     
     let savedCount = 0;
     let alreadySuggested = false;
+    const saved = [];
     
     // Save each destination suggestion (up to the limit)
     for (const dest of destinationsToProcess) {
@@ -183,13 +283,14 @@ export class VotingAgent extends BaseAgent {
         
         // Check if this specific destination was already suggested by this member (use fresh data from DB)
         const alreadySuggestedThis = memberSuggestions.some(s => 
-          s.destination.toLowerCase() === normalized.toLowerCase()
+          canonicalDestination(s.destination).toLowerCase() === normalized.toLowerCase()
         );
         
         if (!alreadySuggestedThis) {
-          await db.createDestinationSuggestion(trip.id, member.id, normalized);
+          const suggestion = await db.createDestinationSuggestion(trip.id, member.id, normalized);
           console.log(`   🗳️  Voting: Destination suggestion recorded: "${dest}" → normalized to "${normalized}"`);
           savedCount++;
+          if (suggestion) saved.push(suggestion);
         } else {
           alreadySuggested = true;
         }
@@ -207,6 +308,11 @@ export class VotingAgent extends BaseAgent {
     if (savedCount === 0 && destinations.length > 0) {
       alreadySuggested = true; // All destinations were already suggested
     }
+    if (saved.length > 0) {
+      await journalAction(context, 'destination_suggestion', {
+        current: { ids: saved.map(s => s.id), destinations: saved.map(s => placeName(s.destination)) },
+      });
+    }
 
     // Check if ready to transition to voting
     const suggestionCount = await db.getDestinationSuggestionCount(trip.id);
@@ -225,7 +331,7 @@ export class VotingAgent extends BaseAgent {
     
     const isNewSuggestion = !allSuggestions.some(s => s.member_id === member.id);
     
-    await checkStateTransitions(trip.id);
+    await checkStateTransitions(trip.id, context.trigger);
 
     // Return structured output for responder to format
     const savedDestinations = destinationsToProcess.filter(d => d && d.length > 0);
@@ -264,21 +370,22 @@ export class VotingAgent extends BaseAgent {
     const uniqueDestinations = this.consolidateSuggestions(suggestions);
     console.log(`   🗳️  Voting: After consolidation - ${uniqueDestinations.length} unique destinations:`, uniqueDestinations);
     
-    if (uniqueDestinations.length === 1) {
-      console.log(`   🗳️  Voting: Only 1 unique destination found ("${uniqueDestinations[0]}"), skipping voting and locking immediately`);
-      // Only one unique destination - lock it immediately and transition to planning
-      await db.updateTrip(trip.id, {
-        destination: uniqueDestinations[0],
-      });
+    // A multi-leg trip needs as many destinations as it has legs before there's anything to vote on
+    const { leg_count: legCount } = await db.getTrip(trip.id);
+    if (uniqueDestinations.length > 0 && uniqueDestinations.length <= legCount) {
+      console.log(`   🗳️  Voting: Only ${uniqueDestinations.length} unique destination(s) for ${legCount} leg(s) (${uniqueDestinations.join(', ')}), skipping voting and locking immediately`);
+      // Lock them immediately and transition to planning
+      await saveTripDestinations(trip.id, uniqueDestinations);
       // Transition to planning - planning state will check if dates are set
       const { requestStateTransition } = await import('../state/stateMachine.js');
-      await requestStateTransition(trip.id, 'planning', 'single destination locked');
+      await requestStateTransition(trip.id, 'planning', `${uniqueDestinations.length === 1 ? 'single destination' : 'every destination'} locked`, { trigger: context.trigger });
       return {
         success: true,
         output: {
           type: 'poll_completed',
           pollType: 'destination',
-          winner: uniqueDestinations[0],
+          winner: uniqueDestinations.map(placeName).join(LEG_SEPARATOR),
+          ...(uniqueDestinations.length > 1 && { legs: uniqueDestinations.map(placeName) }),
           voteCount: context.allMembers.length,
           unanimous: true,
           sendTo: 'group',
@@ -289,17 +396,16 @@ export class VotingAgent extends BaseAgent {
     console.log(`   🗳️  Voting: Multiple unique destinations (${uniqueDestinations.length}), starting voting poll`);
 
     // Present voting options - transition to voting stage
-    await db.updateTrip(trip.id, {
-      stage: 'voting_destination',
-      stage_entered_at: new Date(),
-    });
-    await checkStateTransitions(trip.id);
+    // Poll message is sent below, so don't announce the stage change
+    const { requestStateTransition } = await import('../state/stateMachine.js');
+    await requestStateTransition(trip.id, 'voting_destination', 'destination suggestions ready', { announce: false, trigger: context.trigger });
 
     const memberCount = context.allMembers.length;
     const majorityThreshold = Math.ceil(memberCount * 0.6);
+    const votingMethod = await this.getVotingMethod(trip.id);
 
     // Format the poll message
-    const pollMessage = this.createVotingMessage(uniqueDestinations, 'destination', memberCount, majorityThreshold);
+    const pollMessage = this.createVotingMessage(uniqueDestinations, 'destination', memberCount, majorityThreshold, votingMethod, legCount);
 
     return {
       success: true,
@@ -307,9 +413,11 @@ export class VotingAgent extends BaseAgent {
         type: 'poll_started',
         pollType: 'destination',
         message: pollMessage,
-        options: uniqueDestinations,
+        options: uniqueDestinations.map(placeName),
         memberCount,
         majorityThreshold,
+        votingMethod,
+        legCount,
         sendTo: 'group',
       },
     };
@@ -323,27 +431,51 @@ export class VotingAgent extends BaseAgent {
     }
 
     const choice = message.body.trim();
-    console.log(`   🗳️  Voting: Processing vote - poll: ${currentPoll.type}, choice: "${choice}"`);
-    
+
+    if (VotingAgent.isVoteRetraction(choice)) {
+      return await this.handleVoteRetraction(context);
+    }
+
+    const votingMethod = await this.getVotingMethod(trip.id, currentPoll);
+    const previousVote = await db.getMemberVote(trip.id, currentPoll.type, member.id);
+    const ballotText = VotingAgent.stripVoteChangePhrase(choice) || choice;
+    console.log(`   🗳️  Voting: Processing ${previousVote ? 're-vote' : 'vote'} - poll: ${currentPoll.type}, method: ${votingMethod}, choice: "${ballotText}"`);
+
     // Parse numeric vote (1, 2, 3) or natural language (AI-powered)
-    const parsedVote = await this.parseVote(choice, currentPoll.type, context);
-    
-    if (!parsedVote) {
+    // Approval and ranked-choice ballots can name several options ("1 and 3", "3, 1, 2")
+    let ballot;
+    if (votingMethod === 'plurality') {
+      const vote = await this.parseVote(ballotText, currentPoll.type, context);
+      ballot = vote ? [vote] : [];
+    } else {
+      ballot = await this.parseMultiChoiceVote(ballotText, currentPoll.type, context, votingMethod);
+    }
+
+    if (ballot.length === 0) {
       console.log(`   🗳️  Voting: Could not parse vote, skipping`);
       return { success: false, skip: true };
     }
 
-    // Record vote
-    await db.createVote(trip.id, currentPoll.type, member.id, parsedVote);
-    console.log(`   🗳️  Voting: Vote recorded for ${member.name}: "${parsedVote}"`);
+    const parsedVote = describeBallot(ballot.map(placeName), votingMethod);
+    const serializedBallot = serializeBallot(ballot, votingMethod);
+
+    // Record vote (upsert - one ballot per member per poll) and keep an audit trail of changes
+    await db.createVote(trip.id, currentPoll.type, member.id, serializedBallot);
+    const changed = !!previousVote && previousVote.choice !== serializedBallot;
+    if (!previousVote || changed) {
+      await db.createVoteHistory(trip.id, currentPoll.type, member.id, changed ? 'changed' : 'cast', previousVote?.choice || null, serializedBallot);
+      await journalAction(context, 'vote', { target: currentPoll.type, previous: previousVote?.choice || null, current: serializedBallot });
+    }
+    const previousChoice = changed ? describeBallot(parseBallot(previousVote.choice).map(placeName), votingMethod) : null;
+    console.log(`   🗳️  Voting: Vote ${changed ? `changed from "${previousChoice}" to` : 'recorded for ' + member.name + ':'} "${parsedVote}"`);
 
     // Check if member already voted
-    const alreadyVoted = existingVotes?.some(v => v.member_id === member.id);
+    const alreadyVoted = !!previousVote;
 
     // Check if poll should close
     const totalMembers = context.allMembers.length;
     const totalVotes = await db.getVoteCount(trip.id, currentPoll.type);
-    const majorityThreshold = Math.ceil(totalMembers * 0.6);
+    const majorityThreshold = this.getMajorityThreshold(trip.stage, totalMembers);
     const votesNeeded = Math.max(0, majorityThreshold - totalVotes);
 
     console.log(`   🗳️  Voting: Progress - ${totalVotes}/${totalMembers} votes (need ${majorityThreshold} for majority)`);
@@ -352,21 +484,23 @@ export class VotingAgent extends BaseAgent {
 
     if (majorityVoted) {
       // Check for ties before closing poll
-      const results = await db.getVoteResults(trip.id, currentPoll.type);
-      const topVoteCount = parseInt(results[0]?.count || 0, 10);
-      const tiedOptions = results.filter(r => parseInt(r.count, 10) === topVoteCount);
+      const tally = await this.tallyPoll(trip.id, currentPoll.type, votingMethod);
 
-      if (tiedOptions.length > 1) {
-        // We have a tie - send nudge instead of closing
-        console.log(`   🗳️  Voting: Tie detected (${tiedOptions.length} options with ${topVoteCount} vote${topVoteCount > 1 ? 's' : ''} each)`);
+      // Tied but not everyone has voted yet - send nudge instead of closing
+      // Once everyone has voted, closePoll settles the tie with a runoff (or the tie-break rule)
+      if (tally.tiedOptions.length > 1 && totalVotes < totalMembers) {
+        const topVoteCount = tally.results[0].voteCount;
+        console.log(`   🗳️  Voting: Tie detected (${tally.tiedOptions.length} options with ${topVoteCount} vote${topVoteCount > 1 ? 's' : ''} each)`);
 
         return {
           success: true,
           output: {
             type: 'vote_tie_detected',
             pollType: currentPoll.type,
-            tiedOptions: tiedOptions.map(t => ({ choice: t.choice, voteCount: parseInt(t.count, 10) })),
-            allResults: results.map(r => ({ choice: r.choice, voteCount: parseInt(r.count, 10) })),
+            votingMethod,
+            tiedOptions: nameResults(tally.results.filter(r => tally.tiedOptions.includes(r.choice))),
+            allResults: nameResults(tally.results),
+            changedFrom: previousChoice,
             totalVotes,
             sendTo: 'group',
           },
@@ -386,12 +520,35 @@ export class VotingAgent extends BaseAgent {
 
     emitEvent(EVENTS.DESTINATION_VOTED, { tripId: trip.id, pollType: currentPoll.type });
 
+    if (changed) {
+      const tally = await this.tallyPoll(trip.id, currentPoll.type, votingMethod);
+      return {
+        success: true,
+        output: {
+          type: 'vote_changed',
+          memberName: member.name,
+          previousChoice,
+          choice: parsedVote,
+          votingMethod,
+          standings: nameResults(tally.results),
+          voteCount: totalVotes,
+          totalMembers,
+          votesNeeded,
+          majorityThreshold,
+          pendingVoters: pendingVoters.length > 0 ? pendingVoters : null,
+          sendTo: 'individual',
+        },
+      };
+    }
+
     // Return structured output
     return {
       success: true,
       output: {
         type: 'vote_recorded',
         choice: parsedVote,
+        ballot,
+        votingMethod,
         alreadyVoted,
         voteCount: totalVotes,
         totalMembers,
@@ -404,19 +561,98 @@ export class VotingAgent extends BaseAgent {
     };
   }
 
-  async parseVote(choice, pollType, context) {
+  async handleVoteRetraction(context) {
+    const { trip, member, currentPoll } = context;
+
+    const removed = await db.deleteVote(trip.id, currentPoll.type, member.id);
+    if (!removed) {
+      console.log(`   🗳️  Voting: ${member.name} asked to retract a vote but hasn't voted`);
+      return {
+        success: true,
+        output: {
+          type: 'vote_retracted',
+          hadVote: false,
+          message: `You haven't voted in this poll yet, so there's nothing to remove. Reply with a number whenever you're ready!`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    await db.createVoteHistory(trip.id, currentPoll.type, member.id, 'retracted', removed.choice, null);
+    await journalAction(context, 'vote', { target: currentPoll.type, previous: removed.choice });
+
+    const votingMethod = await this.getVotingMethod(trip.id, currentPoll);
+    const previousChoice = describeBallot(parseBallot(removed.choice).map(placeName), votingMethod);
+    console.log(`   🗳️  Voting: Vote retracted for ${member.name} (was "${previousChoice}")`);
+
+    const totalMembers = context.allMembers.length;
+    const totalVotes = await db.getVoteCount(trip.id, currentPoll.type);
+    const majorityThreshold = this.getMajorityThreshold(trip.stage, totalMembers);
+    const tally = await this.tallyPoll(trip.id, currentPoll.type, votingMethod);
+
+    return {
+      success: true,
+      output: {
+        type: 'vote_retracted',
+        hadVote: true,
+        memberName: member.name,
+        previousChoice,
+        votingMethod,
+        standings: nameResults(tally.results),
+        voteCount: totalVotes,
+        totalMembers,
+        votesNeeded: Math.max(0, majorityThreshold - totalVotes),
+        majorityThreshold,
+        sendTo: 'individual',
+      },
+    };
+  }
+
+  async getPollOptions(tripId, pollType) {
     // Always fetch options from database as the source of truth
-    let options = [];
-    if (pollType === 'destination') {
-      const suggestions = await db.getDestinationSuggestions(context.trip.id);
-      options = this.consolidateSuggestions(suggestions);
+    if (isSidePollType(pollType)) {
+      const poll = await db.getPoll(sidePollId(pollType));
+      return poll?.options || [];
+    } else if (pollType === 'destination_runoff' || pollType === 'dates_runoff') {
+      // Runoffs only include the options that tied
+      const trip = await db.getTrip(tripId);
+      return trip?.runoff_options || [];
+    } else if (pollType === 'destination') {
+      const suggestions = await db.getDestinationSuggestions(tripId);
+      return this.consolidateSuggestions(suggestions);
     } else if (pollType === 'dates') {
-      const availability = await db.getDateAvailability(context.trip.id);
+      const availability = await db.getDateAvailability(tripId);
       const { findOverlappingDates } = await import('../utils/dateOverlap.js');
       const dateOptions = findOverlappingDates(availability);
-      options = dateOptions.map(opt => opt.display);
+      return dateOptions.map(opt => opt.display);
     }
-    
+    return [];
+  }
+
+  async getVotingMethod(tripId, poll = null) {
+    // Runoffs are a straight head-to-head, whatever the trip's method
+    if (poll?.runoffOf) {
+      return DEFAULT_VOTING_METHOD;
+    }
+    // context.trip only carries a few fields, so read the method from the trip row
+    const trip = await db.getTrip(tripId);
+    return trip?.voting_method || DEFAULT_VOTING_METHOD;
+  }
+
+  getMajorityThreshold(stage, memberCount) {
+    const rule = getPollRule(stage);
+    return rule ? rule.majorityThreshold(memberCount) : Math.ceil(memberCount * 0.6);
+  }
+
+  async tallyPoll(tripId, pollType, votingMethod) {
+    const votes = await db.getVotes(tripId, pollType);
+    const options = await this.getPollOptions(tripId, pollType);
+    return tallyVotes(votes, options, votingMethod);
+  }
+
+  async parseVote(choice, pollType, context) {
+    const options = await this.getPollOptions(context.trip.id, pollType);
+
     if (options.length === 0) {
       console.warn(`   🗳️  Voting: No options available for poll type ${pollType}`);
       return null;
@@ -438,18 +674,18 @@ export class VotingAgent extends BaseAgent {
             const prompt = `User sent this message in response to a poll: "${choice}"
 
 Poll options:
-${options.map((opt, idx) => `${idx + 1}. ${opt}`).join('\n')}
+${listOptions(options)}
 
-The message contains the number "${optionNumber}" which corresponds to option ${optionNumber}: "${selectedOption}".
+The message contains the number "${optionNumber}" which corresponds to option ${optionNumber}: "${placeName(selectedOption)}".
 
 Extract the actual vote choice. Reply with JSON only:
 {
   "isVote": true or false,
   "intent": "vote" or "complaint" or "question" or "other",
-  "optionName": "${selectedOption}" or null
+  "optionName": "${placeName(selectedOption)}" or null
 }
 
-If the user is voting for option ${optionNumber} (${selectedOption}), set isVote to true and optionName to "${selectedOption}".
+If the user is voting for option ${optionNumber} (${placeName(selectedOption)}), set isVote to true and optionName to "${placeName(selectedOption)}".
 If they're complaining, asking a question, or not voting, set isVote to false.`;
 
             const response = await callClaude(prompt, { maxTokens: 100, temperature: 0.0 });
@@ -458,7 +694,7 @@ If they're complaining, asking a question, or not voting, set isVote to false.`;
             
             if (parsed.isVote && parsed.optionName) {
               // Validate that the option name matches one of the actual options
-              const matchingOption = options.find(opt => opt.toLowerCase() === parsed.optionName.toLowerCase());
+              const matchingOption = findOption(options, parsed.optionName);
               if (matchingOption) {
                 return matchingOption; // Return the actual option name from the list
               }
@@ -484,7 +720,7 @@ If they're complaining, asking a question, or not voting, set isVote to false.`;
       const prompt = `User sent this message in response to a poll: "${choice}"
 
 Poll options:
-${options.map((opt, idx) => `${idx + 1}. ${opt}`).join('\n')}
+${listOptions(options)}
 
 Is this a valid vote? Reply with JSON only:
 {
@@ -502,7 +738,7 @@ If they're complaining (e.g., "This doesn't look right"), asking a question, or
       
       if (parsed.isVote && parsed.optionName) {
         // Validate that the option name matches one of the actual options
-        const matchingOption = options.find(opt => opt.toLowerCase() === parsed.optionName.toLowerCase());
+        const matchingOption = findOption(options, parsed.optionName);
         if (matchingOption) {
           this.logAICall('parseVote (natural language)', choice, parsed.optionName);
           return matchingOption;
@@ -521,6 +757,75 @@ If they're complaining (e.g., "This doesn't look right"), asking a question, or
     }
   }
 
+  async parseMultiChoiceVote(choice, pollType, context, votingMethod) {
+    // Approval / ranked-choice ballot - returns the chosen option names in order (empty if not a vote)
+    const options = await this.getPollOptions(context.trip.id, pollType);
+
+    if (options.length === 0) {
+      console.warn(`   🗳️  Voting: No options available for poll type ${pollType}`);
+      return [];
+    }
+
+    // Plain number lists ("1 and 3", "3, 1, 2", "2 > 1") don't need AI
+    if (/^[\d\s,;&>+-]+$/.test(choice.replace(/\b(and|then)\b/gi, ' '))) {
+      const ballot = [];
+      for (const match of choice.matchAll(/\d+/g)) {
+        const option = options[parseInt(match[0], 10) - 1];
+        if (option && !ballot.includes(option)) {
+          ballot.push(option);
+        }
+      }
+      return ballot;
+    }
+
+    // Natural language ballot (e.g., "Bali first, then Tokyo") - use AI to map it onto the options
+    try {
+      const instruction = votingMethod === 'ranked'
+        ? 'List the options they ranked, most preferred first.'
+        : 'List every option they approve of.';
+      const prompt = `User sent this message in response to a poll: "${choice}"
+
+Poll options:
+${listOptions(options)}
+
+Voting method: ${VOTING_METHOD_DESCRIPTIONS[votingMethod]}
+
+Is this a valid vote? ${instruction} Reply with JSON only:
+{
+  "isVote": true or false,
+  "intent": "vote" or "complaint" or "question" or "other",
+  "optionNames": ["exact option name from the list above", ...]
+}
+
+If they're complaining, asking a question, or not voting, set isVote to false and optionNames to [].`;
+
+      const response = await callClaude(prompt, { maxTokens: 150, temperature: 0.0 });
+      const cleaned = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      const parsed = JSON.parse(cleaned);
+
+      if (!parsed.isVote || !Array.isArray(parsed.optionNames)) {
+        this.log('info', `AI determined message is not a vote (intent: ${parsed.intent})`);
+        return [];
+      }
+
+      // Validate that every option name matches one of the actual options
+      const ballot = [];
+      for (const name of parsed.optionNames) {
+        const matchingOption = findOption(options, name);
+        if (matchingOption && !ballot.includes(matchingOption)) {
+          ballot.push(matchingOption);
+        }
+      }
+      this.logAICall('parseMultiChoiceVote', choice, ballot);
+      return ballot;
+    } catch (error) {
+      // AI parsing failed - reject the vote
+      this.logAICall('parseMultiChoiceVote', choice, null, error);
+      this.log('warn', `AI parsing failed, rejecting vote: ${error.message}`);
+      return [];
+    }
+  }
+
   async isVagueDestinationPreference(text) {
     // Use AI to detect if this is a vague preference (criteria) vs specific destination
     const prompt = `Is this message a vague destination preference/criteria (not a specific place), or a specific destination?
@@ -644,6 +949,7 @@ If no destinations found, return empty array [].`;
     }
   }
 
+  // Returns the gazetteer place id, or a cleaned-up name for places it doesn't know
   async normalizeDestination(destination, allMembers = []) {
     const trimmed = destination.trim();
     if (trimmed.length === 0) {
@@ -669,8 +975,14 @@ If no destinations found, return empty array [].`;
     if (obviousNonDestinations.some(pattern => pattern.test(trimmed))) {
       throw new Error('NOT_A_DESTINATION');
     }
+
+    // Places in the gazetteer resolve offline to their canonical id
+    const place = resolvePlace(trimmed);
+    if (place) {
+      return place.id;
+    }
     
-    // Use AI to validate if it's actually a destination
+    // Not in the gazetteer - use AI to validate if it's actually a destination
     try {
       const prompt = `Is "${trimmed}" a travel destination (city, country, or region)?
 
@@ -697,7 +1009,7 @@ If it's a destination, provide a clean, normalized name (e.g., "Tokyo" not "toky
         throw new Error('NOT_A_DESTINATION');
       }
       
-      return parsed.normalizedName;
+      return canonicalSuggestedName(trimmed, parsed.normalizedName);
     } catch (error) {
       // If AI fails or says it's not a destination, reject it
       if (error.message === 'NOT_A_DESTINATION' || error.message === 'NAME_NOT_DESTINATION') {
@@ -735,12 +1047,13 @@ If it's a destination, provide a clean, normalized name (e.g., "Tokyo" not "toky
   }
 
   consolidateSuggestions(suggestions) {
-    // Simple deduplication: case-insensitive matching
+    // Deduplicate by place ("NYC" and "New York" are one option), else case-insensitive text
+    // Rows keep their stored value, so a poll opened before a destination resolved keeps its options
     const seen = new Set();
     const unique = [];
     
     for (const suggestion of suggestions) {
-      const normalized = suggestion.destination.toLowerCase().trim();
+      const normalized = canonicalDestination(suggestion.destination.trim()).toLowerCase();
       if (!seen.has(normalized)) {
         seen.add(normalized);
         unique.push(suggestion.destination); // Keep original capitalization
@@ -750,7 +1063,8 @@ If it's a destination, provide a clean, normalized name (e.g., "Tokyo" not "toky
     return unique;
   }
 
-  createVotingMessage(options, type, memberCount = null, majorityThreshold = null) {
+  createVotingMessage(options, type, memberCount = null, majorityThreshold = null, votingMethod = DEFAULT_VOTING_METHOD, legCount = 1) {
+    options = options.map(placeName);
     const emojiMap = {
       'Portugal': '🇵🇹',
       'Greece': '🇬🇷',
@@ -768,12 +1082,26 @@ If it's a destination, provide a clean, normalized name (e.g., "Tokyo" not "toky
       majorityThreshold = Math.ceil(memberCount * 0.6);
     }
 
+    // How to reply depends on the voting method
+    const replyInstructions = {
+      plurality: 'Vote by replying with JUST THE NUMBER',
+      approval: 'Vote by replying with THE NUMBERS of every option you like',
+      ranked: 'Vote by replying with THE NUMBERS in order of preference',
+    };
+    const exampleReply = {
+      plurality: `"1" to vote for ${options[0]}`,
+      approval: options.length > 1 ? `"1 and 2" to approve ${options[0]} and ${options[1]}` : `"1" to approve ${options[0]}`,
+      ranked: options.length > 1 ? `"2, 1" to rank ${options[1]} first and ${options[0]} second` : `"1" to rank ${options[0]} first`,
+    };
+    const instructions = replyInstructions[votingMethod] || replyInstructions.plurality;
+    const example = exampleReply[votingMethod] || exampleReply.plurality;
+
     let message = `🗳️ TIME TO VOTE! 🗳️\n\n`;
-    
+
     if (memberCount && majorityThreshold) {
-      message += `We have ${memberCount} member${memberCount > 1 ? 's' : ''}. Vote by replying with JUST THE NUMBER:\n\n`;
+      message += `We have ${memberCount} member${memberCount > 1 ? 's' : ''}. ${instructions}:\n\n`;
     } else {
-      message += `Vote by replying with JUST THE NUMBER:\n\n`;
+      message += `${instructions}:\n\n`;
     }
 
     options.forEach((option, index) => {
@@ -785,48 +1113,87 @@ If it's a destination, provide a clean, normalized name (e.g., "Tokyo" not "toky
     });
 
     message += `\n📊 Voting Rules:\n`;
+    if (legCount > 1) {
+      message += `• The top ${legCount} all make the trip - we'll visit them in the order above\n`;
+    }
     if (memberCount && majorityThreshold) {
       message += `• Need ${majorityThreshold} out of ${memberCount} votes (60% majority) to lock it in\n`;
     } else {
       message += `• Need 60% majority to lock it in\n`;
     }
-    message += `• Reply with just the number (e.g., "1" for ${options[0]})\n`;
+    if (votingMethod !== DEFAULT_VOTING_METHOD && VOTING_METHOD_DESCRIPTIONS[votingMethod]) {
+      message += `• ${VOTING_METHOD_DESCRIPTIONS[votingMethod]}\n`;
+    } else {
+      message += `• Reply with just the number (e.g., "1" for ${options[0]})\n`;
+    }
     message += `• Poll closes when majority reached or after 48 hours\n\n`;
-    message += `Example: Reply "1" to vote for ${options[0]}`;
+    message += `Example: Reply ${example}`;
     
     return message;
   }
 
   async closePoll(context) {
     const { trip, currentPoll } = context;
+    const pollType = currentPoll.runoffOf || currentPoll.type;
+    const isRunoff = !!currentPoll.runoffOf;
 
-    // Tally votes
-    const results = await db.getVoteResults(trip.id, currentPoll.type);
+    // Tally votes using the trip's voting method
+    const votingMethod = await this.getVotingMethod(trip.id, currentPoll);
+    const tally = await this.tallyPoll(trip.id, currentPoll.type, votingMethod);
+    const results = tally.results.filter(r => r.voteCount > 0);
 
-    if (results.length === 0) {
+    // A runoff nobody voted in is settled by the tie-break rule like any other tie
+    if (results.length === 0 && !isRunoff) {
       return { success: false, error: 'No votes recorded' };
     }
 
-    // Get winner (most votes)
-    let winner = results[0].choice;
-    const voteCount = parseInt(results[0].count, 10);
+    // A multi-leg trip keeps its top N destinations rather than a single winner
+    if (pollType === 'destination' && !isRunoff) {
+      const { leg_count: legCount } = await db.getTrip(trip.id);
+      if (legCount > 1) {
+        return await this.closeLegPoll(context, votingMethod, legCount);
+      }
+    }
+
+    // Get winner (most votes, or last one standing for ranked-choice)
+    let winner = tally.winner;
+    let tieBreak = null;
+    const voteCount = results[0]?.voteCount || 0;
+    const tallySummary = {
+      votingMethod,
+      results: nameResults(tally.results),
+      rounds: nameRounds(tally.rounds),
+      runoff: isRunoff,
+    };
+
+    // Never let row order pick between tied options
+    if (tally.tiedOptions.length > 1 || results.length === 0) {
+      const tiedOptions = results.length === 0 ? tally.results.map(r => r.choice) : tally.tiedOptions;
+      if (!isRunoff) {
+        return await this.startRunoff(trip, pollType, tiedOptions, context.trigger);
+      }
+      tieBreak = await this.breakTie(trip.id, pollType, tiedOptions);
+      winner = tieBreak.winner;
+      tallySummary.tieBreak = nameTieBreak(tieBreak);
+      console.log(`   🗳️  Voting: Runoff tied between ${tiedOptions.join(', ')} - "${winner}" wins by ${tieBreak.rule}${tieBreak.seed !== null ? ` (seed ${tieBreak.seed})` : ''}`);
+    }
 
     // Validate winner against actual poll options (AI-powered)
-    if (currentPoll.type === 'destination') {
+    if (pollType === 'destination') {
       const suggestions = await db.getDestinationSuggestions(trip.id);
       const options = this.consolidateSuggestions(suggestions);
       
       // Check if winner matches an actual option
-      const matchingOption = options.find(opt => opt.toLowerCase() === winner.toLowerCase());
+      const matchingOption = findOption(options, winner);
       
       if (!matchingOption) {
         // Winner doesn't match any option - use AI to extract the correct choice
         console.warn(`   🗳️  Voting: Winner "${winner}" doesn't match any option, using AI to extract correct choice`);
         try {
-          const prompt = `Vote result shows winner as: "${winner}"
+          const prompt = `Vote result shows winner as: "${placeName(winner)}"
 
 But the actual poll options were:
-${options.map((opt, idx) => `${idx + 1}. ${opt}`).join('\n')}
+${listOptions(options)}
 
 The stored winner doesn't match any option. What was the actual intended choice? Reply with JSON only:
 {
@@ -840,7 +1207,7 @@ Return the exact option name that the user intended to vote for.`;
           const parsed = JSON.parse(cleaned);
           
           if (parsed.optionName) {
-            const correctedOption = options.find(opt => opt.toLowerCase() === parsed.optionName.toLowerCase());
+            const correctedOption = findOption(options, parsed.optionName);
             if (correctedOption) {
               winner = correctedOption;
               console.log(`   🗳️  Voting: Corrected winner from "${results[0].choice}" to "${winner}"`);
@@ -849,7 +1216,7 @@ Return the exact option name that the user intended to vote for.`;
               console.warn(`   🗳️  Voting: AI suggestion "${parsed.optionName}" doesn't match, using most common valid option`);
               // Find the most common vote that matches an actual option
               for (const result of results) {
-                const validOption = options.find(opt => opt.toLowerCase() === result.choice.toLowerCase());
+                const validOption = findOption(options, result.choice);
                 if (validOption) {
                   winner = validOption;
                   console.log(`   🗳️  Voting: Using most common valid option: "${winner}"`);
@@ -862,7 +1229,7 @@ Return the exact option name that the user intended to vote for.`;
           // AI correction failed - use most common valid option
           console.warn(`   🗳️  Voting: AI correction failed, using most common valid option:`, error.message);
           for (const result of results) {
-            const validOption = options.find(opt => opt.toLowerCase() === result.choice.toLowerCase());
+            const validOption = findOption(options, result.choice);
             if (validOption) {
               winner = validOption;
               console.log(`   🗳️  Voting: Using most common valid option: "${winner}"`);
@@ -876,25 +1243,24 @@ Return the exact option name that the user intended to vote for.`;
       }
       
       // Update destination and transition to planning
-      await db.updateTrip(trip.id, {
-        destination: winner,
-      });
+      await saveTripDestinations(trip.id, [winner], { runoff_options: null });
 
       // Transition to planning - planning state will check if dates are set and transition appropriately
       const { requestStateTransition } = await import('../state/stateMachine.js');
-      await requestStateTransition(trip.id, 'planning', 'destination voting completed');
+      await requestStateTransition(trip.id, 'planning', 'destination voting completed', { trigger: context.trigger });
       
       return {
         success: true,
         output: {
           type: 'poll_completed',
           pollType: 'destination',
-          winner,
+          winner: placeName(winner),
           voteCount,
+          ...tallySummary,
           sendTo: 'group',
         },
       };
-    } else if (currentPoll.type === 'dates') {
+    } else if (pollType === 'dates') {
       // For dates, winner is already a formatted date string from the options
       // We need to extract the actual dates from it
       // The winner will be something like "July 15-22" or a date range string
@@ -905,11 +1271,13 @@ Return the exact option name that the user intended to vote for.`;
         await db.updateTrip(trip.id, {
           start_date: dates.start,
           end_date: dates.end,
+          runoff_options: null,
         });
+        await scheduleTripLegs(trip.id);
 
         // Transition to planning - planning state will check if destination is set and transition appropriately
         const { requestStateTransition } = await import('../state/stateMachine.js');
-        await requestStateTransition(trip.id, 'planning', 'date voting completed');
+        await requestStateTransition(trip.id, 'planning', 'date voting completed', { trigger: context.trigger });
         
         return {
           success: true,
@@ -918,6 +1286,7 @@ Return the exact option name that the user intended to vote for.`;
             pollType: 'dates',
             winner,
             voteCount,
+            ...tallySummary,
             sendTo: 'group',
           },
         };
@@ -933,11 +1302,424 @@ Return the exact option name that the user intended to vote for.`;
       }
     }
 
-    await checkStateTransitions(trip.id);
+    await checkStateTransitions(trip.id, context.trigger);
 
     return { success: true, poll_closed: true };
   }
 
+  // Options tied for the last places go to the trip's tie-break rule straight away - a runoff only ever picks one winner
+  async closeLegPoll(context, votingMethod, legCount) {
+    const { trip } = context;
+    const options = await this.getPollOptions(trip.id, 'destination');
+    const votes = matchBallots(await db.getVotes(trip.id, 'destination'), options);
+    const tally = tallyVotes(votes, options, votingMethod);
+    const top = pickTopOptions(votes, options, votingMethod, legCount);
+
+    const winners = [...top.winners];
+    let tieBreak = null;
+    if (top.tiedOptions.length > 0) {
+      tieBreak = await this.breakTie(trip.id, 'destination', top.tiedOptions, top.seatsLeft);
+      winners.push(...tieBreak.picked);
+      console.log(`   🗳️  Voting: ${top.tiedOptions.join(', ')} tied for the last ${top.seatsLeft} leg(s) - ${tieBreak.picked.join(', ')} picked by ${tieBreak.rule}`);
+    }
+
+    // Travel order is the poll order - the organizer can reorder with "@bot set destination A then B"
+    const position = option => (options.indexOf(option) === -1 ? Number.MAX_SAFE_INTEGER : options.indexOf(option));
+    const legs = winners.sort((a, b) => position(a) - position(b));
+    await saveTripDestinations(trip.id, legs, { runoff_options: null });
+
+    const { requestStateTransition } = await import('../state/stateMachine.js');
+    await requestStateTransition(trip.id, 'planning', 'destination voting completed', { trigger: context.trigger });
+
+    return {
+      success: true,
+      output: {
+        type: 'poll_completed',
+        pollType: 'destination',
+        winner: legs.map(placeName).join(LEG_SEPARATOR),
+        legs: legs.map(placeName),
+        voteCount: tally.results[0]?.voteCount || 0,
+        votingMethod,
+        results: nameResults(tally.results),
+        rounds: nameRounds(tally.rounds),
+        runoff: false,
+        ...(tieBreak && { tieBreak: nameTieBreak(tieBreak) }),
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async startRunoff(trip, pollType, tiedOptions, trigger) {
+    const runoffStage = `runoff_${pollType}`;
+    const runoffPollType = getPollRule(runoffStage).type;
+    console.log(`   🗳️  Voting: ${pollType} poll tied between ${tiedOptions.join(', ')} - starting runoff`);
+
+    // Clear ballots from any earlier runoff of this poll type
+    await db.deleteVotes(trip.id, runoffPollType);
+    await db.updateTrip(trip.id, {
+      runoff_options: JSON.stringify(tiedOptions),
+    });
+
+    // The runoff stage action announces the runoff poll to the group
+    const { requestStateTransition } = await import('../state/stateMachine.js');
+    await requestStateTransition(trip.id, runoffStage, `${pollType} poll tied`, { trigger });
+
+    return { success: true, runoff: true, tiedOptions };
+  }
+
+  // Settle a tie by the trip's rule - `seats` > 1 picks that many of the tied options (returned as `picked`)
+  async breakTie(tripId, pollType, tiedOptions, seats = 1) {
+    const trip = await db.getTrip(tripId);
+    const rule = isValidTieBreakRule(trip.tie_break_rule) ? trip.tie_break_rule : config.voting.tieBreakRule;
+
+    // Suggestion order: destinations by when they were first suggested, dates by their order in the original poll
+    const suggestionOrder = await this.getPollOptions(tripId, pollType);
+
+    // The organizer's runoff vote, then their ballot in order, as the tied options spell them
+    let organizerChoices = [];
+    if (rule === 'organizer') {
+      const organizer = getOrganizer(await db.getMembers(tripId));
+      if (organizer) {
+        const votes = await db.getVotes(tripId);
+        const ballotFor = type => {
+          const vote = votes.find(v => v.member_id === organizer.id && v.poll_type === type);
+          return vote ? parseBallot(vote.choice) : [];
+        };
+        organizerChoices = [...ballotFor(`${pollType}_runoff`), ...ballotFor(pollType)]
+          .map(choice => findOption(tiedOptions, choice))
+          .filter(Boolean);
+      }
+    }
+
+    // Random picks record their seed so the result can be reproduced
+    let seed = null;
+    if (rule === 'random') {
+      seed = randomInt(2 ** 31);
+      await db.updateTrip(tripId, { tie_break_seed: seed });
+    }
+
+    const { picked, ...result } = breakTieForSeats(tiedOptions, seats, rule, { suggestionOrder, organizerChoices, seed });
+    return {
+      ...result,
+      winner: picked[0],
+      ...(seats > 1 && { picked }),
+      tiedOptions,
+      description: TIE_BREAK_RULE_DESCRIPTIONS[result.rule],
+    };
+  }
+
+  async resolvePoll(trip, trigger = 'timeout') {
+    // Called by the state machine when a poll times out (or reaches majority without a vote closing it)
+    const rule = getPollRule(trip.stage);
+    if (!rule) {
+      return null;
+    }
+
+    const allMembers = await db.getMembers(trip.id);
+    const context = {
+      trip,
+      allMembers,
+      currentPoll: { type: rule.type, tripId: trip.id, runoffOf: rule.runoffOf || null },
+      trigger,
+    };
+
+    const result = await this.closePoll(context);
+    if (!result.success && !result.output) {
+      // Nobody voted - go back to planning as before
+      console.log(`   🗳️  Voting: ${rule.type} poll finished with no votes, returning to planning`);
+      const { requestStateTransition } = await import('../state/stateMachine.js');
+      await requestStateTransition(trip.id, 'planning', `${rule.type} poll timed out with no votes`, { trigger });
+    }
+    return result;
+  }
+
+  createRunoffMessage(options, rule, memberCount, majorityThreshold) {
+    options = options.map(placeName);
+    let message = `🤝 IT'S A TIE! Runoff time 🗳️\n\n`;
+    message += `${options.join(' and ')} tied${options.length > 2 ? ' for first' : ''}. Vote again between just these - reply with JUST THE NUMBER:\n\n`;
+
+    options.forEach((option, index) => {
+      const emoji = rule.runoffOf === 'destination' ? '✈️' : '📅';
+      message += `${index + 1}️⃣ ${emoji} ${option}\n`;
+    });
+
+    message += `\n📊 Runoff Rules:\n`;
+    message += `• Need ${majorityThreshold} out of ${memberCount} votes (${rule.majorityLabel}) to lock it in\n`;
+    message += `• Runoff closes when majority reached or after ${rule.timeoutHours} hours\n`;
+    message += `• If it ties again, the tie-break rule decides`;
+
+    return message;
+  }
+
+  async handlePollCommand(context, message) {
+    const { trip, member } = context;
+    const parsed = parsePollCommand(message.body);
+
+    if (parsed.error) {
+      return {
+        success: true,
+        output: { type: 'side_poll_invalid', message: parsed.error, sendTo: 'individual' },
+      };
+    }
+
+    if (!member) {
+      return { success: false, skip: true };
+    }
+
+    // Yes/no questions are always a straight vote; other polls follow the trip's voting method
+    const votingMethod = parsed.category === 'yes_no' ? DEFAULT_VOTING_METHOD : await this.getVotingMethod(trip.id);
+    const poll = await db.createPoll(trip.id, {
+      question: parsed.question,
+      options: parsed.options,
+      category: parsed.category,
+      votingMethod,
+      closeRule: parsed.closeRule,
+      deadline: new Date(Date.now() + parsed.deadlineHours * 60 * 60 * 1000),
+      createdBy: member.id,
+    });
+    console.log(`   🗳️  Voting: Side poll #${poll.poll_number} created by ${member.name}: "${poll.question}" (${parsed.options.join(', ')})`);
+
+    return {
+      success: true,
+      output: {
+        type: 'side_poll_started',
+        pollId: poll.id,
+        pollNumber: poll.poll_number,
+        question: poll.question,
+        options: parsed.options,
+        category: poll.category,
+        closeRule: poll.close_rule,
+        deadline: poll.deadline,
+        message: this.createSidePollMessage(poll, member.name, parsed.deadlineHours, isPollStage(trip.stage)),
+        sendTo: 'group',
+      },
+    };
+  }
+
+  async listSidePolls(context) {
+    const openPolls = await db.getOpenPolls(context.trip.id);
+    const message = openPolls.length === 0
+      ? 'No polls are open right now. Start one with "@bot poll: which hostel? A, B, C"'
+      : `📊 Open polls:\n${openPolls.map(poll => `#${poll.poll_number} ${poll.question} (${poll.options.map((opt, idx) => `${idx + 1}. ${opt}`).join(', ')})`).join('\n')}\n\nReply "vote #<poll> <number>" to vote.`;
+
+    return {
+      success: true,
+      output: { type: 'side_poll_list', message, sendTo: 'individual' },
+    };
+  }
+
+  // "@bot undo" of a vote or suggestion journaled above - puts back what it replaced
+  // Returns false if it can't be undone any more (the side poll it was for has closed)
+  async revertJournalEntry(tripId, entry) {
+    if (entry.action === 'destination_suggestion') {
+      await db.deleteDestinationSuggestions(tripId, entry.current.ids);
+      return true;
+    }
+
+    if (isSidePollType(entry.target)) {
+      const poll = await db.getPoll(sidePollId(entry.target));
+      if (!poll || poll.status !== 'open') {
+        return false;
+      }
+    }
+    if (entry.previous) {
+      await db.createVote(tripId, entry.target, entry.member_id, entry.previous);
+      await db.createVoteHistory(tripId, entry.target, entry.member_id, entry.current ? 'changed' : 'cast', entry.current, entry.previous);
+    } else {
+      await db.deleteVote(tripId, entry.target, entry.member_id);
+      await db.createVoteHistory(tripId, entry.target, entry.member_id, 'retracted', entry.current, null);
+    }
+    return true;
+  }
+
+  // "vote 2" when the trip's own poll isn't open, or "vote #3 2" any time
+  async handleSidePollVote(context, { pollNumber, choiceText }) {
+    const { trip, member, allMembers } = context;
+    const openPolls = await db.getOpenPolls(trip.id);
+
+    if (openPolls.length === 0) {
+      return {
+        success: true,
+        output: { type: 'side_poll_invalid', message: 'No polls are open right now.', sendTo: 'individual' },
+      };
+    }
+
+    const poll = pollNumber ? openPolls.find(p => p.poll_number === pollNumber) : openPolls[0];
+    if (!poll) {
+      return {
+        success: true,
+        output: {
+          type: 'side_poll_invalid',
+          message: `Poll #${pollNumber} isn't open. Open polls: ${openPolls.map(p => `#${p.poll_number} ${p.question}`).join(', ')}`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const pollType = pollVoteType(poll.id);
+
+    if (VotingAgent.isVoteRetraction(choiceText)) {
+      const removed = await db.deleteVote(trip.id, pollType, member.id);
+      if (removed) {
+        await db.createVoteHistory(trip.id, pollType, member.id, 'retracted', removed.choice, null);
+        await journalAction(context, 'vote', { target: pollType, previous: removed.choice });
+      }
+      return {
+        success: true,
+        output: {
+          type: 'side_poll_vote_retracted',
+          message: removed ? `Removed your vote on poll #${poll.poll_number}.` : `You haven't voted on poll #${poll.poll_number} yet.`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    // Reuse the main poll vote parsing (numbers or natural language)
+    const ballotText = VotingAgent.stripVoteChangePhrase(choiceText) || choiceText;
+    let ballot;
+    if (poll.voting_method === 'plurality') {
+      const vote = await this.parseVote(ballotText, pollType, context);
+      ballot = vote ? [vote] : [];
+    } else {
+      ballot = await this.parseMultiChoiceVote(ballotText, pollType, context, poll.voting_method);
+    }
+
+    if (ballot.length === 0) {
+      return {
+        success: true,
+        output: {
+          type: 'side_poll_invalid',
+          message: `Couldn't match "${choiceText}" to an option on poll #${poll.poll_number}: ${poll.options.map((opt, idx) => `${idx + 1}. ${opt}`).join(', ')}`,
+          sendTo: 'individual',
+        },
+      };
+    }
+
+    const serializedBallot = serializeBallot(ballot, poll.voting_method);
+    const previousVote = await db.getMemberVote(trip.id, pollType, member.id);
+    await db.createVote(trip.id, pollType, member.id, serializedBallot);
+    if (!previousVote || previousVote.choice !== serializedBallot) {
+      await db.createVoteHistory(trip.id, pollType, member.id, previousVote ? 'changed' : 'cast', previousVote?.choice || null, serializedBallot);
+      await journalAction(context, 'vote', { target: pollType, previous: previousVote?.choice || null, current: serializedBallot });
+    }
+
+    const votes = await db.getVotes(trip.id, pollType);
+    const tally = tallyVotes(votes, poll.options, poll.voting_method);
+    const memberCount = allMembers.length;
+    console.log(`   🗳️  Voting: Side poll #${poll.poll_number} vote from ${member.name}: "${describeBallot(ballot, poll.voting_method)}" (${votes.length}/${memberCount})`);
+
+    if (shouldClosePoll(poll.close_rule, { results: tally.results, voteCount: votes.length, memberCount })) {
+      const closed = await this.closeSidePoll(poll);
+      if (closed) {
+        return closed;
+      }
+    }
+
+    return {
+      success: true,
+      output: {
+        type: 'side_poll_vote_recorded',
+        message: `Got it - ${describeBallot(ballot, poll.voting_method)} on poll #${poll.poll_number} (${votes.length}/${memberCount} voted)`,
+        sendTo: 'individual',
+      },
+    };
+  }
+
+  // Re-check every open side poll against its close rule - the member count changed under them
+  // Returns the outputs of any polls that closed
+  async reevaluateSidePolls(tripId) {
+    const memberCount = await db.getMemberCount(tripId);
+    const closedPolls = [];
+    for (const poll of await db.getOpenPolls(tripId)) {
+      const votes = await db.getVotes(tripId, pollVoteType(poll.id));
+      const tally = tallyVotes(votes, poll.options, poll.voting_method);
+      if (shouldClosePoll(poll.close_rule, { results: tally.results, voteCount: votes.length, memberCount })) {
+        const closed = await this.closeSidePoll(poll);
+        if (closed) closedPolls.push(closed.output);
+      }
+    }
+    return closedPolls;
+  }
+
+  // Tally and close a side poll - used when its close rule is met and by the scheduler at the deadline
+  // Returns null if someone else already closed it
+  async closeSidePoll(poll) {
+    const pollType = pollVoteType(poll.id);
+    const votes = await db.getVotes(poll.trip_id, pollType);
+    const tally = tallyVotes(votes, poll.options, poll.voting_method);
+
+    let winner = tally.winner;
+    let tieBreak = null;
+    if (tally.tiedOptions.length > 1) {
+      tieBreak = await this.breakTie(poll.trip_id, pollType, tally.tiedOptions);
+      winner = tieBreak.winner;
+    }
+
+    const closed = await db.closeSidePoll(poll.id, winner, {
+      results: tally.results,
+      rounds: tally.rounds,
+      tieBreak,
+    });
+    if (!closed) {
+      return null;
+    }
+    console.log(`   🗳️  Voting: Side poll #${poll.poll_number} closed - winner: ${winner || 'none'}`);
+
+    return {
+      success: true,
+      output: {
+        type: 'side_poll_closed',
+        pollId: poll.id,
+        pollNumber: poll.poll_number,
+        question: poll.question,
+        winner,
+        results: tally.results,
+        tieBreak,
+        message: this.createSidePollResultMessage(poll, winner, tally.results, tieBreak),
+        sendTo: 'group',
+      },
+    };
+  }
+
+  // mainPollOpen: the trip's own vote is running too, so a bare "vote 1" would go to it
+  createSidePollMessage(poll, creatorName, deadlineHours, mainPollOpen = false) {
+    const replyHint = {
+      plurality: 'vote 1',
+      approval: 'vote 1 and 2',
+      ranked: 'vote 2, 1',
+    };
+    const duration = deadlineHours >= 24 && deadlineHours % 24 === 0
+      ? `${deadlineHours / 24} day${deadlineHours > 24 ? 's' : ''}`
+      : deadlineHours >= 1 ? `${deadlineHours} hour${deadlineHours !== 1 ? 's' : ''}` : `${Math.round(deadlineHours * 60)} minutes`;
+
+    let message = `📊 POLL #${poll.poll_number} from ${creatorName}: ${poll.question}\n\n`;
+    poll.options.forEach((option, index) => {
+      message += `${index + 1}️⃣ ${option}\n`;
+    });
+    const hint = replyHint[poll.voting_method] || replyHint.plurality;
+    message += mainPollOpen
+      ? `\nReply "${hint.replace(/^vote/, `vote #${poll.poll_number}`)}" to vote.\n`
+      : `\nReply "${hint}" to vote (or "vote #${poll.poll_number} ..." if more than one poll is open).\n`;
+    message += poll.close_rule === 'deadline'
+      ? `Closes in ${duration}.`
+      : `Closes when ${POLL_CLOSE_RULES[poll.close_rule]} or in ${duration}.`;
+    return message;
+  }
+
+  createSidePollResultMessage(poll, winner, results, tieBreak) {
+    if (!winner) {
+      return `📊 Poll #${poll.poll_number} closed with no votes: ${poll.question}`;
+    }
+
+    let message = `📊 Poll #${poll.poll_number} results: ${poll.question}\n\n`;
+    message += results.map(r => `${r.choice === winner ? '🏆' : '•'} ${r.choice}: ${r.voteCount}`).join('\n');
+    message += `\n\nWinner: ${winner}!`;
+    if (tieBreak) {
+      message += ` (tied - ${tieBreak.description}${tieBreak.seed !== null ? `, seed ${tieBreak.seed}` : ''})`;
+    }
+    return message;
+  }
+
   getPendingVoters(context, existingVotes) {
     const voted = new Set(existingVotes.map(v => v.member_id));
     const pending = context.allMembers
@@ -5,6 +5,8 @@ dotenv.config();
 export const config = {
   database: {
     url: process.env.DATABASE_URL || 'postgresql://localhost:5432/voyaj',
+    // Connections reserved for per-trip advisory locks (one per trip being worked on at once)
+    lockPoolSize: parseInt(process.env.DB_LOCK_POOL_SIZE || '10', 10),
   },
   anthropic: {
     apiKey: process.env.ANTHROPIC_API_KEY,
@@ -13,12 +15,81 @@ export const config = {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+    // Reject /sms/incoming requests without a valid X-Twilio-Signature (set to 'false' only for local tunnels)
+    validateSignatures: process.env.TWILIO_VALIDATE_SIGNATURES !== 'false',
+    // Public base URL Twilio calls (e.g. https://voyaj.example.com) - needed when behind a proxy
+    webhookBaseUrl: process.env.TWILIO_WEBHOOK_BASE_URL,
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+  },
+  messaging: {
+    // Outbound SMS provider: 'mock' (console only) | 'local' (npm run sms:local) | 'twilio'
+    provider: process.env.MESSAGING_PROVIDER || 'mock',
+    localPort: parseInt(process.env.MESSAGING_LOCAL_PORT || '3999', 10),
+    localUrl: process.env.MESSAGING_LOCAL_URL || `http://127.0.0.1:${process.env.MESSAGING_LOCAL_PORT || '3999'}`,
+    // Where providers report delivery status (unset = no status callbacks)
+    statusCallbackUrl: process.env.MESSAGING_STATUS_CALLBACK_URL
+      || (process.env.TWILIO_WEBHOOK_BASE_URL ? `${process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/$/, '')}/sms/status` : undefined),
+    // A member is unreachable once this many of our latest texts to them failed in a row
+    unreachableAfterFailures: parseInt(process.env.MESSAGING_UNREACHABLE_AFTER_FAILURES || '3', 10),
+    // Sends over a rate limit wait for a free slot (Twilio queues anything over the number's own throughput)
+    rateLimits: {
+      perTripPerMinute: parseInt(process.env.SMS_RATE_PER_TRIP_PER_MINUTE || '30', 10),
+      globalPerSecond: parseInt(process.env.SMS_RATE_GLOBAL_PER_SECOND || '10', 10),
+    },
+    // SMS segments a trip may send per day (0 = unlimited); replies get shorter past the warning ratio
+    dailySegmentBudget: parseInt(process.env.SMS_DAILY_SEGMENT_BUDGET || '400', 10),
+    budgetWarningRatio: 0.8,
   },
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
     testMode: process.env.TEST_MODE === 'true' || process.env.NODE_ENV === 'test',
   },
+  queue: {
+    // Failed messages are retried with exponential backoff, then dead-lettered
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10),
+    retryBaseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS || (process.env.TEST_MODE === 'true' ? '100' : '2000'), 10),
+    retryMaxDelayMs: 5 * 60 * 1000,
+  },
+  invites: {
+    // "JOIN <invite_code>" works for this long after a trip is created (or its invite is renewed)
+    expiryDays: parseInt(process.env.INVITE_EXPIRY_DAYS || '14', 10),
+    // After "JOIN <code>", their next 1:1 text is taken as their name for this long
+    nameWindowMinutes: parseInt(process.env.INVITE_NAME_WINDOW_MINUTES || '30', 10),
+  },
+  inbound: {
+    // Same sender + same text within this window (and no MessageSid) is treated as a webhook retry
+    duplicateWindowSeconds: parseInt(process.env.INBOUND_DUPLICATE_WINDOW_SECONDS || '60', 10),
+    // Default for trips without their own sender_policy: 'members' | 'open_while_joining'
+    senderPolicy: process.env.INBOUND_SENDER_POLICY || 'open_while_joining',
+    // 1:1 texts from someone in several trips go to the most recently active one, unless another
+    // was active within this many minutes of it - then we ask which trip (or they prefix "#CODE")
+    tripRoutingWindowMinutes: parseInt(process.env.INBOUND_TRIP_ROUTING_WINDOW_MINUTES || '60', 10),
+  },
+  undo: {
+    // "@bot undo" takes back a member's latest vote, suggestion, dates or flight for this long
+    windowMinutes: parseInt(process.env.UNDO_WINDOW_MINUTES || '15', 10),
+  },
+  digest: {
+    // How long acks are collected before a trip in digest mode gets its summary ("@bot digest on 15")
+    windowMinutes: parseInt(process.env.DIGEST_WINDOW_MINUTES || '10', 10),
+  },
+  quietHours: {
+    // Local hours (in each member's time zone) when bot-initiated texts wait - trips can change them
+    start: parseInt(process.env.QUIET_HOURS_START || '22', 10),
+    end: parseInt(process.env.QUIET_HOURS_END || '8', 10),
+    // For members whose time zone we can't infer from their number
+    defaultTimeZone: process.env.DEFAULT_TIME_ZONE || 'America/New_York',
+  },
+  admin: {
+    // Required as the X-Admin-Token header on /admin routes (unset = admin routes only outside production)
+    token: process.env.ADMIN_TOKEN,
+  },
+  voting: {
+    // How a runoff that ties again is settled: 'earliest_suggestion' | 'organizer' | 'random'
+    // Trips can override this with "@bot tiebreak <rule>"
+    tieBreakRule: process.env.TIE_BREAK_RULE || 'earliest_suggestion',
+  },
   claude: {
     // Model selection: Haiku for tests (cheapest), Sonnet 4 for production
     // Haiku 3: $0.25/$1.25 per million tokens (input/output) - cheapest option for state machine testing
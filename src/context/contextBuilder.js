@@ -1,4 +1,6 @@
 import * as db from '../db/queries.js';
+import { getPollRule } from '../state/stateMachine.js';
+import { describeDestination } from '../utils/tripLegs.js';
 
 export class ContextBuilder {
   async build(tripId, phone, intent) {
@@ -12,7 +14,7 @@ export class ContextBuilder {
       trip: {
         id: trip.id,
         stage: trip.stage,
-        destination: trip.destination,
+        destination: describeDestination(trip.destination),
         dates: {
           start: trip.start_date,
           end: trip.end_date,
@@ -35,21 +37,17 @@ export class ContextBuilder {
     switch (agentType) {
       case 'voting': {
         const trip = await db.getTrip(tripId);
-        let pollType = null;
-        if (trip.stage === 'voting_destination') {
-          pollType = 'destination';
-        } else if (trip.stage === 'voting_dates') {
-          pollType = 'dates';
-        }
+        const pollRule = getPollRule(trip.stage);
         
         const context = {};
         
-        if (pollType) {
+        if (pollRule) {
           context.currentPoll = {
-            type: pollType,
+            type: pollRule.type,
             tripId,
+            runoffOf: pollRule.runoffOf || null,
           };
-          context.existingVotes = await db.getVotes(tripId, pollType);
+          context.existingVotes = await db.getVotes(tripId, pollRule.type);
         }
         
         // Add suggestion/availability context for collection phases
@@ -46,26 +46,65 @@ export async function updateTrip(tripId, updates) {
   return result.rows[0];
 }
 
+// Trip legs
+export async function getTripLegs(tripId) {
+  const result = await pool.query(
+    `SELECT id, position, destination, to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date
+     FROM trip_legs
+     WHERE trip_id = $1
+     ORDER BY position ASC`,
+    [tripId]
+  );
+  return result.rows;
+}
+
+// Legs are always written as a whole list, in travel order (an empty list makes it a single-stop trip again)
+export async function replaceTripLegs(tripId, legs) {
+  const result = await pool.query(
+    `WITH cleared AS (DELETE FROM trip_legs WHERE trip_id = $1)
+     INSERT INTO trip_legs (trip_id, position, destination, start_date, end_date)
+     SELECT $1, leg.position, leg.destination, leg.start_date, leg.end_date
+     FROM unnest($2::text[], $3::date[], $4::date[]) WITH ORDINALITY AS leg(destination, start_date, end_date, position)
+     RETURNING *`,
+    [tripId, legs.map(l => l.destination), legs.map(l => l.startDate || null), legs.map(l => l.endDate || null)]
+  );
+  return result.rows.sort((a, b) => a.position - b.position);
+}
+
 // Members
-export async function getMemberByPhone(phoneNumber) {
+// Every trip this phone is an active member of, with when they last texted, were texted, or joined
+export async function getMembershipsByPhone(phoneNumber) {
   const result = await pool.query(
-    'SELECT * FROM members WHERE phone_number = $1 ORDER BY joined_at DESC LIMIT 1',
+    `SELECT m.id as member_id, t.*,
+       GREATEST(
+         m.joined_at,
+         (SELECT MAX(received_at) FROM messages WHERE trip_id = m.trip_id AND from_phone = m.phone_number),
+         (SELECT MAX(created_at) FROM outbound_messages WHERE trip_id = m.trip_id AND to_phone = m.phone_number)
+       ) as last_activity_at
+     FROM members m
+     JOIN trips t ON m.trip_id = t.id
+     WHERE m.phone_number = $1 AND m.left_at IS NULL
+     ORDER BY last_activity_at DESC`,
     [phoneNumber]
   );
-  return result.rows[0] || null;
+  return result.rows.map(({ member_id: memberId, last_activity_at: lastActivityAt, ...trip }) => ({ memberId, trip, lastActivityAt }));
 }
 
 export async function getMemberByPhoneAndTrip(tripId, phoneNumber) {
   const result = await pool.query(
-    'SELECT * FROM members WHERE trip_id = $1 AND phone_number = $2',
+    'SELECT * FROM members WHERE trip_id = $1 AND phone_number = $2 AND left_at IS NULL',
     [tripId, phoneNumber]
   );
   return result.rows[0] || null;
 }
 
+// Members taking part - not ones who left, or who opted out of texts (STOP) until they opt back in.
+// Votes, availability and nudges only wait on these.
 export async function getMembers(tripId) {
   const result = await pool.query(
-    'SELECT * FROM members WHERE trip_id = $1 ORDER BY joined_at ASC',
+    `SELECT * FROM members
+     WHERE trip_id = $1 AND left_at IS NULL AND phone_number NOT IN (SELECT phone_number FROM opt_outs)
+     ORDER BY joined_at ASC`,
     [tripId]
   );
   return result.rows;
@@ -73,23 +112,69 @@ export async function getMembers(tripId) {
 
 export async function getMemberCount(tripId) {
   const result = await pool.query(
-    'SELECT COUNT(*) as count FROM members WHERE trip_id = $1',
+    `SELECT COUNT(*) as count FROM members
+     WHERE trip_id = $1 AND left_at IS NULL AND phone_number NOT IN (SELECT phone_number FROM opt_outs)`,
     [tripId]
   );
   return parseInt(result.rows[0].count, 10);
 }
 
-export async function createMember(tripId, phoneNumber, name) {
+export async function createMember(tripId, phoneNumber, name, timeZone = null) {
   const result = await pool.query(
-    `INSERT INTO members (trip_id, phone_number, name)
-     VALUES ($1, $2, $3)
-     ON CONFLICT (phone_number) DO UPDATE SET trip_id = $1, name = $3
+    `INSERT INTO members (trip_id, phone_number, name, time_zone)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (trip_id, phone_number) DO UPDATE SET name = $3, time_zone = COALESCE(members.time_zone, $4),
+       joined_at = CASE WHEN members.left_at IS NULL THEN members.joined_at ELSE NOW() END,
+       left_at = NULL, left_reason = NULL
      RETURNING *`,
-    [tripId, phoneNumber, name]
+    [tripId, phoneNumber, name, timeZone]
+  );
+  return result.rows[0];
+}
+
+export async function updateMember(memberId, updates) {
+  const fields = Object.keys(updates);
+  const values = Object.values(updates);
+  const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+
+  const result = await pool.query(
+    `UPDATE members SET ${setClause} WHERE id = $1 RETURNING *`,
+    [memberId, ...values]
   );
   return result.rows[0];
 }
 
+// Soft-deletes a member so their history stays attached to the trip.
+// reason is 'left' (they said "I'm out") or 'removed' (by the organizer).
+export async function deactivateMember(memberId, reason) {
+  const result = await pool.query(
+    `UPDATE members SET left_at = NOW(), left_reason = $2
+     WHERE id = $1 AND left_at IS NULL
+     RETURNING *`,
+    [memberId, reason]
+  );
+  return result.rows[0] || null;
+}
+
+// Make one member the trip's organizer (everyone else goes back to being a member)
+export async function setOrganizer(tripId, memberId) {
+  const result = await pool.query(
+    `UPDATE members SET role = CASE WHEN id = $2 THEN 'organizer' ELSE 'member' END
+     WHERE trip_id = $1
+     RETURNING *`,
+    [tripId, memberId]
+  );
+  return result.rows.find(m => m.id === memberId) || null;
+}
+
+export async function setMemberUnreachable(memberId, unreachable) {
+  const result = await pool.query(
+    'UPDATE members SET unreachable_at = $2 WHERE id = $1 RETURNING *',
+    [memberId, unreachable ? new Date() : null]
+  );
+  return result.rows[0] || null;
+}
+
 // Votes
 export async function createVote(tripId, pollType, memberId, choice) {
   const result = await pool.query(
@@ -102,24 +187,184 @@ export async function createVote(tripId, pollType, memberId, choice) {
   return result.rows[0];
 }
 
+// Ballots of members still on the trip - like getMembers, someone who texted STOP sits out (their ballot
+// counts again if they text START)
 export async function getVotes(tripId, pollType = null) {
-  let query = 'SELECT * FROM votes WHERE trip_id = $1';
+  let query = `SELECT v.* FROM votes v
+     JOIN members m ON v.member_id = m.id
+     WHERE v.trip_id = $1 AND m.left_at IS NULL
+       AND m.phone_number NOT IN (SELECT phone_number FROM opt_outs)`;
   const params = [tripId];
   
   if (pollType) {
-    query += ' AND poll_type = $2';
+    query += ' AND v.poll_type = $2';
     params.push(pollType);
   }
   
-  query += ' ORDER BY voted_at ASC';
+  query += ' ORDER BY v.voted_at ASC';
   
   const result = await pool.query(query, params);
   return result.rows;
 }
 
+export async function getMemberVote(tripId, pollType, memberId) {
+  const result = await pool.query(
+    'SELECT * FROM votes WHERE trip_id = $1 AND poll_type = $2 AND member_id = $3',
+    [tripId, pollType, memberId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteVote(tripId, pollType, memberId) {
+  const result = await pool.query(
+    'DELETE FROM votes WHERE trip_id = $1 AND poll_type = $2 AND member_id = $3 RETURNING *',
+    [tripId, pollType, memberId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteMemberVotes(tripId, memberId) {
+  const result = await pool.query(
+    'DELETE FROM votes WHERE trip_id = $1 AND member_id = $2 RETURNING *',
+    [tripId, memberId]
+  );
+  return result.rows;
+}
+
+export async function deleteVotes(tripId, pollType) {
+  await pool.query(
+    'DELETE FROM votes WHERE trip_id = $1 AND poll_type = $2',
+    [tripId, pollType]
+  );
+}
+
+// Side polls
+export async function createPoll(tripId, data) {
+  const result = await pool.query(
+    `INSERT INTO polls (trip_id, poll_number, question, options, category, voting_method, close_rule, deadline, created_by)
+     VALUES ($1, (SELECT COALESCE(MAX(poll_number), 0) + 1 FROM polls WHERE trip_id = $1), $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      tripId,
+      data.question,
+      JSON.stringify(data.options),
+      data.category,
+      data.votingMethod,
+      data.closeRule,
+      data.deadline,
+      data.createdBy,
+    ]
+  );
+  return result.rows[0];
+}
+
+export async function getPoll(pollId) {
+  const result = await pool.query('SELECT * FROM polls WHERE id = $1', [pollId]);
+  return result.rows[0] || null;
+}
+
+export async function getOpenPolls(tripId) {
+  const result = await pool.query(
+    `SELECT * FROM polls WHERE trip_id = $1 AND status = 'open' ORDER BY poll_number DESC`,
+    [tripId]
+  );
+  return result.rows;
+}
+
+export async function getExpiredPolls() {
+  const result = await pool.query(
+    `SELECT * FROM polls WHERE status = 'open' AND deadline IS NOT NULL AND deadline < NOW() ORDER BY deadline ASC`
+  );
+  return result.rows;
+}
+
+// Returns null if the poll was already closed (e.g. by the scheduler and a vote at the same time)
+export async function closeSidePoll(pollId, winner, resultData) {
+  const result = await pool.query(
+    `UPDATE polls SET status = 'closed', winner = $2, result = $3, closed_at = NOW()
+     WHERE id = $1 AND status = 'open'
+     RETURNING *`,
+    [pollId, winner, JSON.stringify(resultData)]
+  );
+  return result.rows[0] || null;
+}
+
+export async function extendPollDeadline(pollId, deadline) {
+  const result = await pool.query(
+    `UPDATE polls SET deadline = $2 WHERE id = $1 AND status = 'open' RETURNING *`,
+    [pollId, deadline]
+  );
+  return result.rows[0] || null;
+}
+
+// Vote history
+export async function createVoteHistory(tripId, pollType, memberId, action, previousChoice, newChoice) {
+  const result = await pool.query(
+    `INSERT INTO vote_history (trip_id, poll_type, member_id, action, previous_choice, new_choice)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [tripId, pollType, memberId, action, previousChoice, newChoice]
+  );
+  return result.rows[0];
+}
+
+export async function getVoteHistory(tripId, pollType = null) {
+  let query = `SELECT vh.*, m.name as member_name
+     FROM vote_history vh
+     JOIN members m ON vh.member_id = m.id
+     WHERE vh.trip_id = $1`;
+  const params = [tripId];
+
+  if (pollType) {
+    query += ' AND vh.poll_type = $2';
+    params.push(pollType);
+  }
+
+  query += ' ORDER BY vh.created_at ASC';
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+// Stage transitions
+export async function createStageTransition(tripId, { fromStage, toStage, reason, trigger, messageId = null }) {
+  const result = await pool.query(
+    `INSERT INTO stage_transitions (trip_id, from_stage, to_stage, reason, trigger, message_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [tripId, fromStage, toStage, reason, trigger, messageId]
+  );
+  return result.rows[0];
+}
+
+export async function getStageTransitions(tripId) {
+  const result = await pool.query(
+    `SELECT st.*, m.body as message_body, m.from_phone as message_from
+     FROM stage_transitions st
+     LEFT JOIN messages m ON st.message_id = m.id
+     WHERE st.trip_id = $1
+     ORDER BY st.created_at ASC`,
+    [tripId]
+  );
+  return result.rows;
+}
+
+export async function getStageTransitionsSince(tripId, since) {
+  const result = await pool.query(
+    `SELECT * FROM stage_transitions
+     WHERE trip_id = $1 AND created_at > $2
+     ORDER BY created_at ASC`,
+    [tripId, since]
+  );
+  return result.rows;
+}
+
 export async function getVoteCount(tripId, pollType) {
   const result = await pool.query(
-    'SELECT COUNT(*) as count FROM votes WHERE trip_id = $1 AND poll_type = $2',
+    `SELECT COUNT(*) as count
+     FROM votes v
+     JOIN members m ON v.member_id = m.id
+     WHERE v.trip_id = $1 AND v.poll_type = $2 AND m.left_at IS NULL
+       AND m.phone_number NOT IN (SELECT phone_number FROM opt_outs)`,
     [tripId, pollType]
   );
   return parseInt(result.rows[0].count, 10);
@@ -127,10 +372,12 @@ export async function getVoteCount(tripId, pollType) {
 
 export async function getVoteResults(tripId, pollType) {
   const result = await pool.query(
-    `SELECT choice, COUNT(*) as count
-     FROM votes
-     WHERE trip_id = $1 AND poll_type = $2
-     GROUP BY choice
+    `SELECT v.choice, COUNT(*) as count
+     FROM votes v
+     JOIN members m ON v.member_id = m.id
+     WHERE v.trip_id = $1 AND v.poll_type = $2 AND m.left_at IS NULL
+       AND m.phone_number NOT IN (SELECT phone_number FROM opt_outs)
+     GROUP BY v.choice
      ORDER BY count DESC`,
     [tripId, pollType]
   );
@@ -151,12 +398,29 @@ export async function createFlight(tripId, memberId, data) {
   return result.rows[0];
 }
 
+export async function getMemberFlight(tripId, memberId) {
+  const result = await pool.query(
+    'SELECT * FROM flights WHERE trip_id = $1 AND member_id = $2',
+    [tripId, memberId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteFlight(tripId, memberId) {
+  const result = await pool.query(
+    'DELETE FROM flights WHERE trip_id = $1 AND member_id = $2 RETURNING *',
+    [tripId, memberId]
+  );
+  return result.rows[0] || null;
+}
+
 export async function getFlights(tripId) {
   const result = await pool.query(
     `SELECT f.*, m.name as member_name
      FROM flights f
      JOIN members m ON f.member_id = m.id
-     WHERE f.trip_id = $1
+     WHERE f.trip_id = $1 AND m.left_at IS NULL
+       AND m.phone_number NOT IN (SELECT phone_number FROM opt_outs)
      ORDER BY f.created_at ASC`,
     [tripId]
   );
@@ -165,7 +429,11 @@ export async function getFlights(tripId) {
 
 export async function getFlightCount(tripId) {
   const result = await pool.query(
-    'SELECT COUNT(*) as count FROM flights WHERE trip_id = $1',
+    `SELECT COUNT(*) as count
+     FROM flights f
+     JOIN members m ON f.member_id = m.id
+     WHERE f.trip_id = $1 AND m.left_at IS NULL
+       AND m.phone_number NOT IN (SELECT phone_number FROM opt_outs)`,
     [tripId]
   );
   return parseInt(result.rows[0].count, 10);
@@ -182,6 +450,300 @@ export async function createMessage(tripId, fromPhone, body, groupChatId, source
   return result.rows[0];
 }
 
+// Claim an inbound webhook delivery - false if it's one we've already seen
+// key: the provider's message id (claimed once, ever) or, for providers without ids, a content hash that
+// can be claimed again once windowSeconds have passed. One statement, so concurrent deliveries can't both win.
+export async function claimInboundDelivery(key, windowSeconds = null) {
+  const result = await pool.query(
+    `INSERT INTO inbound_deliveries (delivery_key) VALUES ($1)
+     ON CONFLICT (delivery_key) DO UPDATE SET received_at = NOW()
+       WHERE $2::int IS NOT NULL AND inbound_deliveries.received_at <= NOW() - ($2::int * INTERVAL '1 second')
+     RETURNING delivery_key`,
+    [key, windowSeconds]
+  );
+  return result.rows.length > 0;
+}
+
+// Give a claimed delivery back (we failed to handle it), so the provider's retry gets through
+export async function releaseInboundDelivery(key) {
+  await pool.query('DELETE FROM inbound_deliveries WHERE delivery_key = $1', [key]);
+}
+
+// Save an inbound webhook message - a delivery retried after we failed part-way gets the same row back
+export async function recordInboundMessage(tripId, { from, body, groupChatId, source = 'sms', providerMessageId = null }) {
+  const result = await pool.query(
+    `INSERT INTO messages (trip_id, from_phone, body, group_chat_id, source, provider_message_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (provider_message_id) DO UPDATE SET provider_message_id = EXCLUDED.provider_message_id
+     RETURNING *`,
+    [tripId, from, body, groupChatId, source, providerMessageId]
+  );
+  return result.rows[0];
+}
+
+// Outbound messages (delivery status tracking)
+export async function createOutboundMessage(tripId, { to, body, providerSid, status, segments = 1 }) {
+  const result = await pool.query(
+    `INSERT INTO outbound_messages (trip_id, to_phone, body, provider_sid, status, segments)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (provider_sid) DO NOTHING
+     RETURNING *`,
+    [tripId, to, body, providerSid, status, segments]
+  );
+  return result.rows[0] || null;
+}
+
+// SMS segments sent for a trip since midnight (server time) - failed sends still cost
+export async function getSegmentsSentToday(tripId) {
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(segments), 0) AS segments FROM outbound_messages
+     WHERE trip_id = $1 AND created_at >= date_trunc('day', NOW())`,
+    [tripId]
+  );
+  return parseInt(result.rows[0].segments, 10);
+}
+
+export async function getOutboundMessageBySid(providerSid) {
+  const result = await pool.query('SELECT * FROM outbound_messages WHERE provider_sid = $1', [providerSid]);
+  return result.rows[0] || null;
+}
+
+export async function updateOutboundMessageStatus(id, status, errorCode = null) {
+  const result = await pool.query(
+    `UPDATE outbound_messages SET status = $2, error_code = $3, status_updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, status, errorCode]
+  );
+  return result.rows[0] || null;
+}
+
+// Opt-outs (STOP keywords) - per phone number, across all trips
+export async function createOptOut(phoneNumber, keyword) {
+  await pool.query(
+    `INSERT INTO opt_outs (phone_number, keyword)
+     VALUES ($1, $2)
+     ON CONFLICT (phone_number) DO UPDATE SET keyword = $2, opted_out_at = NOW()`,
+    [phoneNumber, keyword]
+  );
+}
+
+export async function deleteOptOut(phoneNumber) {
+  await pool.query('DELETE FROM opt_outs WHERE phone_number = $1', [phoneNumber]);
+}
+
+export async function isOptedOut(phoneNumber) {
+  const result = await pool.query('SELECT 1 FROM opt_outs WHERE phone_number = $1', [phoneNumber]);
+  return result.rows.length > 0;
+}
+
+// Admin actions (organizer-only commands, allowed or not)
+export async function createAdminAction(tripId, { memberId, command, args = null, allowed }) {
+  const result = await pool.query(
+    `INSERT INTO admin_actions (trip_id, member_id, command, args, allowed)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [tripId, memberId, command, args, allowed]
+  );
+  return result.rows[0];
+}
+
+export async function getAdminActions(tripId, limit = 50) {
+  const result = await pool.query(
+    `SELECT aa.*, m.name as member_name
+     FROM admin_actions aa
+     LEFT JOIN members m ON aa.member_id = m.id
+     WHERE aa.trip_id = $1
+     ORDER BY aa.created_at DESC
+     LIMIT $2`,
+    [tripId, limit]
+  );
+  return result.rows;
+}
+
+// Action journal ("@bot undo")
+// trip_before is read from the trip row in the same statement, before the action moves the trip on
+export async function createJournalEntry(tripId, { memberId, messageId = null, action, target = null, previous = null, current = null }) {
+  const result = await pool.query(
+    `INSERT INTO action_journal (trip_id, member_id, message_id, action, target, previous, current, trip_before)
+     SELECT t.id, $2, $3, $4, $5, $6, $7,
+       jsonb_build_object(
+         'stage', t.stage,
+         'stage_entered_at', t.stage_entered_at,
+         'stage_deadline_at', t.stage_deadline_at,
+         'destination', t.destination,
+         'start_date', t.start_date,
+         'end_date', t.end_date,
+         'runoff_options', t.runoff_options,
+         'all_flights_booked', t.all_flights_booked,
+         'legs', (SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'destination', l.destination,
+           'start_date', to_char(l.start_date, 'YYYY-MM-DD'),
+           'end_date', to_char(l.end_date, 'YYYY-MM-DD')
+         ) ORDER BY l.position), '[]'::jsonb) FROM trip_legs l WHERE l.trip_id = t.id)
+       )
+     FROM trips t WHERE t.id = $1
+     RETURNING *`,
+    [
+      tripId,
+      memberId,
+      messageId,
+      action,
+      target,
+      previous === null ? null : JSON.stringify(previous),
+      current === null ? null : JSON.stringify(current),
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getLastJournalEntry(tripId, memberId) {
+  const result = await pool.query(
+    `SELECT * FROM action_journal
+     WHERE trip_id = $1 AND member_id = $2 AND undone_at IS NULL
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [tripId, memberId]
+  );
+  return result.rows[0] || null;
+}
+
+// Everything journaled on the trip after an entry, by anyone (undone entries included - they still happened)
+export async function getJournalEntriesAfter(tripId, entry) {
+  const result = await pool.query(
+    `SELECT * FROM action_journal
+     WHERE trip_id = $1 AND created_at > $2 AND id != $3
+     ORDER BY created_at ASC`,
+    [tripId, entry.created_at, entry.id]
+  );
+  return result.rows;
+}
+
+export async function markJournalEntryUndone(entryId) {
+  const result = await pool.query(
+    'UPDATE action_journal SET undone_at = NOW() WHERE id = $1 AND undone_at IS NULL RETURNING *',
+    [entryId]
+  );
+  return result.rows[0] || null;
+}
+
+// Join requests ("JOIN <invite_code>" over 1:1 SMS)
+// Texting JOIN again starts the request over
+export async function createJoinRequest(tripId, phoneNumber) {
+  const result = await pool.query(
+    `INSERT INTO join_requests (trip_id, phone_number)
+     VALUES ($1, $2)
+     ON CONFLICT (trip_id, phone_number) DO UPDATE SET status = 'awaiting_name', name = NULL, updated_at = NOW()
+     RETURNING *`,
+    [tripId, phoneNumber]
+  );
+  return result.rows[0];
+}
+
+export async function getJoinRequest(tripId, phoneNumber) {
+  const result = await pool.query(
+    'SELECT * FROM join_requests WHERE trip_id = $1 AND phone_number = $2',
+    [tripId, phoneNumber]
+  );
+  return result.rows[0] || null;
+}
+
+// The trip this phone started joining in the last windowMinutes - their next 1:1 text is their name
+export async function getJoinRequestAwaitingName(phoneNumber, windowMinutes) {
+  const result = await pool.query(
+    `SELECT * FROM join_requests
+     WHERE phone_number = $1 AND status = 'awaiting_name'
+       AND updated_at > NOW() - ($2::int * INTERVAL '1 minute')
+     ORDER BY updated_at DESC LIMIT 1`,
+    [phoneNumber, windowMinutes]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getPendingJoinRequests(tripId) {
+  const result = await pool.query(
+    `SELECT * FROM join_requests WHERE trip_id = $1 AND status = 'pending_approval' ORDER BY updated_at ASC`,
+    [tripId]
+  );
+  return result.rows;
+}
+
+export async function updateJoinRequest(id, { status, name }) {
+  const result = await pool.query(
+    `UPDATE join_requests SET status = $2, name = COALESCE($3, name), updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, status, name || null]
+  );
+  return result.rows[0] || null;
+}
+
+// Deferred messages (held back during quiet hours or over a rate limit)
+// Notes the trip's current stage, so a group message can be dropped if the trip has moved on by the time it's due
+export async function createDeferredMessage(tripId, { to, body, options, sendAfter }) {
+  const result = await pool.query(
+    `INSERT INTO deferred_messages (trip_id, to_phone, body, options, send_after, trip_stage_entered_at)
+     VALUES ($1, $2, $3, $4, $5, (SELECT stage_entered_at FROM trips WHERE id = $1))
+     RETURNING *`,
+    [tripId, to, body, JSON.stringify(options), sendAfter]
+  );
+  return result.rows[0];
+}
+
+// Claim deferred messages that are due - SKIP LOCKED so two senders never claim the same one, and a claim
+// left unresolved for leaseSeconds (the sender died mid-send) can be claimed again.
+// stage_changed: the trip has changed stage since the message was written
+export async function claimDueDeferredMessages(limit = 100, leaseSeconds = 300) {
+  const result = await pool.query(
+    `UPDATE deferred_messages SET claimed_at = NOW(), attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM deferred_messages
+       WHERE sent_at IS NULL AND dropped_at IS NULL AND send_after <= NOW()
+         AND (claimed_at IS NULL OR claimed_at <= NOW() - ($2::int * INTERVAL '1 second'))
+       ORDER BY send_after, created_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *, trip_stage_entered_at IS DISTINCT FROM
+       (SELECT stage_entered_at FROM trips WHERE id = deferred_messages.trip_id) AS stage_changed`,
+    [limit, leaseSeconds]
+  );
+  return result.rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+export async function markDeferredMessageSent(id) {
+  await pool.query(
+    `UPDATE deferred_messages SET sent_at = NOW(), claimed_at = NULL WHERE id = $1`,
+    [id]
+  );
+}
+
+// Still held back when it came due (quiet hours again, rate limit) - try again later
+export async function rescheduleDeferredMessage(id, sendAfter) {
+  await pool.query(
+    `UPDATE deferred_messages SET send_after = $2, claimed_at = NULL WHERE id = $1`,
+    [id, sendAfter]
+  );
+}
+
+export async function dropDeferredMessage(id, reason) {
+  await pool.query(
+    `UPDATE deferred_messages SET dropped_at = NOW(), drop_reason = $2, claimed_at = NULL WHERE id = $1`,
+    [id, reason]
+  );
+}
+
+// Latest statuses of what we sent one recipient in a trip (newest first)
+export async function getRecentOutboundStatuses(tripId, toPhone, limit) {
+  const result = await pool.query(
+    `SELECT status FROM outbound_messages
+     WHERE trip_id = $1 AND to_phone = $2
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [tripId, toPhone, limit]
+  );
+  return result.rows.map(row => row.status);
+}
+
 export async function getRecentMessages(tripId, limit = 10) {
   const result = await pool.query(
     'SELECT * FROM messages WHERE trip_id = $1 ORDER BY received_at DESC LIMIT $2',
@@ -202,6 +764,14 @@ export async function createDestinationSuggestion(tripId, memberId, destination)
   return result.rows[0];
 }
 
+export async function deleteDestinationSuggestions(tripId, suggestionIds) {
+  const result = await pool.query(
+    'DELETE FROM destination_suggestions WHERE trip_id = $1 AND id = ANY($2::uuid[]) RETURNING *',
+    [tripId, suggestionIds]
+  );
+  return result.rows;
+}
+
 export async function getDestinationSuggestions(tripId) {
   const result = await pool.query(
     `SELECT ds.*, m.name as member_name
@@ -236,12 +806,32 @@ export async function createDateAvailability(tripId, memberId, data) {
   return result.rows[0];
 }
 
+// Dates come back as YYYY-MM-DD strings so they can be written back unchanged
+export async function getMemberDateAvailability(tripId, memberId) {
+  const result = await pool.query(
+    `SELECT id, to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date, is_flexible
+     FROM date_availability
+     WHERE trip_id = $1 AND member_id = $2`,
+    [tripId, memberId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteDateAvailability(tripId, memberId) {
+  const result = await pool.query(
+    'DELETE FROM date_availability WHERE trip_id = $1 AND member_id = $2 RETURNING *',
+    [tripId, memberId]
+  );
+  return result.rows[0] || null;
+}
+
 export async function getDateAvailability(tripId) {
   const result = await pool.query(
     `SELECT da.*, m.name as member_name
      FROM date_availability da
      JOIN members m ON da.member_id = m.id
-     WHERE da.trip_id = $1
+     WHERE da.trip_id = $1 AND m.left_at IS NULL
+       AND m.phone_number NOT IN (SELECT phone_number FROM opt_outs)
      ORDER BY da.submitted_at ASC`,
     [tripId]
   );
@@ -250,7 +840,11 @@ export async function getDateAvailability(tripId) {
 
 export async function getDateAvailabilityCount(tripId) {
   const result = await pool.query(
-    'SELECT COUNT(*) as count FROM date_availability WHERE trip_id = $1',
+    `SELECT COUNT(*) as count
+     FROM date_availability da
+     JOIN members m ON da.member_id = m.id
+     WHERE da.trip_id = $1 AND m.left_at IS NULL
+       AND m.phone_number NOT IN (SELECT phone_number FROM opt_outs)`,
     [tripId]
   );
   return parseInt(result.rows[0].count, 10);
@@ -283,13 +877,128 @@ export async function logError(tripId, error, context = {}) {
   );
 }
 
+// Message queue
+export async function enqueueMessage(tripId, payload) {
+  const result = await pool.query(
+    `INSERT INTO queued_messages (trip_id, payload)
+     VALUES ($1, $2)
+     RETURNING *`,
+    [tripId, JSON.stringify(payload)]
+  );
+  return result.rows[0];
+}
+
+// Returns null if the message was already handled (e.g. by another server instance)
+export async function markQueuedMessageProcessing(id) {
+  const result = await pool.query(
+    `UPDATE queued_messages SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'processing')
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+export async function markQueuedMessageDone(id) {
+  await pool.query(
+    `UPDATE queued_messages SET status = 'done', last_error = NULL, processed_at = NOW(), updated_at = NOW()
+     WHERE id = $1`,
+    [id]
+  );
+}
+
+export async function markQueuedMessageFailed(id, errorMessage, nextAttemptAt) {
+  await pool.query(
+    `UPDATE queued_messages SET status = 'pending', last_error = $2, next_attempt_at = $3, updated_at = NOW()
+     WHERE id = $1`,
+    [id, errorMessage, nextAttemptAt]
+  );
+}
+
+export async function markQueuedMessageDead(id, errorMessage) {
+  await pool.query(
+    `UPDATE queued_messages SET status = 'dead', last_error = $2, updated_at = NOW()
+     WHERE id = $1`,
+    [id, errorMessage]
+  );
+}
+
+// Messages left pending (or mid-processing when the server stopped), oldest first
+export async function getResumableQueuedMessages() {
+  const result = await pool.query(
+    `SELECT * FROM queued_messages
+     WHERE status IN ('pending', 'processing')
+     ORDER BY created_at ASC`
+  );
+  return result.rows;
+}
+
+export async function getDeadLetterMessages(limit = 100) {
+  const result = await pool.query(
+    `SELECT qm.*, t.group_chat_id
+     FROM queued_messages qm
+     LEFT JOIN trips t ON qm.trip_id = t.id
+     WHERE qm.status = 'dead'
+     ORDER BY qm.updated_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// Put a dead-lettered message back in line - returns null if it isn't dead
+export async function requeueDeadLetter(id) {
+  const result = await pool.query(
+    `UPDATE queued_messages SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'dead'
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Digest items (trips in digest mode)
+export async function addDigestItem(tripId, { line, pending = null }) {
+  const result = await pool.query(
+    `INSERT INTO digest_items (trip_id, line, pending)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [tripId, line, pending === null ? null : JSON.stringify(pending)]
+  );
+  return result.rows[0];
+}
+
+// A trip's pending items, oldest first - deleted (deleteDigestItems) once the digest has gone out
+export async function getDigestItems(tripId) {
+  const result = await pool.query(
+    'SELECT * FROM digest_items WHERE trip_id = $1 ORDER BY created_at ASC',
+    [tripId]
+  );
+  return result.rows;
+}
+
+export async function deleteDigestItems(ids) {
+  await pool.query('DELETE FROM digest_items WHERE id = ANY($1::uuid[])', [ids]);
+}
+
+// Trips with digest items waiting, and when their window started (for resuming timers on boot)
+export async function getPendingDigests() {
+  const result = await pool.query(
+    `SELECT d.trip_id, MIN(d.created_at) AS first_at, t.digest_window_minutes
+     FROM digest_items d
+     JOIN trips t ON d.trip_id = t.id
+     GROUP BY d.trip_id, t.digest_window_minutes`
+  );
+  return result.rows;
+}
+
 // Helper: Get active trips for nudge scheduler
 export async function getActiveTrips() {
   try {
     // Try query with last_nudge_at column
     const result = await pool.query(
       `SELECT * FROM trips
-       WHERE stage IN ('collecting_destinations', 'voting_destination', 'collecting_dates', 'voting_dates', 'tracking_flights')
+       WHERE stage IN ('collecting_destinations', 'voting_destination', 'collecting_dates', 'voting_dates', 'runoff_destination', 'runoff_dates', 'tracking_flights')
        AND (last_nudge_at IS NULL OR last_nudge_at < NOW() - INTERVAL '6 hours')
        ORDER BY updated_at DESC`,
       []
@@ -301,7 +1010,7 @@ export async function getActiveTrips() {
       console.warn('   ⚠️  Column last_nudge_at does not exist, using fallback query');
       const result = await pool.query(
         `SELECT * FROM trips
-         WHERE stage IN ('collecting_destinations', 'voting_destination', 'collecting_dates', 'voting_dates', 'tracking_flights')
+         WHERE stage IN ('collecting_destinations', 'voting_destination', 'collecting_dates', 'voting_dates', 'runoff_destination', 'runoff_dates', 'tracking_flights')
          ORDER BY updated_at DESC`,
         []
       );
@@ -15,13 +15,45 @@ CREATE TABLE IF NOT EXISTS trips (
   nudge_count INTEGER DEFAULT 0,
   last_nudge_at TIMESTAMP,
   all_flights_booked BOOLEAN DEFAULT FALSE,
-  notes JSONB DEFAULT '[]'::jsonb -- Store unstructured ideas/notes for later reference
+  notes JSONB DEFAULT '[]'::jsonb, -- Store unstructured ideas/notes for later reference
+  voting_method TEXT NOT NULL DEFAULT 'plurality', -- 'plurality' | 'approval' | 'ranked'
+  runoff_options JSONB, -- Tied options being decided in a runoff poll
+  tie_break_rule TEXT, -- 'earliest_suggestion' | 'organizer' | 'random' (NULL = config default)
+  tie_break_seed BIGINT, -- Seed used by the last random tie-break
+  abandoned_from_stage TEXT, -- Stage the trip was in when it was abandoned (revived back into it)
+  abandoned_reason TEXT,
+  abandoned_at TIMESTAMP,
+  sender_policy TEXT, -- 'members' | 'open_while_joining' (NULL = config default)
+  digest_mode BOOLEAN NOT NULL DEFAULT FALSE, -- Batch routine acks into one summary per window
+  digest_window_minutes INTEGER, -- NULL = config default
+  quiet_hours_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  quiet_hours_start INTEGER, -- Local hour (0-23) bot-initiated texts stop (NULL = config default)
+  quiet_hours_end INTEGER, -- Local hour they start again
+  invite_expires_at TIMESTAMP, -- "JOIN <invite_code>" stops working after this (NULL = created_at + config default)
+  join_approval BOOLEAN NOT NULL DEFAULT FALSE, -- People joining by code wait for the organizer to approve them
+  stage_deadline_at TIMESTAMP, -- Organizer-extended deadline for the current stage (NULL = stage default, cleared on stage change)
+  nudges_paused BOOLEAN NOT NULL DEFAULT FALSE, -- "@bot pause nudges" - no nudges (or giving up on the trip) until resumed
+  leg_count INTEGER NOT NULL DEFAULT 1 -- How many destinations the destination poll picks ("@bot legs 2" = top 2)
 );
 
 CREATE INDEX IF NOT EXISTS idx_trips_group_chat ON trips(group_chat_id);
 CREATE INDEX IF NOT EXISTS idx_trips_stage ON trips(stage);
 CREATE INDEX IF NOT EXISTS idx_trips_invite_code ON trips(invite_code);
 
+-- Trip legs - the destinations of a multi-stop trip in travel order ("Tokyo then Kyoto"), each with its share of the dates
+-- trips.destination stays the joined summary ("Tokyo → Kyoto"); a trip with no legs rows is a single stop
+CREATE TABLE IF NOT EXISTS trip_legs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL, -- 1-based travel order
+  destination TEXT NOT NULL,
+  start_date DATE, -- NULL until the trip's dates are set
+  end_date DATE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_legs_trip ON trip_legs(trip_id, position);
+
 -- Members table
 CREATE TABLE IF NOT EXISTS members (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -31,11 +63,15 @@ CREATE TABLE IF NOT EXISTS members (
   device_token TEXT,
   platform TEXT,
   joined_at TIMESTAMP DEFAULT NOW(),
-  
-  -- Constraint: One phone in one active trip at a time (free tier)
-  CONSTRAINT unique_active_member UNIQUE(phone_number)
+  unreachable_at TIMESTAMP, -- Set when our texts to them keep failing (cleared on the next delivery)
+  time_zone TEXT, -- IANA name, inferred from the phone number or set with "@bot timezone"
+  left_at TIMESTAMP, -- Set when they leave or are removed; inactive members are kept for history
+  left_reason TEXT, -- 'left' | 'removed'
+  role TEXT NOT NULL DEFAULT 'member' -- 'organizer' | 'member' (no organizer = whoever joined first)
 );
 
+-- A phone can be in several trips, once per trip
+CREATE UNIQUE INDEX IF NOT EXISTS idx_members_trip_phone ON members(trip_id, phone_number);
 CREATE INDEX IF NOT EXISTS idx_members_phone ON members(phone_number);
 CREATE INDEX IF NOT EXISTS idx_members_trip ON members(trip_id);
 
@@ -43,7 +79,7 @@ CREATE INDEX IF NOT EXISTS idx_members_trip ON members(trip_id);
 CREATE TABLE IF NOT EXISTS votes (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
-  poll_type TEXT NOT NULL, -- 'destination', 'dates', 'activity'
+  poll_type TEXT NOT NULL, -- 'destination', 'dates', 'destination_runoff', 'dates_runoff', or 'poll:<polls.id>' for side polls
   member_id UUID REFERENCES members(id) ON DELETE CASCADE,
   choice TEXT NOT NULL,
   voted_at TIMESTAMP DEFAULT NOW(),
@@ -55,6 +91,44 @@ CREATE TABLE IF NOT EXISTS votes (
 CREATE INDEX IF NOT EXISTS idx_votes_trip_poll ON votes(trip_id, poll_type);
 CREATE INDEX IF NOT EXISTS idx_votes_member ON votes(member_id);
 
+-- Side polls table - questions voted on alongside the main stage (activities, restaurants, stays, yes/no)
+CREATE TABLE IF NOT EXISTS polls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  poll_number INTEGER NOT NULL, -- Per-trip number members use to pick a poll ("vote #2 1")
+  question TEXT NOT NULL,
+  options JSONB NOT NULL,
+  category TEXT NOT NULL DEFAULT 'general', -- 'activity', 'restaurant', 'accommodation', 'yes_no', 'general'
+  voting_method TEXT NOT NULL DEFAULT 'plurality',
+  close_rule TEXT NOT NULL DEFAULT 'majority', -- 'majority', 'all', 'deadline'
+  deadline TIMESTAMP,
+  status TEXT NOT NULL DEFAULT 'open', -- 'open', 'closed'
+  winner TEXT,
+  result JSONB,
+  created_by UUID REFERENCES members(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  closed_at TIMESTAMP,
+
+  UNIQUE(trip_id, poll_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_polls_trip_status ON polls(trip_id, status);
+CREATE INDEX IF NOT EXISTS idx_polls_open_deadline ON polls(deadline) WHERE status = 'open';
+
+-- Vote history table - audit trail of ballots cast, changed and retracted
+CREATE TABLE IF NOT EXISTS vote_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  poll_type TEXT NOT NULL,
+  member_id UUID REFERENCES members(id) ON DELETE CASCADE,
+  action TEXT NOT NULL, -- 'cast', 'changed', 'retracted'
+  previous_choice TEXT,
+  new_choice TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vote_history_trip_poll ON vote_history(trip_id, poll_type, created_at);
+
 -- Flights table
 CREATE TABLE IF NOT EXISTS flights (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -81,10 +155,119 @@ CREATE TABLE IF NOT EXISTS messages (
   body TEXT NOT NULL,
   group_chat_id TEXT,
   source TEXT, -- 'sms', 'ios_app', 'web'
+  provider_message_id TEXT, -- Twilio MessageSid - webhook retries carry the same one
   received_at TIMESTAMP DEFAULT NOW()
 );
 
 CREATE INDEX IF NOT EXISTS idx_messages_trip ON messages(trip_id);
+
+-- Inbound webhook deliveries already handled - Twilio retries a webhook that times out with the same
+-- MessageSid ('sid:<MessageSid>'); providers without ids are keyed on a sender + text hash ('hash:<sha256>')
+-- that can be claimed again after INBOUND_DUPLICATE_WINDOW_SECONDS
+CREATE TABLE IF NOT EXISTS inbound_deliveries (
+  delivery_key TEXT PRIMARY KEY,
+  received_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Outbound messages - every SMS we send, with the provider's delivery status
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  to_phone TEXT NOT NULL,
+  body TEXT NOT NULL,
+  provider_sid TEXT UNIQUE,
+  status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'sent', 'delivered', 'failed', 'undelivered'
+  error_code TEXT,
+  segments INTEGER NOT NULL DEFAULT 1, -- SMS segments billed (see src/utils/smsSegments.js)
+  created_at TIMESTAMP DEFAULT NOW(),
+  status_updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_recipient ON outbound_messages(trip_id, to_phone, created_at DESC);
+
+-- Opt-outs - numbers that texted STOP (or another opt-out keyword); nothing is sent to them until START
+CREATE TABLE IF NOT EXISTS opt_outs (
+  phone_number TEXT PRIMARY KEY,
+  keyword TEXT, -- The keyword they sent
+  opted_out_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Admin actions - every organizer-only command someone tried, whether or not they were allowed to
+CREATE TABLE IF NOT EXISTS admin_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  member_id UUID REFERENCES members(id) ON DELETE SET NULL,
+  command TEXT NOT NULL, -- e.g. 'close_poll', 'set_destination', 'skip_stage'
+  args TEXT,
+  allowed BOOLEAN NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_trip ON admin_actions(trip_id, created_at DESC);
+
+-- Join requests - people who texted "JOIN <invite_code>" 1:1, until they're members (or turned down)
+CREATE TABLE IF NOT EXISTS join_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  phone_number TEXT NOT NULL,
+  name TEXT,
+  status TEXT NOT NULL DEFAULT 'awaiting_name', -- 'awaiting_name' | 'pending_approval' | 'approved' | 'declined'
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(trip_id, phone_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_join_requests_phone ON join_requests(phone_number, status);
+
+-- Deferred messages - texts held back until the recipient's quiet hours end, or a rate limit allows them
+CREATE TABLE IF NOT EXISTS deferred_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  to_phone TEXT NOT NULL,
+  body TEXT NOT NULL,
+  options JSONB NOT NULL DEFAULT '{}'::jsonb, -- sendSMS options (tripId, groupChatId, ...)
+  send_after TIMESTAMP NOT NULL,
+  trip_stage_entered_at TIMESTAMP, -- the trip's stage when it was written (group messages are dropped once it moves on)
+  claimed_at TIMESTAMP, -- a sender is working on it (the claim lapses if it never reports back)
+  attempts INTEGER NOT NULL DEFAULT 0,
+  sent_at TIMESTAMP,
+  dropped_at TIMESTAMP, -- not sent: suppressed when it came due, out of date, or kept failing
+  drop_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deferred_messages_due ON deferred_messages(send_after) WHERE sent_at IS NULL;
+
+-- Stage transitions table - audit trail of every stage change (when, why, and what caused it)
+CREATE TABLE IF NOT EXISTS stage_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  from_stage TEXT NOT NULL,
+  to_stage TEXT NOT NULL,
+  reason TEXT,
+  trigger TEXT NOT NULL DEFAULT 'system', -- 'message', 'scheduler', 'timeout', 'system'
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL, -- Message that caused it (trigger = 'message')
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stage_transitions_trip ON stage_transitions(trip_id, created_at);
+
+-- Action journal - votes, destination suggestions, date availability and flights, so "@bot undo" can take them back
+CREATE TABLE IF NOT EXISTS action_journal (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  member_id UUID REFERENCES members(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL, -- Message that did it (its stage changes share this id)
+  action TEXT NOT NULL, -- 'vote' | 'destination_suggestion' | 'date_availability' | 'flight'
+  target TEXT, -- poll_type for votes
+  previous JSONB, -- What the action replaced (NULL if it added something new)
+  current JSONB, -- What it wrote (NULL for a retracted vote)
+  trip_before JSONB NOT NULL, -- Stage and decisions before the action, to roll back stage changes it caused
+  undone_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_journal_trip ON action_journal(trip_id, created_at);
 CREATE INDEX IF NOT EXISTS idx_messages_received ON messages(received_at DESC);
 
 -- Destination suggestions table
@@ -117,6 +300,34 @@ CREATE TABLE IF NOT EXISTS date_availability (
 
 CREATE INDEX IF NOT EXISTS idx_date_availability_trip ON date_availability(trip_id);
 
+-- Message queue table - inbound messages waiting to be processed (one trip at a time, in order)
+CREATE TABLE IF NOT EXISTS queued_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL, -- { from, body, groupChatId, source }
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'processing', 'done', 'dead'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_queued_messages_status ON queued_messages(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_queued_messages_trip ON queued_messages(trip_id, created_at);
+
+-- Digest items - routine acks held back for a trip in digest mode until its window ends
+CREATE TABLE IF NOT EXISTS digest_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+  line TEXT NOT NULL,
+  pending JSONB, -- who we were still waiting on, per the ack
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_items_trip ON digest_items(trip_id, created_at);
+
 -- Error logs table
 CREATE TABLE IF NOT EXISTS error_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -130,6 +341,38 @@ CREATE TABLE IF NOT EXISTS error_logs (
 CREATE INDEX IF NOT EXISTS idx_error_logs_trip ON error_logs(trip_id);
 CREATE INDEX IF NOT EXISTS idx_error_logs_created ON error_logs(created_at DESC);
 
-
-
-
+-- Migrations for existing databases (CREATE TABLE IF NOT EXISTS won't add new columns)
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS voting_method TEXT NOT NULL DEFAULT 'plurality';
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS runoff_options JSONB;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS tie_break_rule TEXT;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS tie_break_seed BIGINT;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS abandoned_from_stage TEXT;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS abandoned_reason TEXT;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS abandoned_at TIMESTAMP;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS sender_policy TEXT;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS digest_mode BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS digest_window_minutes INTEGER;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS quiet_hours_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS quiet_hours_start INTEGER;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS quiet_hours_end INTEGER;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS invite_expires_at TIMESTAMP;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS join_approval BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS stage_deadline_at TIMESTAMP;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS nudges_paused BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS leg_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS time_zone TEXT;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS unreachable_at TIMESTAMP;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS left_at TIMESTAMP;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS left_reason TEXT;
+ALTER TABLE members ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'member';
+ALTER TABLE members DROP CONSTRAINT IF EXISTS unique_active_member;
+ALTER TABLE members DROP CONSTRAINT IF EXISTS unique_trip_member;
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS segments INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS provider_message_id TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_provider_id ON messages(provider_message_id);
+ALTER TABLE messages DROP COLUMN IF EXISTS content_hash;
+ALTER TABLE deferred_messages ADD COLUMN IF NOT EXISTS trip_stage_entered_at TIMESTAMP;
+ALTER TABLE deferred_messages ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+ALTER TABLE deferred_messages ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE deferred_messages ADD COLUMN IF NOT EXISTS dropped_at TIMESTAMP;
+ALTER TABLE deferred_messages ADD COLUMN IF NOT EXISTS drop_reason TEXT;
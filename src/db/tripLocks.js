@@ -0,0 +1,120 @@
+// Per-trip mutual exclusion that works across server processes (Postgres advisory locks)
+// Used by the message queue, the nudge scheduler and the orchestrator's stage-change handler so two
+// instances never work on the same trip at once.
+// Advisory locks belong to a connection, so each holder keeps a connection from a separate pool for
+// as long as it holds the lock - the main pool stays free for the queries run under the lock.
+// Locks are not reentrant: don't await withTripLock for a trip inside another lock on the same trip.
+// Work that follows from something done under the lock (stage-change actions, poll announcements) is
+// queued with afterTripLock instead - it runs as the holder finishes, without a connection per waiter.
+import pg from 'pg';
+import { config } from '../config/index.js';
+
+const { Pool } = pg;
+
+const lockPool = new Pool({
+  connectionString: config.database.url,
+  max: config.database.lockPoolSize,
+});
+
+// 64-bit lock key derived from the trip id
+const LOCK_KEY = `hashtextextended('voyaj:trip:' || $1, 0)`;
+
+const holding = new Set(); // trips this process holds the lock for
+const followUps = new Map(); // tripId → Array<{ fn, resolve, reject }> waiting for the lock
+
+// Run the trip's queued follow-ups (and any they queue in turn) - called while holding its lock
+async function runFollowUps(tripId) {
+  let tasks;
+  while ((tasks = followUps.get(tripId))) {
+    followUps.delete(tripId);
+    for (const { fn, resolve, reject } of tasks) {
+      try {
+        resolve(await fn());
+      } catch (error) {
+        reject(error);
+      }
+    }
+  }
+}
+
+// Hold the lock for fn, then for the follow-ups queued meanwhile, then release it
+async function holdWhile(client, tripId, fn) {
+  holding.add(tripId);
+  try {
+    return await fn();
+  } finally {
+    try {
+      await runFollowUps(tripId);
+    } finally {
+      holding.delete(tripId);
+      await release(client, tripId);
+    }
+  }
+}
+
+async function release(client, tripId) {
+  try {
+    await client.query(`SELECT pg_advisory_unlock(${LOCK_KEY})`, [tripId]);
+    client.release();
+  } catch (error) {
+    // Dropping the connection releases the lock with it
+    console.error(`   ⚠️  Lock: Failed to release lock for trip ${tripId}:`, error.message);
+    client.release(error);
+  }
+}
+
+// Run fn while holding the trip's lock, waiting for other processes to finish with it first
+export async function withTripLock(tripId, fn) {
+  const client = await lockPool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock(${LOCK_KEY})`, [tripId]);
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+
+  return await holdWhile(client, tripId, fn);
+}
+
+// Run fn only if nobody else holds the trip's lock - returns false (without running fn) if it's busy
+export async function tryWithTripLock(tripId, fn) {
+  const client = await lockPool.connect();
+  let acquired;
+  try {
+    const result = await client.query(`SELECT pg_try_advisory_lock(${LOCK_KEY}) AS acquired`, [tripId]);
+    acquired = result.rows[0].acquired;
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+
+  if (!acquired) {
+    client.release();
+    return false;
+  }
+
+  await holdWhile(client, tripId, fn);
+  return true;
+}
+
+// Run fn under the trip's lock once whoever holds it in this process is done (straight after their
+// work, before the lock is released). If nobody here holds it, the lock is taken once for everything
+// queued for the trip meanwhile. Resolves with fn's result.
+export function afterTripLock(tripId, fn) {
+  return new Promise((resolve, reject) => {
+    const task = { fn, resolve, reject };
+    const queued = followUps.get(tripId);
+    if (queued) {
+      queued.push(task);
+      return;
+    }
+    followUps.set(tripId, [task]);
+    if (holding.has(tripId)) return;
+
+    withTripLock(tripId, () => runFollowUps(tripId)).catch(error => {
+      const tasks = followUps.get(tripId) || [];
+      followUps.delete(tripId);
+      tasks.forEach(t => t.reject(error));
+    });
+  });
+}
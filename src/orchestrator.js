@@ -1,4 +1,6 @@
 import { CoordinatorAgent } from './agents/coordinator.js';
+import { AdminAgent } from './agents/admin.js';
+import { CommandAgent } from './agents/command.js';
 import { VotingAgent } from './agents/voting.js';
 import { ParserAgent } from './agents/parser.js';
 import { ResponderAgent } from './agents/responder.js';
@@ -7,13 +9,23 @@ import * as db from './db/queries.js';
 import { twilioClient } from './utils/twilio.js';
 import { callClaude } from './utils/claude.js';
 import { logError } from './db/queries.js';
+import { afterTripLock } from './db/tripLocks.js';
 import { tripEvents, EVENTS } from './state/eventEmitter.js';
+import { isPollStage, getPollRule, messageTrigger } from './state/stateMachine.js';
+import { parseSidePollVote } from './utils/polls.js';
+import { isLeaveRequest } from './utils/membership.js';
+import { parseCommand, findCommand } from './utils/commands.js';
+import { describeDestination } from './utils/tripLegs.js';
+import { DigestTimers, digestLine, digestPending, formatDigest } from './utils/digest.js';
+import { config } from './config/index.js';
 
 class Orchestrator {
   constructor() {
     // Register all agents
     this.agents = {
       coordinator: new CoordinatorAgent(),
+      admin: new AdminAgent(), // Organizer-only commands
+      command: new CommandAgent(), // "@bot status", "@bot help", ...
       voting: new VotingAgent(),
       parser: new ParserAgent(),
       responder: new ResponderAgent(), // Social face of Voyaj
@@ -21,6 +33,12 @@ class Orchestrator {
     
     // Track last executed stage change to prevent duplicates
     this.lastStageChange = new Map(); // tripId -> { stage, from, to, timestamp }
+
+    // Digest windows for trips in digest mode (the held-back acks are in digest_items)
+    // The flush waits for the trip lock, so it can't interleave with a message being processed
+    this.digestTimers = new DigestTimers(tripId => afterTripLock(tripId, () => this.flushDigest(tripId)).catch(error => {
+      console.error(`   ❌ Orchestrator: Failed to send digest for trip ${tripId}:`, error);
+    }));
     
     // Listen for stage changes and send appropriate messages
     this.setupStageChangeHandlers();
@@ -37,11 +55,33 @@ class Orchestrator {
     tripEvents.on(EVENTS.STAGE_CHANGED, async ({ tripId, from, to }) => {
       console.log(`   📢 Stage changed: ${from} → ${to} for trip ${tripId}`);
       try {
-        await this.handleStageChange(tripId, from, to);
+        // Runs once whoever changed the stage is done with the trip (queued, not holding a connection meanwhile)
+        await afterTripLock(tripId, () => this.handleStageChange(tripId, from, to));
       } catch (error) {
         console.error(`   ❌ Orchestrator: Error in stage change handler:`, error);
       }
     });
+
+    // Polls closed by the state machine (timeouts) have no message to reply to - announce the result here
+    tripEvents.on(EVENTS.POLL_RESOLVED, async ({ tripId, output }) => {
+      console.log(`   📢 Poll resolved for trip ${tripId}: ${output.type}`);
+      try {
+        // Runs once whoever closed the poll is done with the trip, so their own reply goes out first
+        await afterTripLock(tripId, () => this.handlePollResolved(tripId, output));
+      } catch (error) {
+        console.error(`   ❌ Orchestrator: Error in poll resolved handler:`, error);
+      }
+    });
+  }
+
+  async handlePollResolved(tripId, output) {
+    const trip = await db.getTrip(tripId);
+    if (!trip) return;
+
+    const allMembers = await db.getMembers(tripId);
+    const dummyMessage = { from: '', body: '', groupChatId: trip.group_chat_id };
+    const responderResult = await this.agents.responder.formatResponse(output, { trip, allMembers }, dummyMessage);
+    await this.sendMessage(responderResult, tripId, trip.group_chat_id);
   }
   
   async handleStageChange(tripId, from, to) {
@@ -112,6 +152,9 @@ class Orchestrator {
   }
 
   async process(tripId, message) {
+    // Set once an agent starts on the message - by the time it fails it may have saved a suggestion, cast a
+    // vote or texted the group, and a retry would do all of that again
+    let handling = false;
     try {
       // Get trip
       const trip = await db.getTrip(tripId);
@@ -124,7 +167,11 @@ class Orchestrator {
       console.log(`   📊 Current state - stage: "${trip.stage}", destination: "${trip.destination || 'none'}", start_date: "${trip.start_date || 'none'}", end_date: "${trip.end_date || 'none'}"`);
 
       // Save message to database
-      await db.createMessage(tripId, message.from, message.body, message.groupChatId, message.source || 'sms');
+      // (retries reuse the row saved on the first attempt)
+      const savedMessage = message.messageId
+        ? { id: message.messageId }
+        : await db.createMessage(tripId, message.from, message.body, message.groupChatId, message.source || 'sms');
+      message.messageId = savedMessage?.id;
 
       // Detect intent - AI-first with rule-based fast-path for obvious cases
       let intent = this.detectIntentFastPath(trip, message);
@@ -138,6 +185,8 @@ class Orchestrator {
 
       // Build context
       const context = await contextBuilder.build(tripId, message.from, intent);
+      // Stage changes caused by this message are recorded against it in stage_transitions
+      context.trigger = messageTrigger(savedMessage);
       console.log(`   📦 Context: Built for ${intent.agent} agent (${context.allMembers?.length || 0} members)`);
 
       // Select agent
@@ -145,6 +194,7 @@ class Orchestrator {
       console.log(`   🤖 Agent: ${intent.agent} handling message`);
 
       // Execute agent
+      handling = true;
       const result = await agent.handle(context, message);
       
       // If agent skipped (not a valid action), use responder for conversation
@@ -158,7 +208,7 @@ class Orchestrator {
           sendTo: 'individual',
         };
         const responderResult = await responder.formatResponse(conversationOutput, responderContext, message);
-        await this.sendMessage(responderResult, tripId, message?.groupChatId || trip.group_chat_id);
+        await this.sendMessage(responderResult, tripId, message?.groupChatId || trip.group_chat_id, message.from);
         return { success: true };
       }
 
@@ -171,10 +221,13 @@ class Orchestrator {
 
       // If agent returned structured output (success or error), format it with responder
       if (result.output && result.output.type) {
+        if (await this.deferToDigest(trip, intent.agent, result.output, context)) {
+          return { success: true };
+        }
         console.log(`   📝 Agent returned structured output, formatting with responder`);
         const responder = this.agents.responder;
         const responderResult = await responder.formatResponse(result.output, context, message);
-        await this.sendMessage(responderResult, tripId, message?.groupChatId || trip.group_chat_id);
+        await this.sendMessage(responderResult, tripId, message?.groupChatId || trip.group_chat_id, message.from);
         return { success: result.success !== false };
       }
 
@@ -186,14 +239,82 @@ class Orchestrator {
     } catch (error) {
       console.error('   ❌ Orchestrator error:', error);
       await this.handleError(tripId, message, error);
-      return { success: false, error: error.message };
+      // Rethrow so the message queue can retry (and eventually dead-letter) the message -
+      // only failures before any agent work (intent detection, context) are safe to retry
+      if (handling) error.retryable = false;
+      throw error;
     }
   }
 
+  // Hold a routine ack from VotingAgent or ParserAgent for the trip's digest - returns false to send it now
+  async deferToDigest(trip, agentName, output, context) {
+    if (!trip.digest_mode || !['voting', 'parser'].includes(agentName)) {
+      return false;
+    }
+    const line = digestLine(output, context.member?.name);
+    if (!line) {
+      return false;
+    }
+
+    const windowMinutes = trip.digest_window_minutes || config.digest.windowMinutes;
+    try {
+      await db.addDigestItem(trip.id, { line, pending: digestPending(output) });
+    } catch (error) {
+      console.error(`   ⚠️  Orchestrator: Could not hold ack for the digest, sending it now:`, error.message);
+      return false;
+    }
+    this.digestTimers.start(trip.id, windowMinutes * 60 * 1000);
+    console.log(`   📋 Orchestrator: Added to digest for trip ${trip.id}: "${line}"`);
+    return true;
+  }
+
+  // Send a trip's pending digest as one group message (no-op if nothing is waiting)
+  async flushDigest(tripId) {
+    const items = await db.getDigestItems(tripId);
+    if (items.length === 0) {
+      this.digestTimers.cancel(tripId);
+      return;
+    }
+
+    const trip = await db.getTrip(tripId);
+    if (!trip) return;
+
+    console.log(`   📋 Orchestrator: Sending digest of ${items.length} update(s) for trip ${tripId}`);
+    const output = { type: 'digest', itemCount: items.length, message: formatDigest(items), sendTo: 'group' };
+    try {
+      const allMembers = await db.getMembers(tripId);
+      const dummyMessage = { from: '', body: '', groupChatId: trip.group_chat_id };
+      const responderResult = await this.agents.responder.formatResponse(output, { trip, allMembers }, dummyMessage);
+      await this.deliverMessage(responderResult, tripId, trip.group_chat_id);
+    } catch (error) {
+      // The items stay saved until they're sent - try again after another window
+      this.digestTimers.start(tripId, (trip.digest_window_minutes || config.digest.windowMinutes) * 60 * 1000);
+      throw error;
+    }
+
+    // Only these - anything added since waits for the next digest
+    this.digestTimers.cancel(tripId);
+    await db.deleteDigestItems(items.map(item => item.id));
+  }
+
+  // Restart the digest windows that were open when the server last stopped (called on boot)
+  async resumeDigests() {
+    const pending = await db.getPendingDigests();
+    for (const { trip_id: tripId, first_at: firstAt, digest_window_minutes: windowMinutes } of pending) {
+      const windowMs = (windowMinutes || config.digest.windowMinutes) * 60 * 1000;
+      this.digestTimers.start(tripId, new Date(firstAt).getTime() + windowMs - Date.now());
+    }
+    if (pending.length > 0) {
+      console.log(`   📋 Orchestrator: Resumed pending digests for ${pending.length} trip(s)`);
+    }
+    return pending.length;
+  }
+
   /**
    * Send message based on responder result
+   * replyTo: the member whose text this answers - their copy skips quiet hours
    */
-  async sendMessage(responderResult, tripId, groupChatId) {
+  async sendMessage(responderResult, tripId, groupChatId, replyTo = null) {
     if (responderResult.reasoning) {
       console.log(`   💬 Responder: ${responderResult.reasoning}`);
     }
@@ -202,7 +323,22 @@ class Orchestrator {
       // Skipped - no message to send
       return;
     }
-    
+
+    // Group messages go out after any acks still waiting in the digest, so the group reads them in order -
+    // but a digest that can't go out (it stays saved for its next try) mustn't hold this message back
+    if (responderResult.sendTo === 'group' || !responderResult.recipient) {
+      try {
+        await this.flushDigest(tripId);
+      } catch (error) {
+        console.error(`   ❌ Orchestrator: Failed to send digest for trip ${tripId}, sending this message anyway:`, error.message);
+      }
+    }
+
+    await this.deliverMessage(responderResult, tripId, groupChatId, replyTo);
+  }
+
+  // Send a formatted message to the group or its recipient (sendMessage, without the digest flush)
+  async deliverMessage(responderResult, tripId, groupChatId, replyTo = null) {
     if (responderResult.sendTo === 'group') {
       // Send to entire group
       const members = await db.getMembers(tripId);
@@ -211,13 +347,12 @@ class Orchestrator {
       if (members.length > 0) {
         await db.createMessage(tripId, 'bot', responderResult.message, groupChatId, 'bot');
       }
-      // Then send SMS to all members
-      for (const member of members) {
-        await twilioClient.sendSMS(member.phone_number, responderResult.message);
-      }
+      // Then send SMS to all members (plus anyone copied in who isn't one, e.g. someone who just left)
+      const recipients = [...new Set([...members.map(m => m.phone_number), ...(responderResult.cc || [])])];
+      await twilioClient.sendGroup(recipients, responderResult.message, { tripId, groupChatId, replyTo });
     } else if (responderResult.recipient) {
       // Specific individual message
-      await twilioClient.sendSMS(responderResult.recipient, responderResult.message, tripId, groupChatId);
+      await twilioClient.sendSMS(responderResult.recipient, responderResult.message, { tripId, groupChatId, replyTo });
       // Store bot message in database for conversation history
       await db.createMessage(tripId, 'bot', responderResult.message, groupChatId, 'bot');
     } else {
@@ -226,9 +361,7 @@ class Orchestrator {
       if (members.length > 0) {
         await db.createMessage(tripId, 'bot', responderResult.message, groupChatId, 'bot');
       }
-      for (const member of members) {
-        await twilioClient.sendSMS(member.phone_number, responderResult.message);
-      }
+      await twilioClient.sendGroup(members.map(m => m.phone_number), responderResult.message, { tripId, groupChatId, replyTo });
     }
   }
 
@@ -238,9 +371,48 @@ class Orchestrator {
     const body = message.body.toLowerCase().trim();
     
     // Only handle VERY obvious cases - everything else goes to AI
-    
-    // Obvious numeric vote in voting stage
-    if ((trip.stage === 'voting_destination' || trip.stage === 'voting_dates') && /^\d+$/.test(body)) {
+
+    // Someone joining by invite code over 1:1 SMS (routed here by the webhook)
+    if (message.source === 'invite') {
+      return { type: 'invite', agent: 'coordinator' };
+    }
+
+    // Abandoned trips only respond to a revive request ("let's restart")
+    if (trip.stage === 'abandoned') {
+      return { type: 'revive', agent: 'coordinator' };
+    }
+
+    // Leaving the trip ("I'm out") works in any stage
+    if (isLeaveRequest(body)) {
+      return { type: 'member_leave', agent: 'coordinator' };
+    }
+
+    // "@bot <command>" ("@bot status", "@bot close poll", "@bot digest on", ...) - the registry in utils/commands.js
+    // says which agent answers it; organizer commands are permission-checked by AdminAgent, and a command used
+    // wrong gets its usage line from CommandAgent
+    const command = parseCommand(body);
+    if (command) {
+      const agent = (!command.error && findCommand(command.command).agent) || 'command';
+      if (agent !== 'voting') {
+        return { type: agent === 'admin' ? 'admin' : 'command', agent };
+      }
+    }
+
+    // Side poll votes work in any stage ("vote 2", "vote #3 hostel b")
+    // While the trip's own poll is open, a bare "vote 2" is a vote in that poll instead
+    const sidePollVote = parseSidePollVote(body);
+    if (sidePollVote) {
+      const mainPollVote = isPollStage(trip.stage) && !sidePollVote.pollNumber;
+      return { type: mainPollVote ? 'vote' : 'poll', agent: 'voting' };
+    }
+
+    // Obvious numeric vote in voting stage ("2", or "1 and 3" / "3, 1, 2" for approval and ranked-choice)
+    if (isPollStage(trip.stage) && /^\d+(\s*(,|;|&|>|and|then)?\s*\d+)*$/.test(body)) {
+      return { type: 'vote', agent: 'voting' };
+    }
+
+    // Changing or retracting a ballot in an open poll ("actually switch me to Bali", "remove my vote")
+    if (isPollStage(trip.stage) && (VotingAgent.isVoteRetraction(body) || VotingAgent.isVoteChange(body))) {
       return { type: 'vote', agent: 'voting' };
     }
     
@@ -257,9 +429,9 @@ class Orchestrator {
       }
     }
     
-    // Obvious commands
+    // Anything else addressed to the bot
     if (body.startsWith('@bot') || body.startsWith('bot ')) {
-      return { type: 'command', agent: 'coordinator' };
+      return { type: 'conversation', agent: 'coordinator' };
     }
     
     // Everything else is unclear - use AI
@@ -316,7 +488,7 @@ class Orchestrator {
       // Rule-based check before AI: if destination is set and message looks like destination suggestion,
       // route to conversation/coordinator instead
       if (trip.destination && this.looksLikeDestinationSuggestion(message.body)) {
-        console.log(`   🧠 Intent Detection: Destination already set (${trip.destination}), routing destination-like message to conversation`);
+        console.log(`   🧠 Intent Detection: Destination already set (${describeDestination(trip.destination)}), routing destination-like message to conversation`);
         return { type: 'conversation', agent: 'coordinator' };
       }
       
@@ -328,18 +500,18 @@ class Orchestrator {
       if (trip.stage === 'planning') {
         const suggestionCount = await db.getDestinationSuggestionCount(trip.id);
         const availabilityCount = await db.getDateAvailabilityCount(trip.id);
-        const destinationStatus = trip.destination ? `Destination already set: ${trip.destination}. ` : '';
+        const destinationStatus = trip.destination ? `Destination already set: ${describeDestination(trip.destination)}. ` : '';
         stateContext = `${destinationStatus}Currently collecting both destinations (${suggestionCount} suggestions) and dates (${availabilityCount} submissions).`;
       } else if (trip.stage === 'collecting_destinations') {
         const suggestionCount = await db.getDestinationSuggestionCount(trip.id);
-        const destinationStatus = trip.destination ? `Destination already set: ${trip.destination}. ` : '';
+        const destinationStatus = trip.destination ? `Destination already set: ${describeDestination(trip.destination)}. ` : '';
         stateContext = `${destinationStatus}Currently collecting destination suggestions (${suggestionCount} collected so far).`;
       } else if (trip.stage === 'collecting_dates') {
         const availabilityCount = await db.getDateAvailabilityCount(trip.id);
         stateContext = `Currently collecting date availability (${availabilityCount} submissions so far).`;
-      } else if (trip.stage === 'voting_destination' || trip.stage === 'voting_dates') {
-        const votes = await db.getVotes(trip.id, trip.stage === 'voting_destination' ? 'destination' : 'dates');
-        stateContext = `Currently voting (${votes.length} votes cast so far).`;
+      } else if (isPollStage(trip.stage)) {
+        const votes = await db.getVotes(trip.id, getPollRule(trip.stage).type);
+        stateContext = `Currently voting${trip.stage.startsWith('runoff_') ? ' in a runoff between tied options' : ''} (${votes.length} votes cast so far).`;
       }
       
       const prompt = `You are analyzing a group chat message to determine user intent for a trip planning app.
@@ -404,7 +576,7 @@ Be smart about context:
     const body = message.body.toLowerCase().trim();
     
     // Very obvious cases only
-    if (trip.stage === 'voting_destination' || trip.stage === 'voting_dates') {
+    if (isPollStage(trip.stage)) {
       if (/^\d+$/.test(body.trim())) {
         return { type: 'vote', agent: 'voting' };
       }
@@ -435,13 +607,20 @@ Be smart about context:
 
   async handleError(tripId, message, error) {
     // Log error
-    await logError(tripId, error, { message: message.body, from: message.from });
+    try {
+      await logError(tripId, error, { message: message.body, from: message.from, attempt: message.attempts || 1 });
+    } catch (logFailure) {
+      console.error('Failed to log error:', logFailure.message);
+    }
+  }
 
-    // Send fallback response
+  // Sent once the queue gives up on a message
+  async sendFallbackReply(tripId, message) {
     try {
       await twilioClient.sendSMS(
         message.from,
-        "I didn't quite catch that. Can you rephrase? Or visit voyaj.app for help."
+        "I didn't quite catch that. Can you rephrase? Or visit voyaj.app for help.",
+        { tripId, groupChatId: message.groupChatId, replyTo: message.from }
       );
     } catch (smsError) {
       console.error('Failed to send error SMS:', smsError);
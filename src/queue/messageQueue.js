@@ -1,22 +1,61 @@
-// Per-trip message queue (in-memory for MVP)
+// Per-trip message queue, backed by the queued_messages table
+// Messages for a trip are processed one at a time, in arrival order. The in-memory Map is the
+// working copy; Postgres keeps what's pending so a restart can resume, failed messages are
+// retried with exponential backoff, and ones that keep failing are dead-lettered (see /admin/queue).
+// Errors marked `retryable = false` (the orchestrator marks failures after an agent started acting on
+// the message) are dead-lettered straight away, since a retry would repeat what already happened.
+import * as db from '../db/queries.js';
+import { config } from '../config/index.js';
+import { withTripLock } from '../db/tripLocks.js';
+
+// Delay before retry number `attempts` (1 → base, 2 → 2x base, ... capped)
+export function retryDelay(attempts, { retryBaseDelayMs, retryMaxDelayMs } = config.queue) {
+  return Math.min(retryBaseDelayMs * 2 ** Math.max(attempts - 1, 0), retryMaxDelayMs);
+}
 
 class MessageQueue {
   constructor() {
     this.queues = new Map(); // tripId → Array<Message>
-    this.processing = new Set(); // tripIds currently processing
+    this.processing = new Set(); // tripIds currently processing (including waiting out a retry)
+    this.retryTimers = new Map(); // tripId → timeout for the next retry
   }
 
   async add(tripId, message) {
-    const queue = this.queues.get(tripId) || [];
-    queue.push({
+    // Queue in memory first (synchronously) so ordering and isProcessing() are right immediately
+    const entry = {
       ...message,
       timestamp: Date.now(),
-    });
+    };
+    entry.persisted = this.persist(tripId, entry);
+
+    const queue = this.queues.get(tripId) || [];
+    queue.push(entry);
     this.queues.set(tripId, queue);
 
     const queueLength = queue.length;
     console.log(`   📬 Queue: Added message to trip ${tripId} (queue length: ${queueLength})`);
 
+    this.startProcessing(tripId);
+    await entry.persisted;
+  }
+
+  // Save the message so it survives a restart - if the database is down it's still processed from memory
+  async persist(tripId, entry) {
+    try {
+      const row = await db.enqueueMessage(tripId, {
+        from: entry.from,
+        body: entry.body,
+        groupChatId: entry.groupChatId,
+        source: entry.source,
+        messageId: entry.messageId,
+      });
+      entry.queueId = row.id;
+    } catch (error) {
+      console.error(`   ⚠️  Queue: Could not persist message for trip ${tripId}, keeping it in memory only:`, error.message);
+    }
+  }
+
+  startProcessing(tripId) {
     // Start processing if not already processing
     if (!this.processing.has(tripId)) {
       this.processing.add(tripId);
@@ -33,17 +72,44 @@ class MessageQueue {
 
     while (queue.length > 0) {
       const message = queue[0];
-      console.log(`   🔄 Queue: Processing message "${message.body.substring(0, 50)}${message.body.length > 50 ? '...' : ''}"`);
+
+      // Waiting to retry - keep the trip's turn so later messages stay in order
+      const waitMs = (message.nextAttemptAt || 0) - Date.now();
+      if (waitMs > 0) {
+        console.log(`   ⏳ Queue: Retrying message for trip ${tripId} in ${Math.round(waitMs / 1000)}s`);
+        const timer = setTimeout(() => {
+          this.retryTimers.delete(tripId);
+          this.processQueue(tripId);
+        }, waitMs);
+        timer.unref();
+        this.retryTimers.set(tripId, timer);
+        return;
+      }
+
+      await message.persisted;
+      message.attempts = (message.attempts || 0) + 1;
+      console.log(`   🔄 Queue: Processing message "${message.body.substring(0, 50)}${message.body.length > 50 ? '...' : ''}"${message.attempts > 1 ? ` (attempt ${message.attempts})` : ''}`);
 
       try {
         // Import orchestrator here to avoid circular dependency
         const { orchestrator } = await import('../orchestrator.js');
-        await orchestrator.process(tripId, message);
+        // Other server instances may be working on this trip too - take its lock
+        const processed = await withTripLock(tripId, async () => {
+          if (message.queueId && !(await db.markQueuedMessageProcessing(message.queueId))) {
+            return false;
+          }
+          await orchestrator.process(tripId, message);
+          return true;
+        });
         queue.shift();
+        if (!processed) {
+          console.log(`   ⏭️  Queue: Message already handled by another instance, skipping`);
+          continue;
+        }
+        await this.record(() => message.queueId && db.markQueuedMessageDone(message.queueId));
         console.log(`   ✅ Queue: Message processed successfully`);
       } catch (error) {
-        console.error(`   ❌ Queue: Failed to process message for trip ${tripId}:`, error);
-        queue.shift(); // Remove failed message
+        await this.handleFailure(tripId, queue, message, error);
       }
     }
 
@@ -51,6 +117,83 @@ class MessageQueue {
     console.log(`   🏁 Queue: Finished processing trip ${tripId}`);
   }
 
+  async handleFailure(tripId, queue, message, error) {
+    if (error.retryable !== false && message.attempts < config.queue.maxAttempts) {
+      const delay = retryDelay(message.attempts);
+      message.nextAttemptAt = Date.now() + delay;
+      console.error(`   ❌ Queue: Failed to process message for trip ${tripId} (attempt ${message.attempts}/${config.queue.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      await this.record(() => message.queueId && db.markQueuedMessageFailed(message.queueId, error.message, new Date(message.nextAttemptAt)));
+      return;
+    }
+
+    // Out of attempts (or not safe to retry) - dead-letter it and let the sender know we couldn't handle it
+    console.error(`   ☠️  Queue: Giving up on message for trip ${tripId} after ${message.attempts} attempt(s)${error.retryable === false ? ' (not retryable)' : ''}:`, error.message);
+    queue.shift();
+    await this.record(() => message.queueId && db.markQueuedMessageDead(message.queueId, error.message));
+    try {
+      const { orchestrator } = await import('../orchestrator.js');
+      await orchestrator.sendFallbackReply(tripId, message);
+    } catch (replyError) {
+      console.error('   ❌ Queue: Failed to send fallback reply:', replyError.message);
+    }
+  }
+
+  // Queue bookkeeping must never stop messages from being processed
+  async record(update) {
+    try {
+      await update();
+    } catch (error) {
+      console.error('   ⚠️  Queue: Failed to update queued message:', error.message);
+    }
+  }
+
+  // Load messages left pending by a previous run and start processing them (called on boot)
+  async resume() {
+    const rows = await db.getResumableQueuedMessages();
+    const resumedTrips = new Set();
+
+    for (const row of rows) {
+      const queue = this.queues.get(row.trip_id) || [];
+      if (queue.some(entry => entry.queueId === row.id)) continue;
+
+      queue.push({
+        ...row.payload,
+        timestamp: new Date(row.created_at).getTime(),
+        queueId: row.id,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).getTime() : 0,
+      });
+      this.queues.set(row.trip_id, queue);
+      resumedTrips.add(row.trip_id);
+    }
+
+    for (const tripId of resumedTrips) {
+      this.startProcessing(tripId);
+    }
+
+    if (rows.length > 0) {
+      console.log(`   📬 Queue: Resumed ${rows.length} pending message(s) for ${resumedTrips.size} trip(s)`);
+    }
+    return rows.length;
+  }
+
+  // Re-queue a dead-lettered message (admin route)
+  async retryDeadLetter(queueId) {
+    const row = await db.requeueDeadLetter(queueId);
+    if (!row) return null;
+
+    const queue = this.queues.get(row.trip_id) || [];
+    queue.push({
+      ...row.payload,
+      timestamp: Date.now(),
+      queueId: row.id,
+      attempts: 0,
+    });
+    this.queues.set(row.trip_id, queue);
+    this.startProcessing(row.trip_id);
+    return row;
+  }
+
   getQueueLength(tripId) {
     return (this.queues.get(tripId) || []).length;
   }
@@ -60,13 +203,11 @@ class MessageQueue {
   }
 
   clearQueue(tripId) {
+    clearTimeout(this.retryTimers.get(tripId));
+    this.retryTimers.delete(tripId);
     this.queues.delete(tripId);
     this.processing.delete(tripId);
   }
 }
 
 export const messageQueue = new MessageQueue();
-
-
-
-
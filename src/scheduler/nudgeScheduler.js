@@ -1,10 +1,15 @@
 // Nudge scheduler - background job to keep trips on track
 import * as db from '../db/queries.js';
 import { CoordinatorAgent } from '../agents/coordinator.js';
+import { VotingAgent } from '../agents/voting.js';
 import { twilioClient } from '../utils/twilio.js';
+import { sendDueDeferredMessages } from '../utils/deferredMessages.js';
 import { config } from '../config/index.js';
+import { tryWithTripLock } from '../db/tripLocks.js';
+import { checkStateTransitions, isPollStage, getPollRule, abandonTrip, stageElapsedMs } from '../state/stateMachine.js';
 
 const coordinatorAgent = new CoordinatorAgent();
+const votingAgent = new VotingAgent();
 
 // Testing mode: faster nudges for development
 const TESTING_MODE = process.env.TESTING_MODE === 'true';
@@ -19,6 +24,15 @@ const NUDGE_INTERVALS = TESTING_MODE ? {
   give_up: 72 * 60 * 60 * 1000,       // 72 hours
 };
 
+// Runoffs time out after 24 hours (the tie-break rule decides then), so their nudges fit inside that
+const RUNOFF_NUDGE_INTERVALS = TESTING_MODE ? {
+  first_nudge: 30 * 1000,      // 30 seconds
+  second_nudge: 60 * 1000,     // 1 minute
+} : {
+  first_nudge: 12 * 60 * 60 * 1000,   // 12 hours
+  second_nudge: 20 * 60 * 60 * 1000,  // 20 hours
+};
+
 const NUDGE_RULES = {
   collecting_destinations: {
     first_nudge: NUDGE_INTERVALS.first_nudge,
@@ -40,6 +54,17 @@ const NUDGE_RULES = {
     second_nudge: NUDGE_INTERVALS.second_nudge,
     give_up: NUDGE_INTERVALS.give_up,
   },
+  // Runoffs only last 24 hours - one nudge halfway through, and a "closes soon" one 4 hours before the end
+  runoff_destination: {
+    first_nudge: RUNOFF_NUDGE_INTERVALS.first_nudge,
+    second_nudge: RUNOFF_NUDGE_INTERVALS.second_nudge,
+    give_up: NUDGE_INTERVALS.give_up,
+  },
+  runoff_dates: {
+    first_nudge: RUNOFF_NUDGE_INTERVALS.first_nudge,
+    second_nudge: RUNOFF_NUDGE_INTERVALS.second_nudge,
+    give_up: NUDGE_INTERVALS.give_up,
+  },
   tracking_flights: {
     first_nudge: 24 * 60 * 60 * 1000,   // 24 hours
     second_nudge: 48 * 60 * 60 * 1000,   // 48 hours
@@ -52,6 +77,7 @@ class NudgeScheduler {
   constructor() {
     this.isRunning = false;
     this.intervalId = null;
+    this.deferredIntervalId = null;
   }
 
   start() {
@@ -71,6 +97,11 @@ class NudgeScheduler {
     this.intervalId = setInterval(() => {
       this.checkAllTrips();
     }, interval);
+
+    // Texts held back for quiet hours go out soon after each member's quiet hours end
+    this.deferredIntervalId = setInterval(() => {
+      this.sendDeferredMessages();
+    }, TESTING_MODE ? 10 * 1000 : 5 * 60 * 1000);
   }
 
   stop() {
@@ -78,6 +109,10 @@ class NudgeScheduler {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
+    if (this.deferredIntervalId) {
+      clearInterval(this.deferredIntervalId);
+      this.deferredIntervalId = null;
+    }
     this.isRunning = false;
     console.log('Nudge scheduler stopped');
   }
@@ -88,22 +123,77 @@ class NudgeScheduler {
       console.log(`🕐 Checking ${activeTrips.length} active trips for nudges`);
 
       for (const trip of activeTrips) {
-        await this.processTrip(trip);
+        // Skip trips another process is working on - they'll be checked next round
+        const checked = await tryWithTripLock(trip.id, () => this.processTrip(trip));
+        if (!checked) {
+          console.log(`🕐 Trip ${trip.id} is busy, skipping nudge check`);
+        }
       }
+
+      await this.closeExpiredPolls();
     } catch (error) {
       console.error('Error in nudge scheduler:', error);
     }
   }
 
+  async sendDeferredMessages() {
+    try {
+      const sent = await sendDueDeferredMessages(twilioClient);
+      if (sent > 0) {
+        console.log(`🌅 Sent ${sent} message(s) held for quiet hours or rate limits`);
+      }
+    } catch (error) {
+      console.error('Error sending deferred messages:', error);
+    }
+  }
+
+  // Side polls close at their deadline even if their close rule was never met
+  async closeExpiredPolls() {
+    const expiredPolls = await db.getExpiredPolls();
+
+    for (const poll of expiredPolls) {
+      try {
+        await tryWithTripLock(poll.trip_id, async () => {
+          const result = await votingAgent.closeSidePoll(poll);
+          if (!result?.output?.message) {
+            return; // Already closed by a vote
+          }
+
+          const trip = await db.getTrip(poll.trip_id);
+          const members = await db.getMembers(poll.trip_id);
+          await db.createMessage(poll.trip_id, 'bot', result.output.message, trip?.group_chat_id, 'bot');
+          await twilioClient.sendGroup(members.map(m => m.phone_number), result.output.message, { tripId: poll.trip_id, groupChatId: trip?.group_chat_id });
+          console.log(`📊 Closed expired poll #${poll.poll_number} for trip ${poll.trip_id}`);
+        });
+      } catch (error) {
+        console.error(`Error closing expired poll ${poll.id}:`, error);
+      }
+    }
+  }
+
   async processTrip(trip) {
     const rules = NUDGE_RULES[trip.stage];
     if (!rules) {
       return; // No nudging rules for this stage
     }
 
+    // Polls close on their own timeout even when nobody is messaging
+    if (isPollStage(trip.stage)) {
+      await checkStateTransitions(trip.id, 'scheduler');
+      const current = await db.getTrip(trip.id);
+      if (!current || current.stage !== trip.stage) {
+        return;
+      }
+    }
+
+    // "@bot pause nudges" - polls still close, but no nudges and no giving up on the trip
+    if (trip.nudges_paused) {
+      return;
+    }
+
     const now = Date.now();
-    const stageEnteredAt = new Date(trip.stage_entered_at).getTime();
-    const timeSinceStageEntered = now - stageEnteredAt;
+    // Counted from the stage's deadline, so "@bot extend" holds off nudges and giving up too
+    const timeSinceStageEntered = stageElapsedMs(trip, getPollRule(trip.stage)?.timeoutHours || 0, now);
     const lastNudgeAt = trip.last_nudge_at ? new Date(trip.last_nudge_at).getTime() : 0;
     const timeSinceLastNudge = now - lastNudgeAt;
     const nudgeCount = trip.nudge_count || 0;
@@ -115,7 +205,7 @@ class NudgeScheduler {
 
     // Check if we should give up
     if (timeSinceStageEntered > rules.give_up) {
-      await this.markTripDead(trip);
+      await this.markTripDead(trip, `no activity in ${trip.stage} for ${Math.round(timeSinceStageEntered / (60 * 60 * 1000))} hours`);
       return;
     }
 
@@ -142,11 +232,9 @@ class NudgeScheduler {
       if (result.output.sendTo === 'group') {
         const members = await db.getMembers(trip.id);
         await db.createMessage(trip.id, 'bot', result.output.message, trip.group_chat_id, 'bot');
-        for (const member of members) {
-          await twilioClient.sendSMS(member.phone_number, result.output.message);
-        }
+        await twilioClient.sendGroup(members.map(m => m.phone_number), result.output.message, { tripId: trip.id, groupChatId: trip.group_chat_id });
       } else if (result.output.recipient) {
-        await twilioClient.sendSMS(result.output.recipient, result.output.message, trip.id, trip.group_chat_id);
+        await twilioClient.sendSMS(result.output.recipient, result.output.message, { tripId: trip.id, groupChatId: trip.group_chat_id });
         await db.createMessage(trip.id, 'bot', result.output.message, trip.group_chat_id, 'bot');
       }
     }
@@ -163,9 +251,7 @@ class NudgeScheduler {
     
     // Send to group
     const members = await db.getMembers(trip.id);
-    for (const member of members) {
-      await twilioClient.sendSMS(member.phone_number, nudgeText);
-    }
+    await twilioClient.sendGroup(members.map(m => m.phone_number), nudgeText, { tripId: trip.id, groupChatId: trip.group_chat_id });
 
     // Update trip
     await db.updateTrip(trip.id, {
@@ -177,22 +263,19 @@ class NudgeScheduler {
   }
 
   async getNonResponders(trip) {
-    const members = await db.getMembers(trip.id);
+    // Members we can't reach aren't ignoring us - don't nudge or wait on them
+    const members = (await db.getMembers(trip.id)).filter(m => !m.unreachable_at);
     
     if (trip.stage === 'collecting_destinations') {
       const suggestions = await db.getDestinationSuggestions(trip.id);
       const suggested = new Set(suggestions.map(s => s.member_id));
       return members.filter(m => !suggested.has(m.id));
-    } else if (trip.stage === 'voting_destination') {
-      const votes = await db.getVotes(trip.id, 'destination');
-      const voted = new Set(votes.map(v => v.member_id));
-      return members.filter(m => !voted.has(m.id));
     } else if (trip.stage === 'collecting_dates') {
       const availability = await db.getDateAvailability(trip.id);
       const submitted = new Set(availability.map(a => a.member_id));
       return members.filter(m => !submitted.has(m.id));
-    } else if (trip.stage === 'voting_dates') {
-      const votes = await db.getVotes(trip.id, 'dates');
+    } else if (isPollStage(trip.stage)) {
+      const votes = await db.getVotes(trip.id, getPollRule(trip.stage).type);
       const voted = new Set(votes.map(v => v.member_id));
       return members.filter(m => !voted.has(m.id));
     } else if (trip.stage === 'tracking_flights') {
@@ -223,6 +306,14 @@ class NudgeScheduler {
         low: `${names} - still waiting on your vote! Check the date options and reply with the number.`,
         high: `${names} - vote now! We're waiting on you to lock in dates.`,
       },
+      runoff_destination: {
+        low: `${names} - the destination vote tied! Reply with the number of your pick in the runoff.`,
+        high: `${names} - the runoff closes soon! Vote now or the tie-break rule decides the destination.`,
+      },
+      runoff_dates: {
+        low: `${names} - the date vote tied! Reply with the number of your pick in the runoff.`,
+        high: `${names} - the runoff closes soon! Vote now or the tie-break rule decides the dates.`,
+      },
     };
 
     const messages = stageMessages[trip.stage];
@@ -234,11 +325,9 @@ class NudgeScheduler {
     return `${names} - we're waiting on you! Please respond.`;
   }
 
-  async markTripDead(trip) {
-    await db.updateTrip(trip.id, {
-      stage: 'completed', // Or create a 'dead' stage
-    });
-    console.log(`💀 Marked trip ${trip.id} as dead (no activity for too long)`);
+  async markTripDead(trip, reason) {
+    await abandonTrip(trip.id, reason);
+    console.log(`💀 Marked trip ${trip.id} as abandoned (${reason})`);
   }
 }
 
@@ -5,7 +5,13 @@ import fs from 'fs';
 import { config } from './config/index.js';
 import { messageQueue } from './queue/messageQueue.js';
 import * as db from './db/queries.js';
-import { generateInviteCode } from './utils/helpers.js';
+import { generateInviteCode, inboundContentHash } from './utils/helpers.js';
+import { isValidTwilioSignature, webhookUrl } from './utils/twilioSignature.js';
+import { SENDER_POLICIES, senderRejectionReason } from './utils/senderPolicy.js';
+import { applyDeliveryStatus, unreachableMemberMessage } from './utils/deliveryStatus.js';
+import { parseComplianceKeyword, handleComplianceKeyword } from './utils/compliance.js';
+import { parseTripCode, pickTripForSender, isJoinNameReply, whichTripMessage } from './utils/tripRouting.js';
+import { parseJoinCommand, isInviteExpired } from './utils/invites.js';
 import { checkStateTransitions } from './state/stateMachine.js';
 import { twilioClient } from './utils/twilio.js';
 import { callClaudeWithSystemPrompt } from './utils/claude.js';
@@ -65,30 +71,136 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Record a rejected webhook request - logging must never break the webhook itself
+async function logWebhookRejection(tripId, reason, req) {
+  console.error(`   🚫 Rejected /sms/incoming from ${req.body?.From || 'unknown'}: ${reason}`);
+  try {
+    await db.logError(tripId, new Error(`Webhook rejected: ${reason}`), {
+      type: 'webhook_rejected',
+      from: req.body?.From,
+      groupChatId: req.body?.GroupId,
+      messageSid: req.body?.MessageSid,
+      ip: req.ip,
+    });
+  } catch (error) {
+    console.error('   ⚠️  Failed to log webhook rejection:', error.message);
+  }
+}
+
+// Only Twilio (holding our auth token) can produce a valid X-Twilio-Signature
+async function verifyTwilioSignature(req, res, next) {
+  if (!config.twilio.validateSignatures) {
+    return next();
+  }
+  if (!config.twilio.authToken) {
+    await logWebhookRejection(null, 'TWILIO_AUTH_TOKEN is not set, cannot verify signature', req);
+    return res.status(403).send('Forbidden');
+  }
+
+  const url = webhookUrl(req, config.twilio.webhookBaseUrl);
+  if (!isValidTwilioSignature(config.twilio.authToken, req.get('X-Twilio-Signature'), url, req.body)) {
+    await logWebhookRejection(null, 'invalid X-Twilio-Signature', req);
+    return res.status(403).send('Forbidden');
+  }
+  next();
+}
+
 // Twilio webhook (for production)
-app.post('/sms/incoming', async (req, res) => {
+app.post('/sms/incoming', verifyTwilioSignature, async (req, res) => {
+  let delivery = null;
   try {
-    const { From, Body, GroupId } = req.body;
+    const { From, Body, GroupId, MessageSid } = req.body;
 
     if (!From || !Body) {
       return res.status(400).send('Missing required fields');
     }
 
-    // Find or create trip
-    const trip = await findOrCreateTrip(From, GroupId);
+    // Twilio retries webhooks that time out - handle each delivery once, before anything replies to it.
+    // Keyed on MessageSid; a sender + text hash (within a short window) only for providers without ids
+    const deliveryKey = MessageSid ? `sid:${MessageSid}` : `hash:${inboundContentHash(From, Body, GroupId)}`;
+    if (!(await db.claimInboundDelivery(deliveryKey, MessageSid ? null : config.inbound.duplicateWindowSeconds))) {
+      console.log(`   ♻️  Duplicate delivery from ${From}${MessageSid ? ` (${MessageSid})` : ''}, already handled - skipping`);
+      return res.status(200).send('OK');
+    }
+    delivery = deliveryKey;
+
+    // STOP/HELP/START never reach the queue (or create a trip)
+    const complianceKeyword = parseComplianceKeyword(Body);
+    if (complianceKeyword) {
+      await handleComplianceKeyword(From, complianceKeyword, Body);
+      return res.status(200).send('OK');
+    }
+
+    // Find or create trip - someone in several trips may need to tell us which one
+    const route = await routeInboundMessage(From, Body, GroupId);
+    if (route.reply) {
+      await twilioClient.sendSMS(From, route.reply, { replyTo: From });
+      return res.status(200).send('OK');
+    }
+    const { trip, body } = route;
+    const source = route.source || 'sms';
+
+    // Per-trip allow-list - acknowledge (so Twilio doesn't retry) but don't process
+    // (a valid invite code lets someone in whatever the policy)
+    const member = await db.getMemberByPhoneAndTrip(trip.id, From);
+    const rejection = source === 'invite' ? null : senderRejectionReason(trip, !!member, config.inbound.senderPolicy);
+    if (rejection) {
+      await logWebhookRejection(trip.id, rejection, req);
+      return res.status(200).send('OK');
+    }
+
+    const message = await db.recordInboundMessage(trip.id, {
+      from: From,
+      body,
+      groupChatId: GroupId,
+      source,
+      providerMessageId: MessageSid,
+    });
 
     // Queue message
     await messageQueue.add(trip.id, {
       from: From,
-      body: Body,
+      body,
       groupChatId: GroupId,
-      source: 'sms',
+      source,
+      messageId: message.id,
     });
 
     // Respond to Twilio immediately (required)
     res.status(200).send('OK');
   } catch (error) {
     console.error('Error handling SMS:', error);
+    // Not handled - let Twilio's retry through
+    if (delivery) {
+      await db.releaseInboundDelivery(delivery).catch(releaseError => {
+        console.error('   ⚠️  Failed to release inbound delivery:', releaseError.message);
+      });
+    }
+    res.status(500).send('Error');
+  }
+});
+
+// Delivery status callbacks for the texts we send (see MESSAGING_STATUS_CALLBACK_URL)
+app.post('/sms/status', verifyTwilioSignature, async (req, res) => {
+  try {
+    const update = twilioClient.parseStatusCallback(req.body);
+    if (!update.sid || !update.status) {
+      return res.status(400).send('Missing required fields');
+    }
+
+    const result = await applyDeliveryStatus(update);
+    if (result?.change === 'unreachable') {
+      // Tell everyone else - they might know a better number
+      const trip = await db.getTrip(result.message.trip_id);
+      const others = (await db.getMembers(trip.id)).filter(m => m.id !== result.member.id);
+      const notice = unreachableMemberMessage(result.member);
+      await db.createMessage(trip.id, 'bot', notice, trip.group_chat_id, 'bot');
+      await twilioClient.sendGroup(others.map(m => m.phone_number), notice, { tripId: trip.id, groupChatId: trip.group_chat_id });
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('Error handling SMS status callback:', error);
     res.status(500).send('Error');
   }
 });
@@ -102,6 +214,12 @@ app.post('/test/sms', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: from, body' });
     }
 
+    const complianceKeyword = parseComplianceKeyword(body);
+    if (complianceKeyword) {
+      await handleComplianceKeyword(from, complianceKeyword, body);
+      return res.json({ success: true, compliance: complianceKeyword });
+    }
+
     // Log incoming message
     console.log('\n' + '='.repeat(60));
     console.log(`📨 INCOMING MESSAGE [${new Date().toLocaleTimeString()}]`);
@@ -111,7 +229,7 @@ app.post('/test/sms', async (req, res) => {
     console.log('='.repeat(60));
 
     // Find or create trip
-    const trip = await findOrCreateTrip(from, groupId || `test-group-${Date.now()}`);
+    const { trip } = await routeInboundMessage(from, body, groupId || `test-group-${Date.now()}`);
     console.log(`   Trip ID: ${trip.id}`);
     console.log(`   Trip Stage: ${trip.stage}`);
     if (trip.destination) console.log(`   Destination: ${trip.destination}`);
@@ -339,17 +457,16 @@ app.post('/test/add-bot', async (req, res) => {
     // Don't create placeholder members - let people join by replying with their names
     const { twilioClient } = await import('./utils/twilio.js');
     
-    // Update trip stage to collecting_members
-    await db.updateTrip(trip.id, { stage: 'collecting_members', stage_entered_at: new Date() });
+    // Update trip stage to collecting_members (welcome message is sent below)
+    const { requestStateTransition } = await import('./state/stateMachine.js');
+    await requestStateTransition(trip.id, 'collecting_members', 'bot added to group', { announce: false });
     
     // Send welcome message to provided phone numbers (in real Twilio, this would be a group message)
         const welcomeMessage = "What's up! 🎉 Voyaj here - I'm gonna help you all plan an awesome trip.\n\nFirst things first: reply with your name so I know who's in. Once we hit 2 people, we'll start picking where to go!\n\nReady? Let's do this! 🚀";
     
     if (phoneNumbers && phoneNumbers.length > 0) {
       // Send to all provided phone numbers (simulating group chat)
-      for (const phone of phoneNumbers) {
-        await twilioClient.sendSMS(phone, welcomeMessage);
-      }
+      await twilioClient.sendGroup(phoneNumbers, welcomeMessage, { tripId: trip.id, groupChatId: trip.group_chat_id });
       console.log(`   📤 Welcome message sent to ${phoneNumbers.length} phone numbers`);
     } else {
       // In real Twilio, this would be sent as a group message automatically
@@ -513,6 +630,106 @@ app.post('/test/reset', async (req, res) => {
   }
 });
 
+function formatStageTransition(transition) {
+  return {
+    from: transition.from_stage,
+    to: transition.to_stage,
+    reason: transition.reason,
+    trigger: transition.trigger,
+    messageId: transition.message_id,
+    messageBody: transition.message_body || null,
+    messageFrom: transition.message_from || null,
+    at: transition.created_at,
+  };
+}
+
+// Stage history for a trip - "when did this trip enter voting and why?"
+app.get('/test/stage-history/:groupId', async (req, res) => {
+  try {
+    const trip = await db.getTripByGroupChatId(req.params.groupId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const transitions = await db.getStageTransitions(trip.id);
+    res.json({
+      tripId: trip.id,
+      currentStage: trip.stage,
+      stageEnteredAt: trip.stage_entered_at,
+      transitions: transitions.map(formatStageTransition),
+    });
+  } catch (error) {
+    console.error('❌ Error getting stage history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin routes - X-Admin-Token must match ADMIN_TOKEN (without one, only allowed outside production)
+function requireAdmin(req, res, next) {
+  const token = config.admin.token;
+  if (token ? req.get('X-Admin-Token') === token : config.server.env !== 'production') {
+    return next();
+  }
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+// Set who may post into a trip: { policy: 'members' | 'open_while_joining' | null (config default) }
+app.post('/admin/trips/:id/sender-policy', requireAdmin, async (req, res) => {
+  try {
+    const policy = req.body.policy ?? null;
+    if (policy !== null && !SENDER_POLICIES.includes(policy)) {
+      return res.status(400).json({ error: `policy must be one of: ${SENDER_POLICIES.join(', ')}` });
+    }
+    const trip = await db.updateTrip(req.params.id, { sender_policy: policy });
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    res.json({ success: true, tripId: trip.id, policy: trip.sender_policy || config.inbound.senderPolicy });
+  } catch (error) {
+    console.error('❌ Error updating sender policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Messages the queue gave up on after retrying
+app.get('/admin/queue/dead', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const deadLetters = await db.getDeadLetterMessages(limit);
+    res.json({
+      count: deadLetters.length,
+      messages: deadLetters.map(row => ({
+        id: row.id,
+        tripId: row.trip_id,
+        groupChatId: row.group_chat_id,
+        from: row.payload.from,
+        body: row.payload.body,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        queuedAt: row.created_at,
+        failedAt: row.updated_at,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Error getting dead letters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put a dead-lettered message back on its trip's queue
+app.post('/admin/queue/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const row = await messageQueue.retryDeadLetter(req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Dead-lettered message not found' });
+    }
+    res.json({ success: true, id: row.id, tripId: row.trip_id });
+  } catch (error) {
+    console.error('❌ Error retrying dead letter:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Debug endpoint to inspect what's actually stored in the DB
 app.get('/test/debug/:groupId', async (req, res) => {
   try {
@@ -571,6 +788,9 @@ app.get('/test/debug/:groupId', async (req, res) => {
       [trip.id]
     );
     
+    // Stage history (when and why the trip moved between stages)
+    const stageTransitions = await db.getStageTransitions(trip.id);
+    
     // Build response with all the data
     const debugData = {
       trip: {
@@ -581,6 +801,11 @@ app.get('/test/debug/:groupId', async (req, res) => {
         startDate: trip.start_date,
         endDate: trip.end_date,
         stageEnteredAt: trip.stage_entered_at,
+        abandoned: trip.stage === 'abandoned' ? {
+          fromStage: trip.abandoned_from_stage,
+          reason: trip.abandoned_reason,
+          abandonedAt: trip.abandoned_at,
+        } : null,
       },
       members: members.map(m => ({
         id: m.id,
@@ -618,6 +843,7 @@ app.get('/test/debug/:groupId', async (req, res) => {
         body: msg.body, // RAW MESSAGE TEXT
         receivedAt: msg.received_at,
       })),
+      stageTransitions: stageTransitions.map(formatStageTransition),
     };
     
     res.json(debugData);
@@ -690,37 +916,70 @@ if (config.server.env === 'development') {
   });
 }
 
-// Helper: Find or create trip
-async function findOrCreateTrip(phone, groupChatId) {
+// Helper: Find the trip an inbound text belongs to, or create one
+// Returns { trip, body, source } (body minus any "#CODE" prefix; source 'invite' for the join-by-code
+// flow), or { reply } when we need to answer the sender directly instead (e.g. to ask which trip)
+async function routeInboundMessage(phone, body, groupChatId) {
   // PRIORITY 1: Check if group chat has existing trip (group chat is the primary identifier)
   if (groupChatId) {
     const trip = await db.getTripByGroupChatId(groupChatId);
     if (trip) {
-      return trip;
+      return { trip, body };
     }
   }
 
-  // PRIORITY 2: If no groupChatId or no trip found for group, check if phone is in existing trip
-  // BUT only if the trip's groupChatId matches (or is null/empty)
-  const member = await db.getMemberByPhone(phone);
-  if (member) {
-    const trip = await db.getTrip(member.trip_id);
-    if (trip) {
-      // Only use this trip if:
-      // 1. No groupChatId was provided (single-user mode), OR
-      // 2. The trip's groupChatId matches the provided one, OR
-      // 3. The trip has no groupChatId yet (legacy trip)
-      if (!groupChatId || !trip.group_chat_id || trip.group_chat_id === groupChatId) {
-        // Update group_chat_id if it changed
-        if (groupChatId && trip.group_chat_id !== groupChatId) {
-          await db.updateTrip(trip.id, { group_chat_id: groupChatId });
-        }
-        return trip;
+  // "JOIN K7QM2P" 1:1 - the invite code picks the trip
+  if (!groupChatId) {
+    const joinCode = parseJoinCommand(body);
+    if (joinCode) {
+      const joinTrip = await db.getTripByInviteCode(joinCode);
+      if (!joinTrip) {
+        return { reply: `I couldn't find a trip with the code ${joinCode}. Check the code and try again.` };
+      }
+      if (isInviteExpired(joinTrip, config.invites.expiryDays)) {
+        return { reply: 'That invite code has expired - ask whoever invited you for a new one.' };
       }
-      // If groupChatId doesn't match, this is a different group - create new trip below
+      return { trip: joinTrip, body, source: 'invite' };
     }
   }
 
+  const memberships = await db.getMembershipsByPhone(phone);
+  const tripCode = !groupChatId && memberships.length > 0 ? parseTripCode(body) : null;
+
+  // Their next 1:1 text after JOIN is their name (not a "#CODE ..." text for one of their trips)
+  if (!groupChatId && !tripCode) {
+    const pendingJoin = await db.getJoinRequestAwaitingName(phone, config.invites.nameWindowMinutes);
+    const pendingTrip = isJoinNameReply(pendingJoin, memberships) && await db.getTrip(pendingJoin.trip_id);
+    if (pendingTrip && !isInviteExpired(pendingTrip, config.invites.expiryDays)) {
+      return { trip: pendingTrip, body, source: 'invite' };
+    }
+  }
+
+  if (groupChatId) {
+    // PRIORITY 2: A trip of theirs that has no group chat yet (legacy trip) adopts this one
+    const legacy = memberships.find(({ trip }) => !trip.group_chat_id);
+    if (legacy) {
+      await db.updateTrip(legacy.trip.id, { group_chat_id: groupChatId });
+      return { trip: { ...legacy.trip, group_chat_id: groupChatId }, body };
+    }
+    // Otherwise this is a different group - create new trip below
+  } else if (memberships.length > 0) {
+    // PRIORITY 2: 1:1 text - "#CODE ..." picks the trip, otherwise the most recently active one
+    if (tripCode) {
+      const match = memberships.find(({ trip }) => trip.invite_code === tripCode.code);
+      if (!match) {
+        return { reply: `You're not in a trip with the code #${tripCode.code}. ${memberships.length > 1 ? whichTripMessage(memberships) : ''}`.trim() };
+      }
+      return { trip: match.trip, body: tripCode.body || body };
+    }
+
+    const picked = pickTripForSender(memberships, config.inbound.tripRoutingWindowMinutes);
+    if (picked.ambiguous) {
+      return { reply: whichTripMessage(picked.ambiguous) };
+    }
+    return { trip: picked.trip, body };
+  }
+
   // Create new trip
   const inviteCode = generateInviteCode();
   const trip = await db.createTrip({
@@ -729,7 +988,7 @@ async function findOrCreateTrip(phone, groupChatId) {
     stage: 'created',
   });
 
-  return trip;
+  return { trip, body };
 }
 
 // Start server
@@ -743,6 +1002,21 @@ app.listen(PORT, HOST, async () => {
     console.log(`🧪 Test UI: http://localhost:${PORT}/test-ui`);
   }
   
+  // Pick up messages that were still queued when the server last stopped
+  try {
+    await messageQueue.resume();
+  } catch (error) {
+    console.error('❌ Failed to resume message queue:', error.message);
+  }
+
+  // Restart digest windows left open (their items are saved, only the timers were lost)
+  try {
+    const { orchestrator } = await import('./orchestrator.js');
+    await orchestrator.resumeDigests();
+  } catch (error) {
+    console.error('❌ Failed to resume pending digests:', error.message);
+  }
+  
   // Start nudge scheduler
   if (config.server.env !== 'test') {
     const { nudgeScheduler } = await import('./scheduler/nudgeScheduler.js');
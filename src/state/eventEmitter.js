@@ -9,6 +9,7 @@ export const EVENTS = {
   DATES_VOTED: 'dates_voted',
   FLIGHT_ADDED: 'flight_added',
   STAGE_CHANGED: 'stage_changed',
+  POLL_RESOLVED: 'poll_resolved',
 };
 
 // Helper to emit events
@@ -1,19 +1,21 @@
 import * as db from './../db/queries.js';
 import { emitEvent, EVENTS } from './eventEmitter.js';
-
+import { DEFAULT_VOTING_METHOD } from './../utils/voteTally.js';
+import { placeName } from './../utils/gazetteer.js';
+import { describeDestination } from './../utils/tripLegs.js';
+import {
+  TRIP_STAGES,
+  findTransition,
+  getAutomaticTransitions,
+  validateTransitionTable,
+} from './transitions.js';
+
+// Per-stage behaviour: the action run on entering a stage and, for voting stages, the poll rules
+// Which stage a trip can move to next lives in the transition table (transitions.js)
 const STAGES = {
-  created: {
-    next: 'collecting_members',
-    trigger: 'first_member_joined',
-  },
+  created: {},
 
   collecting_members: {
-    next: 'planning',
-    trigger: 'enough_members',
-    condition: async (trip) => {
-      const memberCount = await db.getMemberCount(trip.id);
-      return memberCount >= 2;
-    },
     action: async (trip, agents) => {
       const members = await db.getMembers(trip.id);
       const memberNames = members.map(m => m.name).join(', ');
@@ -30,14 +32,8 @@ const STAGES = {
 
   // Planning state - collects both destination suggestions and date availability simultaneously
   // Uses count-based logic to determine voting triggers and tone adjustment
+  // Moves on via checkPlanningTransitions (to voting_destination, voting_dates, or tracking_flights)
   planning: {
-    next: null, // Dynamic - can go to voting_destination, voting_dates, or tracking_flights
-    trigger: 'check_whats_ready',
-    condition: async (trip) => {
-      // This state doesn't auto-transition - transitions are handled by checkPlanningTransitions
-      // based on counts and what's ready (destination suggestions vs date availability)
-      return false; // Never auto-transition from planning
-    },
     action: async (trip, agents) => {
       // Get counts for tone adjustment
       const destinationSuggestionCount = await db.getDestinationSuggestionCount(trip.id);
@@ -53,7 +49,7 @@ const STAGES = {
           output: {
             type: 'status_update',
             status: `Perfect! We're all set! 🎉`,
-            details: `📍 ${trip.destination}\n📅 ${new Date(trip.start_date).toLocaleDateString()} - ${new Date(trip.end_date).toLocaleDateString()}\n\nTime to book flights! ✈️`,
+            details: `📍 ${describeDestination(trip.destination)}\n📅 ${new Date(trip.start_date).toLocaleDateString()} - ${new Date(trip.end_date).toLocaleDateString()}\n\nTime to book flights! ✈️`,
             sendTo: 'group',
           },
         };
@@ -67,7 +63,7 @@ const STAGES = {
       
       if (hasDestination) {
         // Destination already set, focus on dates
-        status = `Great! We're going to ${trip.destination}! 🎉`;
+        status = `Great! We're going to ${describeDestination(trip.destination)}! 🎉`;
         details = `Now we need dates! When are you available?\n\n📅 Reply with your date availability.\n\nExamples:\n• "March 15-22"\n• "I'm flexible in April"\n• "Late May or early June"`;
       } else if (hasDates) {
         // Dates already set, focus on destinations
@@ -100,14 +96,11 @@ const STAGES = {
   },
 
   voting_destination: {
-    next: 'planning', // Return to planning after voting completes
-    trigger: 'poll_complete',
-    condition: async (trip) => {
-      const votes = await db.getVotes(trip.id, 'destination');
-      const members = await db.getMembers(trip.id);
-      const majority = votes.length >= Math.ceil(members.length * 0.6);
-      const timeout = Date.now() - new Date(trip.stage_entered_at).getTime() > 48 * 60 * 60 * 1000;
-      return majority || timeout;
+    poll: {
+      type: 'destination',
+      timeoutHours: 48,
+      majorityLabel: '60% majority',
+      majorityThreshold: (memberCount) => Math.ceil(memberCount * 0.6),
     },
     action: async (trip, agents) => {
       // Get destination suggestions and create voting message
@@ -122,9 +115,11 @@ const STAGES = {
         output: {
           type: 'poll_started',
           pollType: 'destination',
-          options: uniqueDestinations,
+          options: uniqueDestinations.map(placeName),
           memberCount,
           majorityThreshold,
+          votingMethod: trip.voting_method || DEFAULT_VOTING_METHOD,
+          legCount: trip.leg_count || 1,
           sendTo: 'group',
         },
       };
@@ -132,14 +127,11 @@ const STAGES = {
   },
 
   voting_dates: {
-    next: 'planning', // Return to planning after voting completes
-    trigger: 'poll_complete',
-    condition: async (trip) => {
-      const votes = await db.getVotes(trip.id, 'dates');
-      const members = await db.getMembers(trip.id);
-      const majority = votes.length >= Math.ceil(members.length * 0.6);
-      const timeout = Date.now() - new Date(trip.stage_entered_at).getTime() > 48 * 60 * 60 * 1000;
-      return majority || timeout;
+    poll: {
+      type: 'dates',
+      timeoutHours: 48,
+      majorityLabel: '60% majority',
+      majorityThreshold: (memberCount) => Math.ceil(memberCount * 0.6),
     },
     action: async (trip, agents) => {
       // Get date availability and create voting message
@@ -157,48 +149,156 @@ const STAGES = {
           options: options.map(o => o.display),
           memberCount,
           majorityThreshold,
+          votingMethod: trip.voting_method || DEFAULT_VOTING_METHOD,
           sendTo: 'group',
         },
       };
     },
   },
 
-  tracking_flights: {
-    next: 'trip_confirmed',
-    trigger: 'all_flights_booked',
-    condition: async (trip) => {
-      const flightCount = await db.getFlightCount(trip.id);
-      const memberCount = await db.getMemberCount(trip.id);
-      return flightCount >= memberCount;
+  // Runoff polls between the options that tied - shorter, and a simple majority wins
+  // If the runoff ties too, the trip's tie-break rule decides (see VotingAgent.breakTie)
+  runoff_destination: {
+    poll: {
+      type: 'destination_runoff',
+      runoffOf: 'destination',
+      timeoutHours: 24,
+      majorityLabel: 'simple majority',
+      majorityThreshold: (memberCount) => Math.floor(memberCount / 2) + 1,
     },
+    action: async (trip, agents) => runoffAction(trip, agents),
   },
 
-  trip_confirmed: {
-    next: 'active',
-    trigger: 'trip_start_date',
-    condition: async (trip) => {
-      if (!trip.start_date) return false;
-      const startDate = new Date(trip.start_date);
-      return Date.now() >= startDate.getTime();
+  runoff_dates: {
+    poll: {
+      type: 'dates_runoff',
+      runoffOf: 'dates',
+      timeoutHours: 24,
+      majorityLabel: 'simple majority',
+      majorityThreshold: (memberCount) => Math.floor(memberCount / 2) + 1,
     },
+    action: async (trip, agents) => runoffAction(trip, agents),
   },
 
-  active: {
-    next: 'completed',
-    trigger: 'trip_end_date',
-    condition: async (trip) => {
-      if (!trip.end_date) return false;
-      const endDate = new Date(trip.end_date);
-      return Date.now() >= endDate.getTime();
-    },
-  },
+  tracking_flights: {},
+
+  trip_confirmed: {},
+
+  active: {},
 
-  completed: {
-    next: null,
+  completed: {},
+
+  // Trips that went quiet for too long - any member can revive the trip ("let's restart")
+  // back into abandoned_from_stage with everything collected so far
+  abandoned: {
+    action: async (trip, agents) => {
+      return {
+        output: {
+          type: 'status_update',
+          status: `Looks like this trip has stalled, so I'm pausing it 💤`,
+          details: `Everything you've shared so far is saved. Whenever you're ready, text "let's restart" and we'll pick up right where we left off.`,
+          sendTo: 'group',
+        },
+      };
+    },
   },
 };
 
-export async function checkStateTransitions(tripId) {
+// Fail fast if the transition table and STAGES disagree
+const tableProblems = [
+  ...validateTransitionTable(Object.keys(STAGES)),
+  ...TRIP_STAGES.filter(stage => !STAGES[stage]).map(stage => `${stage}: missing from STAGES`),
+];
+if (tableProblems.length > 0) {
+  throw new Error(`Invalid trip transition table:\n${tableProblems.join('\n')}`);
+}
+
+// Poll rules (type, majority, timeout) for a voting or runoff stage, or null
+export function getPollRule(stage) {
+  return STAGES[stage]?.poll || null;
+}
+
+export function isPollStage(stage) {
+  return !!getPollRule(stage);
+}
+
+// "let's restart", "revive the trip", "we're back"
+export function isReviveRequest(text) {
+  return /\b(let'?s\s+)?(restart|revive|resume|unpause|reactivate)\b|\b(we'?re|i'?m)\s+back\b|\bpick\s+(it\s+|this\s+)?back\s+up\b/i.test(text || '');
+}
+
+// What caused a stage change - recorded in stage_transitions.trigger
+// 'message:<messages.id>' for a member's text, otherwise 'scheduler', 'timeout' or 'system'
+export const TRANSITION_TRIGGERS = ['message', 'scheduler', 'timeout', 'system'];
+
+export function messageTrigger(message) {
+  return message?.id ? `message:${message.id}` : 'message';
+}
+
+function parseTrigger(trigger = 'system') {
+  const [type, messageId] = trigger.split(':');
+  return {
+    trigger: TRANSITION_TRIGGERS.includes(type) ? type : 'system',
+    messageId: messageId || null,
+  };
+}
+
+// When the current stage times out - timeoutHours after it was entered, unless the organizer extended it
+export function stageDeadline(trip, timeoutHours) {
+  if (trip.stage_deadline_at) return new Date(trip.stage_deadline_at);
+  return new Date(new Date(trip.stage_entered_at).getTime() + timeoutHours * 60 * 60 * 1000);
+}
+
+// How long the current stage has been running, less any time "@bot extend" added to its deadline -
+// so anything timed from the stage's start (nudges, giving up) moves with the deadline
+export function stageElapsedMs(trip, timeoutHours, now = Date.now()) {
+  const stageStart = stageDeadline(trip, timeoutHours).getTime() - timeoutHours * 60 * 60 * 1000;
+  return now - stageStart;
+}
+
+// A poll is finished once enough members voted ('majority') or its deadline passed ('timeout')
+async function isPollFinished(trip) {
+  const rule = getPollRule(trip.stage);
+  const votes = await db.getVotes(trip.id, rule.type);
+  const members = await db.getMembers(trip.id);
+  if (votes.length >= rule.majorityThreshold(members.length)) return 'majority';
+  return Date.now() > stageDeadline(trip, rule.timeoutHours).getTime() ? 'timeout' : null;
+}
+
+// Close a finished poll (winner, runoff, or tie-break)
+// The VotingAgent performs the follow-up transition; its output is announced by the orchestrator
+async function resolvePoll(trip, trigger) {
+  const { VotingAgent } = await import('./../agents/voting.js');
+  const result = await new VotingAgent().resolvePoll(trip, trigger);
+  if (result?.output) {
+    emitEvent(EVENTS.POLL_RESOLVED, { tripId: trip.id, output: result.output });
+  }
+}
+
+async function runoffAction(trip, agents) {
+  const rule = getPollRule(trip.stage);
+  const options = trip.runoff_options || [];
+  const members = await db.getMembers(trip.id);
+  const memberCount = members.length;
+  const majorityThreshold = rule.majorityThreshold(memberCount);
+
+  return {
+    output: {
+      type: 'poll_started',
+      pollType: rule.type,
+      runoff: true,
+      options: options.map(placeName),
+      memberCount,
+      majorityThreshold,
+      votingMethod: DEFAULT_VOTING_METHOD,
+      message: agents.voting.createRunoffMessage(options, rule, memberCount, majorityThreshold),
+      sendTo: 'group',
+    },
+  };
+}
+
+// trigger - what prompted the check (see TRANSITION_TRIGGERS), recorded with any resulting transition
+export async function checkStateTransitions(tripId, trigger = 'system') {
   const trip = await db.getTrip(tripId);
   if (!trip) return;
 
@@ -207,187 +307,264 @@ export async function checkStateTransitions(tripId) {
 
   // Special handling for planning state - check what's ready
   if (trip.stage === 'planning') {
-    await checkPlanningTransitions(tripId, trip);
+    await checkPlanningTransitions(trip, trigger);
     return;
   }
 
-  // Handle stages with immediate trigger and action (even if next is null)
-  if (stage.trigger === 'immediate' && stage.action) {
-    // Check if we just entered this stage (stage_entered_at is recent, within last 5 seconds)
-    const stageEnteredAt = new Date(trip.stage_entered_at || trip.created_at);
-    const secondsSinceEntered = (Date.now() - stageEnteredAt.getTime()) / 1000;
-    
-    if (secondsSinceEntered < 5) {
-      // Just entered this stage - execute the action via orchestrator
-      console.log(`   🔄 State Machine: Executing immediate action for stage ${trip.stage}`);
-      emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: trip.stage, to: trip.stage });
-      return;
+  // Polls close themselves (winner, runoff, or tie-break) instead of blindly moving on
+  if (stage.poll) {
+    const finished = await isPollFinished(trip);
+    if (finished) {
+      console.log(`   🔄 State Machine: Poll finished in ${trip.stage} (${finished}), resolving`);
+      await resolvePoll(trip, finished === 'timeout' ? 'timeout' : trigger);
     }
+    return;
   }
 
-  if (!stage.next) return; // Final state
+  for (const edge of getAutomaticTransitions(trip.stage)) {
+    if (await edge.guard(trip, edge.to)) {
+      if (await transitionTrip(trip, edge.to, { reason: edge.reason, trigger })) {
+        // Check if next stage immediately transitions
+        await checkStateTransitions(tripId, trigger);
+      }
+      return;
+    }
+  }
+}
 
-  // Check condition
-  const shouldTransition = stage.condition ? await stage.condition(trip) : true;
+export const PLANNING_TIMEOUT_HOURS = 12;
+
+// Which stage planning should move to - a vote once enough ideas are in (or 12 hours pass),
+// flights once destination and dates are both set. Returns { to, reason } or null to stay put
+export function choosePlanningTransition({
+  hasDestination,
+  hasDates,
+  memberCount,
+  destinationSuggestionCount,
+  dateAvailabilityCount,
+  timedOut,
+}) {
+  if (hasDestination && hasDates) {
+    return { to: 'tracking_flights', reason: 'planning complete' };
+  }
 
-  if (shouldTransition) {
-    const oldStage = trip.stage;
-    const newStage = stage.next;
+  // When both are ready, the destination vote comes first
+  if (!hasDestination && (destinationSuggestionCount >= memberCount || timedOut)) {
+    return {
+      to: 'voting_destination',
+      reason: timedOut ? 'planning timed out with destination suggestions' : 'destination suggestions ready',
+    };
+  }
 
-    console.log(`   🔄 State Machine: Transitioning ${oldStage} → ${newStage}`);
+  if (!hasDates && (dateAvailabilityCount >= memberCount || timedOut)) {
+    return {
+      to: 'voting_dates',
+      reason: timedOut ? 'planning timed out with date availability' : 'date availability ready',
+    };
+  }
 
-    // Update to next stage
-    await db.updateTrip(tripId, {
-      stage: newStage,
-      stage_entered_at: new Date(),
-    });
+  return null;
+}
 
-    emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: oldStage, to: newStage });
+// Special function to handle flexible transitions from planning state
+// Uses count-based logic to determine voting triggers
+async function checkPlanningTransitions(trip, trigger) {
+  const next = choosePlanningTransition({
+    hasDestination: !!trip.destination,
+    hasDates: !!(trip.start_date && trip.end_date),
+    memberCount: await db.getMemberCount(trip.id),
+    destinationSuggestionCount: await db.getDestinationSuggestionCount(trip.id),
+    dateAvailabilityCount: await db.getDateAvailabilityCount(trip.id),
+    timedOut: !!trip.stage_entered_at && Date.now() > stageDeadline(trip, PLANNING_TIMEOUT_HOURS).getTime(),
+  });
 
-    // Check if next stage immediately transitions
-    await checkStateTransitions(tripId);
+  if (next && await transitionTrip(trip, next.to, { reason: next.reason, trigger })) {
+    await checkStateTransitions(trip.id, trigger);
   }
 }
 
-// Special function to handle flexible transitions from planning state
-// Uses count-based logic to determine voting triggers and tone adjustment
-async function checkPlanningTransitions(tripId, trip) {
-  const memberCount = await db.getMemberCount(trip.id);
-  const hasDestination = !!trip.destination;
-  const hasDates = !!(trip.start_date && trip.end_date);
+// Move a trip along an edge of the transition table - every stage change ends up here
+// Transitions the table doesn't allow, or whose guard fails, are rejected and logged;
+// the rest are recorded in stage_transitions
+// override - an organizer skip: the edge must exist, but its guard isn't checked
+// Returns the updated trip, or null if the transition was rejected
+async function transitionTrip(trip, newStage, { reason = '', updates = {}, announce = true, trigger = 'system', override = false } = {}) {
+  const oldStage = trip.stage;
+  const edge = findTransition(oldStage, newStage);
 
-  // If both are set, move to tracking flights
-  if (hasDestination && hasDates) {
-    console.log(`   🔄 State Machine: Planning complete, transitioning to tracking_flights`);
-    await db.updateTrip(tripId, {
-      stage: 'tracking_flights',
-      stage_entered_at: new Date(),
-    });
-    emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: 'planning', to: 'tracking_flights' });
-    await checkStateTransitions(tripId);
-    return;
+  if (!edge) {
+    await rejectTransition(trip, newStage, `${oldStage} → ${newStage} is not in the transition table`, reason);
+    return null;
   }
-
-  // Get counts for count-based logic
-  const destinationSuggestionCount = await db.getDestinationSuggestionCount(trip.id);
-  const dateAvailabilityCount = await db.getDateAvailabilityCount(trip.id);
-  
-  // Check if destination suggestions are ready for voting
-  const allDestinationsSuggested = destinationSuggestionCount >= memberCount;
-  const destinationTimeout = trip.stage_entered_at && 
-    (Date.now() - new Date(trip.stage_entered_at).getTime() > 12 * 60 * 60 * 1000);
-
-  // Check if date availability is ready for voting
-  const allDatesSubmitted = dateAvailabilityCount >= memberCount;
-  const datesTimeout = trip.stage_entered_at && 
-    (Date.now() - new Date(trip.stage_entered_at).getTime() > 12 * 60 * 60 * 1000);
-
-  // Voting triggers: whichever threshold is met first
-  // Default preference: dates first, but if destination threshold is met first, vote on that
-  if (!hasDestination && (allDestinationsSuggested || destinationTimeout)) {
-    // If both are ready, prefer dates (default), but if destination is ready and dates aren't, vote on destination
-    if (!hasDates && allDatesSubmitted && !allDestinationsSuggested && !destinationTimeout) {
-      // Dates ready, destination not ready - vote on dates (default preference)
-      console.log(`   🔄 State Machine: Date availability ready, transitioning to voting_dates`);
-      await db.updateTrip(tripId, {
-        stage: 'voting_dates',
-        stage_entered_at: new Date(),
-      });
-      emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: 'planning', to: 'voting_dates' });
-      await checkStateTransitions(tripId);
-      return;
-    } else {
-      // Destination ready (or timeout) - vote on destination
-      console.log(`   🔄 State Machine: Destination suggestions ready, transitioning to voting_destination`);
-      await db.updateTrip(tripId, {
-        stage: 'voting_destination',
-        stage_entered_at: new Date(),
-      });
-      emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: 'planning', to: 'voting_destination' });
-      await checkStateTransitions(tripId);
-      return;
-    }
+  if (edge.guard && !override && !(await edge.guard(trip, newStage))) {
+    await rejectTransition(trip, newStage, `guard for ${oldStage} → ${newStage} (${edge.reason}) failed`, reason);
+    return null;
   }
 
-  if (!hasDates && (allDatesSubmitted || datesTimeout)) {
-    console.log(`   🔄 State Machine: Date availability ready, transitioning to voting_dates`);
-    await db.updateTrip(tripId, {
-      stage: 'voting_dates',
-      stage_entered_at: new Date(),
+  console.log(`   🔄 State Machine: Transitioning ${oldStage} → ${newStage} (${reason || edge.reason})`);
+
+  // Nudges are counted per stage - a runoff gets its own, however many the vote before it sent
+  const updated = await db.updateTrip(trip.id, {
+    nudge_count: 0,
+    ...updates,
+    stage: newStage,
+    stage_entered_at: new Date(),
+    stage_deadline_at: null,
+  });
+
+  try {
+    await db.createStageTransition(trip.id, {
+      fromStage: oldStage,
+      toStage: newStage,
+      reason: reason || edge.reason,
+      ...parseTrigger(trigger),
     });
-    emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: 'planning', to: 'voting_dates' });
-    await checkStateTransitions(tripId);
-    return;
+  } catch (error) {
+    // History is best-effort - never block the stage change itself
+    console.error('   ❌ State Machine: Failed to record stage transition:', error.message);
   }
 
-  // If timeout and both have suggestions, vote on whichever has more
-  if (destinationTimeout && datesTimeout && !hasDestination && !hasDates) {
-    if (destinationSuggestionCount >= dateAvailabilityCount) {
-      console.log(`   🔄 State Machine: Timeout - more destination suggestions, transitioning to voting_destination`);
-      await db.updateTrip(tripId, {
-        stage: 'voting_destination',
-        stage_entered_at: new Date(),
-      });
-      emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: 'planning', to: 'voting_destination' });
-      await checkStateTransitions(tripId);
-      return;
-    } else {
-      console.log(`   🔄 State Machine: Timeout - more date availability, transitioning to voting_dates`);
-      await db.updateTrip(tripId, {
-        stage: 'voting_dates',
-        stage_entered_at: new Date(),
-      });
-      emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: 'planning', to: 'voting_dates' });
-      await checkStateTransitions(tripId);
-      return;
-    }
+  // Silent transitions are for agents that announce the new stage themselves
+  if (announce) {
+    emitEvent(EVENTS.STAGE_CHANGED, { tripId: trip.id, from: oldStage, to: newStage });
+  }
+
+  return updated;
+}
+
+async function rejectTransition(trip, newStage, problem, reason) {
+  console.error(`   ❌ State Machine: Rejected transition for trip ${trip.id}: ${problem}${reason ? ` (requested: ${reason})` : ''}`);
+  try {
+    await db.logError(trip.id, new Error(`Illegal stage transition: ${problem}`), {
+      from: trip.stage,
+      to: newStage,
+      reason,
+    });
+  } catch (error) {
+    console.error('   ❌ State Machine: Failed to log rejected transition:', error.message);
   }
 }
 
 // Centralized function to request state transitions
-// All state changes should go through this function
-export async function requestStateTransition(tripId, newStage, reason = '') {
+// All state changes should go through this function (or the helpers below)
+// options.updates - extra trip fields written with the stage change
+// options.announce - false if the caller sends its own message for the new stage
+// options.trigger - what caused it (see TRANSITION_TRIGGERS), defaults to 'system'
+// options.override - organizer skip: ignore the edge's guard (the edge must still exist)
+export async function requestStateTransition(tripId, newStage, reason = '', options = {}) {
   const trip = await db.getTrip(tripId);
   if (!trip) {
     console.warn(`   ⚠️  State Machine: Trip ${tripId} not found for transition`);
     return false;
   }
 
-  const oldStage = trip.stage;
-  
-  // Validate that the transition is valid
-  const stage = STAGES[newStage];
-  if (!stage) {
-    console.warn(`   ⚠️  State Machine: Invalid stage ${newStage} requested`);
+  if (!STAGES[newStage]) {
+    await rejectTransition(trip, newStage, `unknown stage ${newStage}`, reason);
     return false;
   }
 
   // Don't transition if already in that stage
-  if (oldStage === newStage) {
+  if (trip.stage === newStage) {
     console.log(`   🔄 State Machine: Already in stage ${newStage}, skipping transition`);
     return false;
   }
 
-  console.log(`   🔄 State Machine: Requesting transition ${oldStage} → ${newStage}${reason ? ` (${reason})` : ''}`);
-
-  // Update stage
-  await db.updateTrip(tripId, {
-    stage: newStage,
-    stage_entered_at: new Date(),
-  });
-
-  // Emit event
-  emitEvent(EVENTS.STAGE_CHANGED, { tripId, from: oldStage, to: newStage });
+  console.log(`   🔄 State Machine: Requesting transition ${trip.stage} → ${newStage}${reason ? ` (${reason})` : ''}`);
+  const updated = await transitionTrip(trip, newStage, { reason, ...options });
+  if (!updated) {
+    return false;
+  }
 
   // Check if next stage immediately transitions
-  await checkStateTransitions(tripId);
+  await checkStateTransitions(tripId, options.trigger);
 
   return true;
 }
 
-// Export STAGES so orchestrator can access actions
-export { STAGES };
+// A rolled-back stage starts its clock again (its old deadline may already have passed), keeping
+// any time "@bot extend" had added to it
+export function reopenedStageTiming(before, now = new Date()) {
+  if (!before.stage_deadline_at || !before.stage_entered_at) {
+    return { stage_entered_at: now, stage_deadline_at: null };
+  }
+  const shiftMs = now.getTime() - new Date(before.stage_entered_at).getTime();
+  return {
+    stage_entered_at: now,
+    stage_deadline_at: new Date(new Date(before.stage_deadline_at).getTime() + shiftMs),
+  };
+}
+
+// "@bot undo" of the action that moved the trip - puts the stage and what it decided back as they were
+// (before - the journal entry's trip_before). Not a table edge: it reverses transitions that were already
+// taken, and is recorded in stage_transitions like any other. Nothing is announced - the undo reply says it
+export async function rollBackStage(tripId, before, { reason, trigger = 'system' }) {
+  const trip = await db.getTrip(tripId);
+  if (!trip) return null;
+
+  console.log(`   🔄 State Machine: Rolling back ${trip.stage} → ${before.stage} (${reason})`);
+  const updated = await db.updateTrip(tripId, {
+    stage: before.stage,
+    ...reopenedStageTiming(before),
+    destination: before.destination,
+    start_date: before.start_date,
+    end_date: before.end_date,
+    runoff_options: before.runoff_options ? JSON.stringify(before.runoff_options) : null,
+    all_flights_booked: before.all_flights_booked,
+  });
+  // Entries journaled before trips had legs don't snapshot them
+  if (before.legs) {
+    await db.replaceTripLegs(tripId, before.legs.map(leg => ({ destination: leg.destination, startDate: leg.start_date, endDate: leg.end_date })));
+  }
 
+  try {
+    await db.createStageTransition(tripId, {
+      fromStage: trip.stage,
+      toStage: before.stage,
+      reason,
+      ...parseTrigger(trigger),
+    });
+  } catch (error) {
+    console.error('   ❌ State Machine: Failed to record stage transition:', error.message);
+  }
+
+  return updated;
+}
 
+// Park a stalled trip in 'abandoned', remembering where it died so it can be revived
+export async function abandonTrip(tripId, reason, trigger = 'scheduler') {
+  const trip = await db.getTrip(tripId);
+  if (!trip || trip.stage === 'abandoned') return null;
+
+  return await transitionTrip(trip, 'abandoned', {
+    reason,
+    trigger,
+    updates: {
+      abandoned_from_stage: trip.stage,
+      abandoned_reason: reason,
+      abandoned_at: new Date(),
+    },
+  });
+}
 
+// Bring an abandoned trip back to the stage it died in - votes, suggestions and dates are untouched
+// The stage clock and nudges restart so polls get a fresh timeout
+export async function reviveTrip(tripId, trigger = 'message') {
+  const trip = await db.getTrip(tripId);
+  if (!trip || trip.stage !== 'abandoned') return null;
+
+  const stage = STAGES[trip.abandoned_from_stage] ? trip.abandoned_from_stage : 'planning';
+  return await transitionTrip(trip, stage, {
+    reason: 'member revived the trip',
+    trigger,
+    updates: {
+      nudge_count: 0,
+      last_nudge_at: null,
+      abandoned_from_stage: null,
+      abandoned_reason: null,
+      abandoned_at: null,
+    },
+  });
+}
 
+// Export STAGES so orchestrator can access actions
+export { STAGES };
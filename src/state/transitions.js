@@ -0,0 +1,205 @@
+// Trip lifecycle transition table - every stage change the state machine allows
+// Each edge has a reason and an optional guard (trip, to) => boolean that must hold for it to be taken.
+// Automatic edges are taken by checkStateTransitions as soon as their guard passes (planning picks
+// between its edges with choosePlanningTransition); the rest are requested by agents (poll results,
+// revivals) through requestStateTransition.
+// Run `npm run state:graph` to print the lifecycle as a Mermaid or DOT diagram.
+import * as db from './../db/queries.js';
+
+export const ANY_STAGE = '*';
+
+// Every stage, in lifecycle order (STAGES in stateMachine.js holds their actions and poll rules)
+export const TRIP_STAGES = [
+  'created',
+  'collecting_members',
+  'planning',
+  'voting_destination',
+  'runoff_destination',
+  'voting_dates',
+  'runoff_dates',
+  'tracking_flights',
+  'trip_confirmed',
+  'active',
+  'completed',
+  'abandoned',
+];
+
+// Stages a trip never leaves on its own
+const FINAL_STAGES = ['completed', 'abandoned'];
+
+const hasDestinationAndDates = (trip) => !!(trip.destination && trip.start_date && trip.end_date);
+
+export const TRANSITIONS = [
+  {
+    from: 'created',
+    to: 'collecting_members',
+    reason: 'first member joined',
+  },
+  {
+    from: 'collecting_members',
+    to: 'planning',
+    reason: 'enough members to start planning',
+    auto: true,
+    guard: async (trip) => (await db.getMemberCount(trip.id)) >= 2,
+  },
+  {
+    from: 'planning',
+    to: 'voting_destination',
+    reason: 'destination suggestions ready to vote on',
+    auto: true,
+    guard: async (trip) => !trip.destination,
+  },
+  {
+    from: 'planning',
+    to: 'voting_dates',
+    reason: 'date availability ready to vote on',
+    auto: true,
+    guard: async (trip) => !(trip.start_date && trip.end_date),
+  },
+  {
+    from: 'planning',
+    to: 'tracking_flights',
+    reason: 'destination and dates set',
+    auto: true,
+    guard: async (trip) => hasDestinationAndDates(trip),
+  },
+  {
+    from: 'voting_destination',
+    to: 'planning',
+    reason: 'destination poll closed',
+  },
+  {
+    from: 'voting_destination',
+    to: 'runoff_destination',
+    reason: 'destination poll tied',
+  },
+  {
+    from: 'runoff_destination',
+    to: 'planning',
+    reason: 'destination runoff closed',
+  },
+  {
+    from: 'voting_dates',
+    to: 'planning',
+    reason: 'date poll closed',
+  },
+  {
+    from: 'voting_dates',
+    to: 'runoff_dates',
+    reason: 'date poll tied',
+  },
+  {
+    from: 'runoff_dates',
+    to: 'planning',
+    reason: 'date runoff closed',
+  },
+  {
+    from: 'tracking_flights',
+    to: 'trip_confirmed',
+    reason: 'all flights booked',
+    auto: true,
+    guard: async (trip) => {
+      const flightCount = await db.getFlightCount(trip.id);
+      const memberCount = await db.getMemberCount(trip.id);
+      return memberCount > 0 && flightCount >= memberCount;
+    },
+  },
+  {
+    from: 'trip_confirmed',
+    to: 'active',
+    reason: 'trip start date reached',
+    auto: true,
+    guard: async (trip) => !!trip.start_date && Date.now() >= new Date(trip.start_date).getTime(),
+  },
+  {
+    from: 'active',
+    to: 'completed',
+    reason: 'trip end date reached',
+    auto: true,
+    guard: async (trip) => !!trip.end_date && Date.now() >= new Date(trip.end_date).getTime(),
+  },
+  {
+    from: ANY_STAGE,
+    to: 'abandoned',
+    reason: 'no activity for too long',
+    guard: async (trip) => !FINAL_STAGES.includes(trip.stage),
+  },
+  {
+    // Revived trips go back to the stage they died in (planning if that stage no longer exists)
+    from: 'abandoned',
+    to: ANY_STAGE,
+    reason: 'member revived the trip',
+    guard: async (trip, to) => to === trip.abandoned_from_stage || to === 'planning',
+  },
+];
+
+// The table edge for from → to, or null if the transition isn't allowed
+export function findTransition(from, to) {
+  if (from === to) return null;
+  return TRANSITIONS.find(edge => edge.from === from && edge.to === to)
+    || TRANSITIONS.find(edge => edge.from === from && edge.to === ANY_STAGE && to !== from)
+    || TRANSITIONS.find(edge => edge.from === ANY_STAGE && edge.to === to)
+    || null;
+}
+
+export function isTransitionAllowed(from, to) {
+  return !!findTransition(from, to);
+}
+
+// Edges checkStateTransitions takes without being asked
+export function getAutomaticTransitions(from) {
+  return TRANSITIONS.filter(edge => edge.auto && edge.from === from);
+}
+
+// Sanity-check the table against the known stages - returns a list of problems (empty if valid)
+export function validateTransitionTable(stages = TRIP_STAGES) {
+  const known = new Set([...stages, ANY_STAGE]);
+  const problems = [];
+  const seen = new Set();
+
+  for (const edge of TRANSITIONS) {
+    const key = `${edge.from}->${edge.to}`;
+    if (!known.has(edge.from)) problems.push(`${key}: unknown stage "${edge.from}"`);
+    if (!known.has(edge.to)) problems.push(`${key}: unknown stage "${edge.to}"`);
+    if (edge.from === edge.to) problems.push(`${key}: self-transition`);
+    if (!edge.reason) problems.push(`${key}: missing reason`);
+    if (edge.guard && typeof edge.guard !== 'function') problems.push(`${key}: guard must be a function`);
+    if (edge.auto && !edge.guard) problems.push(`${key}: automatic transitions need a guard`);
+    if (seen.has(key)) problems.push(`${key}: duplicate edge`);
+    seen.add(key);
+  }
+
+  for (const stage of stages) {
+    if (stage !== 'created' && !TRANSITIONS.some(edge => edge.to === stage || edge.to === ANY_STAGE)) {
+      problems.push(`${stage}: unreachable`);
+    }
+  }
+
+  return problems;
+}
+
+const graphLabel = (stage) => (stage === ANY_STAGE ? 'any stage' : stage);
+
+// Mermaid state diagram - paste into a PR description or a ```mermaid block
+export function toMermaid() {
+  const id = (stage) => (stage === ANY_STAGE ? 'any_stage' : stage);
+  const lines = ['stateDiagram-v2', '  state "any stage" as any_stage', '  [*] --> created'];
+  for (const edge of TRANSITIONS) {
+    const label = edge.auto ? `${edge.reason} (auto)` : edge.reason;
+    lines.push(`  ${id(edge.from)} --> ${id(edge.to)}: ${label}`);
+  }
+  lines.push('  completed --> [*]');
+  return `${lines.join('\n')}\n`;
+}
+
+// Graphviz DOT - render with `dot -Tsvg`
+export function toDot() {
+  const lines = ['digraph trip_lifecycle {', '  rankdir=LR;', '  node [shape=box, style=rounded];'];
+  lines.push(`  "${graphLabel(ANY_STAGE)}" [shape=note];`);
+  for (const edge of TRANSITIONS) {
+    const style = edge.auto ? '' : ', style=dashed';
+    lines.push(`  "${graphLabel(edge.from)}" -> "${graphLabel(edge.to)}" [label="${edge.reason}"${style}];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
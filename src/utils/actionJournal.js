@@ -0,0 +1,70 @@
+// Action journal - the votes, destination suggestions, date availability and flights members record,
+// so "@bot undo" can take back someone's latest one (and the stage change it caused, if nothing happened since)
+import * as db from '../db/queries.js';
+
+// 'message:<messages.id>' (see messageTrigger) - the message whose stage changes belong to this action
+function triggerMessageId(trigger) {
+  const [type, messageId] = (trigger || '').split(':');
+  return type === 'message' && messageId ? messageId : null;
+}
+
+// Call after the action is written but before checking stage transitions, so trip_before is the trip as it was
+// previous - what the action replaced (null if it added something), current - what it wrote
+export async function journalAction({ trip, member, trigger }, action, { target = null, previous = null, current = null } = {}) {
+  try {
+    await db.createJournalEntry(trip.id, {
+      memberId: member.id,
+      messageId: triggerMessageId(trigger),
+      action,
+      target,
+      previous,
+      current,
+    });
+  } catch (error) {
+    // The journal is best-effort - never block the action itself
+    console.error(`   ⚠️  Failed to journal ${action} for ${member.name}:`, error.message);
+  }
+}
+
+/**
+ * Decide whether a journal entry can still be undone
+ * transitionsSince / entriesSince - stage transitions and journal entries on the trip after this entry
+ * @returns {Object} { ok: true, rollBack } - rollBack if the stage changes it caused should be reversed too -
+ *   or { ok: false, reason: 'expired' | 'moved_on' }
+ */
+export function planUndo(entry, { trip, transitionsSince, entriesSince, windowMinutes, now = new Date() }) {
+  if (now.getTime() - new Date(entry.created_at).getTime() > windowMinutes * 60 * 1000) {
+    return { ok: false, reason: 'expired' };
+  }
+
+  const caused = entry.message_id ? transitionsSince.filter(t => t.message_id === entry.message_id) : [];
+  if (caused.length > 0) {
+    // Only if the trip is still where this action left it
+    const untouched = caused.length === transitionsSince.length
+      && entriesSince.length === 0
+      && trip.stage === caused[caused.length - 1].to_stage;
+    return untouched ? { ok: true, rollBack: true } : { ok: false, reason: 'moved_on' };
+  }
+
+  // Something else moved the trip on (a poll closed, a timeout) - what this action fed into is settled
+  if (trip.stage !== entry.trip_before.stage) {
+    return { ok: false, reason: 'moved_on' };
+  }
+  return { ok: true, rollBack: false };
+}
+
+// "your vote", "your suggestion (Lisbon, Porto)", ...
+export function describeAction(entry) {
+  switch (entry.action) {
+    case 'vote':
+      return entry.current ? 'your vote' : 'taking back your vote';
+    case 'destination_suggestion':
+      return `your suggestion (${(entry.current?.destinations || []).join(', ')})`;
+    case 'date_availability':
+      return 'your dates';
+    case 'flight':
+      return 'your flight';
+    default:
+      return 'that';
+  }
+}
@@ -0,0 +1,367 @@
+// The "@bot <command> [args]" grammar - parsed deterministically, no AI
+// CommandAgent maps each command to the agent method that answers it; "@bot help" is generated from this list
+
+// Settings "@bot settings <setting> <value>" can change, with the other words people use for each.
+// Each is also a command of its own ("@bot digest on 15").
+export const SETTINGS = {
+  voting: {
+    aliases: ['voting method'],
+    description: 'How polls are decided',
+    example: 'voting ranked',
+  },
+  tiebreak: {
+    aliases: ['tie break', 'tie-break', 'tiebreak rule', 'tie break rule', 'tie-break rule'],
+    description: 'How a tied runoff is settled',
+    example: 'tiebreak random',
+  },
+  digest: {
+    aliases: [],
+    description: 'Round up votes, suggestions and dates into one update',
+    example: 'digest on 15',
+  },
+  quiet: {
+    aliases: ['quiet hours'],
+    description: 'When I hold back texts I start',
+    example: 'quiet hours 10pm-8am',
+  },
+  timezone: {
+    aliases: ['time zone', 'tz'],
+    description: 'Your time zone (for quiet hours)',
+    example: 'timezone pacific',
+  },
+  legs: {
+    aliases: ['leg', 'stops'],
+    description: 'Trips with several stops - the destination vote keeps the top few',
+    example: 'legs 2',
+  },
+};
+
+// Each argument is { key, label, type, optional } - key names it in the parsed args, label in the usage line
+// Argument types:
+//   choice  - one of `choices` (name -> { aliases })
+//   command - the name or alias of another command
+//   pattern - whatever `pattern` matches at the front, turned into the value by `value(match)`
+//             (an optional one that doesn't match is skipped, so the next argument can have a go)
+//   text    - everything that's left
+// Commands name the agent that answers them (`agent`, CommandAgent if not given); `organizerOnly` ones
+// are listed separately in help.
+export const COMMANDS = [
+  {
+    name: 'status',
+    aliases: ['summary', 'progress'],
+    args: [],
+    description: "Where the trip stands and what's next",
+  },
+  {
+    name: 'itinerary',
+    aliases: [],
+    args: [],
+    description: 'The trip itinerary',
+  },
+  {
+    name: 'flights',
+    aliases: ['flight'],
+    args: [],
+    description: "Who's booked their flight",
+  },
+  {
+    name: 'members',
+    aliases: ['people'],
+    args: [],
+    description: "Who's on the trip and who's organizing",
+  },
+  {
+    name: 'poll',
+    aliases: ['polls'],
+    args: [{ key: 'text', label: 'question? options', type: 'text', optional: true }],
+    description: 'Start a poll, or list the open ones',
+    example: 'poll: which hostel? A, B, C',
+  },
+  {
+    name: 'vote',
+    aliases: [],
+    args: [
+      { key: 'pollNumber', label: '#poll', type: 'pattern', pattern: /^#(\d+)\b/, value: match => parseInt(match[1], 10), optional: true },
+      { key: 'choice', label: 'choice', type: 'text' },
+    ],
+    agent: 'voting',
+    description: 'Vote, or change your vote (#poll picks a side poll)',
+    example: 'vote #2 hostel b',
+  },
+  {
+    name: 'undo',
+    aliases: [],
+    args: [],
+    description: 'Take back your last vote, suggestion, dates or flight',
+  },
+  {
+    name: 'leave',
+    aliases: [],
+    args: [],
+    agent: 'coordinator',
+    description: 'Leave the trip',
+  },
+  {
+    name: 'invite',
+    aliases: [],
+    args: [{ key: 'action', label: 'renew|approval on|off', type: 'text', optional: true }],
+    description: 'How friends join (the organizer can renew the code or require approval)',
+    example: 'invite approval on',
+  },
+  {
+    name: 'settings',
+    aliases: ['setting'],
+    args: [
+      { key: 'setting', label: Object.keys(SETTINGS).join('|'), type: 'choice', choices: SETTINGS, optional: true },
+      { key: 'value', label: 'value', type: 'text', optional: true },
+    ],
+    description: 'Show the trip settings, or change one',
+    example: 'settings digest on 15',
+  },
+  ...Object.entries(SETTINGS).map(([name, { aliases, description, example }]) => ({
+    name,
+    aliases,
+    args: [{ key: 'value', label: 'value', type: 'text', optional: true }],
+    setting: name,
+    description,
+    example,
+  })),
+  {
+    name: 'help',
+    aliases: ['commands'],
+    args: [{ key: 'command', label: 'command', type: 'command', optional: true }],
+    description: 'This list, or how one command works',
+    example: 'help settings',
+  },
+  {
+    name: 'approve',
+    aliases: [],
+    args: [{ key: 'name', label: 'name', type: 'text' }],
+    organizerOnly: true,
+    description: 'Let someone waiting to join in',
+  },
+  {
+    name: 'decline',
+    aliases: [],
+    args: [{ key: 'name', label: 'name', type: 'text' }],
+    organizerOnly: true,
+    description: 'Turn down someone waiting to join',
+  },
+  {
+    name: 'close',
+    aliases: ['force close', 'force-close', 'forceclose'],
+    args: [{
+      key: 'pollNumber',
+      label: 'poll #N',
+      type: 'pattern',
+      pattern: /^(?:(?:the\s+)?(?:poll|vote)\b)?\s*(?:#?(\d+)\b)?/i,
+      value: match => (match[1] ? parseInt(match[1], 10) : null),
+      optional: true,
+    }],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Close the poll now (or side poll #N)',
+    example: 'close poll #2',
+  },
+  {
+    name: 'extend',
+    aliases: [],
+    args: [
+      { key: 'pollNumber', label: '#poll', type: 'pattern', pattern: /^(?:poll\s+)?#(\d+)\b/i, value: match => parseInt(match[1], 10), optional: true },
+      {
+        key: 'hours',
+        label: 'hours',
+        type: 'pattern',
+        pattern: /^(?:by\s+)?(\d+)\s*(h|hrs?|hours?|d|days?)\b/i,
+        value: match => parseInt(match[1], 10) * (match[2].toLowerCase().startsWith('d') ? 24 : 1),
+        optional: true,
+      },
+    ],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Give the current vote (or poll #N) more time - a day unless you say',
+    example: 'extend #3 by 2 days',
+  },
+  {
+    name: 'skip',
+    aliases: [],
+    args: [{ key: 'stage', label: 'stage', type: 'pattern', pattern: /^(?:this\s+)?(?:stage|step)\b/i, value: () => true, optional: true }],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Move on to the next step now',
+  },
+  {
+    name: 'set destination',
+    aliases: [],
+    args: [{ key: 'destination', label: 'place', type: 'pattern', pattern: /^(?:to\s+)?(\S[\s\S]*)$/i, value: match => match[1].trim() }],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Decide the destination (or "A then B" for several stops)',
+    example: 'set destination Tokyo then Kyoto',
+  },
+  {
+    name: 'set dates',
+    aliases: ['set date'],
+    args: [{ key: 'dates', label: 'dates', type: 'pattern', pattern: /^(?:to\s+)?(\S[\s\S]*)$/i, value: match => match[1].trim() }],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Decide the dates',
+    example: 'set dates March 3-10',
+  },
+  {
+    name: 'remove',
+    aliases: [],
+    args: [{ key: 'name', label: 'name', type: 'pattern', pattern: /^@?(\S[\s\S]*)$/, value: match => match[1].trim() }],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Take someone off the trip',
+  },
+  {
+    name: 'pause nudges',
+    aliases: ['pause nudge'],
+    args: [],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Stop reminding people (polls still close on time)',
+  },
+  {
+    name: 'resume nudges',
+    aliases: ['resume nudge', 'unpause nudges', 'unpause nudge'],
+    args: [],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Start reminding people again',
+  },
+  {
+    name: 'organizer',
+    aliases: ['make organizer'],
+    args: [{ key: 'name', label: 'name', type: 'pattern', pattern: /^@?(\S[\s\S]*)$/, value: match => match[1].trim() }],
+    agent: 'admin',
+    organizerOnly: true,
+    description: 'Hand organizing over to someone else',
+  },
+];
+
+const PREFIX = /^@?bot\b[\s:,]*/i;
+
+// Trailing punctuation doesn't count as an argument ("@bot status?")
+function isBlank(text) {
+  return !text.replace(/[\s?!.]+/g, '');
+}
+
+export function findCommand(word) {
+  const lower = (word || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return COMMANDS.find(command => command.name === lower || command.aliases.includes(lower)) || null;
+}
+
+// The longest of `names` that `text` starts with (whole words, any spacing) - { name, length } or null
+function matchPhrase(names, text) {
+  let best = null;
+  for (const name of names) {
+    const words = name.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&'));
+    const match = text.match(new RegExp(`^${words.join('\\s+')}(?![\\w-])`, 'i'));
+    if (match && (!best || match[0].length > best.length)) {
+      best = { name, length: match[0].length };
+    }
+  }
+  return best;
+}
+
+// The command `text` starts with - { command, rest } or null
+function matchCommand(text) {
+  const names = COMMANDS.flatMap(command => [command.name, ...command.aliases]);
+  const match = matchPhrase(names, text);
+  return match && { command: findCommand(match.name), rest: text.slice(match.length) };
+}
+
+export function commandUsage(command) {
+  const args = command.args.map(arg => (arg.optional ? `[${arg.label}]` : `<${arg.label}>`));
+  return ['@bot', command.name, ...args].join(' ');
+}
+
+// Reads one argument off the front of `rest` - returns { value, rest } or null if it doesn't fit
+function readArg(arg, rest) {
+  switch (arg.type) {
+    case 'choice': {
+      for (const [name, { aliases }] of Object.entries(arg.choices)) {
+        const match = matchPhrase([name, ...aliases], rest);
+        if (match) {
+          return { value: name, rest: rest.slice(match.length).trim() };
+        }
+      }
+      return null;
+    }
+    case 'command': {
+      const match = matchCommand(rest);
+      return match ? { value: match.command.name, rest: match.rest.trim() } : null;
+    }
+    case 'pattern': {
+      const match = rest.match(arg.pattern);
+      if (!match || !match[0]) return null;
+      return { value: arg.value(match), rest: rest.slice(match[0].length).trim() };
+    }
+    case 'text':
+      return rest ? { value: rest, rest: '' } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an "@bot <command> [args]" message
+ * @returns {Object|null} null if it isn't a command (anything else for the bot goes to the conversation),
+ *   { error, command? } if it's a command used wrong, otherwise { command, args }
+ */
+export function parseCommand(text) {
+  const body = (text || '').trim();
+  const prefix = body.match(PREFIX);
+  if (!prefix) return null;
+
+  const afterPrefix = body.slice(prefix[0].length);
+  if (isBlank(afterPrefix)) {
+    return { command: 'help', args: {} };
+  }
+
+  const matched = matchCommand(afterPrefix);
+  if (!matched) {
+    return null;
+  }
+
+  const { command } = matched;
+  let rest = matched.rest.replace(/^[\s:]+/, '');
+  const args = {};
+  for (const arg of command.args) {
+    const read = readArg(arg, rest);
+    if (!read) {
+      if (arg.optional && (isBlank(rest) || arg.type === 'pattern')) continue;
+      return { command: command.name, error: `Usage: ${commandUsage(command)}` };
+    }
+    args[arg.key] = read.value;
+    rest = read.rest;
+  }
+  if (!isBlank(rest)) {
+    return { command: command.name, error: `Usage: ${commandUsage(command)}` };
+  }
+
+  return { command: command.name, args };
+}
+
+// "@bot help" - every command with what it does; "@bot help <command>" - how to use one
+export function formatHelp(commandName = null) {
+  const command = commandName && findCommand(commandName);
+  if (command) {
+    const lines = [commandUsage(command), command.description];
+    if (command.aliases.length > 0) {
+      lines.push(`Also: ${command.aliases.map(alias => `@bot ${alias}`).join(', ')}`);
+    }
+    if (command.example) {
+      lines.push(`Example: @bot ${command.example}`);
+    }
+    return lines.join('\n');
+  }
+
+  const list = commands => commands.map(c => `• ${commandUsage(c).replace(/^@bot /, '')} - ${c.description}`).join('\n');
+  return `🤖 Things you can ask me (start with "@bot"):\n${list(COMMANDS.filter(c => !c.organizerOnly))}`
+    + `\n\nFor the organizer:\n${list(COMMANDS.filter(c => c.organizerOnly))}`
+    + `\n\nSay "@bot help <command>" for more on one.`;
+}
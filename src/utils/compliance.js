@@ -0,0 +1,48 @@
+// Carrier keyword compliance (A2P 10DLC) - see A2P_COMPLIANCE.md
+// STOP/HELP/START are handled before a message reaches the queue: they never go to intent detection.
+// Opt-outs are kept per phone number (opt_outs table) and enforced by a send guard, so nothing
+// reaches an opted-out number whichever path sends it - except the compliance replies themselves.
+import * as db from '../db/queries.js';
+
+export const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT'];
+export const HELP_KEYWORDS = ['HELP', 'INFO'];
+export const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+
+export const COMPLIANCE_REPLIES = {
+  opt_out: "You've been unsubscribed from Voyaj and won't receive any more messages. Reply START to resubscribe.",
+  help: 'Voyaj - Group Trip Coordinator. We text to help your group plan a trip. Message frequency varies. Message and data rates may apply. Reply STOP to unsubscribe. Privacy: voyaj.app/privacy | Terms: voyaj.app/terms',
+  opt_in: 'Welcome to Voyaj! You are now opted-in to receive SMS messages for trip coordination. Message frequency varies based on trip planning activity. Message and data rates may apply. Reply STOP to unsubscribe, HELP for help. Privacy: voyaj.app/privacy | Terms: voyaj.app/terms',
+};
+
+// 'opt_out' | 'help' | 'opt_in' if the whole message is a carrier keyword ("stop", "STOP!"), else null
+export function parseComplianceKeyword(body) {
+  const word = String(body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+  if (OPT_OUT_KEYWORDS.includes(word)) return 'opt_out';
+  if (HELP_KEYWORDS.includes(word)) return 'help';
+  if (OPT_IN_KEYWORDS.includes(word)) return 'opt_in';
+  return null;
+}
+
+// Record the keyword and send the compliance reply
+export async function handleComplianceKeyword(phoneNumber, keyword, rawBody) {
+  if (keyword === 'opt_out') {
+    await db.createOptOut(phoneNumber, rawBody.trim().toUpperCase());
+    console.log(`   🛑 Compliance: ${phoneNumber} opted out`);
+  } else if (keyword === 'opt_in') {
+    await db.deleteOptOut(phoneNumber);
+    console.log(`   ✅ Compliance: ${phoneNumber} opted back in`);
+  } else {
+    console.log(`   ℹ️  Compliance: HELP from ${phoneNumber}`);
+  }
+
+  // Imported here - twilio.js installs optOutGuard from this module
+  const { twilioClient } = await import('./twilio.js');
+  await twilioClient.sendSMS(phoneNumber, COMPLIANCE_REPLIES[keyword], { compliance: true });
+}
+
+// Send guard (see MessagingProvider.sendGuards)
+export async function optOutGuard({ to, options }) {
+  if (options.compliance) return null;
+  // Unlike the other guards, fail closed - texting someone who said STOP is the one thing we can't do
+  return (await db.isOptedOut(to)) ? 'recipient opted out (STOP)' : null;
+}
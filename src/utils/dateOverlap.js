@@ -86,6 +86,59 @@ function splitLargeWindow(start, end, totalDays) {
   return options;
 }
 
+// Nights between two dates (Dates or 'YYYY-MM-DD')
+export function tripNights(start, end) {
+  const first = toLocalDate(start);
+  const last = toLocalDate(end);
+  // Calendar days, not milliseconds - a DST change inside the window mustn't lose a night
+  return Math.max(0, Math.round((Date.UTC(last.getFullYear(), last.getMonth(), last.getDate())
+    - Date.UTC(first.getFullYear(), first.getMonth(), first.getDate())) / (24 * 60 * 60 * 1000)));
+}
+
+/**
+ * Split the trip window across its legs, in order - each leg leaves on the day the next one starts,
+ * nights shared out evenly with any spare nights going to the earlier legs
+ * @param {Date|string} start - Trip start (Date or 'YYYY-MM-DD')
+ * @param {Date|string} end - Trip end
+ * @param {number} legCount
+ * @returns {Array} One date option per leg ({ start, end, startDate, endDate, display }) - empty when
+ *   there are fewer nights than legs, since some leg would get none
+ */
+export function splitTripWindow(start, end, legCount) {
+  const first = toLocalDate(start);
+  const nights = tripNights(start, end);
+  if (nights < legCount) return [];
+
+  const perLeg = Math.floor(nights / legCount);
+  const spare = nights % legCount;
+
+  const legs = [];
+  let offset = 0;
+  for (let i = 0; i < legCount; i++) {
+    const legNights = perLeg + (i < spare ? 1 : 0);
+    legs.push(createDateOption(
+      new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset),
+      new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset + legNights)
+    ));
+    offset += legNights;
+  }
+  return legs;
+}
+
+// "May 3-7" / "May 30 - June 2" for a stored range (Dates or 'YYYY-MM-DD')
+export function formatTripDates(start, end) {
+  return formatDateRange(toLocalDate(start), toLocalDate(end));
+}
+
+// 'YYYY-MM-DD' is parsed as UTC by new Date() - read it as a local calendar date like the rest of this file
+function toLocalDate(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(value);
+}
+
 function createDateOption(start, end) {
   return {
     start: new Date(start),
@@ -112,7 +165,9 @@ function formatDateRange(start, end) {
   const endMonth = monthNames[end.getMonth()];
   const endDay = end.getDate();
 
-  if (startMonth === endMonth) {
+  if (startMonth === endMonth && startDay === endDay) {
+    return `${startMonth} ${startDay}`;
+  } else if (startMonth === endMonth) {
     return `${startMonth} ${startDay}-${endDay}`;
   } else {
     return `${startMonth} ${startDay} - ${endMonth} ${endDay}`;
@@ -0,0 +1,51 @@
+// Texts a send guard held back (quiet hours, rate limits) - sent once they're due
+// Run by the nudge scheduler's sweep, and by the rate limiter as soon as a slot frees up.
+// A row is only marked sent after the send goes through: one the guards hold back again is rescheduled,
+// one they suppress is dropped with the reason, and one whose send throws is retried once its claim
+// lapses (dropped after MAX_SEND_ATTEMPTS).
+import * as db from '../db/queries.js';
+
+const MAX_SEND_ATTEMPTS = 3;
+
+// Save a text for later (send guards) - a deferred text held back again keeps its row
+export async function deferMessage(tripId, { to, body, options, sendAfter }) {
+  if (options.deferredId) {
+    await db.rescheduleDeferredMessage(options.deferredId, sendAfter);
+  } else {
+    await db.createDeferredMessage(tripId, { to, body, options, sendAfter });
+  }
+}
+
+// Send the deferred texts that are due through `client` - returns how many were claimed
+export async function sendDueDeferredMessages(client) {
+  const due = await db.claimDueDeferredMessages();
+  for (const deferred of due) {
+    try {
+      // A group message written for an earlier stage (a poll prompt after the poll closed) is out of date
+      if (deferred.options.broadcast && deferred.stage_changed) {
+        console.log(`   🗑️  Dropping deferred group message ${deferred.id}: the trip has moved on`);
+        await db.dropDeferredMessage(deferred.id, 'trip changed stage');
+        continue;
+      }
+
+      const result = await client.sendSMS(deferred.to_phone, deferred.body, {
+        ...deferred.options,
+        deferred: true,
+        deferredId: deferred.id,
+      });
+      if (result.status === 'suppressed') {
+        await db.dropDeferredMessage(deferred.id, result.reason);
+      } else if (result.status !== 'deferred') {
+        await db.markDeferredMessageSent(deferred.id);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send deferred message ${deferred.id} (attempt ${deferred.attempts}):`, error.message);
+      if (deferred.attempts >= MAX_SEND_ATTEMPTS) {
+        await db.dropDeferredMessage(deferred.id, error.message).catch(dropError => {
+          console.error(`❌ Failed to drop deferred message ${deferred.id}:`, dropError.message);
+        });
+      }
+    }
+  }
+  return due.length;
+}
@@ -0,0 +1,72 @@
+// Delivery status tracking for outbound SMS
+// Every send is stored in outbound_messages with the provider's SID; status callbacks (/sms/status)
+// move it along queued → sent → delivered | failed | undelivered. When a member's latest texts all
+// failed they're marked unreachable - nudges stop waiting on them and the group is told.
+import * as db from '../db/queries.js';
+import { config } from '../config/index.js';
+import { countSegments } from './smsSegments.js';
+
+export const FAILED_STATUSES = ['failed', 'undelivered'];
+
+const STATUS_ORDER = { accepted: 0, queued: 0, sending: 1, sent: 2, delivered: 3, failed: 3, undelivered: 3 };
+
+// Callbacks can arrive out of order - never move a message back (e.g. 'sent' after 'delivered')
+export function isStatusProgression(current, next) {
+  if (!(next in STATUS_ORDER)) return false;
+  return STATUS_ORDER[next] > (STATUS_ORDER[current] ?? -1);
+}
+
+// statuses: newest first
+export function isUnreachable(statuses, threshold = config.messaging.unreachableAfterFailures) {
+  return statuses.length >= threshold && statuses.slice(0, threshold).every(status => FAILED_STATUSES.includes(status));
+}
+
+export function unreachableMemberMessage(member) {
+  const name = member.name || member.phone_number;
+  return `Heads up - my texts to ${name} aren't getting through, so I won't hold things up waiting on them. Can someone check in with ${name}?`;
+}
+
+// MessagingProvider.onSent hook - only trip messages are tracked
+export async function recordOutboundMessage({ to, body, sid, status, tripId }) {
+  if (!tripId || !sid) return;
+  try {
+    await db.createOutboundMessage(tripId, {
+      to,
+      body,
+      providerSid: sid,
+      status: status || 'queued',
+      segments: countSegments(body).segments,
+    });
+  } catch (error) {
+    console.error(`   ⚠️  Delivery: Failed to record outbound message to ${to}:`, error.message);
+  }
+}
+
+// Apply a status callback. Returns { message, member, change } where change is
+// 'unreachable' | 'reachable' | null, or null if the message is unknown or the update is stale.
+export async function applyDeliveryStatus({ sid, status, errorCode }) {
+  const outbound = await db.getOutboundMessageBySid(sid);
+  if (!outbound || !isStatusProgression(outbound.status, status)) {
+    return null;
+  }
+
+  const message = await db.updateOutboundMessageStatus(outbound.id, status, errorCode);
+  const member = await db.getMemberByPhoneAndTrip(outbound.trip_id, outbound.to_phone);
+  if (!member) {
+    return { message, member: null, change: null };
+  }
+
+  if (FAILED_STATUSES.includes(status) && !member.unreachable_at) {
+    const threshold = config.messaging.unreachableAfterFailures;
+    const statuses = await db.getRecentOutboundStatuses(outbound.trip_id, outbound.to_phone, threshold);
+    if (isUnreachable(statuses, threshold)) {
+      console.log(`   📵 Delivery: ${member.name || member.phone_number} is unreachable (last ${threshold} texts failed)`);
+      return { message, member: await db.setMemberUnreachable(member.id, true), change: 'unreachable' };
+    }
+  } else if (status === 'delivered' && member.unreachable_at) {
+    console.log(`   📶 Delivery: ${member.name || member.phone_number} is reachable again`);
+    return { message, member: await db.setMemberUnreachable(member.id, false), change: 'reachable' };
+  }
+
+  return { message, member, change: null };
+}
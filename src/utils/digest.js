@@ -0,0 +1,63 @@
+// Digest mode - routine acknowledgments (suggestions, votes, availability) are collected for a
+// window and sent to the group as one summary instead of a text each. Anything else, like a poll
+// starting or closing, still goes out immediately (and flushes the pending digest first, so the
+// group reads things in order). Pending items are kept in digest_items until the digest has gone out,
+// so a restart or a failed send doesn't lose them - only the window timers live in memory, and
+// they're restarted on boot.
+
+// One summary line for an agent output, or null if it isn't a routine ack (send it right away)
+export function digestLine(output, memberName) {
+  const name = memberName || 'Someone';
+  switch (output.type) {
+    case 'destination_suggested':
+      if (output.limitReached || !output.savedCount) return null;
+      return `${name} suggested ${output.destinations.join(', ')}`;
+    case 'vote_recorded':
+      return `${name} voted`;
+    case 'vote_changed':
+      return `${name} changed their vote`;
+    case 'vote_retracted':
+      return output.hadVote ? `${name} took back their vote` : null;
+    case 'date_availability_submitted':
+      return output.dateRange === 'flexible' ? `${name} is flexible on dates` : `${name} is free ${output.dateRange}`;
+    default:
+      return null;
+  }
+}
+
+// Who we're still waiting on, according to an output
+export function digestPending(output) {
+  return output.pendingVoters || output.pendingMembers || null;
+}
+
+// items: [{ line, pending }] in arrival order - the latest pending list is the current one
+export function formatDigest(items) {
+  const lines = items.map(item => `• ${item.line}`);
+  const pending = [...items].reverse().find(item => item.pending !== undefined)?.pending;
+  const waitingOn = pending && pending.length > 0 ? `\n\n⏳ Still waiting on: ${pending.join(', ')}` : '';
+  return `📋 Catching up:\n${lines.join('\n')}${waitingOn}`;
+}
+
+// Per-trip window timers - the first item starts the window, onFlush(tripId) runs when it ends
+export class DigestTimers {
+  constructor(onFlush) {
+    this.onFlush = onFlush;
+    this.timers = new Map(); // tripId → timeout
+  }
+
+  // Start a trip's window unless one is already running (a delay already past flushes right away)
+  start(tripId, delayMs) {
+    if (this.timers.has(tripId)) return;
+    const timer = setTimeout(() => {
+      this.timers.delete(tripId);
+      this.onFlush(tripId);
+    }, Math.max(delayMs, 0));
+    timer.unref();
+    this.timers.set(tripId, timer);
+  }
+
+  cancel(tripId) {
+    clearTimeout(this.timers.get(tripId));
+    this.timers.delete(tripId);
+  }
+}
@@ -0,0 +1,88 @@
+// Offline gazetteer (src/data/gazetteer.json) - resolves what people type ("NYC", "new york", "Manhattan")
+// to one canonical place, so the same destination is one suggestion, one poll option and one trip destination
+// Destinations are stored as place ids ("geo:us:new-york-city"); places it doesn't know stay free text
+import { readFileSync } from 'fs';
+
+const { places: PLACES } = JSON.parse(readFileSync(new URL('../data/gazetteer.json', import.meta.url), 'utf8'));
+
+const PLACES_BY_ID = new Map(PLACES.map(place => [place.id, place]));
+
+// Normalized name or alias -> place (the first place listed wins a shared name)
+const PLACES_BY_NAME = new Map();
+for (const place of PLACES) {
+  for (const name of [place.name, ...place.aliases]) {
+    const key = normalizePlaceName(name);
+    if (!PLACES_BY_NAME.has(key)) PLACES_BY_NAME.set(key, place);
+  }
+}
+
+// "São Paulo!" / "the Big Apple" / "Washington, D.C." -> "sao paulo" / "big apple" / "washington dc"
+export function normalizePlaceName(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'\u2019\u02bb]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the\s+/, '');
+}
+
+export function getPlace(id) {
+  return PLACES_BY_ID.get(id) || null;
+}
+
+export function isPlaceId(value) {
+  return PLACES_BY_ID.has(value);
+}
+
+/**
+ * Look a place up by name, alias, or "name, qualifier" ("Paris, France", "Portland, OR")
+ * A qualifier has to match the place's country or state/province - "Paris, TX" isn't Paris, France
+ * @returns {Object|null} { id, name, type, country, lat, lng, timeZone, airports, aliases, admin? }
+ */
+export function resolvePlace(text) {
+  const direct = PLACES_BY_NAME.get(normalizePlaceName(text));
+  if (direct) return direct;
+
+  const [name, ...rest] = (text || '').split(',');
+  if (rest.length === 0) return null;
+  const place = PLACES_BY_NAME.get(normalizePlaceName(name));
+  if (!place || place.type === 'country') return null;
+
+  const qualifier = normalizePlaceName(rest.join(' '));
+  const country = PLACES_BY_NAME.get(qualifier);
+  const matches = qualifier === place.country.toLowerCase()
+    || (country?.type === 'country' && country.country === place.country)
+    || (place.admin || []).some(admin => normalizePlaceName(admin) === qualifier);
+  return matches ? place : null;
+}
+
+// What to store for a destination someone typed - the place id, or the text itself if it isn't in the gazetteer
+export function canonicalDestination(text) {
+  if (isPlaceId(text)) return text;
+  return resolvePlace(text)?.id || text;
+}
+
+// What to store for the name the AI gave something the gazetteer didn't know - a nickname it missed may still
+// name a place it knows ("the Eternal City" -> "Rome"), but not when they typed a qualifier the gazetteer turned
+// down: "Paris, TX" isn't Paris, France, even if the AI shortens it to "Paris"
+export function canonicalSuggestedName(typed, suggestedName) {
+  if (typed.includes(',')) {
+    return suggestedName.includes(',') ? suggestedName : typed;
+  }
+  return canonicalDestination(suggestedName);
+}
+
+// Display name for a stored destination (free text from before the gazetteer is shown as-is)
+export function placeName(value) {
+  return getPlace(value)?.name || value;
+}
+
+// "Tokyo, Japan" - with the country when it says something the name doesn't
+export function placeTitle(value) {
+  const place = getPlace(value);
+  if (!place) return value;
+  const country = place.type === 'country' ? null : getPlace(`geo:${place.country.toLowerCase()}`);
+  return country ? `${place.name}, ${country.name}` : place.name;
+}
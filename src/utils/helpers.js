@@ -1,4 +1,4 @@
-import { randomBytes } from 'crypto';
+import { randomBytes, createHash } from 'crypto';
 
 export function generateInviteCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Remove confusing chars
@@ -9,6 +9,15 @@ export function generateInviteCode() {
   return code;
 }
 
+// Fingerprint of an inbound message, for spotting webhook retries that carry no MessageSid
+// A retry carries exactly the same text, so only surrounding whitespace is ignored - "Yes" and "yes" differ
+export function inboundContentHash(from, body, groupChatId) {
+  const normalized = [from, groupChatId || '', body]
+    .map(part => String(part).trim())
+    .join('\n');
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
 export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -0,0 +1,21 @@
+// Joining a trip by texting "JOIN <invite_code>" to the bot number 1:1
+
+// "JOIN k7qm2p" / "join #K7QM2P" -> 'K7QM2P' (null if it isn't a join command)
+export function parseJoinCommand(text) {
+  const match = (text || '').trim().match(/^join\s+#?([a-z0-9]{4,10})[\s.!]*$/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+// Trips without their own expiry use created_at + expiryDays
+export function inviteExpiresAt(trip, expiryDays) {
+  if (trip.invite_expires_at) return new Date(trip.invite_expires_at);
+  return new Date(new Date(trip.created_at).getTime() + expiryDays * 24 * 60 * 60 * 1000);
+}
+
+export function isInviteExpired(trip, expiryDays, now = new Date()) {
+  return inviteExpiresAt(trip, expiryDays) <= now;
+}
+
+export function formatInviteDate(date) {
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
@@ -0,0 +1,78 @@
+// Local stand-in for Twilio's Messages API, for tests and local development
+// Speaks the same REST shape as api.twilio.com (so the 'local' provider is just TwilioRestClient
+// pointed here), keeps every message it receives, and fires status callbacks like Twilio would.
+// Numbers in `undeliverable` get an 'undelivered' callback instead of 'delivered'.
+//
+//   npm run sms:local                 → listens on MESSAGING_LOCAL_PORT (default 3999)
+//   GET    /messages[?to=+1555...]    → messages received so far
+//   DELETE /messages                  → forget them
+import express from 'express';
+
+export function createLocalSmsServer({ undeliverable = [] } = {}) {
+  const app = express();
+  const messages = [];
+  const failing = new Set(undeliverable);
+  let nextId = 1;
+
+  app.use(express.urlencoded({ extended: true }));
+
+  app.post('/Accounts/:accountSid/Messages.json', (req, res) => {
+    const { To, From, MessagingServiceSid, Body, StatusCallback } = req.body;
+    if (!To || (!Body && !req.body.MediaUrl)) {
+      return res.status(400).json({ code: 21602, message: 'Message body is required' });
+    }
+
+    const message = {
+      sid: `SMlocal${String(nextId++).padStart(8, '0')}`,
+      accountSid: req.params.accountSid,
+      to: To,
+      from: From || MessagingServiceSid,
+      body: Body || '',
+      mediaUrls: [].concat(req.body.MediaUrl || []),
+      status: 'queued',
+      timestamp: new Date(),
+    };
+    messages.push(message);
+    res.status(201).json({ sid: message.sid, status: message.status, to: To, body: message.body });
+
+    if (StatusCallback) {
+      setImmediate(() => sendStatusCallbacks(message, StatusCallback, failing.has(To)));
+    }
+  });
+
+  app.get('/messages', (req, res) => {
+    res.json({ messages: req.query.to ? messages.filter(m => m.to === req.query.to) : messages });
+  });
+
+  app.delete('/messages', (req, res) => {
+    messages.length = 0;
+    res.json({ success: true });
+  });
+
+  return { app, messages };
+}
+
+async function sendStatusCallbacks(message, url, undeliverable) {
+  const statuses = undeliverable ? ['sent', 'undelivered'] : ['sent', 'delivered'];
+  for (const status of statuses) {
+    message.status = status;
+    const params = { MessageSid: message.sid, MessageStatus: status, To: message.to, From: message.from };
+    if (status === 'undelivered') params.ErrorCode = '30003'; // Unreachable destination handset
+    try {
+      await fetch(url, { method: 'POST', body: new URLSearchParams(params) });
+    } catch (error) {
+      console.error(`   ⚠️  Local SMS: Status callback to ${url} failed:`, error.message);
+    }
+  }
+}
+
+// Start listening - resolves once the port is bound (port 0 picks a free one)
+export function startLocalSmsServer({ port = 0, host = '127.0.0.1', undeliverable } = {}) {
+  const { app, messages } = createLocalSmsServer({ undeliverable });
+  return new Promise((resolve) => {
+    const server = app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({ url, messages, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
@@ -0,0 +1,73 @@
+// Who's on a trip: joining by invite, "I'm out" from a member, "@bot remove Sam" from the organizer
+import { parseCommand } from './commands.js';
+
+const LEAVE_PATTERN = /^(?:i'?m out|i am out|count me out|i'?m leaving the trip|leave the trip)[\s.!]*$/i;
+
+// "I'm out", or "@bot leave"
+export function isLeaveRequest(text) {
+  return LEAVE_PATTERN.test((text || '').trim()) || parseCommand(text)?.command === 'leave';
+}
+
+// Match members by name (case-insensitive, exact before prefix) or by the last digits of their phone
+export function findMembersByName(members, query) {
+  const wanted = (query || '').trim().toLowerCase();
+  if (!wanted) return [];
+
+  if (/^\+?[\d\s().-]{4,}$/.test(wanted)) {
+    const digits = wanted.replace(/\D/g, '');
+    return members.filter(m => m.phone_number.replace(/\D/g, '').endsWith(digits));
+  }
+
+  const exact = members.filter(m => (m.name || '').toLowerCase() === wanted);
+  if (exact.length > 0) return exact;
+  return members.filter(m => (m.name || '').toLowerCase().startsWith(wanted));
+}
+
+// What a change in headcount did to the open poll and flight tracking
+// poll: { label, votes, needed } for the open main poll, flights: { booked, total } while tracking
+function headcountLines({ poll, flights }, allBooked = "Everyone's booked") {
+  const lines = [];
+  if (poll) {
+    lines.push(poll.votes >= poll.needed
+      ? `🗳️ ${poll.label}: ${poll.votes} votes is now enough - closing it.`
+      : `🗳️ ${poll.label}: ${poll.votes}/${poll.needed} votes needed now.`);
+  }
+  if (flights) {
+    lines.push(flights.booked >= flights.total
+      ? `✈️ ${allBooked} (${flights.booked}/${flights.total}).`
+      : `✈️ ${flights.booked}/${flights.total} flights booked.`);
+  }
+  return lines;
+}
+
+function headcount(memberCount) {
+  return `Now ${memberCount} ${memberCount === 1 ? 'person' : 'people'} on the trip.`;
+}
+
+export function formatMemberJoinedMessage({ name, memberCount, poll = null, flights = null }) {
+  return [
+    `🎉 ${name} joined with the invite code - welcome! ${headcount(memberCount)}`,
+    ...headcountLines({ poll, flights }),
+  ].join('\n');
+}
+
+// Announcement for the group: who left, then what their leaving changed
+export function formatMemberLeftMessage({ name, removed = false, memberCount, poll = null, flights = null, closedPolls = [] }) {
+  const lines = [
+    removed
+      ? `👋 ${name} was removed from the trip by the organizer.`
+      : `👋 ${name} is out. Sorry to see you go!`,
+  ];
+
+  if (memberCount === 0) {
+    lines.push(`Nobody's left on this trip.`);
+    return lines.join('\n');
+  }
+
+  lines.push(headcount(memberCount), ...headcountLines({ poll, flights }, 'Everyone left is booked'));
+  for (const message of closedPolls) {
+    lines.push('', message);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,111 @@
+// Messaging provider interface - everything that sends SMS goes through one of these
+// Providers implement deliver(to, body, options); the base class adds group sends, status callback
+// parsing, send guards and the onSent hook (delivery tracking) and, for the mock and local providers,
+// a record of what was sent for the test endpoints.
+//
+// Send guards run in order before every send: async ({ to, body, options }) → null to let it through,
+// a reason string to suppress it (the send then returns { sid: null, status: 'suppressed', reason }), or
+// { deferred: true, reason } once the guard has saved it in deferred_messages to go out later (status 'deferred').
+// Group guards run once per sendGroup: async ({ recipients, body, options }) → null, or a reason to
+// suppress the whole broadcast - a group message reaches everyone or nobody.
+//
+//   sendSMS(to, body, options)        → { sid, status }
+//   sendGroup(recipients, body, options) → [{ to, sid, status } | { to, error }]
+//   parseStatusCallback(params)        → { sid, status, to, errorCode } from a delivery status webhook
+//
+// options: { tripId, groupChatId, mediaUrls: [url], statusCallback: url, broadcast (set by sendGroup),
+//           deferred, deferredId (set when sending a text a guard held back - see utils/deferredMessages.js) }
+
+export class MessagingProvider {
+  constructor({ recordSent = false } = {}) {
+    this.recordSent = recordSent;
+    this.sendGuards = [];
+    this.groupGuards = [];
+    this.onSent = null; // async ({ to, body, sid, status, tripId }) => void
+    this.sentMessages = [];
+    this.messagesByRecipient = new Map();
+  }
+
+  async deliver(to, body, options) {
+    throw new Error(`${this.constructor.name} does not implement deliver()`);
+  }
+
+  async sendSMS(to, body, options = {}) {
+    for (const guard of this.sendGuards) {
+      const verdict = await guard({ to, body, options });
+      if (verdict) {
+        const { deferred = false, reason } = typeof verdict === 'string' ? { reason: verdict } : verdict;
+        console.log(`   ${deferred ? '⏰' : '🚫'} Messaging: ${deferred ? 'Deferred' : 'Not sending'} to ${to}: ${reason}`);
+        return { sid: null, status: deferred ? 'deferred' : 'suppressed', reason };
+      }
+    }
+
+    const result = await this.deliver(to, body, options);
+    if (this.onSent) {
+      await this.onSent({ to, body, sid: result.sid, status: result.status, tripId: options.tripId });
+    }
+    if (this.recordSent) {
+      this.record({ to, body, mediaUrls: options.mediaUrls, sid: result.sid, timestamp: new Date() });
+    }
+    return result;
+  }
+
+  // One message per recipient - a failed recipient doesn't stop the rest
+  async sendGroup(recipients, body, options = {}) {
+    for (const guard of this.groupGuards) {
+      const reason = await guard({ recipients, body, options });
+      if (reason) {
+        console.log(`   🚫 Messaging: Not sending to the group (${recipients.length}): ${reason}`);
+        return recipients.map(to => ({ to, sid: null, status: 'suppressed', reason }));
+      }
+    }
+
+    options = { ...options, broadcast: true };
+    const results = [];
+    for (const to of recipients) {
+      try {
+        results.push({ to, ...(await this.sendSMS(to, body, options)) });
+      } catch (error) {
+        console.error(`   ❌ Messaging: Failed to send to ${to}:`, error.message);
+        results.push({ to, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Twilio-style status callback fields (MessageSid, MessageStatus, To, ErrorCode)
+  parseStatusCallback(params) {
+    return {
+      sid: params.MessageSid || params.SmsSid,
+      status: params.MessageStatus || params.SmsStatus,
+      to: params.To,
+      errorCode: params.ErrorCode || null,
+    };
+  }
+
+  record(message) {
+    this.sentMessages.push(message);
+    if (!this.messagesByRecipient.has(message.to)) {
+      this.messagesByRecipient.set(message.to, []);
+    }
+    this.messagesByRecipient.get(message.to).push(message);
+  }
+
+  getSentMessages() {
+    return this.sentMessages;
+  }
+
+  clearSentMessages() {
+    this.sentMessages = [];
+    this.messagesByRecipient.clear();
+  }
+
+  getMessagesForRecipient(phoneNumber) {
+    return this.messagesByRecipient.get(phoneNumber) || [];
+  }
+
+  getLatestMessageForRecipient(phoneNumber) {
+    const messages = this.getMessagesForRecipient(phoneNumber);
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+  }
+}
@@ -0,0 +1,39 @@
+// The trip organizer: who may run organizer-only commands, and a record of every attempt (admin_actions)
+import * as db from '../db/queries.js';
+
+// The designated organizer, or else whoever joined first (members are in join order)
+export function getOrganizer(members) {
+  return members.find(m => m.role === 'organizer') || members[0] || null;
+}
+
+export function isOrganizer(member, members) {
+  return !!member && getOrganizer(members)?.id === member.id;
+}
+
+// Returns null if the member may run the command, otherwise a polite refusal to send them
+// action - what the command does, for the refusal ("close the poll")
+export async function authorizeOrganizerCommand({ trip, member, allMembers }, command, { args = null, action }) {
+  const allowed = isOrganizer(member, allMembers);
+  try {
+    await db.createAdminAction(trip.id, { memberId: member?.id || null, command, args, allowed });
+  } catch (error) {
+    // The record is best-effort - never block the command itself
+    console.error(`   ⚠️  Failed to record admin action ${command}:`, error.message);
+  }
+  if (allowed) {
+    return null;
+  }
+
+  const organizer = getOrganizer(allMembers);
+  console.log(`   🛡️  ${member?.name || 'Unknown'} tried "${command}" but isn't the organizer`);
+  return {
+    success: true,
+    output: {
+      type: 'organizer_only',
+      command,
+      message: `Sorry ${member?.name || 'there'} - only ${organizer?.name || 'the organizer'} can ${action}, since they're organizing this trip. Ask them, or they can hand it over with "@bot organizer ${member?.name || '<name>'}".`,
+      sendTo: 'individual',
+      recipient: member?.phone_number || null,
+    },
+  };
+}
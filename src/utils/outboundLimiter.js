@@ -0,0 +1,133 @@
+// Outbound SMS limits - send and group guards installed on twilioClient (see MessagingProvider)
+// - Rate limits: per trip and global sliding windows. A send over the limit is deferred to when a slot
+//   frees up (deferred_messages) rather than dropped - never waited out here, since whoever sends
+//   usually holds the trip's lock. The windows are per process (in memory).
+// - Daily segment budget per trip: what a trip sent today is summed from outbound_messages, so it's
+//   shared across processes. A group message is checked once for all its recipients, so it reaches
+//   everyone or nobody. Sends that would go over it are suppressed; once most of it is spent
+//   the responder is asked to keep replies short (isBudgetNearlySpent).
+import * as db from '../db/queries.js';
+import { config } from '../config/index.js';
+import { countSegments } from './smsSegments.js';
+import { deferMessage } from './deferredMessages.js';
+
+// At most `limit` events per `windowMs` for each key
+export class SlidingWindowLimiter {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.events = new Map(); // key → Array<timestamp>
+  }
+
+  prune(key, now) {
+    const events = (this.events.get(key) || []).filter(time => now - time < this.windowMs);
+    if (events.length > 0) {
+      this.events.set(key, events);
+    } else {
+      this.events.delete(key);
+    }
+    return events;
+  }
+
+  // How long until `key` may send again (0 = now)
+  delayFor(key, now = Date.now()) {
+    const events = this.prune(key, now);
+    return events.length < this.limit ? 0 : events[0] + this.windowMs - now;
+  }
+
+  take(key, now = Date.now()) {
+    const events = this.prune(key, now);
+    events.push(now);
+    this.events.set(key, events);
+  }
+}
+
+const GLOBAL_KEY = 'global';
+
+class OutboundLimiter {
+  constructor(settings = config.messaging) {
+    this.settings = settings;
+    this.tripLimiter = new SlidingWindowLimiter(settings.rateLimits.perTripPerMinute, 60 * 1000);
+    this.globalLimiter = new SlidingWindowLimiter(settings.rateLimits.globalPerSecond, 1000);
+    this.onDeferredDue = null; // () => sends deferred texts that are due (installed by twilio.js)
+    this.drainTimers = new Map(); // due time → timeout
+  }
+
+  async segmentsSentToday(tripId) {
+    try {
+      return await db.getSegmentsSentToday(tripId);
+    } catch (error) {
+      // Budget bookkeeping must never stop messages going out
+      console.error(`   ⚠️  Limiter: Could not read today's SMS usage for trip ${tripId}:`, error.message);
+      return 0;
+    }
+  }
+
+  async isBudgetNearlySpent(tripId) {
+    const budget = this.settings.dailySegmentBudget;
+    if (!tripId || !budget) return false;
+    return (await this.segmentsSentToday(tripId)) >= budget * this.settings.budgetWarningRatio;
+  }
+
+  // A reason to suppress `segments` more segments for the trip today, or null if they fit the budget
+  async budgetExceeded(tripId, segments) {
+    const budget = this.settings.dailySegmentBudget;
+    if (!tripId || !budget) return null;
+    const used = await this.segmentsSentToday(tripId);
+    return used + segments > budget ? `daily SMS budget spent (${used}/${budget} segments)` : null;
+  }
+
+  // Group guard: the whole broadcast has to fit in what's left of the budget
+  async guardGroup({ recipients, body, options }) {
+    return await this.budgetExceeded(options.tripId, countSegments(body).segments * recipients.length);
+  }
+
+  // Send guard: a reason to suppress the send, { deferred } if it's over the rate limit, or null once it may go out
+  async guard({ to, body, options }) {
+    const tripId = options.tripId;
+    // Group messages were checked as a whole (guardGroup)
+    if (!options.broadcast) {
+      const overBudget = await this.budgetExceeded(tripId, countSegments(body).segments);
+      if (overBudget) return overBudget;
+    }
+
+    const tripKey = tripId || GLOBAL_KEY;
+    const now = Date.now();
+    const wait = Math.max(this.tripLimiter.delayFor(tripKey, now), this.globalLimiter.delayFor(GLOBAL_KEY, now));
+    if (wait > 0) {
+      const deferred = await this.defer({ to, body, options }, new Date(Math.ceil((now + wait) / 1000) * 1000));
+      if (deferred) return deferred;
+    }
+    this.tripLimiter.take(tripKey, now);
+    this.globalLimiter.take(GLOBAL_KEY, now);
+    return null;
+  }
+
+  // Save a send for when the rate limit allows it - null if it can't be saved (then it goes out now,
+  // and Twilio queues anything over the number's own throughput)
+  async defer({ to, body, options }, sendAfter) {
+    try {
+      await deferMessage(options.tripId || null, { to, body, options, sendAfter });
+    } catch (error) {
+      console.error(`   ⚠️  Limiter: Could not defer a rate-limited text to ${to}, sending it now:`, error.message);
+      return null;
+    }
+    this.scheduleDrain(sendAfter);
+    return { deferred: true, reason: `rate limit reached - deferred until ${sendAfter.toISOString()}` };
+  }
+
+  // Send what's due as soon as the slot frees up (the scheduler only sweeps every few minutes)
+  scheduleDrain(sendAfter) {
+    const dueAt = sendAfter.getTime();
+    if (!this.onDeferredDue || this.drainTimers.has(dueAt)) return;
+    // A little slack so the database agrees it's due
+    const timer = setTimeout(() => {
+      this.drainTimers.delete(dueAt);
+      this.onDeferredDue();
+    }, Math.max(dueAt - Date.now(), 0) + 250);
+    timer.unref();
+    this.drainTimers.set(dueAt, timer);
+  }
+}
+
+export const outboundLimiter = new OutboundLimiter();
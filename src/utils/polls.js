@@ -0,0 +1,158 @@
+// Side polls - questions the group votes on alongside the main stage (activities, restaurants, stays, yes/no)
+// Votes are stored in the votes table with poll_type 'poll:<poll id>'
+
+export const POLL_VOTE_PREFIX = 'poll:';
+
+export const POLL_CATEGORIES = ['activity', 'restaurant', 'accommodation', 'yes_no', 'general'];
+
+// When a side poll closes (it always closes at its deadline)
+export const POLL_CLOSE_RULES = {
+  majority: 'one option has more than half the group',
+  all: 'everyone has voted',
+  deadline: 'the deadline passes',
+};
+
+export const DEFAULT_POLL_CLOSE_RULE = 'majority';
+export const DEFAULT_POLL_DEADLINE_HOURS = 24;
+export const MAX_POLL_OPTIONS = 9;
+
+export function pollVoteType(pollId) {
+  return `${POLL_VOTE_PREFIX}${pollId}`;
+}
+
+export function isSidePollType(pollType) {
+  return typeof pollType === 'string' && pollType.startsWith(POLL_VOTE_PREFIX);
+}
+
+export function sidePollId(pollType) {
+  return isSidePollType(pollType) ? pollType.slice(POLL_VOTE_PREFIX.length) : null;
+}
+
+const CATEGORY_PATTERNS = [
+  ['accommodation', /\b(hostel|hotel|airbnb|stay|staying|accommodation|lodging|room|villa|apartment|bnb)\b/i],
+  ['restaurant', /\b(restaurant|dinner|lunch|breakfast|brunch|eat|food|cafe|bar|drinks)\b/i],
+  ['activity', /\b(activity|activities|tour|hike|museum|beach|do|visit|excursion|day trip|show|concert)\b/i],
+];
+
+export function inferPollCategory(question, isYesNo = false) {
+  if (isYesNo) return 'yes_no';
+  const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(question));
+  return match ? match[0] : 'general';
+}
+
+function parseDeadlineHours(text) {
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(m|min|mins|minutes?|h|hr|hrs|hours?|d|days?)$/i);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit.startsWith('m')) return amount / 60;
+  if (unit.startsWith('d')) return amount * 24;
+  return amount;
+}
+
+function parseCloseRule(text) {
+  const lower = text.toLowerCase();
+  if (/^(majority|most)$/.test(lower)) return 'majority';
+  if (/^(all|everyone|everybody)$/.test(lower)) return 'all';
+  if (/^(deadline|timer|time)$/.test(lower)) return 'deadline';
+  return null;
+}
+
+/**
+ * Parse a poll command
+ * "@bot poll: which hostel? A, B, C | 48h | all"
+ *   - options are separated by commas, "or" or slashes; no options means a yes/no question
+ *   - optional "| <deadline>" (30m, 24h, 2d) and "| <close rule>" (majority, all, deadline) in any order
+ * @returns {Object|null} null if this isn't a poll command, { error } if it's malformed,
+ *   otherwise { question, options, category, deadlineHours, closeRule }
+ */
+export function parsePollCommand(text) {
+  const match = (text || '').trim().match(/^@?bot\s+poll\b\s*:?\s*([\s\S]*)$/i);
+  if (!match) return null;
+
+  const [body, ...settings] = match[1].split('|').map(part => part.trim());
+  if (!body) {
+    return { error: 'What should we vote on? Try "@bot poll: which hostel? A, B, C"' };
+  }
+
+  // Everything up to the question mark is the question, the rest are options
+  const questionEnd = body.indexOf('?');
+  const question = questionEnd === -1 ? body : body.slice(0, questionEnd + 1).trim();
+  const optionText = questionEnd === -1 ? '' : body.slice(questionEnd + 1).trim();
+
+  const options = [];
+  for (const option of optionText.split(/\s*(?:,|;|\/|\bor\b)\s*/i)) {
+    const cleaned = option.trim().replace(/\.$/, '');
+    if (cleaned && !options.some(existing => existing.toLowerCase() === cleaned.toLowerCase())) {
+      options.push(cleaned);
+    }
+  }
+
+  if (options.length === 1) {
+    return { error: 'A poll needs at least two options (or none for a yes/no question)' };
+  }
+  if (options.length > MAX_POLL_OPTIONS) {
+    return { error: `Polls can have up to ${MAX_POLL_OPTIONS} options` };
+  }
+
+  let deadlineHours = DEFAULT_POLL_DEADLINE_HOURS;
+  let closeRule = DEFAULT_POLL_CLOSE_RULE;
+  for (const setting of settings.filter(Boolean)) {
+    const hours = parseDeadlineHours(setting);
+    const rule = parseCloseRule(setting);
+    if (hours) {
+      deadlineHours = hours;
+    } else if (rule) {
+      closeRule = rule;
+    } else {
+      return { error: `I didn't understand "${setting}" - use a deadline like 24h or 2d, or a close rule (majority, all, deadline)` };
+    }
+  }
+
+  const isYesNo = options.length === 0;
+  return {
+    question,
+    options: isYesNo ? ['Yes', 'No'] : options,
+    category: inferPollCategory(question, isYesNo),
+    deadlineHours,
+    closeRule,
+  };
+}
+
+/**
+ * Parse a side poll vote: "vote 2", "vote #3 2", "@bot vote #3 hostel b"
+ * @returns {{ pollNumber: number|null, choiceText: string }|null}
+ */
+export function parseSidePollVote(text) {
+  const match = (text || '').trim().match(/^(?:@?bot\s+)?vote\s+(?:#(\d+)\s*)?(.+)$/i);
+  if (!match) return null;
+  return {
+    pollNumber: match[1] ? parseInt(match[1], 10) : null,
+    choiceText: match[2].trim(),
+  };
+}
+
+/**
+ * Whether a side poll should close now
+ * @param {string} closeRule - 'majority' | 'all' | 'deadline'
+ * @param {Object} state
+ * @param {Array} state.results - tally results sorted by voteCount desc
+ * @param {number} state.voteCount - ballots cast
+ * @param {number} state.memberCount - members in the trip
+ * @param {boolean} state.deadlinePassed
+ */
+export function shouldClosePoll(closeRule, { results = [], voteCount = 0, memberCount = 0, deadlinePassed = false }) {
+  if (deadlinePassed) return true;
+
+  if (closeRule === 'all') {
+    return voteCount >= memberCount;
+  }
+
+  if (closeRule === 'majority') {
+    const top = results[0]?.voteCount || 0;
+    const second = results[1]?.voteCount || 0;
+    return (top > memberCount / 2 && top > second) || voteCount >= memberCount;
+  }
+
+  return false;
+}
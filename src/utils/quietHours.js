@@ -0,0 +1,179 @@
+// Member time zones and quiet hours
+// Bot-initiated texts (nudges, stage announcements, digests, group copies of someone else's reply)
+// aren't sent while it's quiet hours where the recipient is - they're stored in deferred_messages
+// and sent (utils/deferredMessages.js) once the recipient's quiet hours end. A direct reply to the member who
+// just texted us always goes out immediately.
+import * as db from '../db/queries.js';
+import { config } from '../config/index.js';
+import { deferMessage } from './deferredMessages.js';
+
+// North American area codes by time zone (areas that span zones use the majority one)
+const AREA_CODE_ZONES = {
+  'America/New_York': [
+    201, 202, 203, 207, 212, 215, 216, 226, 234, 239, 240, 248, 267, 269, 276, 289, 301, 302, 304, 305,
+    313, 315, 321, 326, 330, 332, 336, 339, 343, 347, 351, 352, 365, 380, 386, 401, 404, 407, 410, 412,
+    413, 416, 418, 434, 437, 438, 440, 443, 450, 470, 475, 478, 484, 502, 508, 513, 514, 516, 517, 518,
+    519, 540, 548, 551, 561, 567, 570, 571, 581, 585, 586, 603, 609, 610, 613, 614, 616, 617, 631, 640,
+    646, 647, 656, 667, 678, 680, 681, 689, 703, 704, 705, 706, 716, 717, 718, 724, 727, 732, 734, 740,
+    743, 754, 757, 762, 770, 772, 774, 781, 786, 802, 803, 804, 807, 810, 813, 814, 819, 828, 839, 843,
+    845, 848, 854, 856, 857, 859, 860, 862, 863, 864, 873, 878, 904, 905, 908, 910, 912, 914, 917, 919,
+    929, 934, 937, 941, 947, 948, 954, 959, 973, 978, 980, 984, 989,
+  ],
+  'America/Chicago': [
+    205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 281, 309, 312, 314, 316, 318,
+    319, 320, 325, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 423, 430, 431, 432, 448, 457,
+    463, 469, 479, 501, 504, 507, 512, 515, 531, 534, 539, 563, 573, 580, 601, 605, 606, 608, 612, 615,
+    618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708, 712, 713, 715, 726, 731, 737, 763,
+    765, 769, 773, 779, 785, 806, 812, 815, 816, 817, 830, 832, 847, 850, 865, 870, 872, 901, 903, 913,
+    918, 920, 931, 936, 938, 940, 945, 952, 956, 972, 979, 985,
+  ],
+  'America/Denver': [303, 307, 368, 385, 403, 406, 505, 575, 587, 719, 720, 780, 801, 825, 915, 970, 983, 986],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    206, 209, 213, 236, 250, 253, 279, 310, 323, 341, 350, 360, 369, 408, 415, 424, 425, 442, 458, 509,
+    510, 530, 541, 559, 562, 564, 604, 619, 626, 628, 650, 657, 661, 669, 672, 702, 707, 714, 725, 747,
+    760, 775, 778, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 971,
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Halifax': [782, 902],
+  'America/St_Johns': [709, 879],
+  'America/Regina': [306, 474, 639],
+  'America/Puerto_Rico': [787, 939],
+};
+
+const AREA_CODE_TO_ZONE = new Map(
+  Object.entries(AREA_CODE_ZONES).flatMap(([zone, codes]) => codes.map(code => [String(code), zone]))
+);
+
+// Countries with a single (or clearly dominant) time zone, longest prefix first
+const COUNTRY_CODE_ZONES = [
+  ['353', 'Europe/Dublin'], ['351', 'Europe/Lisbon'], ['972', 'Asia/Jerusalem'], ['971', 'Asia/Dubai'],
+  ['852', 'Asia/Hong_Kong'], ['886', 'Asia/Taipei'], ['64', 'Pacific/Auckland'], ['65', 'Asia/Singapore'],
+  ['66', 'Asia/Bangkok'], ['62', 'Asia/Jakarta'], ['63', 'Asia/Manila'], ['60', 'Asia/Kuala_Lumpur'],
+  ['61', 'Australia/Sydney'], ['81', 'Asia/Tokyo'], ['82', 'Asia/Seoul'], ['84', 'Asia/Ho_Chi_Minh'],
+  ['86', 'Asia/Shanghai'], ['91', 'Asia/Kolkata'], ['90', 'Europe/Istanbul'], ['44', 'Europe/London'],
+  ['33', 'Europe/Paris'], ['34', 'Europe/Madrid'], ['39', 'Europe/Rome'], ['41', 'Europe/Zurich'],
+  ['43', 'Europe/Vienna'], ['45', 'Europe/Copenhagen'], ['46', 'Europe/Stockholm'], ['47', 'Europe/Oslo'],
+  ['48', 'Europe/Warsaw'], ['49', 'Europe/Berlin'], ['30', 'Europe/Athens'], ['31', 'Europe/Amsterdam'],
+  ['32', 'Europe/Brussels'], ['52', 'America/Mexico_City'], ['54', 'America/Argentina/Buenos_Aires'],
+  ['55', 'America/Sao_Paulo'], ['56', 'America/Santiago'], ['57', 'America/Bogota'], ['27', 'Africa/Johannesburg'],
+];
+
+// Best guess from the phone number - null if we can't tell
+export function inferTimeZone(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/[^\d]/g, '');
+  if (/^1\d{10}$/.test(digits)) {
+    return AREA_CODE_TO_ZONE.get(digits.slice(1, 4)) || null;
+  }
+  return COUNTRY_CODE_ZONES.find(([prefix]) => digits.startsWith(prefix))?.[1] || null;
+}
+
+const TIME_ZONE_ALIASES = {
+  eastern: 'America/New_York', et: 'America/New_York', est: 'America/New_York', edt: 'America/New_York',
+  central: 'America/Chicago', ct: 'America/Chicago', cst: 'America/Chicago', cdt: 'America/Chicago',
+  mountain: 'America/Denver', mt: 'America/Denver', mst: 'America/Denver', mdt: 'America/Denver',
+  arizona: 'America/Phoenix',
+  pacific: 'America/Los_Angeles', pt: 'America/Los_Angeles', pst: 'America/Los_Angeles', pdt: 'America/Los_Angeles',
+  alaska: 'America/Anchorage', hawaii: 'Pacific/Honolulu',
+  uk: 'Europe/London', london: 'Europe/London', gmt: 'Europe/London',
+  utc: 'UTC',
+};
+
+// "pacific", "PST" or an IANA name ("Europe/Paris") → IANA name, or null if it isn't one
+export function normalizeTimeZone(input) {
+  const text = String(input || '').trim();
+  if (!text) return null;
+  const alias = TIME_ZONE_ALIASES[text.toLowerCase()];
+  if (alias) return alias;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+export function localHour(date, timeZone) {
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(date);
+  return parseInt(hour, 10);
+}
+
+// Quiet hours wrap midnight when start > end (22-8 = 10pm to 8am)
+export function isQuietTime(date, timeZone, { start, end }) {
+  if (start === end) return false;
+  const hour = localHour(date, timeZone);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// First moment (to the quarter hour) quiet hours are over - steps forward so DST changes just work
+export function nextAllowedTime(date, timeZone, quietHours) {
+  const step = 15 * 60 * 1000;
+  let candidate = new Date(Math.ceil(date.getTime() / step) * step);
+  for (let i = 0; i < 24 * 4 && isQuietTime(candidate, timeZone, quietHours); i++) {
+    candidate = new Date(candidate.getTime() + step);
+  }
+  return candidate;
+}
+
+// "22-8", "10pm-8am", "22:00 - 08:00" → { start: 22, end: 8 }, "off" → { off: true }, otherwise null
+export function parseQuietHours(text) {
+  const input = String(text || '').trim().toLowerCase();
+  if (/^(off|none|disable|disabled)$/.test(input)) return { off: true };
+
+  const match = input.match(/^(\d{1,2})(?::00)?\s*(am|pm)?\s*(?:-|to|–)\s*(\d{1,2})(?::00)?\s*(am|pm)?$/);
+  if (!match) return null;
+  const toHour = (hour, meridiem) => {
+    let h = parseInt(hour, 10);
+    if (meridiem === 'pm' && h < 12) h += 12;
+    if (meridiem === 'am' && h === 12) h = 0;
+    return h;
+  };
+  const start = toHour(match[1], match[2]);
+  const end = toHour(match[3], match[4]);
+  if (start > 23 || end > 23 || start === end) return null;
+  return { start, end };
+}
+
+export function formatHour(hour) {
+  const suffix = hour < 12 ? 'am' : 'pm';
+  return `${hour % 12 || 12}${suffix}`;
+}
+
+// The trip's quiet hours, or null if it turned them off
+export function tripQuietHours(trip) {
+  if (trip.quiet_hours_enabled === false) return null;
+  return {
+    start: trip.quiet_hours_start ?? config.quietHours.start,
+    end: trip.quiet_hours_end ?? config.quietHours.end,
+  };
+}
+
+export function memberTimeZone(member, phoneNumber) {
+  return member?.time_zone || inferTimeZone(phoneNumber) || config.quietHours.defaultTimeZone;
+}
+
+// Send guard (see MessagingProvider.sendGuards): defer bot-initiated texts during the recipient's quiet hours
+export async function quietHoursGuard({ to, body, options }) {
+  if (!options.tripId || options.deferred || to === options.replyTo) {
+    return null;
+  }
+
+  try {
+    const trip = await db.getTrip(options.tripId);
+    const quietHours = trip && tripQuietHours(trip);
+    if (!quietHours) return null;
+
+    const member = await db.getMemberByPhoneAndTrip(options.tripId, to);
+    const timeZone = memberTimeZone(member, to);
+    const now = new Date();
+    if (!isQuietTime(now, timeZone, quietHours)) return null;
+
+    const sendAfter = nextAllowedTime(now, timeZone, quietHours);
+    await deferMessage(options.tripId, { to, body, options, sendAfter });
+    return { deferred: true, reason: `quiet hours in ${timeZone} - deferred until ${sendAfter.toISOString()}` };
+  } catch (error) {
+    // Deferral bookkeeping must never stop messages going out
+    console.error(`   ⚠️  Quiet hours: Could not check quiet hours for ${to}:`, error.message);
+    return null;
+  }
+}
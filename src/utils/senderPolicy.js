@@ -0,0 +1,19 @@
+// Who may post into a trip
+// 'members'            - only numbers that are already members of the trip
+// 'open_while_joining' - members, plus unknown numbers while the trip is still gathering people
+export const SENDER_POLICIES = ['members', 'open_while_joining'];
+
+const JOINING_STAGES = ['created', 'collecting_members'];
+
+// Returns null if the sender may post, otherwise the reason they can't
+export function senderRejectionReason(trip, isMember, defaultPolicy = 'open_while_joining') {
+  if (isMember) return null;
+
+  const policy = trip.sender_policy || defaultPolicy;
+  if (policy === 'open_while_joining' && JOINING_STAGES.includes(trip.stage)) {
+    return null;
+  }
+  return policy === 'members'
+    ? 'trip only accepts messages from members'
+    : `trip is no longer taking new members (stage: ${trip.stage})`;
+}
@@ -0,0 +1,33 @@
+// SMS segment counting - what a text actually costs to send
+// Texts that fit the GSM-7 alphabet get 160 characters per SMS (153 per part once split); anything
+// else, including a single emoji, makes the whole text UCS-2: 70 UTF-16 units per SMS (67 per part).
+
+const GSM7_BASIC =
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Extension table characters take two septets (escape + char)
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const GSM7_BASIC_SET = new Set(GSM7_BASIC);
+const GSM7_EXTENDED_SET = new Set(GSM7_EXTENDED);
+
+export function isGsm7(text) {
+  for (const char of text) {
+    if (!GSM7_BASIC_SET.has(char) && !GSM7_EXTENDED_SET.has(char)) return false;
+  }
+  return true;
+}
+
+// { encoding: 'GSM-7' | 'UCS-2', units, segments }
+export function countSegments(text = '') {
+  if (isGsm7(text)) {
+    let units = 0;
+    for (const char of text) {
+      units += GSM7_EXTENDED_SET.has(char) ? 2 : 1;
+    }
+    return { encoding: 'GSM-7', units, segments: units <= 160 ? 1 : Math.ceil(units / 153) };
+  }
+
+  const units = text.length; // UTF-16 code units - emoji outside the BMP count as two
+  return { encoding: 'UCS-2', units, segments: units <= 70 ? 1 : Math.ceil(units / 67) };
+}
@@ -0,0 +1,69 @@
+// Multi-leg trips ("Tokyo then Kyoto") - the destinations in travel order, each with its share of the trip dates
+// trips.leg_count is how many the destination poll picks; trips.destination keeps the joined summary
+import * as db from '../db/queries.js';
+import { splitTripWindow, formatTripDates } from './dateOverlap.js';
+import { getPlace, placeName, placeTitle } from './gazetteer.js';
+
+export const MAX_LEGS = 5;
+
+export const LEG_SEPARATOR = ' → ';
+
+// "Tokyo and then Kyoto" / "Lisbon → Porto -> Faro" -> ['Tokyo', 'Kyoto'] (a single destination is a list of one)
+export function parseLegList(text) {
+  return (text || '')
+    .split(/\s*(?:(?:\band\s+)?\bthen\b|→|->)\s*/i)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+// "@bot legs 2" / "top 3" / "1" -> 2 / 3 / 1 (null if it isn't a leg count)
+export function parseLegCount(text) {
+  const match = (text || '').trim().match(/^(?:top\s+)?(\d+)(?:\s+(?:legs?|stops?|destinations?))?$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Legs for the destinations in order, splitting the trip window across them once there are dates
+// (a trip with fewer nights than legs leaves them undated - see splitTripWindow)
+export function planLegs(destinations, startDate = null, endDate = null) {
+  const windows = startDate && endDate ? splitTripWindow(startDate, endDate, destinations.length) : [];
+  return destinations.map((destination, i) => ({
+    destination,
+    startDate: windows[i]?.startDate || null,
+    endDate: windows[i]?.endDate || null,
+  }));
+}
+
+// trips.destination for display - "Tokyo → Kyoto" from the stored place ids (null stays null)
+export function describeDestination(destination) {
+  return destination && destination.split(LEG_SEPARATOR).map(placeName).join(LEG_SEPARATOR);
+}
+
+// One line per leg - "1. Tokyo, Japan (May 3-7) ✈️ HND/NRT" (airports for places in the gazetteer)
+export function formatLegs(legs) {
+  return legs
+    .map((leg, i) => {
+      const airports = getPlace(leg.destination)?.airports || [];
+      return `${i + 1}. ${placeTitle(leg.destination)}`
+        + `${leg.start_date && leg.end_date ? ` (${formatTripDates(leg.start_date, leg.end_date)})` : ''}`
+        + `${airports.length > 0 ? ` ✈️ ${airports.slice(0, 3).join('/')}` : ''}`;
+    })
+    .join('\n');
+}
+
+// Set the trip's destinations - one or several - and (re)plan its legs
+// Extra trip updates (runoff_options, ...) go in the same write
+export async function saveTripDestinations(tripId, destinations, updates = {}) {
+  const trip = await db.updateTrip(tripId, { ...updates, destination: destinations.join(LEG_SEPARATOR) });
+  await db.replaceTripLegs(tripId, destinations.length > 1
+    ? planLegs(destinations, trip.start_date, trip.end_date)
+    : []);
+  return trip;
+}
+
+// After the trip dates change - share them out across the legs again
+export async function scheduleTripLegs(tripId) {
+  const trip = await db.getTrip(tripId);
+  const legs = await db.getTripLegs(tripId);
+  if (legs.length === 0) return [];
+  return await db.replaceTripLegs(tripId, planLegs(legs.map(l => l.destination), trip.start_date, trip.end_date));
+}
@@ -0,0 +1,42 @@
+// Routing 1:1 texts (no GroupId) for someone who's in more than one trip
+import { describeDestination } from './tripLegs.js';
+
+// "#K7QM2P are we still on for friday?" -> { code: 'K7QM2P', body: 'are we still on for friday?' }
+export function parseTripCode(text) {
+  const match = (text || '').trim().match(/^#([a-z0-9]{4,10})\b[\s:,-]*([\s\S]*)$/i);
+  return match ? { code: match[1].toUpperCase(), body: match[2].trim() } : null;
+}
+
+// Pick the trip with the most recent activity (their texts, ours to them, or joining).
+// If another trip was active within windowMinutes of it, it's a guess - ask instead.
+// memberships: [{ trip, lastActivityAt }] -> { trip } or { ambiguous: memberships }
+export function pickTripForSender(memberships, windowMinutes) {
+  if (memberships.length === 0) return { trip: null };
+  if (memberships.length === 1) return { trip: memberships[0].trip };
+
+  const sorted = [...memberships].sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+  const gapMs = new Date(sorted[0].lastActivityAt) - new Date(sorted[1].lastActivityAt);
+  if (gapMs < windowMinutes * 60 * 1000) {
+    return { ambiguous: sorted };
+  }
+  return { trip: sorted[0].trip };
+}
+
+// After "JOIN <code>", their next 1:1 text is their name - unless they've been active in one of
+// their trips since (then it's for that trip). pendingJoin: their awaiting_name join request, or null
+export function isJoinNameReply(pendingJoin, memberships) {
+  if (!pendingJoin) return false;
+  const joinedAt = new Date(pendingJoin.updated_at);
+  return !memberships.some(({ lastActivityAt }) => new Date(lastActivityAt) > joinedAt);
+}
+
+export function describeTrip(trip) {
+  return describeDestination(trip.destination) || (trip.stage === 'abandoned' ? 'on hold' : 'still planning');
+}
+
+export function whichTripMessage(memberships) {
+  const options = memberships
+    .map(({ trip }) => `#${trip.invite_code} (${describeTrip(trip)})`)
+    .join(', ');
+  return `You're in ${memberships.length} trips - which one is this for? Send it again starting with the trip code: ${options}`;
+}
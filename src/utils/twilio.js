@@ -1,69 +1,68 @@
-// Mock Twilio client for testing (no real SMS needed)
-// In production, replace with real Twilio client
+// Outbound messaging - picks the provider configured in config.messaging.provider
+//   'mock'   - logs to the console and keeps sent messages in memory (default, used by /test routes)
+//   'local'  - the local Twilio stand-in server (src/utils/localSms.js, `npm run sms:local`)
+//   'twilio' - real SMS through Twilio's REST API
+// Everything sends through `twilioClient` - see MessagingProvider for the interface.
+import { config } from '../config/index.js';
+import { MessagingProvider } from './messagingProvider.js';
+import { TwilioRestClient } from './twilioRest.js';
+import { recordOutboundMessage } from './deliveryStatus.js';
+import { outboundLimiter } from './outboundLimiter.js';
+import { quietHoursGuard } from './quietHours.js';
+import { optOutGuard } from './compliance.js';
+import { sendDueDeferredMessages } from './deferredMessages.js';
 
-class MockTwilioClient {
+// Mock Twilio client for testing (no real SMS needed)
+class MockTwilioClient extends MessagingProvider {
   constructor() {
-    this.sentMessages = [];
-    this.messagesByRecipient = new Map();
+    super({ recordSent: true });
+    this.nextId = 1;
   }
 
-  async sendSMS(to, body) {
-    const message = {
-      to,
-      body,
-      timestamp: new Date(),
-    };
-    
-    this.sentMessages.push(message);
-    
-    // Store by recipient for easy retrieval
-    if (!this.messagesByRecipient.has(to)) {
-      this.messagesByRecipient.set(to, []);
-    }
-    this.messagesByRecipient.get(to).push(message);
-    
+  async deliver(to, body) {
     console.log('\n' + '='.repeat(60));
     console.log(`📤 BOT RESPONSE [${new Date().toLocaleTimeString()}]`);
     console.log(`   To: ${to}`);
     console.log(`   Body: "${body}"`);
     console.log('='.repeat(60) + '\n');
-    
-    return { sid: `mock_${Date.now()}` };
-  }
-
-  getSentMessages() {
-    return this.sentMessages;
-  }
-
-  clearSentMessages() {
-    this.sentMessages = [];
-    this.messagesByRecipient.clear();
-  }
 
-  getMessagesForRecipient(phoneNumber) {
-    return this.messagesByRecipient.get(phoneNumber) || [];
+    return { sid: `mock_${Date.now()}_${this.nextId++}`, status: 'sent' };
   }
+}
 
-  getLatestMessageForRecipient(phoneNumber) {
-    const messages = this.getMessagesForRecipient(phoneNumber);
-    return messages.length > 0 ? messages[messages.length - 1] : null;
+function createMessagingProvider(messaging = config.messaging) {
+  switch (messaging.provider) {
+    case 'twilio':
+      return new TwilioRestClient({
+        ...config.twilio,
+        statusCallbackUrl: messaging.statusCallbackUrl,
+      });
+    case 'local': {
+      const client = new TwilioRestClient({
+        accountSid: 'AClocal',
+        authToken: 'local',
+        phoneNumber: config.twilio.phoneNumber || '+15550000000',
+        statusCallbackUrl: messaging.statusCallbackUrl,
+        apiBase: messaging.localUrl,
+      });
+      client.recordSent = true;
+      return client;
+    }
+    case 'mock':
+      return new MockTwilioClient();
+    default:
+      throw new Error(`Unknown MESSAGING_PROVIDER "${messaging.provider}" (expected mock, local or twilio)`);
   }
 }
 
 // Export singleton instance
-export const twilioClient = new MockTwilioClient();
-
-// In production, uncomment this:
-/*
-import twilio from 'twilio';
-import { config } from '../config/index.js';
-
-export const twilioClient = twilio(
-  config.twilio.accountSid,
-  config.twilio.authToken
-);
-*/
-
-
-
-
+export const twilioClient = createMessagingProvider();
+// Opt-outs first; quiet hours next, so deferred texts don't use up rate limits or budget until they're sent
+twilioClient.sendGuards.push(optOutGuard);
+twilioClient.sendGuards.push(quietHoursGuard);
+twilioClient.sendGuards.push(send => outboundLimiter.guard(send));
+twilioClient.groupGuards.push(send => outboundLimiter.guardGroup(send));
+outboundLimiter.onDeferredDue = () => sendDueDeferredMessages(twilioClient).catch(error => {
+  console.error('   ❌ Failed to send deferred messages:', error.message);
+});
+twilioClient.onSent = recordOutboundMessage;
@@ -0,0 +1,55 @@
+// Real SMS through Twilio's REST API (Messages resource)
+// Uses fetch directly - the only calls we need are "create message", so no SDK dependency.
+import { MessagingProvider } from './messagingProvider.js';
+
+const TWILIO_API_BASE = 'https://api.twilio.com/2010-04-01';
+
+export class TwilioRestClient extends MessagingProvider {
+  constructor({ accountSid, authToken, phoneNumber, messagingServiceSid, statusCallbackUrl, apiBase = TWILIO_API_BASE }) {
+    super();
+    if (!accountSid || !authToken || !(phoneNumber || messagingServiceSid)) {
+      throw new Error('Twilio provider needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER');
+    }
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.phoneNumber = phoneNumber;
+    this.messagingServiceSid = messagingServiceSid;
+    this.statusCallbackUrl = statusCallbackUrl;
+    this.apiBase = apiBase;
+  }
+
+  async deliver(to, body, options) {
+    const form = new URLSearchParams({ To: to, Body: body });
+    if (this.messagingServiceSid) {
+      form.append('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      form.append('From', this.phoneNumber);
+    }
+    for (const url of options.mediaUrls || []) {
+      form.append('MediaUrl', url);
+    }
+    const statusCallback = options.statusCallback || this.statusCallbackUrl;
+    if (statusCallback) {
+      form.append('StatusCallback', statusCallback);
+    }
+
+    const response = await fetch(`${this.apiBase}/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: form,
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`Twilio send failed (${response.status}): ${data.message || response.statusText}`);
+      error.code = data.code;
+      throw error;
+    }
+
+    console.log(`   📤 Twilio: Sent ${data.sid} to ${to} (${data.status})`);
+    return { sid: data.sid, status: data.status };
+  }
+}
@@ -0,0 +1,30 @@
+// Twilio webhook signature verification (X-Twilio-Signature)
+// Twilio signs each request with HMAC-SHA1 of the full webhook URL followed by every POST parameter
+// (sorted by name, name and value concatenated), keyed with the account's auth token, base64-encoded.
+// See https://www.twilio.com/docs/usage/security#validating-requests
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// The signature Twilio would send for this request - also used to sign requests in local testing
+export function signTwilioRequest(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + (params[key] ?? ''), url);
+  return createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+export function isValidTwilioSignature(authToken, signature, url, params = {}) {
+  if (!authToken || !signature) return false;
+
+  const expected = Buffer.from(signTwilioRequest(authToken, url, params));
+  const received = Buffer.from(signature);
+  // timingSafeEqual throws on length mismatch - a different length can't match anyway
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// The URL Twilio called - behind a proxy the Host header isn't the public one, so it can be configured
+export function webhookUrl(req, publicBaseUrl) {
+  const base = publicBaseUrl
+    ? publicBaseUrl.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  return `${base}${req.originalUrl}`;
+}
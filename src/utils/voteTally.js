@@ -0,0 +1,283 @@
+// Vote tallying for the supported poll voting methods
+// Ballots are stored in votes.choice: a plain option name for plurality,
+// a JSON array of option names for approval and ranked-choice
+
+export const VOTING_METHODS = ['plurality', 'approval', 'ranked'];
+
+export const DEFAULT_VOTING_METHOD = 'plurality';
+
+// Short explanations used in poll messages and responder prompts
+export const VOTING_METHOD_DESCRIPTIONS = {
+  plurality: 'One vote each - the option with the most votes wins',
+  approval: 'Vote for every option you like (e.g. "1 and 3") - the option with the most approvals wins',
+  ranked: 'Rank the options in order of preference (e.g. "3, 1, 2") - last place is eliminated each round until one option has a majority',
+};
+
+export function isValidVotingMethod(method) {
+  return VOTING_METHODS.includes(method);
+}
+
+// Map user-facing names ("rcv", "ranked choice", "majority") to a voting method
+export function normalizeVotingMethod(text) {
+  const lower = (text || '').toLowerCase().trim();
+  if (/^(ranked|rank|rcv|irv|ranked[\s-]?choice|instant[\s-]?runoff)$/.test(lower)) return 'ranked';
+  if (/^(approval|approve|multi|multiple)$/.test(lower)) return 'approval';
+  if (/^(plurality|majority|single|simple|normal|default)$/.test(lower)) return 'plurality';
+  return null;
+}
+
+export function serializeBallot(choices, method) {
+  if (method === 'plurality') {
+    return choices[0];
+  }
+  return JSON.stringify(choices);
+}
+
+export function parseBallot(choice) {
+  if (typeof choice !== 'string') return [];
+  const trimmed = choice.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) {
+        return parsed.filter(c => typeof c === 'string' && c.length > 0);
+      }
+    } catch (e) {
+      // Not a JSON ballot - treat as a single choice below
+    }
+  }
+  return trimmed.length > 0 ? [trimmed] : [];
+}
+
+// Human-readable ballot for acknowledgments ("Bali" / "Bali, Tokyo" / "Bali > Tokyo")
+export function describeBallot(choices, method) {
+  if (method === 'ranked') {
+    return choices.join(' > ');
+  }
+  return choices.join(', ');
+}
+
+/**
+ * Tally votes for a poll
+ * @param {Array} votes - rows from the votes table ({ choice, ... })
+ * @param {Array<string>} options - poll options in display order (used for stable ordering)
+ * @param {string} method - 'plurality' | 'approval' | 'ranked'
+ * @returns {{ method, winner, results, tiedOptions, rounds, ballotCount }}
+ *   results are sorted by voteCount desc, then by option order
+ *   tiedOptions lists every option sharing the top count when there is more than one
+ *   rounds is only set for ranked-choice (one entry per instant-runoff round)
+ */
+export function tallyVotes(votes, options = [], method = DEFAULT_VOTING_METHOD) {
+  const ballots = votes
+    .map(v => parseBallot(v.choice))
+    .filter(b => b.length > 0);
+
+  if (method === 'ranked') {
+    return tallyRankedChoice(ballots, options);
+  }
+
+  const counts = new Map(options.map(opt => [opt, 0]));
+  for (const ballot of ballots) {
+    // Plurality only counts the first choice; approval counts every approved option once
+    const counted = method === 'approval' ? [...new Set(ballot)] : ballot.slice(0, 1);
+    for (const choice of counted) {
+      counts.set(choice, (counts.get(choice) || 0) + 1);
+    }
+  }
+
+  return buildResult(method, counts, options, ballots.length, null);
+}
+
+function tallyRankedChoice(ballots, options) {
+  const candidates = new Set(options);
+  for (const ballot of ballots) {
+    ballot.forEach(choice => candidates.add(choice));
+  }
+
+  const eliminated = new Set();
+  const rounds = [];
+  let counts = new Map();
+
+  while (true) {
+    counts = new Map([...candidates].filter(c => !eliminated.has(c)).map(c => [c, 0]));
+    let activeBallots = 0;
+
+    for (const ballot of ballots) {
+      const preference = ballot.find(choice => !eliminated.has(choice));
+      if (preference) {
+        counts.set(preference, counts.get(preference) + 1);
+        activeBallots++;
+      }
+    }
+
+    rounds.push({
+      round: rounds.length + 1,
+      counts: Object.fromEntries(counts),
+      eliminated: [],
+    });
+
+    const remaining = [...counts.keys()];
+    const topCount = Math.max(0, ...counts.values());
+
+    // Majority of the ballots still in play wins outright
+    if (activeBallots === 0 || topCount * 2 > activeBallots || remaining.length <= 1) {
+      break;
+    }
+
+    // Eliminate everyone tied for last place - unless that would eliminate every remaining option
+    const lowestCount = Math.min(...counts.values());
+    const lowest = remaining.filter(c => counts.get(c) === lowestCount);
+    if (lowest.length === remaining.length) {
+      break;
+    }
+
+    lowest.forEach(c => eliminated.add(c));
+    rounds[rounds.length - 1].eliminated = lowest;
+  }
+
+  return buildResult('ranked', counts, options, ballots.length, rounds);
+}
+
+function buildResult(method, counts, options, ballotCount, rounds) {
+  const order = choice => {
+    const idx = options.indexOf(choice);
+    return idx === -1 ? Number.MAX_SAFE_INTEGER : idx;
+  };
+
+  const results = [...counts.entries()]
+    .map(([choice, voteCount]) => ({ choice, voteCount }))
+    .sort((a, b) => b.voteCount - a.voteCount || order(a.choice) - order(b.choice));
+
+  const topCount = results[0]?.voteCount || 0;
+  const leaders = topCount > 0 ? results.filter(r => r.voteCount === topCount) : [];
+
+  return {
+    method,
+    winner: leaders.length > 0 ? leaders[0].choice : null,
+    results,
+    tiedOptions: leaders.length > 1 ? leaders.map(r => r.choice) : [],
+    rounds,
+    ballotCount,
+  };
+}
+
+/**
+ * Pick the top `count` options of a poll ("top 2" for a two-leg trip)
+ * Seats are filled in order: plurality and approval take the next highest count, ranked-choice reruns the
+ * instant runoff with the options already picked struck off every ballot
+ * @returns {{ winners, tiedOptions, seatsLeft }}
+ *   winners in the order they were picked; if options tie for the last seats,
+ *   tiedOptions lists them and seatsLeft is how many of them still get in
+ */
+export function pickTopOptions(votes, options = [], method = DEFAULT_VOTING_METHOD, count = 1) {
+  const winners = [];
+  while (winners.length < count) {
+    const ballots = method === 'ranked'
+      ? votes.map(v => ({ choice: JSON.stringify(parseBallot(v.choice).filter(c => !winners.includes(c))) }))
+      : votes;
+    const results = tallyVotes(ballots, options.filter(o => !winners.includes(o)), method).results
+      .filter(r => !winners.includes(r.choice));
+    if (results.length === 0) break;
+
+    const topCount = results[0].voteCount;
+    const leaders = results.filter(r => r.voteCount === topCount).map(r => r.choice);
+    const seatsLeft = count - winners.length;
+    if (leaders.length > seatsLeft) {
+      return { winners, tiedOptions: leaders, seatsLeft };
+    }
+    winners.push(...leaders);
+  }
+  return { winners, tiedOptions: [], seatsLeft: 0 };
+}
+
+// Rules for settling a runoff that ties again
+export const TIE_BREAK_RULES = ['earliest_suggestion', 'organizer', 'random'];
+
+export const TIE_BREAK_RULE_DESCRIPTIONS = {
+  earliest_suggestion: 'the option suggested first wins',
+  organizer: "the organizer's pick wins",
+  random: 'a random pick (the seed is recorded so it can be checked)',
+};
+
+export function isValidTieBreakRule(rule) {
+  return TIE_BREAK_RULES.includes(rule);
+}
+
+// Map user-facing names ("first", "coin flip", "organizer") to a tie-break rule
+export function normalizeTieBreakRule(text) {
+  const lower = (text || '').toLowerCase().trim();
+  if (/^(earliest|first|earliest[\s_-]?suggestion|first[\s_-]?suggested|oldest)$/.test(lower)) return 'earliest_suggestion';
+  if (/^(organizer|organiser|owner|admin|organizer'?s? pick)$/.test(lower)) return 'organizer';
+  if (/^(random|coin[\s-]?flip|dice|lottery)$/.test(lower)) return 'random';
+  return null;
+}
+
+// Small seeded PRNG (mulberry32) so a random tie-break can be replayed from its seed
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a winner between tied options
+ * @param {Array<string>} tiedOptions - options still tied after the runoff
+ * @param {string} rule - 'earliest_suggestion' | 'organizer' | 'random'
+ * @param {Object} inputs
+ * @param {Array<string>} inputs.suggestionOrder - options in the order they were first suggested
+ * @param {string|null} inputs.organizerChoice - the organizer's preferred option, if they picked one of the tied options
+ * @param {number} inputs.seed - seed for the random rule
+ * @returns {{ winner, rule, seed, fallbackFrom }}
+ *   rule is the rule actually applied - organizer falls back to earliest_suggestion when they didn't pick a tied option
+ */
+export function breakTie(tiedOptions, rule, { suggestionOrder = [], organizerChoice = null, seed = null } = {}) {
+  if (rule === 'organizer') {
+    if (organizerChoice && tiedOptions.includes(organizerChoice)) {
+      return { winner: organizerChoice, rule, seed: null, fallbackFrom: null };
+    }
+    const fallback = breakTie(tiedOptions, 'earliest_suggestion', { suggestionOrder });
+    return { ...fallback, fallbackFrom: 'organizer' };
+  }
+
+  if (rule === 'random') {
+    const random = seededRandom(seed);
+    const winner = tiedOptions[Math.floor(random() * tiedOptions.length)];
+    return { winner, rule, seed, fallbackFrom: null };
+  }
+
+  // earliest_suggestion - options never suggested sort after the rest, in their given order
+  const position = option => {
+    const idx = suggestionOrder.indexOf(option);
+    return idx === -1 ? Number.MAX_SAFE_INTEGER : idx;
+  };
+  const [winner] = [...tiedOptions].sort((a, b) => position(a) - position(b));
+  return { winner, rule: 'earliest_suggestion', seed: null, fallbackFrom: null };
+}
+
+// Fill `seats` places from the tied options one at a time (the last legs of a multi-leg trip), each by `rule`.
+// organizerChoices is the organizer's ballot in order, so their next choice takes the next seat; random
+// picks use seed, seed + 1, ... so the one recorded seed replays them all.
+// Returns { picked, rule, seed, fallbackFrom } - fallbackFrom is set if any seat had to fall back
+export function breakTieForSeats(tiedOptions, seats, rule, { suggestionOrder = [], organizerChoices = [], seed = null } = {}) {
+  const picked = [];
+  let remaining = [...tiedOptions];
+  let first = null;
+  let fallbackFrom = null;
+  for (let seat = 0; seat < seats && remaining.length > 0; seat++) {
+    const result = breakTie(remaining, rule, {
+      suggestionOrder,
+      organizerChoice: organizerChoices.find(choice => remaining.includes(choice)) || null,
+      seed: seed === null ? null : (seed + seat) >>> 0,
+    });
+    first = first || result;
+    fallbackFrom = fallbackFrom || result.fallbackFrom;
+    picked.push(result.winner);
+    remaining = remaining.filter(option => option !== result.winner);
+  }
+  return { picked, rule: first ? first.rule : rule, seed, fallbackFrom };
+}
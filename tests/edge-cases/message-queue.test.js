@@ -1,7 +1,7 @@
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import { randomUUID } from 'crypto';
-import { messageQueue } from '../../src/queue/messageQueue.js';
+import { messageQueue, retryDelay } from '../../src/queue/messageQueue.js';
 import { mockDatabase } from '../mocks/database.js';
 import { clearAllMocks } from '../utils/test-helpers.js';
 
@@ -148,5 +148,48 @@ describe('Message Queue Edge Cases', () => {
     // Clean up
     queue.clearQueue(trip.id);
   });
+
+  test('retries failed messages with exponential backoff', () => {
+    const settings = { retryBaseDelayMs: 1000, retryMaxDelayMs: 10000 };
+
+    assert.strictEqual(retryDelay(1, settings), 1000);
+    assert.strictEqual(retryDelay(2, settings), 2000);
+    assert.strictEqual(retryDelay(3, settings), 4000);
+    assert.strictEqual(retryDelay(10, settings), 10000);
+  });
+
+  test('keeps a failed message at the head of its trip queue until the retry', async () => {
+    const queue = messageQueue;
+    const tripId = randomUUID();
+    const failed = { from: '+15551111111', body: 'First', attempts: 1 };
+    queue.queues.set(tripId, [failed, { from: '+15552222222', body: 'Second' }]);
+
+    await queue.handleFailure(tripId, queue.queues.get(tripId), failed, new Error('Claude timed out'));
+
+    const queued = queue.queues.get(tripId);
+    assert.strictEqual(queued.length, 2);
+    assert.strictEqual(queued[0].body, 'First');
+    assert(queued[0].nextAttemptAt > Date.now());
+
+    queue.clearQueue(tripId);
+  });
+
+  test("doesn't retry a message that failed after an agent started acting on it", async () => {
+    const queue = messageQueue;
+    const tripId = randomUUID();
+    const failed = { from: '+15551111111', body: 'Tokyo', attempts: 1 };
+    queue.queues.set(tripId, [failed, { from: '+15552222222', body: 'Second' }]);
+
+    const error = new Error('Claude timed out');
+    error.retryable = false;
+    await queue.handleFailure(tripId, queue.queues.get(tripId), failed, error);
+
+    const queued = queue.queues.get(tripId);
+    assert.strictEqual(queued.length, 1);
+    assert.strictEqual(queued[0].body, 'Second');
+    assert.strictEqual(failed.nextAttemptAt, undefined);
+
+    queue.clearQueue(tripId);
+  });
 });
 
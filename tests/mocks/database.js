@@ -8,6 +8,7 @@ export class MockDatabase {
     this.votes = new Map();
     this.flights = new Map();
     this.messages = new Map();
+    this.optOuts = new Set(); // phone numbers that texted STOP
     this.errors = [];
   }
 
@@ -57,19 +58,12 @@ export class MockDatabase {
   }
 
   // Members
-  async getMemberByPhone(phoneNumber) {
-    for (const member of this.members.values()) {
-      if (member.phone_number === phoneNumber) return member;
-    }
-    return null;
-  }
-
   async getMembers(tripId) {
-    return Array.from(this.members.values()).filter(m => m.trip_id === tripId);
+    return Array.from(this.members.values()).filter(m => m.trip_id === tripId && !this.optOuts.has(m.phone_number));
   }
 
   async getMemberCount(tripId) {
-    return this.getMembers(tripId).length;
+    return (await this.getMembers(tripId)).length;
   }
 
   async createMember(tripId, phoneNumber, name) {
@@ -112,15 +106,16 @@ export class MockDatabase {
   async getVotes(tripId, pollType) {
     return Array.from(this.votes.values()).filter(
       v => v.trip_id === tripId && (!pollType || v.poll_type === pollType)
+        && !this.optOuts.has(this.members.get(v.member_id)?.phone_number)
     );
   }
 
   async getVoteCount(tripId, pollType) {
-    return this.getVotes(tripId, pollType).length;
+    return (await this.getVotes(tripId, pollType)).length;
   }
 
   async getVoteResults(tripId, pollType) {
-    const votes = this.getVotes(tripId, pollType);
+    const votes = await this.getVotes(tripId, pollType);
     const counts = {};
     
     for (const vote of votes) {
@@ -212,6 +207,19 @@ export class MockDatabase {
     return this.errors;
   }
 
+  // Opt-outs
+  async createOptOut(phoneNumber) {
+    this.optOuts.add(phoneNumber);
+  }
+
+  async deleteOptOut(phoneNumber) {
+    this.optOuts.delete(phoneNumber);
+  }
+
+  async isOptedOut(phoneNumber) {
+    return this.optOuts.has(phoneNumber);
+  }
+
   // Utility
   async reset() {
     this.trips.clear();
@@ -219,6 +227,7 @@ export class MockDatabase {
     this.votes.clear();
     this.flights.clear();
     this.messages.clear();
+    this.optOuts.clear();
     this.errors = [];
   }
 }
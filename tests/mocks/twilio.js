@@ -4,15 +4,24 @@ export class MockTwilioClient {
     this.sentMessages = [];
   }
 
-  async sendSMS(to, body) {
+  async sendSMS(to, body, options = {}) {
     const message = {
       to,
       body,
+      mediaUrls: options.mediaUrls,
       timestamp: new Date(),
     };
     
     this.sentMessages.push(message);
-    return { sid: `mock_${Date.now()}` };
+    return { sid: `mock_${Date.now()}`, status: 'sent' };
+  }
+
+  async sendGroup(recipients, body, options = {}) {
+    const results = [];
+    for (const to of recipients) {
+      results.push({ to, ...(await this.sendSMS(to, body, options)) });
+    }
+    return results;
   }
 
   getSentMessages() {
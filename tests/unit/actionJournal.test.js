@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { planUndo, describeAction } from '../../src/utils/actionJournal.js';
+
+describe('Undo', () => {
+  const now = new Date('2026-03-01T12:10:00Z');
+  const entry = {
+    id: 'e1',
+    action: 'vote',
+    message_id: 'msg1',
+    current: '2',
+    created_at: '2026-03-01T12:00:00Z',
+    trip_before: { stage: 'voting_destination' },
+  };
+  const closedPoll = [
+    { message_id: 'msg1', from_stage: 'voting_destination', to_stage: 'planning' },
+    { message_id: 'msg1', from_stage: 'planning', to_stage: 'voting_dates' },
+  ];
+
+  test('works only within the undo window', () => {
+    const options = { trip: { stage: 'voting_destination' }, transitionsSince: [], entriesSince: [], windowMinutes: 15 };
+    assert.deepStrictEqual(planUndo(entry, { ...options, now }), { ok: true, rollBack: false });
+    assert.deepStrictEqual(
+      planUndo(entry, { ...options, now: new Date('2026-03-01T12:16:00Z') }),
+      { ok: false, reason: 'expired' }
+    );
+  });
+
+  test('rolls back the stage changes an action caused if nothing happened since', () => {
+    const options = { trip: { stage: 'voting_dates' }, transitionsSince: closedPoll, entriesSince: [], windowMinutes: 15, now };
+    assert.deepStrictEqual(planUndo(entry, options), { ok: true, rollBack: true });
+
+    assert.deepStrictEqual(
+      planUndo(entry, { ...options, entriesSince: [{ id: 'e2', action: 'vote' }] }),
+      { ok: false, reason: 'moved_on' }
+    );
+    assert.deepStrictEqual(
+      planUndo(entry, { ...options, transitionsSince: [...closedPoll, { message_id: null, from_stage: 'voting_dates', to_stage: 'planning' }] }),
+      { ok: false, reason: 'moved_on' }
+    );
+  });
+
+  test("won't undo what another change already settled", () => {
+    const timedOut = [{ message_id: null, from_stage: 'voting_destination', to_stage: 'planning' }];
+    assert.deepStrictEqual(
+      planUndo(entry, { trip: { stage: 'planning' }, transitionsSince: timedOut, entriesSince: [], windowMinutes: 15, now }),
+      { ok: false, reason: 'moved_on' }
+    );
+  });
+
+  test('describes the action being undone', () => {
+    assert.strictEqual(describeAction(entry), 'your vote');
+    assert.strictEqual(describeAction({ action: 'vote', current: null }), 'taking back your vote');
+    assert.strictEqual(describeAction({ action: 'destination_suggestion', current: { destinations: ['Lisbon', 'Porto'] } }), 'your suggestion (Lisbon, Porto)');
+  });
+});
@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseCommand, formatHelp, COMMANDS } from '../../src/utils/commands.js';
+
+describe('Bot Commands', () => {
+  test('parses commands and their aliases', () => {
+    assert.deepStrictEqual(parseCommand('@bot status'), { command: 'status', args: {} });
+    assert.deepStrictEqual(parseCommand('bot Progress?'), { command: 'status', args: {} });
+    assert.deepStrictEqual(parseCommand('@bot polls'), { command: 'poll', args: {} });
+    assert.deepStrictEqual(parseCommand('@bot poll: is the beach day on?'), { command: 'poll', args: { text: 'is the beach day on?' } });
+    assert.deepStrictEqual(parseCommand('@bot'), { command: 'help', args: {} });
+    assert.deepStrictEqual(parseCommand('@bot help settings'), { command: 'help', args: { command: 'settings' } });
+  });
+
+  test('reads settings with the words people use', () => {
+    assert.deepStrictEqual(parseCommand('@bot settings'), { command: 'settings', args: {} });
+    assert.deepStrictEqual(parseCommand('@bot settings quiet hours 10pm-8am'), { command: 'settings', args: { setting: 'quiet', value: '10pm-8am' } });
+    assert.deepStrictEqual(parseCommand('@bot setting time zone pacific'), { command: 'settings', args: { setting: 'timezone', value: 'pacific' } });
+  });
+
+  test('parses every @bot command, organizer ones included', () => {
+    assert.deepStrictEqual(parseCommand('@bot remove Sam'), { command: 'remove', args: { name: 'Sam' } });
+    assert.deepStrictEqual(parseCommand('bot remove @Jo Lee '), { command: 'remove', args: { name: 'Jo Lee' } });
+    assert.strictEqual(parseCommand('remove Sam'), null);
+    assert.deepStrictEqual(parseCommand('@bot make organizer Sam'), { command: 'organizer', args: { name: 'Sam' } });
+    assert.deepStrictEqual(parseCommand('@bot unpause nudges'), { command: 'resume nudges', args: {} });
+    assert.deepStrictEqual(parseCommand('@bot approve Sam'), { command: 'approve', args: { name: 'Sam' } });
+    assert.deepStrictEqual(parseCommand('@bot invite approval on'), { command: 'invite', args: { action: 'approval on' } });
+    assert.deepStrictEqual(parseCommand('@bot leave'), { command: 'leave', args: {} });
+    assert.deepStrictEqual(parseCommand('@bot vote #2 hostel b'), { command: 'vote', args: { pollNumber: 2, choice: 'hostel b' } });
+    assert.deepStrictEqual(parseCommand('@bot tie-break rule random'), { command: 'tiebreak', args: { value: 'random' } });
+    assert.deepStrictEqual(parseCommand('@bot stops 3'), { command: 'legs', args: { value: '3' } });
+    assert.deepStrictEqual(parseCommand('@bot help set destination'), { command: 'help', args: { command: 'set destination' } });
+  });
+
+  test('rejects bad arguments with the usage line', () => {
+    assert.deepStrictEqual(parseCommand('@bot status please'), { command: 'status', error: 'Usage: @bot status' });
+    assert.match(parseCommand('@bot settings colour red').error, /^Usage: @bot settings \[voting\|tiebreak\|digest\|quiet\|timezone\|legs\] \[value\]$/);
+    assert.match(parseCommand('@bot help me').error, /Usage: @bot help \[command\]/);
+    assert.match(parseCommand('@bot extend forever').error, /Usage: @bot extend \[#poll\] \[hours\]/);
+  });
+
+  test('leaves everything else to the conversation', () => {
+    assert.strictEqual(parseCommand('@bot where should we stay?'), null);
+    assert.strictEqual(parseCommand('bot is broken lol'), null);
+    assert.strictEqual(parseCommand('status?'), null);
+  });
+
+  test('help lists every command', () => {
+    const help = formatHelp();
+    for (const command of COMMANDS) {
+      assert.match(help, new RegExp(`• ${command.name}\\b`));
+    }
+    assert.match(formatHelp('summary'), /^@bot status\n/);
+    assert.match(formatHelp('settings'), /Example: @bot settings digest on 15/);
+  });
+});
@@ -0,0 +1,25 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseComplianceKeyword, optOutGuard } from '../../src/utils/compliance.js';
+
+describe('Carrier Keyword Compliance', () => {
+  test('recognizes opt-out, help and opt-in keywords in any case', () => {
+    assert.strictEqual(parseComplianceKeyword('STOP'), 'opt_out');
+    assert.strictEqual(parseComplianceKeyword(' unsubscribe '), 'opt_out');
+    assert.strictEqual(parseComplianceKeyword('Cancel!'), 'opt_out');
+    assert.strictEqual(parseComplianceKeyword('help'), 'help');
+    assert.strictEqual(parseComplianceKeyword('INFO'), 'help');
+    assert.strictEqual(parseComplianceKeyword('Start'), 'opt_in');
+    assert.strictEqual(parseComplianceKeyword('unstop'), 'opt_in');
+  });
+
+  test('keywords inside normal messages are left alone', () => {
+    assert.strictEqual(parseComplianceKeyword("can't stop thinking about Bali"), null);
+    assert.strictEqual(parseComplianceKeyword('when do we start planning?'), null);
+    assert.strictEqual(parseComplianceKeyword('help me pick dates'), null);
+  });
+
+  test('compliance replies always get through the opt-out guard', async () => {
+    assert.strictEqual(await optOutGuard({ to: '+15551234567', options: { compliance: true } }), null);
+  });
+});
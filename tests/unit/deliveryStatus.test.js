@@ -0,0 +1,20 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { isStatusProgression, isUnreachable } from '../../src/utils/deliveryStatus.js';
+
+describe('Delivery Status', () => {
+  test('statuses only move forward, whatever order callbacks arrive in', () => {
+    assert.strictEqual(isStatusProgression('queued', 'sent'), true);
+    assert.strictEqual(isStatusProgression('sent', 'undelivered'), true);
+    assert.strictEqual(isStatusProgression('delivered', 'sent'), false);
+    assert.strictEqual(isStatusProgression('failed', 'undelivered'), false);
+    assert.strictEqual(isStatusProgression('queued', 'read-receipt'), false);
+  });
+
+  test('a member is unreachable only when their latest texts all failed', () => {
+    assert.strictEqual(isUnreachable(['failed', 'undelivered', 'failed'], 3), true);
+    assert.strictEqual(isUnreachable(['failed', 'undelivered'], 3), false);
+    assert.strictEqual(isUnreachable(['failed', 'delivered', 'failed'], 3), false);
+    assert.strictEqual(isUnreachable(['failed', 'failed', 'failed', 'delivered'], 3), true);
+  });
+});
@@ -0,0 +1,44 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { digestLine, digestPending, formatDigest, DigestTimers } from '../../src/utils/digest.js';
+
+describe('Digest Mode', () => {
+  test('routine acks get a summary line, everything else goes out immediately', () => {
+    assert.strictEqual(
+      digestLine({ type: 'destination_suggested', destinations: ['Tokyo', 'Bali'], savedCount: 2 }, 'Sarah'),
+      'Sarah suggested Tokyo, Bali'
+    );
+    assert.strictEqual(digestLine({ type: 'vote_recorded' }, 'Mike'), 'Mike voted');
+    assert.strictEqual(digestLine({ type: 'date_availability_submitted', dateRange: 'Mar 3-10' }, 'Jo'), 'Jo is free Mar 3-10');
+
+    assert.strictEqual(digestLine({ type: 'poll_started' }, 'Sarah'), null);
+    assert.strictEqual(digestLine({ type: 'poll_completed' }, 'Sarah'), null);
+    assert.strictEqual(digestLine({ type: 'destination_suggested', limitReached: true, savedCount: 0 }, 'Sarah'), null);
+  });
+
+  test('the summary lists updates in order with the latest pending members', () => {
+    const items = [
+      { line: 'Sarah voted', pending: digestPending({ pendingVoters: ['Mike', 'Jo'] }) },
+      { line: 'Mike voted', pending: digestPending({ pendingVoters: ['Jo'] }) },
+    ];
+
+    assert.strictEqual(formatDigest(items), '📋 Catching up:\n• Sarah voted\n• Mike voted\n\n⏳ Still waiting on: Jo');
+  });
+
+  test('one window per trip, ending in a flush unless cancelled', async () => {
+    const flushed = [];
+    const timers = new DigestTimers(tripId => flushed.push(tripId));
+
+    timers.start('trip-1', 10);
+    timers.start('trip-1', 1000); // already running - the first item's window stands
+    timers.start('trip-2', 10);
+    timers.cancel('trip-2');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepStrictEqual(flushed, ['trip-1']);
+
+    timers.start('trip-1', -5000); // resumed after its window already ended
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepStrictEqual(flushed, ['trip-1', 'trip-1']);
+  });
+});
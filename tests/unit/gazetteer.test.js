@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { resolvePlace, canonicalDestination, canonicalSuggestedName, placeName, placeTitle } from '../../src/utils/gazetteer.js';
+import { describeDestination, formatLegs } from '../../src/utils/tripLegs.js';
+
+describe('Gazetteer', () => {
+  test('resolves names and aliases to one place', () => {
+    const ids = ['NYC', 'New York', 'Manhattan', 'the Big Apple'].map(text => resolvePlace(text)?.id);
+    assert.deepStrictEqual(ids, Array(4).fill('geo:us:new-york-city'));
+    assert.strictEqual(resolvePlace('são paulo!')?.id, 'geo:br:sao-paulo');
+  });
+
+  test('only accepts a qualifier that matches the place', () => {
+    assert.strictEqual(resolvePlace('Paris, France')?.id, 'geo:fr:paris');
+    assert.strictEqual(resolvePlace('Portland, OR')?.id, 'geo:us:portland');
+    assert.strictEqual(resolvePlace('Paris, TX'), null);
+  });
+
+  test('keeps places it does not know as free text', () => {
+    assert.strictEqual(canonicalDestination('Kyoto'), 'geo:jp:kyoto');
+    assert.strictEqual(canonicalDestination('geo:jp:kyoto'), 'geo:jp:kyoto');
+    assert.strictEqual(canonicalDestination('Grandma\'s cabin'), 'Grandma\'s cabin');
+    assert.strictEqual(placeName('Grandma\'s cabin'), 'Grandma\'s cabin');
+  });
+
+  test('resolves the AI\'s name for a place unless it drops the qualifier they typed', () => {
+    assert.strictEqual(canonicalSuggestedName('the eternal city', 'Rome'), 'geo:it:rome');
+    assert.strictEqual(canonicalSuggestedName('Paris, TX', 'Paris'), 'Paris, TX');
+    assert.strictEqual(canonicalSuggestedName('paris, tx', 'Paris, Texas'), 'Paris, Texas');
+  });
+
+  test('displays stored destinations by name', () => {
+    assert.strictEqual(placeName('geo:jp:tokyo'), 'Tokyo');
+    assert.strictEqual(placeTitle('geo:jp:tokyo'), 'Tokyo, Japan');
+    assert.strictEqual(placeTitle('geo:jp'), 'Japan');
+    assert.strictEqual(describeDestination('geo:jp:tokyo → geo:jp:kyoto'), 'Tokyo → Kyoto');
+    assert.strictEqual(formatLegs([{ destination: 'geo:jp:tokyo', start_date: '2026-05-01', end_date: '2026-05-04' }]),
+      '1. Tokyo, Japan (May 1-4) ✈️ HND/NRT');
+  });
+});
@@ -0,0 +1,21 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { inboundContentHash } from '../../src/utils/helpers.js';
+
+describe('Inbound Message De-duplication', () => {
+  test('a redelivered message hashes the same, ignoring surrounding whitespace', () => {
+    const first = inboundContentHash('+15551234567', 'Tokyo', 'group-1');
+
+    assert.strictEqual(inboundContentHash('+15551234567', 'Tokyo', 'group-1'), first);
+    assert.strictEqual(inboundContentHash('+15551234567', '  Tokyo ', 'group-1'), first);
+    assert.notStrictEqual(inboundContentHash('+15551234567', 'tokyo', 'group-1'), first);
+  });
+
+  test('different senders, groups or text hash differently', () => {
+    const first = inboundContentHash('+15551234567', 'Tokyo', 'group-1');
+
+    assert.notStrictEqual(inboundContentHash('+15551234568', 'Tokyo', 'group-1'), first);
+    assert.notStrictEqual(inboundContentHash('+15551234567', 'Tokyo', 'group-2'), first);
+    assert.notStrictEqual(inboundContentHash('+15551234567', 'Kyoto', 'group-1'), first);
+  });
+});
@@ -0,0 +1,33 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseJoinCommand, inviteExpiresAt, isInviteExpired } from '../../src/utils/invites.js';
+import { formatMemberJoinedMessage } from '../../src/utils/membership.js';
+
+describe('Invite Codes', () => {
+  test('parses JOIN commands', () => {
+    assert.strictEqual(parseJoinCommand('JOIN K7QM2P'), 'K7QM2P');
+    assert.strictEqual(parseJoinCommand('join #k7qm2p!'), 'K7QM2P');
+    assert.strictEqual(parseJoinCommand('join us in Lisbon next week'), null);
+    assert.strictEqual(parseJoinCommand('K7QM2P'), null);
+  });
+
+  test('invites expire a set number of days after the trip is created, unless renewed', () => {
+    const trip = { created_at: '2026-03-01T12:00:00Z', invite_expires_at: null };
+    assert.strictEqual(inviteExpiresAt(trip, 14).toISOString(), '2026-03-15T12:00:00.000Z');
+    assert.ok(!isInviteExpired(trip, 14, new Date('2026-03-15T11:59:00Z')));
+    assert.ok(isInviteExpired(trip, 14, new Date('2026-03-15T12:00:00Z')));
+
+    const renewed = { ...trip, invite_expires_at: '2026-04-01T00:00:00Z' };
+    assert.ok(!isInviteExpired(renewed, 14, new Date('2026-03-20T00:00:00Z')));
+  });
+
+  test('announces the new member with what changed', () => {
+    const message = formatMemberJoinedMessage({
+      name: 'Priya',
+      memberCount: 4,
+      poll: { label: 'Dates vote', votes: 2, needed: 3 },
+    });
+    assert.match(message, /Priya joined with the invite code - welcome! Now 4 people on the trip\./);
+    assert.match(message, /Dates vote: 2\/3 votes needed now/);
+  });
+});
@@ -0,0 +1,44 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { isLeaveRequest, findMembersByName, formatMemberLeftMessage } from '../../src/utils/membership.js';
+
+describe('Leaving a Trip', () => {
+  test('recognizes clear leave requests only', () => {
+    assert.ok(isLeaveRequest("I'm out"));
+    assert.ok(isLeaveRequest('im out!'));
+    assert.ok(isLeaveRequest('Count me out.'));
+    assert.ok(isLeaveRequest('@bot leave'));
+
+    assert.ok(!isLeaveRequest("I'm out of town until Friday"));
+    assert.ok(!isLeaveRequest('leave on the 5th?'));
+  });
+
+  test('finds members by exact name, then prefix, then phone digits', () => {
+    const members = [
+      { name: 'Sam', phone_number: '+15551110001' },
+      { name: 'Samantha', phone_number: '+15551110002' },
+      { name: 'Jo', phone_number: '+15551110003' },
+    ];
+    assert.deepStrictEqual(findMembersByName(members, 'sam').map(m => m.name), ['Sam']);
+    assert.deepStrictEqual(findMembersByName(members, 'sa').map(m => m.name), ['Sam', 'Samantha']);
+    assert.deepStrictEqual(findMembersByName(members, '0003').map(m => m.name), ['Jo']);
+    assert.deepStrictEqual(findMembersByName(members, 'Alex'), []);
+  });
+
+  test('announces who left and what changed', () => {
+    const message = formatMemberLeftMessage({
+      name: 'Sam',
+      memberCount: 3,
+      poll: { label: 'Destination vote', votes: 1, needed: 2 },
+      closedPolls: ['📊 Poll #1 closed: Hostel B wins'],
+    });
+    assert.match(message, /Sam is out/);
+    assert.match(message, /Now 3 people/);
+    assert.match(message, /Destination vote: 1\/2 votes needed/);
+    assert.match(message, /Hostel B wins/);
+
+    const removed = formatMemberLeftMessage({ name: 'Jo', removed: true, memberCount: 2, flights: { booked: 2, total: 2 } });
+    assert.match(removed, /removed from the trip by the organizer/);
+    assert.match(removed, /Everyone left is booked/);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import { startLocalSmsServer } from '../../src/utils/localSms.js';
+import { TwilioRestClient } from '../../src/utils/twilioRest.js';
+import { MessagingProvider } from '../../src/utils/messagingProvider.js';
+
+class StubProvider extends MessagingProvider {
+  constructor() {
+    super({ recordSent: true });
+  }
+
+  async deliver(to) {
+    return { sid: `SM${to}`, status: 'sent' };
+  }
+}
+
+describe('Messaging Provider (Twilio REST against the local stand-in)', () => {
+  test('sends SMS, group messages and media through the Messages API', async () => {
+    const sms = await startLocalSmsServer();
+    try {
+      const client = new TwilioRestClient({
+        accountSid: 'AClocal',
+        authToken: 'local',
+        phoneNumber: '+15550000000',
+        apiBase: sms.url,
+      });
+
+      const result = await client.sendSMS('+15551111111', 'Hello!', { mediaUrls: ['https://example.com/map.png'] });
+      assert.match(result.sid, /^SMlocal/);
+      assert.strictEqual(result.status, 'queued');
+
+      const group = await client.sendGroup(['+15552222222', '+15553333333'], 'Hi all');
+      assert.deepStrictEqual(group.map(r => r.to), ['+15552222222', '+15553333333']);
+
+      assert.strictEqual(sms.messages.length, 3);
+      assert.deepStrictEqual(sms.messages[0].mediaUrls, ['https://example.com/map.png']);
+      assert.strictEqual(sms.messages[0].from, '+15550000000');
+    } finally {
+      await sms.close();
+    }
+  });
+
+  test('reports delivery status through the status callback', async () => {
+    const sms = await startLocalSmsServer({ undeliverable: ['+15559999999'] });
+    const callbacks = [];
+    const receiver = express().use(express.urlencoded({ extended: true }));
+    receiver.post('/sms/status', (req, res) => {
+      callbacks.push(req.body);
+      res.sendStatus(204);
+    });
+    const server = await new Promise(resolve => { const s = receiver.listen(0, '127.0.0.1', () => resolve(s)); });
+
+    try {
+      const client = new TwilioRestClient({
+        accountSid: 'AClocal',
+        authToken: 'local',
+        phoneNumber: '+15550000000',
+        apiBase: sms.url,
+        statusCallbackUrl: `http://127.0.0.1:${server.address().port}/sms/status`,
+      });
+      const { sid } = await client.sendSMS('+15559999999', 'Anyone there?');
+
+      for (let i = 0; i < 50 && callbacks.length < 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const final = client.parseStatusCallback(callbacks[callbacks.length - 1]);
+      assert.deepStrictEqual(final, { sid, status: 'undelivered', to: '+15559999999', errorCode: '30003' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      await sms.close();
+    }
+  });
+
+  test('surfaces API errors', async () => {
+    const sms = await startLocalSmsServer();
+    try {
+      const client = new TwilioRestClient({ accountSid: 'AClocal', authToken: 'local', phoneNumber: '+15550000000', apiBase: sms.url });
+      await assert.rejects(client.sendSMS('+15551111111', ''), /Message body is required/);
+    } finally {
+      await sms.close();
+    }
+  });
+
+  test('a group guard decides once for the whole broadcast', async () => {
+    const client = new StubProvider();
+    const seen = [];
+    client.sendGuards.push(async ({ to, options }) => {
+      seen.push({ to, broadcast: options.broadcast });
+      return null;
+    });
+    client.groupGuards.push(async ({ recipients }) => (recipients.length > 2 ? 'over budget' : null));
+
+    const suppressed = await client.sendGroup(['+15551111111', '+15552222222', '+15553333333'], 'Vote now!');
+    assert.deepStrictEqual(suppressed.map(r => r.status), ['suppressed', 'suppressed', 'suppressed']);
+    assert.strictEqual(client.getSentMessages().length, 0);
+
+    await client.sendGroup(['+15551111111', '+15552222222'], 'Vote now!');
+    assert.strictEqual(client.getSentMessages().length, 2);
+    assert.deepStrictEqual(seen.map(s => s.broadcast), [true, true]);
+  });
+
+  test('a guard can defer a send instead of suppressing it', async () => {
+    const client = new StubProvider();
+    client.sendGuards.push(async () => ({ deferred: true, reason: 'rate limit reached' }));
+
+    const result = await client.sendSMS('+15551111111', 'Hi');
+    assert.deepStrictEqual(result, { sid: null, status: 'deferred', reason: 'rate limit reached' });
+    assert.strictEqual(client.getSentMessages().length, 0);
+  });
+});
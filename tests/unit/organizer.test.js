@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { getOrganizer, isOrganizer } from '../../src/utils/organizer.js';
+import { parseAdminCommand } from '../../src/agents/admin.js';
+
+describe('Organizer', () => {
+  const alex = { id: 'm1', name: 'Alex', role: 'member' };
+  const sam = { id: 'm2', name: 'Sam', role: 'member' };
+
+  test('the first member organizes until someone is designated', () => {
+    assert.strictEqual(getOrganizer([alex, sam]), alex);
+    assert.ok(isOrganizer(alex, [alex, sam]));
+    assert.ok(!isOrganizer(sam, [alex, sam]));
+
+    const members = [alex, { ...sam, role: 'organizer' }];
+    assert.strictEqual(getOrganizer(members).id, 'm2');
+    assert.ok(!isOrganizer(alex, members));
+    assert.strictEqual(getOrganizer([]), null);
+  });
+
+  test('parses organizer commands', () => {
+    assert.deepStrictEqual(parseAdminCommand('@bot close poll'), { command: 'close_poll', pollNumber: null });
+    assert.deepStrictEqual(parseAdminCommand('@bot close poll #2'), { command: 'close_poll', pollNumber: 2 });
+    assert.deepStrictEqual(parseAdminCommand('@bot set destination to Lisbon'), { command: 'set_destination', destination: 'Lisbon' });
+    assert.deepStrictEqual(parseAdminCommand('@bot set dates March 3-10'), { command: 'set_dates', dates: 'March 3-10' });
+    assert.deepStrictEqual(parseAdminCommand('@bot skip'), { command: 'skip_stage' });
+    assert.deepStrictEqual(parseAdminCommand('@bot remove Sam'), { command: 'remove_member', name: 'Sam' });
+    assert.deepStrictEqual(parseAdminCommand('@bot pause nudges'), { command: 'pause_nudges' });
+    assert.deepStrictEqual(parseAdminCommand('@bot resume nudges'), { command: 'resume_nudges' });
+    assert.deepStrictEqual(parseAdminCommand('@bot organizer @Sam'), { command: 'set_organizer', name: 'Sam' });
+
+    assert.strictEqual(parseAdminCommand('close the poll please'), null);
+    assert.strictEqual(parseAdminCommand('@bot digest on'), null);
+  });
+
+  test('deadline extensions default to a day', () => {
+    assert.deepStrictEqual(parseAdminCommand('@bot extend'), { command: 'extend_deadline', pollNumber: null, hours: 24 });
+    assert.deepStrictEqual(parseAdminCommand('@bot extend 12h'), { command: 'extend_deadline', pollNumber: null, hours: 12 });
+    assert.deepStrictEqual(parseAdminCommand('@bot extend #3 by 2 days'), { command: 'extend_deadline', pollNumber: 3, hours: 48 });
+  });
+});
@@ -0,0 +1,31 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { countSegments, isGsm7 } from '../../src/utils/smsSegments.js';
+import { SlidingWindowLimiter } from '../../src/utils/outboundLimiter.js';
+
+describe('Outbound SMS Limits', () => {
+  test('plain text is GSM-7: 160 characters, then 153 per segment', () => {
+    assert.deepStrictEqual(countSegments('a'.repeat(160)), { encoding: 'GSM-7', units: 160, segments: 1 });
+    assert.strictEqual(countSegments('a'.repeat(161)).segments, 2);
+    assert.strictEqual(countSegments('a'.repeat(307)).segments, 3);
+    // Extension characters take two septets
+    assert.strictEqual(countSegments('€'.repeat(80)).units, 160);
+  });
+
+  test('one emoji makes the whole text UCS-2: 70 units, then 67 per segment', () => {
+    assert.strictEqual(isGsm7('Vote now! 🗳️'), false);
+    assert.deepStrictEqual(countSegments('Hi 🎉'), { encoding: 'UCS-2', units: 5, segments: 1 });
+    assert.strictEqual(countSegments('a'.repeat(68) + '🎉').segments, 1);
+    assert.strictEqual(countSegments('a'.repeat(69) + '🎉').segments, 2);
+  });
+
+  test('sliding window limits events per key', () => {
+    const limiter = new SlidingWindowLimiter(2, 1000);
+    limiter.take('trip', 0);
+    limiter.take('trip', 100);
+
+    assert.strictEqual(limiter.delayFor('trip', 500), 500);
+    assert.strictEqual(limiter.delayFor('other', 500), 0);
+    assert.strictEqual(limiter.delayFor('trip', 1000), 0);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  parsePollCommand,
+  parseSidePollVote,
+  shouldClosePoll,
+  pollVoteType,
+  sidePollId,
+} from '../../src/utils/polls.js';
+
+describe('Side Polls', () => {
+  test('parses a poll with options, deadline and close rule', () => {
+    const poll = parsePollCommand('@bot poll: which hostel? Generator, Wombats, St Christopher\'s | 48h | all');
+
+    assert.strictEqual(poll.question, 'which hostel?');
+    assert.deepStrictEqual(poll.options, ['Generator', 'Wombats', 'St Christopher\'s']);
+    assert.strictEqual(poll.category, 'accommodation');
+    assert.strictEqual(poll.deadlineHours, 48);
+    assert.strictEqual(poll.closeRule, 'all');
+  });
+
+  test('a poll without options is a yes/no question', () => {
+    const poll = parsePollCommand('@bot poll: rent a car for the coast?');
+
+    assert.deepStrictEqual(poll.options, ['Yes', 'No']);
+    assert.strictEqual(poll.category, 'yes_no');
+    assert.strictEqual(poll.closeRule, 'majority');
+  });
+
+  test('rejects malformed polls and ignores other messages', () => {
+    assert.strictEqual(parsePollCommand('@bot status'), null);
+    assert(parsePollCommand('@bot poll: dinner? Sushi').error);
+    assert(parsePollCommand('@bot poll: dinner? Sushi, Tapas | someday').error);
+  });
+
+  test('parses side poll votes with and without a poll number', () => {
+    assert.deepStrictEqual(parseSidePollVote('vote 2'), { pollNumber: null, choiceText: '2' });
+    assert.deepStrictEqual(parseSidePollVote('@bot vote #3 wombats'), { pollNumber: 3, choiceText: 'wombats' });
+    assert.strictEqual(parseSidePollVote('I vote we go to Bali'), null);
+  });
+
+  test('close rules', () => {
+    const results = [{ choice: 'Yes', voteCount: 3 }, { choice: 'No', voteCount: 1 }];
+
+    assert.strictEqual(shouldClosePoll('majority', { results, voteCount: 4, memberCount: 5 }), true);
+    assert.strictEqual(shouldClosePoll('all', { results, voteCount: 4, memberCount: 5 }), false);
+    assert.strictEqual(shouldClosePoll('deadline', { results, voteCount: 5, memberCount: 5 }), false);
+    assert.strictEqual(shouldClosePoll('deadline', { results, voteCount: 1, memberCount: 5, deadlinePassed: true }), true);
+  });
+
+  test('side poll votes are stored under their own poll type', () => {
+    assert.strictEqual(sidePollId(pollVoteType('abc')), 'abc');
+    assert.strictEqual(sidePollId('destination'), null);
+  });
+});
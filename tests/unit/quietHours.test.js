@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  inferTimeZone,
+  normalizeTimeZone,
+  isQuietTime,
+  nextAllowedTime,
+  parseQuietHours,
+} from '../../src/utils/quietHours.js';
+
+const QUIET = { start: 22, end: 8 };
+
+describe('Quiet Hours', () => {
+  test('infers time zones from area and country codes', () => {
+    assert.strictEqual(inferTimeZone('+14155551234'), 'America/Los_Angeles');
+    assert.strictEqual(inferTimeZone('+12125551234'), 'America/New_York');
+    assert.strictEqual(inferTimeZone('+447700900123'), 'Europe/London');
+    assert.strictEqual(inferTimeZone('+19995551234'), null);
+  });
+
+  test('accepts common names and IANA zones', () => {
+    assert.strictEqual(normalizeTimeZone('Pacific'), 'America/Los_Angeles');
+    assert.strictEqual(normalizeTimeZone('Europe/Paris'), 'Europe/Paris');
+    assert.strictEqual(normalizeTimeZone('Narnia/Cair_Paravel'), null);
+  });
+
+  test('quiet hours wrap midnight in the member\'s own time zone', () => {
+    const threeAmEastern = new Date('2026-06-10T07:00:00Z');
+    assert.strictEqual(isQuietTime(threeAmEastern, 'America/New_York', QUIET), true);
+    assert.strictEqual(isQuietTime(threeAmEastern, 'Europe/London', QUIET), false);
+    assert.strictEqual(isQuietTime(threeAmEastern, 'America/New_York', { start: 9, end: 17 }), false);
+  });
+
+  test('deferred texts go out when quiet hours end, across DST changes', () => {
+    const threeAmEastern = new Date('2026-06-10T07:00:00Z');
+    assert.strictEqual(nextAllowedTime(threeAmEastern, 'America/New_York', QUIET).toISOString(), '2026-06-10T12:00:00.000Z');
+
+    // Clocks spring forward at 2am on March 8 2026 - 8am is EDT
+    const springForward = new Date('2026-03-08T06:30:00Z');
+    assert.strictEqual(nextAllowedTime(springForward, 'America/New_York', QUIET).toISOString(), '2026-03-08T12:00:00.000Z');
+  });
+
+  test('parses quiet hours commands', () => {
+    assert.deepStrictEqual(parseQuietHours('10pm-8am'), { start: 22, end: 8 });
+    assert.deepStrictEqual(parseQuietHours('23 to 7'), { start: 23, end: 7 });
+    assert.deepStrictEqual(parseQuietHours('off'), { off: true });
+    assert.strictEqual(parseQuietHours('whenever'), null);
+  });
+});
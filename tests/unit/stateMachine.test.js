@@ -1,6 +1,6 @@
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
-import { checkStateTransitions } from '../../src/state/stateMachine.js';
+import { checkStateTransitions, isReviveRequest, choosePlanningTransition, messageTrigger, stageElapsedMs, reopenedStageTiming } from '../../src/state/stateMachine.js';
 import { mockDatabase } from '../mocks/database.js';
 import { createTestTrip, createTestMember, clearAllMocks } from '../utils/test-helpers.js';
 
@@ -69,6 +69,26 @@ describe('State Machine', () => {
     assert(updated);
   });
 
+  test('a voter who opts out mid-poll no longer counts toward the majority', async () => {
+    const trip = await createTestTrip({ stage: 'voting_destination' });
+    const members = [];
+    for (const [phone, name] of [['+15551111111', 'Sarah'], ['+15552222222', 'Mike'], ['+15553333333', 'Alex'], ['+15554444444', 'Sam'], ['+15555555555', 'Riley']]) {
+      members.push(await createTestMember(trip.id, phone, name));
+    }
+    // 3 of 5 is the 60% majority - until Alex texts STOP: 2 of the 4 left isn't
+    await mockDatabase.createVote(trip.id, 'destination', members[0].id, 'Tokyo');
+    await mockDatabase.createVote(trip.id, 'destination', members[1].id, 'Tokyo');
+    await mockDatabase.createVote(trip.id, 'destination', members[2].id, 'Bali');
+    await mockDatabase.createOptOut('+15553333333', 'STOP');
+
+    assert.deepStrictEqual((await mockDatabase.getVoteResults(trip.id, 'destination')).map(r => r.choice), ['Tokyo']);
+
+    await checkStateTransitions(trip.id);
+
+    const updated = await mockDatabase.getTrip(trip.id);
+    assert.strictEqual(updated.stage, 'voting_destination');
+  });
+
   test('prevents invalid state transitions', async () => {
     const trip = await createTestTrip({ stage: 'completed' });
     
@@ -105,7 +125,51 @@ describe('State Machine', () => {
     const updated = await mockDatabase.getTrip(trip.id);
     assert.strictEqual(updated.stage, 'voting_dates');
   });
-});
 
+  test('abandoned trips can be revived', () => {
+    assert.strictEqual(isReviveRequest("let's restart"), true);
+    assert.strictEqual(isReviveRequest('can we revive the trip?'), true);
+    assert.strictEqual(isReviveRequest("ok we're back"), true);
+    assert.strictEqual(isReviveRequest('Tokyo'), false);
+  });
+
+  test('planning votes on whatever is ready, destination first', () => {
+    const base = { hasDestination: false, hasDates: false, memberCount: 3, destinationSuggestionCount: 0, dateAvailabilityCount: 0, timedOut: false };
+
+    assert.strictEqual(choosePlanningTransition(base), null);
+    assert.strictEqual(choosePlanningTransition({ ...base, dateAvailabilityCount: 3 }).to, 'voting_dates');
+    assert.strictEqual(choosePlanningTransition({ ...base, destinationSuggestionCount: 3, dateAvailabilityCount: 3 }).to, 'voting_destination');
+    assert.strictEqual(choosePlanningTransition({ ...base, hasDestination: true, timedOut: true }).to, 'voting_dates');
+    assert.strictEqual(choosePlanningTransition({ ...base, hasDestination: true, hasDates: true }).to, 'tracking_flights');
+  });
+
+  test('message-triggered transitions point at the message', () => {
+    assert.strictEqual(messageTrigger({ id: 'abc-123' }), 'message:abc-123');
+    assert.strictEqual(messageTrigger(undefined), 'message');
+  });
 
+  test('an extended deadline holds back the stage clock (nudges, giving up)', () => {
+    const hour = 60 * 60 * 1000;
+    const now = Date.parse('2026-03-05T12:00:00Z');
+    const trip = { stage: 'voting_destination', stage_entered_at: new Date(now - 80 * hour), stage_deadline_at: null };
 
+    assert.strictEqual(stageElapsedMs(trip, 48, now), 80 * hour);
+    // "@bot extend 48h" - the 48h poll now closes 96h in, so it's as if only 32h had passed
+    const extended = { ...trip, stage_deadline_at: new Date(now + 16 * hour) };
+    assert.strictEqual(stageElapsedMs(extended, 48, now), 32 * hour);
+  });
+
+  test('an undone transition reopens the stage with its clock restarted', () => {
+    const hour = 60 * 60 * 1000;
+    const now = new Date('2026-03-10T12:00:00Z');
+    const enteredAt = new Date(now.getTime() - 60 * hour);
+
+    // The 48h poll closed 60h in - reopened, it gets a fresh deadline rather than one already past
+    const reopened = reopenedStageTiming({ stage_entered_at: enteredAt, stage_deadline_at: null }, now);
+    assert.deepStrictEqual(reopened, { stage_entered_at: now, stage_deadline_at: null });
+
+    // An extended poll keeps the extra time "@bot extend" gave it
+    const extended = reopenedStageTiming({ stage_entered_at: enteredAt, stage_deadline_at: new Date(enteredAt.getTime() + 72 * hour) }, now);
+    assert.strictEqual(extended.stage_deadline_at.getTime(), now.getTime() + 72 * hour);
+  });
+});
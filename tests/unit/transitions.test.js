@@ -0,0 +1,50 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  TRANSITIONS,
+  TRIP_STAGES,
+  findTransition,
+  isTransitionAllowed,
+  validateTransitionTable,
+  toMermaid,
+  toDot,
+} from '../../src/state/transitions.js';
+
+describe('Transition Table', () => {
+  test('is valid and covers every stage', () => {
+    assert.deepStrictEqual(validateTransitionTable(), []);
+  });
+
+  test('allows lifecycle edges and rejects everything else', () => {
+    assert.strictEqual(isTransitionAllowed('collecting_members', 'planning'), true);
+    assert.strictEqual(isTransitionAllowed('voting_destination', 'runoff_destination'), true);
+    assert.strictEqual(isTransitionAllowed('created', 'tracking_flights'), false);
+    assert.strictEqual(isTransitionAllowed('voting_dates', 'runoff_destination'), false);
+    assert.strictEqual(isTransitionAllowed('planning', 'planning'), false);
+  });
+
+  test('any stage can be abandoned, and revival is guarded to the stage it died in', async () => {
+    assert.strictEqual(isTransitionAllowed('voting_dates', 'abandoned'), true);
+
+    const revive = findTransition('abandoned', 'voting_dates');
+    const trip = { stage: 'abandoned', abandoned_from_stage: 'voting_dates' };
+    assert.strictEqual(await revive.guard(trip, 'voting_dates'), true);
+    assert.strictEqual(await revive.guard(trip, 'tracking_flights'), false);
+
+    const abandon = findTransition('completed', 'abandoned');
+    assert.strictEqual(await abandon.guard({ stage: 'completed' }, 'abandoned'), false);
+  });
+
+  test('exports every edge as Mermaid and DOT', () => {
+    const mermaid = toMermaid();
+    const dot = toDot();
+
+    assert(mermaid.startsWith('stateDiagram-v2'));
+    assert(mermaid.includes('voting_dates --> runoff_dates: date poll tied'));
+    assert(dot.startsWith('digraph trip_lifecycle'));
+    assert.strictEqual(dot.split('->').length - 1, TRANSITIONS.length);
+    for (const stage of TRIP_STAGES) {
+      assert(mermaid.includes(stage), `${stage} missing from Mermaid graph`);
+    }
+  });
+});
@@ -0,0 +1,53 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { splitTripWindow } from '../../src/utils/dateOverlap.js';
+import { parseLegList, parseLegCount, planLegs, formatLegs } from '../../src/utils/tripLegs.js';
+
+describe('Trip Legs', () => {
+  test('splits the trip window across the legs, earlier legs getting the spare nights', () => {
+    const legs = splitTripWindow('2026-05-01', '2026-05-08', 2);
+    assert.deepStrictEqual(legs.map(l => [l.startDate, l.endDate]), [
+      ['2026-05-01', '2026-05-05'],
+      ['2026-05-05', '2026-05-08'],
+    ]);
+    assert.strictEqual(legs[0].display, 'May 1-5');
+  });
+
+  test('keeps every night when the window crosses a month and a DST change', () => {
+    const legs = splitTripWindow('2026-03-27', '2026-04-03', 3);
+    assert.deepStrictEqual(legs.map(l => [l.startDate, l.endDate]), [
+      ['2026-03-27', '2026-03-30'],
+      ['2026-03-30', '2026-04-01'],
+      ['2026-04-01', '2026-04-03'],
+    ]);
+  });
+
+  test('leaves legs undated when the trip has fewer nights than legs', () => {
+    assert.deepStrictEqual(splitTripWindow('2026-05-01', '2026-05-02', 3), []);
+    assert.deepStrictEqual(planLegs(['Tokyo', 'Kyoto', 'Osaka'], '2026-05-01', '2026-05-02').map(l => l.startDate), [null, null, null]);
+    assert.strictEqual(splitTripWindow('2026-05-01', '2026-05-04', 3).length, 3);
+  });
+
+  test('reads destinations in travel order', () => {
+    assert.deepStrictEqual(parseLegList('Tokyo and then Kyoto'), ['Tokyo', 'Kyoto']);
+    assert.deepStrictEqual(parseLegList('Lisbon → Porto -> Faro'), ['Lisbon', 'Porto', 'Faro']);
+    assert.deepStrictEqual(parseLegList('Paris, France'), ['Paris, France']);
+  });
+
+  test('reads leg counts', () => {
+    assert.strictEqual(parseLegCount('2'), 2);
+    assert.strictEqual(parseLegCount('top 3'), 3);
+    assert.strictEqual(parseLegCount('lots'), null);
+  });
+
+  test('plans legs with dates only once the trip has them', () => {
+    assert.deepStrictEqual(planLegs(['Tokyo', 'Kyoto']), [
+      { destination: 'Tokyo', startDate: null, endDate: null },
+      { destination: 'Kyoto', startDate: null, endDate: null },
+    ]);
+
+    const legs = planLegs(['Tokyo', 'Kyoto'], '2026-05-01', '2026-05-07');
+    assert.strictEqual(formatLegs(legs.map(l => ({ destination: l.destination, start_date: l.startDate, end_date: l.endDate }))),
+      '1. Tokyo (May 1-4)\n2. Kyoto (May 4-7)');
+  });
+});
@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseTripCode, pickTripForSender, isJoinNameReply, whichTripMessage } from '../../src/utils/tripRouting.js';
+
+describe('Trip Routing', () => {
+  const lisbon = { id: 't1', invite_code: 'K7QM2P', destination: 'Lisbon', stage: 'tracking_flights' };
+  const ski = { id: 't2', invite_code: 'ZX8RTA', destination: null, stage: 'planning' };
+
+  test('parses a leading #tripcode', () => {
+    assert.deepStrictEqual(parseTripCode('#k7qm2p are we still on?'), { code: 'K7QM2P', body: 'are we still on?' });
+    assert.deepStrictEqual(parseTripCode('#ZX8RTA: BOOKED United'), { code: 'ZX8RTA', body: 'BOOKED United' });
+    assert.strictEqual(parseTripCode('vote #2'), null);
+    assert.strictEqual(parseTripCode('# nope'), null);
+  });
+
+  test('routes to the most recently active trip', () => {
+    const memberships = [
+      { trip: lisbon, lastActivityAt: '2026-03-01T09:00:00Z' },
+      { trip: ski, lastActivityAt: '2026-03-02T18:00:00Z' },
+    ];
+    assert.strictEqual(pickTripForSender(memberships, 60).trip, ski);
+    assert.strictEqual(pickTripForSender([memberships[0]], 60).trip, lisbon);
+    assert.strictEqual(pickTripForSender([], 60).trip, null);
+  });
+
+  test('asks which trip when two were active around the same time', () => {
+    const memberships = [
+      { trip: lisbon, lastActivityAt: '2026-03-02T17:30:00Z' },
+      { trip: ski, lastActivityAt: '2026-03-02T18:00:00Z' },
+    ];
+    const picked = pickTripForSender(memberships, 60);
+    assert.deepStrictEqual(picked.ambiguous.map(m => m.trip), [ski, lisbon]);
+
+    const message = whichTripMessage(picked.ambiguous);
+    assert.match(message, /You're in 2 trips/);
+    assert.match(message, /#ZX8RTA \(still planning\), #K7QM2P \(Lisbon\)/);
+  });
+
+  test('a text after JOIN is their name unless they were active in a trip of theirs since', () => {
+    const pendingJoin = { trip_id: 't3', updated_at: '2026-03-02T18:00:00Z' };
+    const memberships = [{ trip: lisbon, lastActivityAt: '2026-03-02T17:30:00Z' }];
+
+    assert.strictEqual(isJoinNameReply(pendingJoin, []), true);
+    assert.strictEqual(isJoinNameReply(pendingJoin, memberships), true);
+    assert.strictEqual(isJoinNameReply(pendingJoin, [{ trip: lisbon, lastActivityAt: '2026-03-02T18:05:00Z' }]), false);
+    assert.strictEqual(isJoinNameReply(null, []), false);
+  });
+});
@@ -0,0 +1,38 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { signTwilioRequest, isValidTwilioSignature } from '../../src/utils/twilioSignature.js';
+import { senderRejectionReason } from '../../src/utils/senderPolicy.js';
+
+// Example request from Twilio's security docs
+const AUTH_TOKEN = '12345';
+const URL = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+const PARAMS = {
+  CallSid: 'CA1234567890ABCDE',
+  Caller: '+12349013030',
+  Digits: '1234',
+  From: '+12349013030',
+  To: '+18005551212',
+};
+
+describe('Twilio Webhook Security', () => {
+  test('signs requests the way Twilio does', () => {
+    assert.strictEqual(signTwilioRequest(AUTH_TOKEN, URL, PARAMS), '0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+  });
+
+  test('accepts a valid signature and rejects tampered or missing ones', () => {
+    const signature = signTwilioRequest(AUTH_TOKEN, URL, PARAMS);
+
+    assert.strictEqual(isValidTwilioSignature(AUTH_TOKEN, signature, URL, PARAMS), true);
+    assert.strictEqual(isValidTwilioSignature(AUTH_TOKEN, signature, URL, { ...PARAMS, Digits: '9999' }), false);
+    assert.strictEqual(isValidTwilioSignature('wrong-token', signature, URL, PARAMS), false);
+    assert.strictEqual(isValidTwilioSignature(AUTH_TOKEN, 'short', URL, PARAMS), false);
+    assert.strictEqual(isValidTwilioSignature(AUTH_TOKEN, undefined, URL, PARAMS), false);
+  });
+
+  test('unknown numbers may only post while the trip is gathering members', () => {
+    assert.strictEqual(senderRejectionReason({ stage: 'collecting_members' }, false), null);
+    assert.strictEqual(senderRejectionReason({ stage: 'voting_dates' }, true), null);
+    assert(senderRejectionReason({ stage: 'voting_dates' }, false));
+    assert(senderRejectionReason({ stage: 'created', sender_policy: 'members' }, false));
+  });
+});
@@ -0,0 +1,165 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  tallyVotes,
+  serializeBallot,
+  parseBallot,
+  normalizeVotingMethod,
+  breakTie,
+  breakTieForSeats,
+  normalizeTieBreakRule,
+  pickTopOptions,
+} from '../../src/utils/voteTally.js';
+
+const ballots = (...choices) => choices.map(choice => ({ choice }));
+
+describe('Vote Tally', () => {
+  test('plurality counts one vote per ballot', () => {
+    const votes = ballots('Tokyo', 'Tokyo', 'Bali');
+    const result = tallyVotes(votes, ['Bali', 'Tokyo'], 'plurality');
+
+    assert.strictEqual(result.winner, 'Tokyo');
+    assert.deepStrictEqual(result.results, [
+      { choice: 'Tokyo', voteCount: 2 },
+      { choice: 'Bali', voteCount: 1 },
+    ]);
+    assert.deepStrictEqual(result.tiedOptions, []);
+  });
+
+  test('approval counts every approved option', () => {
+    const votes = ballots(
+      serializeBallot(['Tokyo', 'Bali'], 'approval'),
+      serializeBallot(['Bali'], 'approval'),
+      serializeBallot(['Lisbon', 'Tokyo'], 'approval'),
+    );
+    const result = tallyVotes(votes, ['Tokyo', 'Bali', 'Lisbon'], 'approval');
+
+    assert.deepStrictEqual(result.tiedOptions, ['Tokyo', 'Bali']);
+    assert.strictEqual(result.results.find(r => r.choice === 'Lisbon').voteCount, 1);
+  });
+
+  test('ranked-choice eliminates last place until a majority', () => {
+    const votes = ballots(
+      serializeBallot(['Tokyo', 'Bali'], 'ranked'),
+      serializeBallot(['Tokyo', 'Lisbon'], 'ranked'),
+      serializeBallot(['Bali', 'Tokyo'], 'ranked'),
+      serializeBallot(['Bali', 'Lisbon'], 'ranked'),
+      serializeBallot(['Lisbon', 'Bali'], 'ranked'),
+    );
+    const result = tallyVotes(votes, ['Tokyo', 'Bali', 'Lisbon'], 'ranked');
+
+    // Round 1: Tokyo 2, Bali 2, Lisbon 1 -> Lisbon out, its ballot moves to Bali
+    assert.strictEqual(result.rounds.length, 2);
+    assert.deepStrictEqual(result.rounds[0].eliminated, ['Lisbon']);
+    assert.strictEqual(result.winner, 'Bali');
+    assert.deepStrictEqual(result.results[0], { choice: 'Bali', voteCount: 3 });
+  });
+
+  test('ranked-choice reports a tie when the final options are even', () => {
+    const votes = ballots(
+      serializeBallot(['Tokyo', 'Bali'], 'ranked'),
+      serializeBallot(['Bali', 'Tokyo'], 'ranked'),
+    );
+    const result = tallyVotes(votes, ['Tokyo', 'Bali'], 'ranked');
+
+    assert.deepStrictEqual(result.tiedOptions, ['Tokyo', 'Bali']);
+  });
+
+  test('plain-text choices from older votes still parse as single ballots', () => {
+    assert.deepStrictEqual(parseBallot('Tokyo'), ['Tokyo']);
+    assert.deepStrictEqual(parseBallot('["Tokyo","Bali"]'), ['Tokyo', 'Bali']);
+    assert.deepStrictEqual(parseBallot(''), []);
+  });
+
+  test('top-N picks fill the seats in order and report a tie for the last one', () => {
+    const votes = ballots('Tokyo', 'Tokyo', 'Tokyo', 'Kyoto', 'Kyoto', 'Osaka');
+    assert.deepStrictEqual(pickTopOptions(votes, ['Osaka', 'Kyoto', 'Tokyo'], 'plurality', 2),
+      { winners: ['Tokyo', 'Kyoto'], tiedOptions: [], seatsLeft: 0 });
+
+    const tied = ballots('Tokyo', 'Tokyo', 'Kyoto', 'Osaka');
+    assert.deepStrictEqual(pickTopOptions(tied, ['Tokyo', 'Kyoto', 'Osaka'], 'plurality', 2),
+      { winners: ['Tokyo'], tiedOptions: ['Kyoto', 'Osaka'], seatsLeft: 1 });
+  });
+
+  test('ranked-choice top-N strikes earlier picks off the ballots', () => {
+    const votes = ballots(
+      serializeBallot(['Tokyo', 'Osaka'], 'ranked'),
+      serializeBallot(['Tokyo', 'Osaka'], 'ranked'),
+      serializeBallot(['Kyoto', 'Osaka'], 'ranked'),
+      serializeBallot(['Osaka', 'Kyoto'], 'ranked'),
+    );
+    // Without Tokyo the first two ballots go to Osaka, which then has a majority
+    assert.deepStrictEqual(pickTopOptions(votes, ['Tokyo', 'Kyoto', 'Osaka'], 'ranked', 2).winners, ['Tokyo', 'Osaka']);
+  });
+
+  test('normalizes user-facing method names', () => {
+    assert.strictEqual(normalizeVotingMethod('RCV'), 'ranked');
+    assert.strictEqual(normalizeVotingMethod('ranked choice'), 'ranked');
+    assert.strictEqual(normalizeVotingMethod('approval'), 'approval');
+    assert.strictEqual(normalizeVotingMethod('majority'), 'plurality');
+    assert.strictEqual(normalizeVotingMethod('borda'), null);
+  });
+
+  test('earliest_suggestion tie-break picks the option suggested first', () => {
+    const result = breakTie(['Tokyo', 'Bali'], 'earliest_suggestion', {
+      suggestionOrder: ['Lisbon', 'Bali', 'Tokyo'],
+    });
+
+    assert.strictEqual(result.winner, 'Bali');
+    assert.strictEqual(result.rule, 'earliest_suggestion');
+  });
+
+  test('organizer tie-break falls back when the organizer picked neither option', () => {
+    const picked = breakTie(['Tokyo', 'Bali'], 'organizer', {
+      suggestionOrder: ['Bali', 'Tokyo'],
+      organizerChoice: 'Tokyo',
+    });
+    assert.strictEqual(picked.winner, 'Tokyo');
+    assert.strictEqual(picked.rule, 'organizer');
+
+    const fallback = breakTie(['Tokyo', 'Bali'], 'organizer', {
+      suggestionOrder: ['Bali', 'Tokyo'],
+      organizerChoice: 'Lisbon',
+    });
+    assert.strictEqual(fallback.winner, 'Bali');
+    assert.strictEqual(fallback.rule, 'earliest_suggestion');
+    assert.strictEqual(fallback.fallbackFrom, 'organizer');
+  });
+
+  test('fills several tied seats in turn, following the organizer\'s ballot', () => {
+    const tied = ['Tokyo', 'Bali', 'Lisbon'];
+    const suggestionOrder = ['Lisbon', 'Bali', 'Tokyo'];
+
+    // Their ranked ballot fills both seats
+    const ranked = breakTieForSeats(tied, 2, 'organizer', { suggestionOrder, organizerChoices: ['Tokyo', 'Paris', 'Bali'] });
+    assert.deepStrictEqual(ranked.picked, ['Tokyo', 'Bali']);
+    assert.strictEqual(ranked.rule, 'organizer');
+    assert.strictEqual(ranked.fallbackFrom, null);
+
+    // A single choice takes the first seat; the rest fall back to the earliest suggestion, and say so
+    const single = breakTieForSeats(tied, 2, 'organizer', { suggestionOrder, organizerChoices: ['Bali'] });
+    assert.deepStrictEqual(single.picked, ['Bali', 'Lisbon']);
+    assert.strictEqual(single.fallbackFrom, 'organizer');
+
+    const random = breakTieForSeats(tied, 2, 'random', { seed: 7 });
+    assert.deepStrictEqual(breakTieForSeats(tied, 2, 'random', { seed: 7 }).picked, random.picked);
+    assert.strictEqual(new Set(random.picked).size, 2);
+  });
+
+  test('random tie-break is reproducible from its seed', () => {
+    const options = ['Tokyo', 'Bali', 'Lisbon'];
+    const first = breakTie(options, 'random', { seed: 42 });
+    const replay = breakTie(options, 'random', { seed: 42 });
+
+    assert.strictEqual(first.winner, replay.winner);
+    assert.strictEqual(first.seed, 42);
+    assert(options.includes(first.winner));
+  });
+
+  test('normalizes user-facing tie-break rule names', () => {
+    assert.strictEqual(normalizeTieBreakRule('coin flip'), 'random');
+    assert.strictEqual(normalizeTieBreakRule('first'), 'earliest_suggestion');
+    assert.strictEqual(normalizeTieBreakRule('organizer'), 'organizer');
+    assert.strictEqual(normalizeTieBreakRule('vibes'), null);
+  });
+});
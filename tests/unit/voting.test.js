@@ -202,7 +202,44 @@ describe('Voting Agent', () => {
     const votes = await mockDatabase.getVotes(trip.id, 'dates');
     assert.strictEqual(votes.length, 1);
   });
-});
 
+  test('recognizes vote changes and retractions', () => {
+    assert.strictEqual(VotingAgent.isVoteRetraction('remove my vote'), true);
+    assert.strictEqual(VotingAgent.isVoteRetraction('actually take back my vote pls'), true);
+    assert.strictEqual(VotingAgent.isVoteRetraction('Bali'), false);
+
+    assert.strictEqual(VotingAgent.isVoteChange('actually switch me to Bali'), true);
+    assert.strictEqual(VotingAgent.isVoteChange('change my vote to 2'), true);
+    assert.strictEqual(VotingAgent.isVoteChange('2'), false);
+    assert.strictEqual(VotingAgent.isVoteChange('actually 3'), true);
+    assert.strictEqual(VotingAgent.isVoteChange("actually I'll go with option 1"), true);
+    assert.strictEqual(VotingAgent.isVoteChange("actually I can't do March"), false);
+    assert.strictEqual(VotingAgent.isVoteChange('actually, what time is it there?'), false);
+
+    assert.strictEqual(VotingAgent.stripVoteChangePhrase('actually switch me to Bali'), 'Bali');
+    assert.strictEqual(VotingAgent.stripVoteChangePhrase('Change my vote to 2'), '2');
+    assert.strictEqual(VotingAgent.stripVoteChangePhrase("actually I'll go with option 1"), 'option 1');
+    assert.strictEqual(VotingAgent.stripVoteChangePhrase('Tokyo'), 'Tokyo');
+  });
 
+  test('normalizes destinations the gazetteer knows to place ids', async () => {
+    const agent = new VotingAgent();
+    assert.strictEqual(await agent.normalizeDestination('  NYC '), 'geo:us:new-york-city');
+    assert.strictEqual(await agent.normalizeDestination('Paris, France'), 'geo:fr:paris');
+    await assert.rejects(agent.normalizeDestination('Sarah', [{ name: 'Sarah' }]), /NAME_NOT_DESTINATION/);
+    await assert.rejects(agent.normalizeDestination('sounds good'), /NOT_A_DESTINATION/);
+  });
 
+  test('consolidates suggestions by place, keeping the stored values', () => {
+    const agent = new VotingAgent();
+    const options = agent.consolidateSuggestions([
+      { destination: 'geo:us:new-york-city' },
+      { destination: 'NYC' },
+      { destination: 'Tokyo' },
+      { destination: 'geo:jp:tokyo' },
+      { destination: 'Paris, TX' },
+      { destination: 'paris, tx' },
+    ]);
+    assert.deepStrictEqual(options, ['geo:us:new-york-city', 'Tokyo', 'Paris, TX']);
+  });
+});